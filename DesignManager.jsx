@@ -10,12 +10,14 @@ import { DesignManagerProvider, useDesignManagerContext } from './context/Design
 import { usePanelState } from './hooks/usePanelState';
 import { FloatingPanel } from './components/floating-panel/FloatingPanel';
 import { PanelHeader } from './components/floating-panel/PanelHeader';
+import { HistoryTimeline } from './components/floating-panel/HistoryTimeline';
+import { SharedThemePrompt } from './components/floating-panel/SharedThemePrompt';
 import { ToolsTab } from './tabs/ToolsTab';
 import { ColorsTab } from './tabs/ColorsTab';
 import { TypographyTab } from './tabs/TypographyTab';
 import { SurfacesTab } from './tabs/SurfacesTab';
 import { ExportTab } from './tabs/ExportTab';
-import { TABS, DEFAULT_STORAGE_KEY, DEFAULT_PANEL_KEY } from './lib/constants';
+import { TABS, DEFAULT_STORAGE_KEY, DEFAULT_PANEL_KEY, DEFAULT_PRESETS_KEY } from './lib/constants';
 
 /**
  * Error Boundary for DesignManager panel
@@ -87,9 +89,13 @@ function DesignManagerPanel({ onClose, panelState }) {
     canRedo,
     undo,
     redo,
+    history,
+    historyIndex,
+    jumpToHistory,
   } = useDesignManagerContext();
 
   const [isKeyboardNav, setIsKeyboardNav] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
 
   // Detect keyboard vs mouse navigation
   useEffect(() => {
@@ -175,8 +181,18 @@ function DesignManagerPanel({ onClose, panelState }) {
         onClose={onClose}
         onUndo={undo}
         onRedo={redo}
+        historyOpen={historyOpen}
+        onHistoryToggle={() => setHistoryOpen((open) => !open)}
       />
 
+      {!panelState.isMinimized && historyOpen && (
+        <HistoryTimeline
+          history={history}
+          historyIndex={historyIndex}
+          onJump={jumpToHistory}
+        />
+      )}
+
       {!panelState.isMinimized && (
         <div className="dm-body">
           <nav
@@ -227,9 +243,19 @@ function DesignManagerPanel({ onClose, panelState }) {
  *
  * @param {Object} props
  * @param {Object} props.initialTheme - Initial theme values
+ * @param {Object} props.theme - Controlled theme (see DesignManagerProvider)
+ * @param {Function} props.onThemeChange - Called with (theme, action) on design-token changes
  * @param {Function} props.onChange - Callback on theme change
  * @param {string} props.storageKey - localStorage key for theme
+ * @param {Object} props.storage - Storage adapter for theme persistence
  * @param {string} props.panelStorageKey - localStorage key for panel state
+ * @param {string} props.presetsKey - localStorage key for user presets
+ * @param {Element|string|Object} props.target - Element, ref or selector to scope the theme to
+ * @param {string} props.cssPrefix - Prefix for the theme's CSS variables (match the CSS export's prefix)
+ * @param {boolean} props.sync - Sync the theme live across tabs and windows
+ * @param {boolean} props.ssr - Server-rendered app: render nothing until hydrated and read storage after mount
+ * @param {Object} props.store - Existing store from createThemeStore
+ * @param {string|false} props.themeLinkParam - URL parameter read for shared theme links (false to ignore them)
  * @param {string} props.position - Initial panel position
  * @param {boolean} props.defaultOpen - Whether panel starts open
  * @param {string} props.apiKey - OpenAI API key for AI features
@@ -237,9 +263,19 @@ function DesignManagerPanel({ onClose, panelState }) {
  */
 export function DesignManager({
   initialTheme,
+  theme,
+  onThemeChange,
   onChange,
   storageKey = DEFAULT_STORAGE_KEY,
+  storage,
   panelStorageKey = DEFAULT_PANEL_KEY,
+  presetsKey = DEFAULT_PRESETS_KEY,
+  target,
+  cssPrefix,
+  sync = true,
+  ssr = false,
+  store,
+  themeLinkParam,
   position = 'center',  // Default to center for predictable UX
   defaultOpen = false,  // Default to false so trigger shows first
   apiKey,
@@ -251,6 +287,12 @@ export function DesignManager({
     defaultOpen,
   });
 
+  // Server-rendered apps mount the panel after hydration (panel state lives in localStorage)
+  const [isMounted, setIsMounted] = useState(!ssr);
+  useEffect(() => {
+    setIsMounted(true);
+  }, []);
+
   // Use refs to avoid dependency on panelState object (which changes every render)
   const openRef = useRef(panelState.open);
   const closeRef = useRef(panelState.close);
@@ -284,12 +326,22 @@ export function DesignManager({
   return (
     <DesignManagerProvider
       initialTheme={initialTheme}
+      theme={theme}
+      onThemeChange={onThemeChange}
       onChange={onChange}
       storageKey={storageKey}
+      storage={storage}
+      presetsKey={presetsKey}
+      target={target}
+      cssPrefix={cssPrefix}
+      sync={sync}
+      ssr={ssr}
+      store={store}
+      themeLinkParam={themeLinkParam}
       apiKey={apiKey}
       apiEndpoint={apiEndpoint}
     >
-      {panelState.isOpen ? (
+      {!isMounted ? null : panelState.isOpen ? (
         <PanelErrorBoundary onClose={panelState.close}>
           <DesignManagerPanel
             onClose={panelState.close}
@@ -299,6 +351,7 @@ export function DesignManager({
       ) : (
         <DesignManagerTrigger onClick={panelState.open} />
       )}
+      {isMounted && <SharedThemePrompt />}
     </DesignManagerProvider>
   );
 }
@@ -1,13 +1,106 @@
 /**
  * ColorPicker Component
  *
- * OKLCH color picker with hex input and contrast badge.
+ * OKLCH color picker with hex input, opacity slider, contrast badge and an
+ * out-of-gamut flag for colors that can't be shown in sRGB. OKLCH sliders
+ * reach wide-gamut colors the native (sRGB) color input can't, and mark
+ * the sRGB and Display P3 boundaries on the chroma track.
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import { toHexString, toOklchString, parseToOklch } from '../../lib/color-utils';
+import { SlidersHorizontal } from 'lucide-react';
+import {
+  toHexString,
+  toOklchString,
+  parseToOklch,
+  formatOklch,
+  getAlpha,
+  withAlpha,
+  getColorGamut,
+  getMaxChroma,
+  toGamutOklchString,
+} from '../../lib/color-utils';
 import { getContrastBadge } from '../../lib/contrast-checker';
 
+/**
+ * Upper end of the chroma slider
+ * @constant {number}
+ */
+const MAX_CHROMA = 0.4;
+
+/**
+ * Lightness, chroma and hue sliders with the sRGB and P3 gamut boundaries
+ *
+ * @param {Object} props
+ * @param {string} props.value - Current color value
+ * @param {Function} props.onChange - Called with new OKLCH color
+ */
+function OklchSliders({ value, onChange }) {
+  const { l = 0, c = 0, h = 0, alpha } = parseToOklch(value) || {};
+  const hue = h || 0;
+  const srgbMax = getMaxChroma(l, hue, 'srgb');
+  const p3Max = getMaxChroma(l, hue, 'p3');
+  const percent = (chroma) => `${(chroma / MAX_CHROMA) * 100}%`;
+
+  // Each track shows the colors its slider reaches from the current one
+  const trackBackground = (channel) => {
+    const stops = {
+      l: [0, 0.5, 1].map((step) => `oklch(${step} ${c} ${hue})`),
+      c: [0, MAX_CHROMA].map((step) => `oklch(${l} ${step} ${hue})`),
+      h: [0, 60, 120, 180, 240, 300, 360].map((step) => `oklch(${l} ${c} ${step})`),
+    };
+    return `linear-gradient(to right, ${stops[channel].join(', ')})`;
+  };
+
+  const update = (channel, amount) => {
+    onChange(formatOklch({ l, c, h: hue, alpha, [channel]: parseFloat(amount) }));
+  };
+
+  const sliders = [
+    { channel: 'l', label: 'L', amount: l, max: 1, step: 0.001, digits: 3 },
+    { channel: 'c', label: 'C', amount: c, max: MAX_CHROMA, step: 0.001, digits: 3 },
+    { channel: 'h', label: 'H', amount: hue, max: 360, step: 1, digits: 0 },
+  ];
+
+  return (
+    <div className="dm-oklch-sliders">
+      {sliders.map((slider) => (
+        <label key={slider.channel} className="dm-oklch-row">
+          <span className="dm-oklch-channel">{slider.label}</span>
+          <div className="dm-oklch-track" style={{ background: trackBackground(slider.channel) }}>
+            {slider.channel === 'c' && (
+              <>
+                <span className="dm-gamut-boundary dm-gamut-boundary-srgb" style={{ left: percent(srgbMax) }} />
+                <span className="dm-gamut-boundary dm-gamut-boundary-p3" style={{ left: percent(p3Max) }} />
+                <span className="dm-gamut-outside" style={{ left: percent(p3Max) }} />
+              </>
+            )}
+            <input
+              type="range"
+              className="dm-oklch-range"
+              min={0}
+              max={slider.max}
+              step={slider.step}
+              value={slider.amount}
+              onChange={(e) => update(slider.channel, e.target.value)}
+              aria-label={`OKLCH ${slider.label}`}
+            />
+          </div>
+          <span className="dm-oklch-value">{slider.amount.toFixed(slider.digits)}</span>
+        </label>
+      ))}
+      <div className="dm-oklch-legend">
+        <span>
+          <span className="dm-gamut-key dm-gamut-key-srgb" /> sRGB ≤ {srgbMax.toFixed(3)}
+        </span>
+        <span>
+          <span className="dm-gamut-key dm-gamut-key-p3" /> P3 ≤ {p3Max.toFixed(3)}
+        </span>
+      </div>
+    </div>
+  );
+}
+
 /**
  * Color picker with OKLCH support
  *
@@ -15,6 +108,8 @@ import { getContrastBadge } from '../../lib/contrast-checker';
  * @param {string} props.value - Current color value (OKLCH or hex)
  * @param {Function} props.onChange - Called with new OKLCH color
  * @param {string} props.contrastWith - Color to check contrast against
+ * @param {'foreground' | 'background'} props.contrastRole - Whether this color is the text or the background of the pair
+ * @param {Object} props.contrastOptions - Contrast model and typography (see checkContrast)
  * @param {string} props.label - Label text
  * @param {boolean} props.showBadge - Whether to show contrast badge
  */
@@ -22,12 +117,16 @@ export function ColorPicker({
   value,
   onChange,
   contrastWith,
+  contrastRole = 'foreground',
+  contrastOptions,
   label,
   showBadge = true,
   className = '',
 }) {
   const [hexValue, setHexValue] = useState(() => toHexString(value));
   const [isEditing, setIsEditing] = useState(false);
+  const [showSliders, setShowSliders] = useState(false);
+  const alpha = getAlpha(value);
 
   // Sync hex value when prop changes
   useEffect(() => {
@@ -38,14 +137,12 @@ export function ColorPicker({
 
   const handleColorChange = useCallback(
     (e) => {
-      const newHex = e.target.value;
-      setHexValue(newHex);
-
-      // Convert to OKLCH and update
-      const oklch = toOklchString(newHex);
+      // The native input is opaque; keep the current opacity
+      const oklch = withAlpha(e.target.value, alpha);
+      setHexValue(toHexString(oklch));
       onChange(oklch);
     },
-    [onChange]
+    [onChange, alpha]
   );
 
   const handleHexInput = useCallback(
@@ -53,8 +150,8 @@ export function ColorPicker({
       const newHex = e.target.value;
       setHexValue(newHex);
 
-      // Only update if valid hex
-      if (/^#[0-9a-fA-F]{6}$/.test(newHex)) {
+      // Only update if valid hex (#rrggbb or #rrggbbaa)
+      if (/^#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/.test(newHex)) {
         const oklch = toOklchString(newHex);
         onChange(oklch);
       }
@@ -68,9 +165,26 @@ export function ColorPicker({
     setHexValue(toHexString(value));
   }, [value]);
 
+  // Colors outside sRGB are shown and exported as hex with reduced chroma.
+  // Values that can't be parsed (var(), partial input) get no flag.
+  const gamut = value && parseToOklch(value) ? getColorGamut(value) : 'srgb';
+
+  const handleOpacityChange = useCallback(
+    (e) => {
+      onChange(withAlpha(value, e.target.value / 100));
+    },
+    [value, onChange]
+  );
+
+  const handleFitToGamut = useCallback(() => {
+    onChange(toGamutOklchString(value, 'srgb'));
+  }, [value, onChange]);
+
   // Calculate contrast badge if needed
   const badge = showBadge && contrastWith
-    ? getContrastBadge(value, contrastWith)
+    ? contrastRole === 'background'
+      ? getContrastBadge(contrastWith, value, contrastOptions)
+      : getContrastBadge(value, contrastWith, contrastOptions)
     : null;
 
   return (
@@ -83,7 +197,7 @@ export function ColorPicker({
           <input
             type="color"
             className="dm-color-input"
-            value={hexValue}
+            value={toHexString(value, { opaque: true })}
             onChange={handleColorChange}
           />
           <div
@@ -101,20 +215,60 @@ export function ColorPicker({
           onFocus={() => setIsEditing(true)}
           onBlur={handleHexBlur}
           placeholder="#000000"
-          maxLength={7}
+          maxLength={9}
         />
 
+        {/* Opacity */}
+        <label className="dm-opacity-control" title="Opacity">
+          <input
+            type="range"
+            className="dm-opacity-range"
+            min={0}
+            max={100}
+            step={1}
+            value={Math.round(alpha * 100)}
+            onChange={handleOpacityChange}
+            style={{ '--dm-opacity-color': toHexString(value, { opaque: true }) }}
+            aria-label="Opacity"
+          />
+          <span className="dm-opacity-value">{Math.round(alpha * 100)}%</span>
+        </label>
+
+        <button
+          type="button"
+          className={`dm-oklch-toggle ${showSliders ? 'dm-active' : ''}`}
+          onClick={() => setShowSliders((open) => !open)}
+          title="OKLCH sliders (wide gamut)"
+          aria-expanded={showSliders}
+        >
+          <SlidersHorizontal size={14} />
+        </button>
+
+        {/* Out-of-gamut flag */}
+        {gamut !== 'srgb' && (
+          <button
+            type="button"
+            className={`dm-gamut-badge ${gamut ? 'dm-gamut-p3' : 'dm-gamut-wide'}`}
+            onClick={handleFitToGamut}
+            title={`Outside sRGB${gamut ? ' (within Display P3)' : ' and Display P3'}: hex output is ${toHexString(value)}. Click to reduce chroma into sRGB.`}
+          >
+            {gamut ? 'P3' : 'Out of gamut'}
+          </button>
+        )}
+
         {/* Contrast badge */}
         {badge && (
           <div
             className={`dm-contrast-badge dm-badge-${badge.score}`}
-            title={`Contrast: ${badge.ratio}:1 (${badge.level})`}
+            title={`Contrast: ${badge.display} (${badge.level})`}
           >
-            <span className="dm-badge-ratio">{badge.ratio}</span>
+            <span className="dm-badge-ratio">{badge.value}</span>
             <span className="dm-badge-level">{badge.level}</span>
           </div>
         )}
       </div>
+
+      {showSliders && <OklchSliders value={value} onChange={onChange} />}
     </div>
   );
 }
@@ -1,27 +1,36 @@
 /**
  * ContrastBadge Component
  *
- * Displays WCAG contrast ratio and compliance level.
+ * Displays contrast (WCAG 2.1 ratio or APCA Lc) and compliance level.
  */
 
-import { checkContrast, getContrastBadge } from '../../lib/contrast-checker';
+import {
+  checkContrast,
+  getContrastBadge,
+  formatContrast,
+  CONTRAST_MODELS,
+  DEFAULT_CONTRAST_MODEL,
+} from '../../lib/contrast-checker';
 
 /**
- * Contrast badge showing ratio and WCAG level
+ * Contrast badge showing contrast and level
  *
  * @param {Object} props
  * @param {string} props.foreground - Foreground color
  * @param {string} props.background - Background color
+ * @param {'wcag2' | 'apca'} props.model - Contrast model
+ * @param {Object} props.typography - Theme tokens for size/weight-aware criteria
+ * @param {string} props.backdrop - Color behind a translucent background
  * @param {boolean} props.compact - Use compact display
  */
-export function ContrastBadge({ foreground, background, compact = false }) {
-  const badge = getContrastBadge(foreground, background);
+export function ContrastBadge({ foreground, background, model, typography, backdrop, compact = false }) {
+  const badge = getContrastBadge(foreground, background, { model, typography, backdrop });
 
   if (compact) {
     return (
       <span
         className={`dm-contrast-badge-compact dm-badge-${badge.score}`}
-        title={`${badge.ratio}:1 - ${badge.level}`}
+        title={`${badge.display} - ${badge.level}`}
       >
         {badge.level}
       </span>
@@ -30,45 +39,56 @@ export function ContrastBadge({ foreground, background, compact = false }) {
 
   return (
     <div className={`dm-contrast-badge dm-badge-${badge.score}`}>
-      <span className="dm-badge-ratio">{badge.ratio}:1</span>
+      <span className="dm-badge-ratio">{badge.display}</span>
       <span className="dm-badge-level">{badge.level}</span>
     </div>
   );
 }
 
 /**
- * Full contrast details panel
+ * Full contrast details panel. With typography, body text and headings
+ * are checked at the theme's sizes and weights.
  */
-export function ContrastDetails({ foreground, background }) {
-  const result = checkContrast(foreground, background);
+export function ContrastDetails({ foreground, background, model = DEFAULT_CONTRAST_MODEL, typography, backdrop }) {
+  const result = checkContrast(foreground, background, { model, typography, backdrop });
+  const { levels } = CONTRAST_MODELS[result.model] || CONTRAST_MODELS[DEFAULT_CONTRAST_MODEL];
+  const { body, heading } = result.textStyles;
+  const bodyLabel = typography ? `Body text, ${body.fontSize}px/${body.fontWeight}` : 'Normal text';
+  const headingLabel = typography ? `Headings, ${heading.fontSize}px/${heading.fontWeight}` : 'Large text';
 
   return (
     <div className="dm-contrast-details">
       <div className="dm-contrast-header">
-        <span className="dm-contrast-ratio">{result.ratio.toFixed(2)}:1</span>
-        <ContrastBadge foreground={foreground} background={background} />
+        <span className="dm-contrast-ratio">{result.display}</span>
+        <ContrastBadge
+          foreground={foreground}
+          background={background}
+          model={model}
+          typography={typography}
+          backdrop={backdrop}
+        />
       </div>
 
       <div className="dm-contrast-checks">
         <ContrastCheck
-          label="Normal text (AA)"
+          label={`${bodyLabel} (${levels.minimum})`}
           passed={result.passes.aa}
-          threshold="4.5:1"
+          threshold={formatContrast(result.targets.body.minimum, result.model)}
         />
         <ContrastCheck
-          label="Large text (AA)"
+          label={`${headingLabel} (${levels.minimum})`}
           passed={result.passes.aaLarge}
-          threshold="3:1"
+          threshold={formatContrast(result.targets.heading.minimum, result.model)}
         />
         <ContrastCheck
-          label="Normal text (AAA)"
+          label={`${bodyLabel} (${levels.enhanced})`}
           passed={result.passes.aaa}
-          threshold="7:1"
+          threshold={formatContrast(result.targets.body.enhanced, result.model)}
         />
         <ContrastCheck
-          label="Large text (AAA)"
+          label={`${headingLabel} (${levels.enhanced})`}
           passed={result.passes.aaaLarge}
-          threshold="4.5:1"
+          threshold={formatContrast(result.targets.heading.enhanced, result.model)}
         />
       </div>
 
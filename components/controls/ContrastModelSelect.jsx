@@ -0,0 +1,35 @@
+/**
+ * ContrastModelSelect Component
+ *
+ * Picks the contrast model (WCAG 2.1 ratio or APCA Lc) used by contrast
+ * badges and the accessibility tools.
+ */
+
+import { CONTRAST_MODELS, DEFAULT_CONTRAST_MODEL } from '../../lib/contrast-checker';
+
+/**
+ * Contrast model selector
+ *
+ * @param {Object} props
+ * @param {string} props.value - Current model id
+ * @param {Function} props.onChange - Called with the new model id
+ */
+export function ContrastModelSelect({ value = DEFAULT_CONTRAST_MODEL, onChange, className = '' }) {
+  return (
+    <select
+      className={`dm-select dm-select-small ${className}`}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      title={CONTRAST_MODELS[value]?.description}
+      aria-label="Contrast model"
+    >
+      {Object.values(CONTRAST_MODELS).map((model) => (
+        <option key={model.id} value={model.id}>
+          {model.name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default ContrastModelSelect;
@@ -0,0 +1,67 @@
+/**
+ * HistoryTimeline Component
+ *
+ * Labeled list of history entries. Clicking an entry jumps the theme
+ * to the state right after that change.
+ */
+
+import { Check } from 'lucide-react';
+
+/**
+ * Format an entry timestamp for display
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} Time string, e.g. '14:05:32'
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+/**
+ * History timeline
+ *
+ * @param {Object} props
+ * @param {Array.<Object>} props.history - History entries ({ id, label, timestamp, changes })
+ * @param {number} props.historyIndex - Index of the current entry (-1 = initial state)
+ * @param {Function} props.onJump - Jump to a history index
+ */
+export function HistoryTimeline({ history, historyIndex, onJump }) {
+  // Newest first, with the initial state at the bottom
+  const rows = [
+    ...history.map((entry, index) => ({ ...entry, index })).reverse(),
+    { id: 'start', label: 'Start', index: -1 },
+  ];
+
+  return (
+    <div className="dm-history" role="list" aria-label="Edit history">
+      {rows.map(({ id, label, timestamp, changes, index }) => {
+        const isCurrent = index === historyIndex;
+        const isUndone = index > historyIndex;
+        const changeCount = changes ? Object.keys(changes).length : 0;
+
+        return (
+          <button
+            key={id}
+            type="button"
+            role="listitem"
+            className={`dm-history-entry ${isCurrent ? 'dm-active' : ''} ${isUndone ? 'dm-history-undone' : ''}`}
+            onClick={() => onJump(index)}
+            aria-current={isCurrent ? 'step' : undefined}
+            title={changeCount > 1 ? `${changeCount} changes` : undefined}
+          >
+            <span className="dm-history-marker">
+              {isCurrent && <Check size={10} />}
+            </span>
+            <span className="dm-history-label">{label}</span>
+            {timestamp && <span className="dm-history-time">{formatTime(timestamp)}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default HistoryTimeline;
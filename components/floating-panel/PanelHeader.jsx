@@ -4,7 +4,7 @@
  * Header bar with drag handle and control buttons.
  */
 
-import { Sun, Moon, Minus, Maximize2, X, Undo2, Redo2 } from 'lucide-react';
+import { Sun, Moon, Minus, Maximize2, X, Undo2, Redo2, History } from 'lucide-react';
 
 /**
  * Panel header with drag handle and controls
@@ -15,11 +15,13 @@ import { Sun, Moon, Minus, Maximize2, X, Undo2, Redo2 } from 'lucide-react';
  * @param {boolean} props.isMinimized - Whether panel is minimized
  * @param {boolean} props.canUndo - Whether undo is available
  * @param {boolean} props.canRedo - Whether redo is available
+ * @param {boolean} props.historyOpen - Whether the history timeline is shown
  * @param {Function} props.onDarkModeToggle - Toggle dark mode
  * @param {Function} props.onMinimize - Minimize/maximize panel
  * @param {Function} props.onClose - Close panel
  * @param {Function} props.onUndo - Undo action
  * @param {Function} props.onRedo - Redo action
+ * @param {Function} props.onHistoryToggle - Show/hide the history timeline
  */
 export function PanelHeader({
   title = 'Design Manager',
@@ -32,6 +34,8 @@ export function PanelHeader({
   onClose,
   onUndo,
   onRedo,
+  historyOpen,
+  onHistoryToggle,
 }) {
   return (
     <div className="dm-panel-header dm-drag-handle">
@@ -63,6 +67,19 @@ export function PanelHeader({
           <Redo2 size={14} />
         </button>
 
+        {onHistoryToggle && (
+          <button
+            type="button"
+            className={`dm-header-button ${historyOpen ? 'dm-active' : ''}`}
+            onClick={onHistoryToggle}
+            title="History"
+            aria-label="History"
+            aria-pressed={!!historyOpen}
+          >
+            <History size={14} />
+          </button>
+        )}
+
         <div className="dm-header-divider" />
 
         {/* Dark mode toggle */}
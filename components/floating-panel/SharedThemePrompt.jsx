@@ -0,0 +1,72 @@
+/**
+ * SharedThemePrompt Component
+ *
+ * Offered when the page was opened from a shared theme link: preview the
+ * theme on the page, import it, or dismiss it. Shown whether or not the
+ * panel is open.
+ */
+
+import { Link2, Eye, EyeOff, Check, X } from 'lucide-react';
+import { useDesignManager } from '../../hooks/useDesignManager';
+
+/**
+ * Shared theme prompt (renders nothing without a shared theme)
+ */
+export function SharedThemePrompt() {
+  const {
+    sharedTheme,
+    isPreviewingSharedTheme,
+    previewSharedTheme,
+    importSharedTheme,
+    dismissSharedTheme,
+  } = useDesignManager();
+
+  if (!sharedTheme) return null;
+
+  const swatches = ['primary', 'accent', 'background']
+    .map((token) => ({ token, color: sharedTheme.colors?.light?.[token] }))
+    .filter(({ color }) => color);
+
+  return (
+    <div className="dm-shared-theme" role="dialog" aria-label="Shared theme">
+      <div className="dm-shared-theme-header">
+        <Link2 size={14} aria-hidden="true" />
+        <span className="dm-shared-theme-title">
+          {isPreviewingSharedTheme ? 'Previewing shared theme' : 'This link includes a theme'}
+        </span>
+        <div className="dm-preset-colors">
+          {swatches.map(({ token, color }) => (
+            <div key={token} className="dm-preset-swatch" style={{ backgroundColor: color }} />
+          ))}
+        </div>
+        <button
+          type="button"
+          className="dm-shared-theme-dismiss"
+          onClick={dismissSharedTheme}
+          title="Dismiss"
+          aria-label="Dismiss shared theme"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="dm-shared-theme-actions">
+        <button
+          type="button"
+          className="dm-button dm-button-secondary"
+          onClick={() => previewSharedTheme(!isPreviewingSharedTheme)}
+          aria-pressed={isPreviewingSharedTheme}
+        >
+          {isPreviewingSharedTheme ? <EyeOff size={14} /> : <Eye size={14} />}
+          {isPreviewingSharedTheme ? 'Stop preview' : 'Preview'}
+        </button>
+        <button type="button" className="dm-button dm-button-primary" onClick={importSharedTheme}>
+          <Check size={14} />
+          Import
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SharedThemePrompt;
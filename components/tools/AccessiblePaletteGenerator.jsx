@@ -2,27 +2,35 @@
  * Accessible Palette Generator
  *
  * Accessibility-FIRST palette generation.
- * Set WCAG level, then generate - all colors guaranteed to meet contrast requirements.
+ * Set the target level (WCAG 2.1 or APCA, from the theme's contrast model),
+ * then generate - all colors guaranteed to meet contrast requirements.
  */
 
 import { useState, useMemo } from 'react';
 import { Palette, Check, AlertTriangle, RefreshCw, Bot } from 'lucide-react';
 import { useDesignManagerContext } from '../../context/DesignManagerContext';
+import { ContrastModelSelect } from '../controls/ContrastModelSelect';
 import { parseToOklch, toHexString } from '../../lib/color-utils';
-import { getContrastRatio, WCAG_THRESHOLDS } from '../../lib/contrast-checker';
+import {
+  getContrastValue,
+  formatContrast,
+  getTextStyles,
+  getContrastTargets,
+  CONTRAST_MODELS,
+  DEFAULT_CONTRAST_MODEL,
+} from '../../lib/contrast-checker';
 import { formatAccessiblePalette, copyToClipboard } from '../../lib/ai-copy-utils';
 
 /**
  * Generate an accessible palette from a brand color
- * All generated colors are guaranteed to meet the target contrast ratio
+ * All generated colors are guaranteed to meet the target contrast
+ * (a ratio for WCAG 2.1, Lc for APCA)
  */
-function generateAccessiblePalette(brandColor, targetLevel = 'AA') {
+function generateAccessiblePalette(brandColor, targetRatio, model = DEFAULT_CONTRAST_MODEL) {
   const brand = parseToOklch(brandColor);
   if (!brand) return null;
 
-  const targetRatio = targetLevel === 'AAA'
-    ? WCAG_THRESHOLDS.AAA_NORMAL
-    : WCAG_THRESHOLDS.AA_NORMAL;
+  const contrast = (foreground, background) => getContrastValue(foreground, background, model);
 
   const brandH = brand.h || 0;
   const brandC = brand.c || 0.15;
@@ -33,7 +41,7 @@ function generateAccessiblePalette(brandColor, targetLevel = 'AA') {
   // Generate foreground that meets contrast with background
   // For light backgrounds, we need dark text
   let foregroundL = 0.15;
-  while (getContrastRatio(`oklch(${foregroundL} 0.02 ${brandH})`, background) < targetRatio && foregroundL > 0) {
+  while (contrast(`oklch(${foregroundL} 0.02 ${brandH})`, background) < targetRatio && foregroundL > 0) {
     foregroundL -= 0.02;
   }
   const foreground = `oklch(${Math.max(0.1, foregroundL).toFixed(3)} 0.02 ${brandH})`;
@@ -56,9 +64,9 @@ function generateAccessiblePalette(brandColor, targetLevel = 'AA') {
   // Adjust primary if needed for contrast
   const primaryFgLum = primaryL > 0.6 ? 0.15 : 0.98;
   while (
-    getContrastRatio(
-      `oklch(${primaryL} ${brandC} ${brandH})`,
-      `oklch(${primaryFgLum} 0.02 ${brandH})`
+    contrast(
+      `oklch(${primaryFgLum} 0.02 ${brandH})`,
+      `oklch(${primaryL} ${brandC} ${brandH})`
     ) < targetRatio &&
     (primaryL > 0.6 ? primaryL > 0.3 : primaryL < 0.8)
   ) {
@@ -70,7 +78,7 @@ function generateAccessiblePalette(brandColor, targetLevel = 'AA') {
   const secondary = `oklch(0.92 0.025 ${brandH})`;
   // Secondary foreground must contrast with secondary background
   let secondaryFgL = 0.25;
-  while (getContrastRatio(`oklch(${secondaryFgL} 0.03 ${brandH})`, secondary) < targetRatio && secondaryFgL > 0) {
+  while (contrast(`oklch(${secondaryFgL} 0.03 ${brandH})`, secondary) < targetRatio && secondaryFgL > 0) {
     secondaryFgL -= 0.02;
   }
   const secondaryForeground = `oklch(${Math.max(0.1, secondaryFgL).toFixed(3)} 0.03 ${brandH})`;
@@ -78,7 +86,7 @@ function generateAccessiblePalette(brandColor, targetLevel = 'AA') {
   // Muted
   const muted = `oklch(0.94 0.02 ${brandH})`;
   let mutedFgL = 0.45;
-  while (getContrastRatio(`oklch(${mutedFgL} 0.04 ${brandH})`, muted) < targetRatio && mutedFgL > 0) {
+  while (contrast(`oklch(${mutedFgL} 0.04 ${brandH})`, muted) < targetRatio && mutedFgL > 0) {
     mutedFgL -= 0.02;
   }
   const mutedForeground = `oklch(${Math.max(0.25, mutedFgL).toFixed(3)} 0.04 ${brandH})`;
@@ -87,7 +95,7 @@ function generateAccessiblePalette(brandColor, targetLevel = 'AA') {
   const accentH = (brandH + 30) % 360;
   const accent = `oklch(0.93 0.04 ${accentH})`;
   let accentFgL = 0.25;
-  while (getContrastRatio(`oklch(${accentFgL} 0.03 ${accentH})`, accent) < targetRatio && accentFgL > 0) {
+  while (contrast(`oklch(${accentFgL} 0.03 ${accentH})`, accent) < targetRatio && accentFgL > 0) {
     accentFgL -= 0.02;
   }
   const accentForeground = `oklch(${Math.max(0.1, accentFgL).toFixed(3)} 0.03 ${accentH})`;
@@ -127,7 +135,7 @@ function generateAccessiblePalette(brandColor, targetLevel = 'AA') {
 /**
  * Check all contrast pairs in a palette
  */
-function checkPaletteContrast(palette, targetRatio) {
+function checkPaletteContrast(palette, targetRatio, model) {
   const pairs = [
     { name: 'Background / Foreground', fg: 'foreground', bg: 'background' },
     { name: 'Card / Card Foreground', fg: 'cardForeground', bg: 'card' },
@@ -139,36 +147,39 @@ function checkPaletteContrast(palette, targetRatio) {
   ];
 
   return pairs.map(({ name, fg, bg }) => {
-    const ratio = getContrastRatio(palette[fg], palette[bg]);
+    const value = getContrastValue(palette[fg], palette[bg], model);
     return {
       name,
-      ratio: ratio.toFixed(2),
-      passes: ratio >= targetRatio,
+      ratio: formatContrast(value, model),
+      passes: value >= targetRatio,
     };
   });
 }
 
 export function AccessiblePaletteGenerator({ onClose }) {
-  const { setColor, colors } = useDesignManagerContext();
+  const { theme, setColor, setToken, colors } = useDesignManagerContext();
   const [brandColor, setBrandColor] = useState(colors.light.primary || 'oklch(0.65 0.18 55)');
   const [targetLevel, setTargetLevel] = useState('AA');
   const [generated, setGenerated] = useState(null);
   const [copiedForAI, setCopiedForAI] = useState(false);
 
-  const targetRatio = targetLevel === 'AAA'
-    ? WCAG_THRESHOLDS.AAA_NORMAL
-    : WCAG_THRESHOLDS.AA_NORMAL;
+  const model = theme.contrastModel || DEFAULT_CONTRAST_MODEL;
+  const { levels } = CONTRAST_MODELS[model];
+  // Body text targets at the theme's base size and body weight
+  const targets = getContrastTargets(getTextStyles(theme).body, model);
+  const targetRatio = targetLevel === 'AAA' ? targets.enhanced : targets.minimum;
+  const targetName = targetLevel === 'AAA' ? levels.enhanced : levels.minimum;
 
   // Generate palette when inputs change
   const palette = useMemo(() => {
-    return generateAccessiblePalette(brandColor, targetLevel);
-  }, [brandColor, targetLevel]);
+    return generateAccessiblePalette(brandColor, targetRatio, model);
+  }, [brandColor, targetRatio, model]);
 
   // Check contrast of generated palette
   const contrastResults = useMemo(() => {
     if (!palette) return [];
-    return checkPaletteContrast(palette, targetRatio);
-  }, [palette, targetRatio]);
+    return checkPaletteContrast(palette, targetRatio, model);
+  }, [palette, targetRatio, model]);
 
   const allPass = contrastResults.every((r) => r.passes);
 
@@ -231,23 +242,29 @@ export function AccessiblePaletteGenerator({ onClose }) {
         </div>
 
         <div className="dm-accessible-input-group">
-          <label className="dm-accessible-label">WCAG Target</label>
+          <div className="dm-accessible-target-header">
+            <label className="dm-accessible-label">Contrast Target</label>
+            <ContrastModelSelect
+              value={model}
+              onChange={(value) => setToken('contrastModel', value)}
+            />
+          </div>
           <div className="dm-accessible-level-select">
             <button
               type="button"
               className={`dm-accessible-level ${targetLevel === 'AA' ? 'dm-active' : ''}`}
               onClick={() => setTargetLevel('AA')}
             >
-              <span className="dm-level-name">AA</span>
-              <span className="dm-level-ratio">4.5:1</span>
+              <span className="dm-level-name">{levels.minimum}</span>
+              <span className="dm-level-ratio">{formatContrast(targets.minimum, model)}</span>
             </button>
             <button
               type="button"
               className={`dm-accessible-level ${targetLevel === 'AAA' ? 'dm-active' : ''}`}
               onClick={() => setTargetLevel('AAA')}
             >
-              <span className="dm-level-name">AAA</span>
-              <span className="dm-level-ratio">7:1</span>
+              <span className="dm-level-name">{levels.enhanced}</span>
+              <span className="dm-level-ratio">{formatContrast(targets.enhanced, model)}</span>
             </button>
           </div>
         </div>
@@ -258,7 +275,7 @@ export function AccessiblePaletteGenerator({ onClose }) {
         {allPass ? (
           <>
             <Check size={16} />
-            <span>All {contrastResults.length} color pairs meet {targetLevel} requirements</span>
+            <span>All {contrastResults.length} color pairs meet {targetName} requirements</span>
           </>
         ) : (
           <>
@@ -308,7 +325,7 @@ export function AccessiblePaletteGenerator({ onClose }) {
                   className={`dm-accessible-check ${result.passes ? 'dm-pass' : 'dm-fail'}`}
                 >
                   <span className="dm-check-name">{result.name}</span>
-                  <span className="dm-check-ratio">{result.ratio}:1</span>
+                  <span className="dm-check-ratio">{result.ratio}</span>
                   {result.passes ? (
                     <Check size={12} className="dm-check-icon" />
                   ) : (
@@ -3,36 +3,49 @@
  *
  * Fix failing color pairs with minimal visual change.
  * Uses binary search to find the smallest lightness adjustment needed.
+ * Targets follow the theme's contrast model and body text size/weight.
  */
 
 import { useState, useMemo } from 'react';
 import { Check, AlertTriangle, ArrowRight, Bot } from 'lucide-react';
 import { useDesignManagerContext } from '../../context/DesignManagerContext';
-import { parseToOklch, toHexString } from '../../lib/color-utils';
+import { ContrastModelSelect } from '../controls/ContrastModelSelect';
+import { parseToOklch, formatOklch, toHexString } from '../../lib/color-utils';
 import {
-  getContrastRatio,
+  getContrastValue,
   checkContrast,
-  WCAG_THRESHOLDS,
+  formatContrast,
+  getTextStyles,
+  getContrastTargets,
+  CONTRAST_MODELS,
+  DEFAULT_CONTRAST_MODEL,
 } from '../../lib/contrast-checker';
 import { formatContrastFix, copyToClipboard } from '../../lib/ai-copy-utils';
 
 /**
  * Find the minimum lightness adjustment to meet target contrast
- * Uses binary search for efficiency
+ * Uses binary search for efficiency. Translucent colors keep their alpha
+ * and are checked composited over the backdrop.
  */
-function findMinimalFix(foreground, background, targetRatio, adjustForeground = true) {
+function findMinimalFix(
+  foreground,
+  background,
+  targetRatio,
+  adjustForeground = true,
+  model = DEFAULT_CONTRAST_MODEL,
+  backdrop
+) {
   const fgOklch = parseToOklch(foreground);
   const bgOklch = parseToOklch(background);
 
   if (!fgOklch || !bgOklch) return null;
 
-  const currentRatio = getContrastRatio(foreground, background);
+  const currentRatio = getContrastValue(foreground, background, model, backdrop);
   if (currentRatio >= targetRatio) {
     return { color: foreground, adjustment: 0, alreadyPasses: true };
   }
 
   const colorToAdjust = adjustForeground ? fgOklch : bgOklch;
-  const fixedColor = adjustForeground ? bgOklch : fgOklch;
   const bgLuminance = bgOklch.l || 0;
 
   // Determine direction: lighten or darken
@@ -54,18 +67,12 @@ function findMinimalFix(foreground, background, targetRatio, adjustForeground =
       ? Math.min(1, (colorToAdjust.l || 0) + mid)
       : Math.max(0, (colorToAdjust.l || 0) - mid);
 
-    const testColor = `oklch(${testL.toFixed(4)} ${(colorToAdjust.c || 0).toFixed(4)} ${(colorToAdjust.h || 0).toFixed(4)})`;
+    const testColor = formatOklch({ ...colorToAdjust, l: testL });
 
-    let testFg, testBg;
-    if (adjustForeground) {
-      testFg = testColor;
-      testBg = `oklch(${(fixedColor.l || 0).toFixed(4)} ${(fixedColor.c || 0).toFixed(4)} ${(fixedColor.h || 0).toFixed(4)})`;
-    } else {
-      testFg = `oklch(${(fixedColor.l || 0).toFixed(4)} ${(fixedColor.c || 0).toFixed(4)} ${(fixedColor.h || 0).toFixed(4)})`;
-      testBg = testColor;
-    }
+    const testFg = adjustForeground ? testColor : foreground;
+    const testBg = adjustForeground ? background : testColor;
 
-    const testRatio = getContrastRatio(testFg, testBg);
+    const testRatio = getContrastValue(testFg, testBg, model, backdrop);
 
     if (testRatio >= targetRatio) {
       bestL = testL;
@@ -77,7 +84,7 @@ function findMinimalFix(foreground, background, targetRatio, adjustForeground =
   }
 
   const adjustment = Math.abs(bestL - (colorToAdjust.l || 0));
-  const fixedColorStr = `oklch(${bestL.toFixed(4)} ${(colorToAdjust.c || 0).toFixed(4)} ${(colorToAdjust.h || 0).toFixed(4)})`;
+  const fixedColorStr = formatOklch({ ...colorToAdjust, l: bestL });
 
   return {
     color: fixedColorStr,
@@ -88,8 +95,10 @@ function findMinimalFix(foreground, background, targetRatio, adjustForeground =
 }
 
 export function ContrastFixer({ onClose }) {
-  const { colors, darkMode, setColor } = useDesignManagerContext();
+  const { theme, colors, darkMode, setColor, setToken } = useDesignManagerContext();
   const currentColors = darkMode ? colors.dark : colors.light;
+  const model = theme.contrastModel || DEFAULT_CONTRAST_MODEL;
+  const { levels } = CONTRAST_MODELS[model];
 
   const [foreground, setForeground] = useState(currentColors.foreground || '#333333');
   const [background, setBackground] = useState(currentColors.background || '#ffffff');
@@ -97,31 +106,35 @@ export function ContrastFixer({ onClose }) {
   const [adjustWhich, setAdjustWhich] = useState('foreground');
   const [copiedForAI, setCopiedForAI] = useState(false);
 
-  const targetRatio = targetLevel === 'AAA'
-    ? WCAG_THRESHOLDS.AAA_NORMAL
-    : WCAG_THRESHOLDS.AA_NORMAL;
+  // Body text targets at the theme's base size and body weight
+  const targets = getContrastTargets(getTextStyles(theme).body, model);
+  const targetRatio = targetLevel === 'AAA' ? targets.enhanced : targets.minimum;
+  const targetName = targetLevel === 'AAA' ? levels.enhanced : levels.minimum;
 
   // Calculate current contrast and fix
   const analysis = useMemo(() => {
-    const current = checkContrast(foreground, background);
+    const options = { model, typography: theme, backdrop: currentColors.background };
+    const current = checkContrast(foreground, background, options);
     const fix = findMinimalFix(
       foreground,
       background,
       targetRatio,
-      adjustWhich === 'foreground'
+      adjustWhich === 'foreground',
+      model,
+      options.backdrop
     );
 
     let fixedContrast = null;
     if (fix && !fix.alreadyPasses) {
       if (adjustWhich === 'foreground') {
-        fixedContrast = checkContrast(fix.color, background);
+        fixedContrast = checkContrast(fix.color, background, options);
       } else {
-        fixedContrast = checkContrast(foreground, fix.color);
+        fixedContrast = checkContrast(foreground, fix.color, options);
       }
     }
 
     return { current, fix, fixedContrast };
-  }, [foreground, background, targetRatio, adjustWhich]);
+  }, [foreground, background, targetRatio, adjustWhich, model, theme, currentColors.background]);
 
   const handleApply = () => {
     if (analysis.fix && !analysis.fix.alreadyPasses) {
@@ -153,8 +166,9 @@ export function ContrastFixer({ onClose }) {
       original: adjustWhich === 'foreground' ? foreground : background,
       fixed: analysis.fix.color,
       background: adjustWhich === 'foreground' ? background : foreground,
-      ratio: analysis.fixedContrast?.ratio.toFixed(2),
-      level: targetLevel,
+      contrast: analysis.fixedContrast?.display,
+      level: `${targetName} (${formatContrast(targetRatio, model)})`,
+      model,
     });
 
     const success = await copyToClipboard(aiText);
@@ -164,7 +178,7 @@ export function ContrastFixer({ onClose }) {
     }
   };
 
-  const passes = analysis.current.passes.aa || (targetLevel === 'AA Large' && analysis.current.passes.aaLarge);
+  const passes = analysis.current.value >= targetRatio;
 
   return (
     <div className="dm-contrast-fixer">
@@ -207,6 +221,14 @@ export function ContrastFixer({ onClose }) {
 
       {/* Options */}
       <div className="dm-fixer-options">
+        <div className="dm-fixer-option">
+          <label className="dm-fixer-label">Model</label>
+          <ContrastModelSelect
+            value={model}
+            onChange={(value) => setToken('contrastModel', value)}
+          />
+        </div>
+
         <div className="dm-fixer-option">
           <label className="dm-fixer-label">Target Level</label>
           <select
@@ -214,8 +236,8 @@ export function ContrastFixer({ onClose }) {
             value={targetLevel}
             onChange={(e) => setTargetLevel(e.target.value)}
           >
-            <option value="AA">AA (4.5:1)</option>
-            <option value="AAA">AAA (7:1)</option>
+            <option value="AA">{levels.minimum} ({formatContrast(targets.minimum, model)})</option>
+            <option value="AAA">{levels.enhanced} ({formatContrast(targets.enhanced, model)})</option>
           </select>
         </div>
 
@@ -237,13 +259,13 @@ export function ContrastFixer({ onClose }) {
         {passes ? (
           <>
             <Check size={16} />
-            <span>Already passes {targetLevel}!</span>
+            <span>Already passes {targetName}!</span>
           </>
         ) : (
           <>
             <AlertTriangle size={16} />
             <span>
-              Fails {targetLevel} — Current ratio: {analysis.current.ratio.toFixed(2)}:1
+              Fails {targetName} — Current contrast: {analysis.current.display}
             </span>
           </>
         )}
@@ -266,7 +288,7 @@ export function ContrastFixer({ onClose }) {
                 </span>
               </div>
               <div className="dm-fixer-meta">
-                <span className="dm-fixer-ratio">{analysis.current.ratio.toFixed(2)}:1</span>
+                <span className="dm-fixer-ratio">{analysis.current.display}</span>
                 <span className="dm-fixer-badge dm-fail">Fails</span>
               </div>
             </div>
@@ -295,7 +317,7 @@ export function ContrastFixer({ onClose }) {
               </div>
               <div className="dm-fixer-meta">
                 <span className="dm-fixer-ratio">
-                  {analysis.fixedContrast?.ratio.toFixed(2)}:1
+                  {analysis.fixedContrast?.display}
                 </span>
                 <span className="dm-fixer-badge dm-pass">Passes</span>
               </div>
@@ -8,7 +8,7 @@
 import { useState, useMemo } from 'react';
 import { Moon, Sun, RefreshCw, ArrowLeftRight, Bot } from 'lucide-react';
 import { useDesignManagerContext } from '../../context/DesignManagerContext';
-import { parseToOklch, toHexString } from '../../lib/color-utils';
+import { parseToOklch, formatOklch, toHexString } from '../../lib/color-utils';
 import { formatDarkModeColors, copyToClipboard } from '../../lib/ai-copy-utils';
 
 /**
@@ -54,7 +54,7 @@ function generateDarkModeColor(color, tokenName, darknessLevel = 0.85, saturatio
     newL = 1 - l;
   }
 
-  return `oklch(${newL.toFixed(3)} ${newC.toFixed(3)} ${h.toFixed(3)})`;
+  return formatOklch({ ...oklch, l: newL, c: newC, h }, 3);
 }
 
 /**
@@ -97,7 +97,7 @@ function generateLightModeColor(color, tokenName) {
     newL = 1 - l;
   }
 
-  return `oklch(${newL.toFixed(3)} ${newC.toFixed(3)} ${h.toFixed(3)})`;
+  return formatOklch({ ...oklch, l: newL, c: newC, h }, 3);
 }
 
 // Mini preview component
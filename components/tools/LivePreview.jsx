@@ -2,13 +2,14 @@
  * Live Preview Color Tester
  *
  * See your color palette on a realistic UI mockup before committing.
- * Shows how colors look in context, not just as swatches.
+ * Shows how colors look in context, not just as swatches, as rendered on
+ * an sRGB display or on a Display P3 one.
  */
 
 import { useState } from 'react';
 import { Eye, Moon, Sun, EyeOff } from 'lucide-react';
 import { useDesignManagerContext } from '../../context/DesignManagerContext';
-import { toHexString } from '../../lib/color-utils';
+import { toHexString, toDisplayP3String, isInGamut, parseToOklch } from '../../lib/color-utils';
 import { simulateColorBlindness, CVD_TYPES } from '../../lib/color-blindness';
 
 // Apply CVD simulation to a color
@@ -17,12 +18,32 @@ function applySimulation(color, cvdMode) {
   return simulateColorBlindness(color, cvdMode);
 }
 
+// Render a color as an sRGB display shows it, or mapped into Display P3
+function toGamutColor(color, gamut) {
+  return gamut === 'p3' ? toDisplayP3String(color) : toHexString(color);
+}
+
+// Whether this display can show Display P3 colors
+function displaySupportsP3() {
+  return typeof window !== 'undefined' && !!window.matchMedia?.('(color-gamut: p3)').matches;
+}
+
+// Explain what the P3 preview shows on this display
+function getGamutNotice(wideGamutCount, cvdMode) {
+  if (wideGamutCount === 0) return 'All colors are within sRGB, so both displays show the same colors.';
+
+  const notes = [`${wideGamutCount} color${wideGamutCount === 1 ? ' is' : 's are'} outside sRGB.`];
+  if (!displaySupportsP3()) notes.push("This display can't show P3, so they look the same as in sRGB here.");
+  if (cvdMode) notes.push('Vision simulation renders in sRGB.');
+  return notes.join(' ');
+}
+
 // Mini UI Mockup Component
-function UIMockup({ colors, cvdMode, label }) {
+function UIMockup({ colors, cvdMode, gamut, label }) {
   // Apply CVD simulation to all colors
   const c = {};
   Object.entries(colors).forEach(([key, value]) => {
-    c[key] = toHexString(applySimulation(value, cvdMode));
+    c[key] = toGamutColor(applySimulation(value, cvdMode), gamut);
   });
 
   return (
@@ -131,6 +152,12 @@ export function LivePreview({ onClose }) {
   const { colors } = useDesignManagerContext();
   const [cvdMode, setCvdMode] = useState(null);
   const [showBothModes, setShowBothModes] = useState(true);
+  const [gamut, setGamut] = useState('srgb');
+
+  const wideGamutCount = [...Object.values(colors.light), ...Object.values(colors.dark)].filter(
+    // Values that aren't colors (var(), typos) are not wide-gamut
+    (value) => value && parseToOklch(value) && !isInGamut(value, 'srgb')
+  ).length;
 
   return (
     <div className="dm-live-preview">
@@ -156,6 +183,28 @@ export function LivePreview({ onClose }) {
           </div>
         </div>
 
+        <div className="dm-preview-control">
+          <label className="dm-preview-control-label">Display</label>
+          <div className="dm-preview-toggle-group">
+            <button
+              type="button"
+              className={`dm-preview-toggle ${gamut === 'srgb' ? 'dm-active' : ''}`}
+              onClick={() => setGamut('srgb')}
+              title="As seen on an sRGB display: colors outside sRGB are gamut-mapped"
+            >
+              sRGB
+            </button>
+            <button
+              type="button"
+              className={`dm-preview-toggle ${gamut === 'p3' ? 'dm-active' : ''}`}
+              onClick={() => setGamut('p3')}
+              title="As seen on a Display P3 display"
+            >
+              P3
+            </button>
+          </div>
+        </div>
+
         <div className="dm-preview-control">
           <label className="dm-preview-control-label">Vision Simulation</label>
           <select
@@ -184,11 +233,15 @@ export function LivePreview({ onClose }) {
         </div>
       )}
 
+      {/* Gamut notice */}
+      {gamut === 'p3' && <div className="dm-preview-gamut-notice">{getGamutNotice(wideGamutCount, cvdMode)}</div>}
+
       {/* Mockups */}
       <div className={`dm-preview-mockups ${showBothModes ? 'dm-both' : 'dm-single'}`}>
         <UIMockup
           colors={colors.light}
           cvdMode={cvdMode}
+          gamut={gamut}
           label={
             <span className="dm-preview-mode-label">
               <Sun size={12} /> Light
@@ -199,6 +252,7 @@ export function LivePreview({ onClose }) {
           <UIMockup
             colors={colors.dark}
             cvdMode={cvdMode}
+            gamut={gamut}
             label={
               <span className="dm-preview-mode-label">
                 <Moon size={12} /> Dark
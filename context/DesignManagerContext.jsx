@@ -1,178 +1,21 @@
 /**
  * Design Manager Context
  *
+ * React binding over the headless theme store (lib/theme-store.js).
+ * The store owns state, history, persistence and DOM application; the
+ * provider feeds it props and re-renders on changes.
+ *
  * EXTRACTABILITY RULE: This context must work with zero external dependencies
  * except React itself. All configuration is passed via props.
  */
 
-import { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
-import {
-  DEFAULT_THEME,
-  DEFAULT_COLOR_TOKENS,
-  DEFAULT_STORAGE_KEY,
-  MAX_HISTORY_SIZE,
-  STORAGE_DEBOUNCE,
-  TABS,
-} from '../lib/constants';
-import {
-  applyThemeToDOM,
-  loadThemeFromStorage,
-  saveThemeToStorage,
-} from '../lib/theme-utils';
-import { applyBuiltInPreset, removePresetStyles } from '../lib/presets';
-
-// Action types
-const ACTIONS = {
-  SET_THEME: 'SET_THEME',
-  SET_TOKEN: 'SET_TOKEN',
-  SET_COLOR: 'SET_COLOR',
-  SET_DARK_MODE: 'SET_DARK_MODE',
-  SET_ACTIVE_TAB: 'SET_ACTIVE_TAB',
-  APPLY_PRESET: 'APPLY_PRESET',
-  UNDO: 'UNDO',
-  REDO: 'REDO',
-  RESET: 'RESET',
-  IMPORT_THEME: 'IMPORT_THEME',
-};
-
-// Initial state factory
-function createInitialState(initialTheme, storageKey) {
-  const loadedTheme = loadThemeFromStorage(storageKey);
-  const mergedTheme = { ...DEFAULT_THEME, ...loadedTheme, ...initialTheme };
-
-  return {
-    // Theme tokens
-    ...mergedTheme,
-
-    // Color tokens
-    colors: {
-      light: { ...DEFAULT_COLOR_TOKENS.light, ...loadedTheme.colors?.light },
-      dark: { ...DEFAULT_COLOR_TOKENS.dark, ...loadedTheme.colors?.dark },
-    },
-
-    // UI state
-    activeTab: TABS.COLORS,
-    panelOpen: true,
-
-    // History for undo/redo
-    history: [],
-    historyIndex: -1,
-  };
-}
-
-// Reducer
-function themeReducer(state, action) {
-  switch (action.type) {
-    case ACTIONS.SET_THEME: {
-      return {
-        ...state,
-        ...action.payload,
-        history: [...state.history.slice(0, state.historyIndex + 1), state].slice(-MAX_HISTORY_SIZE),
-        historyIndex: Math.min(state.historyIndex + 1, MAX_HISTORY_SIZE - 1),
-      };
-    }
-
-    case ACTIONS.SET_TOKEN: {
-      const { key, value } = action.payload;
-      const newState = { ...state, [key]: value };
-
-      return {
-        ...newState,
-        history: [...state.history.slice(0, state.historyIndex + 1), state].slice(-MAX_HISTORY_SIZE),
-        historyIndex: Math.min(state.historyIndex + 1, MAX_HISTORY_SIZE - 1),
-      };
-    }
-
-    case ACTIONS.SET_COLOR: {
-      const { token, value, mode } = action.payload;
-      const targetMode = mode || (state.darkMode ? 'dark' : 'light');
-
-      return {
-        ...state,
-        colors: {
-          ...state.colors,
-          [targetMode]: {
-            ...state.colors[targetMode],
-            [token]: value,
-          },
-        },
-        history: [...state.history.slice(0, state.historyIndex + 1), state].slice(-MAX_HISTORY_SIZE),
-        historyIndex: Math.min(state.historyIndex + 1, MAX_HISTORY_SIZE - 1),
-      };
-    }
-
-    case ACTIONS.SET_DARK_MODE: {
-      return {
-        ...state,
-        darkMode: action.payload,
-      };
-    }
-
-    case ACTIONS.SET_ACTIVE_TAB: {
-      return {
-        ...state,
-        activeTab: action.payload,
-      };
-    }
-
-    case ACTIONS.APPLY_PRESET: {
-      return {
-        ...state,
-        activePresetId: action.payload,
-        history: [...state.history.slice(0, state.historyIndex + 1), state].slice(-MAX_HISTORY_SIZE),
-        historyIndex: Math.min(state.historyIndex + 1, MAX_HISTORY_SIZE - 1),
-      };
-    }
-
-    case ACTIONS.UNDO: {
-      if (state.historyIndex < 0) return state;
-
-      const previousState = state.history[state.historyIndex];
-      return {
-        ...previousState,
-        history: state.history,
-        historyIndex: state.historyIndex - 1,
-        activeTab: state.activeTab, // Preserve UI state
-        panelOpen: state.panelOpen,
-      };
-    }
-
-    case ACTIONS.REDO: {
-      if (state.historyIndex >= state.history.length - 1) return state;
-
-      const nextState = state.history[state.historyIndex + 2];
-      if (!nextState) return state;
-
-      return {
-        ...nextState,
-        history: state.history,
-        historyIndex: state.historyIndex + 1,
-        activeTab: state.activeTab,
-        panelOpen: state.panelOpen,
-      };
-    }
-
-    case ACTIONS.RESET: {
-      return {
-        ...createInitialState({}, action.payload.storageKey),
-        history: [...state.history.slice(0, state.historyIndex + 1), state].slice(-MAX_HISTORY_SIZE),
-        historyIndex: Math.min(state.historyIndex + 1, MAX_HISTORY_SIZE - 1),
-      };
-    }
-
-    case ACTIONS.IMPORT_THEME: {
-      return {
-        ...state,
-        ...action.payload,
-        history: [...state.history.slice(0, state.historyIndex + 1), state].slice(-MAX_HISTORY_SIZE),
-        historyIndex: Math.min(state.historyIndex + 1, MAX_HISTORY_SIZE - 1),
-      };
-    }
+import { createContext, useContext, useState, useEffect, useLayoutEffect, useRef, useSyncExternalStore } from 'react';
+import { createThemeStore, ACTIONS } from '../lib/theme-store';
+import { readThemeLink, removeThemeLink, createThemeLink } from '../lib/theme-link';
+import { DEFAULT_THEME_LINK_PARAM } from '../lib/constants';
 
-    default:
-      return state;
-  }
-}
+// Layout effects warn during server rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
 
 // Context
 const DesignManagerContext = createContext(null);
@@ -180,62 +23,134 @@ const DesignManagerContext = createContext(null);
 /**
  * Design Manager Provider
  *
+ * Uncontrolled by default: the provider owns the theme and persists it.
+ * Pass `theme` to make it controlled - the theme is then rendered from the
+ * prop and edits are only reported through `onThemeChange`.
+ *
  * @param {Object} props
  * @param {Object} props.initialTheme - Initial theme values
- * @param {Function} props.onChange - Callback on theme change
- * @param {string} props.storageKey - localStorage key
+ * @param {Object} props.theme - Controlled theme tokens (disables persistence and sync)
+ * @param {Function} props.onThemeChange - Called with (theme, action) on design-token changes
+ * @param {Function} props.onChange - Callback on any state change, including UI state
+ * @param {string} props.storageKey - Key the theme is persisted under
+ * @param {Object} props.storage - Storage adapter with load/save/subscribe (defaults to localStorage)
+ * @param {string} props.presetsKey - localStorage key for user presets
+ * @param {Element|string|Object} props.target - Element, ref or selector to scope the theme to (defaults to :root)
+ * @param {string} props.cssPrefix - Prefix for the theme's CSS variables ('acme' writes --acme-primary)
+ * @param {boolean} props.sync - Sync edits live across tabs and windows over a BroadcastChannel (default true); storage adapter changes are followed either way
+ * @param {boolean} props.ssr - Server-rendered app: the first render uses only initialTheme and
+ *   defaults (matching the server markup), stored themes are read after hydration
+ * @param {Object} props.store - Existing store from createThemeStore (the other theme props are then applied to it)
+ * @param {string|false} props.themeLinkParam - URL parameter read for shared themes (default 'dm-theme'); false ignores links
  * @param {string} props.apiKey - OpenAI API key for AI features
  * @param {string} props.apiEndpoint - Custom API endpoint for AI chat
  * @param {React.ReactNode} props.children - Child components
  */
 export function DesignManagerProvider({
   initialTheme,
+  theme: controlledTheme,
+  onThemeChange,
   onChange,
-  storageKey = DEFAULT_STORAGE_KEY,
+  storageKey,
+  storage,
+  presetsKey,
+  target,
+  cssPrefix,
+  sync,
+  ssr,
+  store: externalStore,
+  themeLinkParam = DEFAULT_THEME_LINK_PARAM,
   apiKey,
   apiEndpoint,
   children,
 }) {
-  const [state, dispatch] = useReducer(
-    themeReducer,
-    { initialTheme, storageKey },
-    ({ initialTheme: init, storageKey: key }) => createInitialState(init, key)
+  // Undefined props fall back to the store defaults
+  const options = Object.fromEntries(
+    Object.entries({
+      theme: controlledTheme,
+      onThemeChange,
+      onChange,
+      storageKey,
+      storage,
+      presetsKey,
+      target,
+      cssPrefix,
+      sync,
+      ssr,
+    }).filter(([, value]) => value !== undefined)
   );
+  // Going from controlled to uncontrolled clears the theme option. A store
+  // passed in keeps its own controlled theme unless this prop set it.
+  const prevControlledTheme = useRef(controlledTheme);
+  if (controlledTheme === undefined && (!externalStore || prevControlledTheme.current !== undefined)) {
+    options.theme = undefined;
+  }
+
+  const [ownStore] = useState(() => externalStore || createThemeStore({ initialTheme, ...options }));
+  const store = externalStore || ownStore;
 
-  const saveTimeoutRef = useRef(null);
-  const onChangeRef = useRef(onChange);
-  onChangeRef.current = onChange;
+  useIsomorphicLayoutEffect(() => {
+    store.configure(options);
+    prevControlledTheme.current = controlledTheme;
+  });
 
-  // Apply theme to DOM when state changes
   useEffect(() => {
-    applyThemeToDOM(state);
+    store.start();
+    return () => store.stop();
+  }, [store]);
 
-    // Apply preset if one is active
-    if (state.activePresetId && state.activePresetId !== 'default') {
-      applyBuiltInPreset(state.activePresetId);
-    } else {
-      removePresetStyles();
-    }
+  const state = useSyncExternalStore(store.subscribe, store.getState, store.getState);
+  const userPresets = useSyncExternalStore(store.subscribe, store.getUserPresets, store.getUserPresets);
 
-    // Debounced save to localStorage
-    if (saveTimeoutRef.current) {
-      clearTimeout(saveTimeoutRef.current);
-    }
-    saveTimeoutRef.current = setTimeout(() => {
-      saveThemeToStorage(state, storageKey);
-    }, STORAGE_DEBOUNCE);
+  // Theme shared through a link (see lib/theme-link.js), offered for preview or import
+  const [sharedTheme, setSharedTheme] = useState(null);
+  const preview = useSyncExternalStore(store.subscribe, store.getPreview, store.getPreview);
 
-    // Notify parent of changes
-    if (onChangeRef.current) {
-      onChangeRef.current(state);
+  useEffect(() => {
+    if (!themeLinkParam) return undefined;
+    let cancelled = false;
+
+    function readLink() {
+      readThemeLink(window.location.href, themeLinkParam)
+        .then((theme) => {
+          if (!cancelled && theme) setSharedTheme(theme);
+        })
+        // An unreadable link is ignored, like a page without one
+        .catch((e) => console.warn('Failed to read shared theme link:', e));
     }
 
+    readLink();
+    // Links pasted into an open tab only change the hash
+    window.addEventListener('hashchange', readLink);
     return () => {
-      if (saveTimeoutRef.current) {
-        clearTimeout(saveTimeoutRef.current);
-      }
+      cancelled = true;
+      window.removeEventListener('hashchange', readLink);
     };
-  }, [state, storageKey]);
+  }, [themeLinkParam]);
+
+  function closeSharedTheme() {
+    store.previewTheme(null);
+    setSharedTheme(null);
+    // Drop the parameter so a reload doesn't offer the theme again
+    window.history.replaceState(window.history.state, '', removeThemeLink(window.location.href, themeLinkParam));
+  }
+
+  function importSharedTheme() {
+    if (!sharedTheme) return;
+    const { colors, ...tokens } = sharedTheme;
+    store.dispatch({
+      type: ACTIONS.IMPORT_THEME,
+      payload: {
+        ...tokens,
+        colors: {
+          light: { ...state.colors.light, ...colors?.light },
+          dark: { ...state.colors.dark, ...colors?.dark },
+        },
+      },
+      meta: { label: 'Import shared theme' },
+    });
+    closeSharedTheme();
+  }
 
   // Keyboard shortcuts for undo/redo
   useEffect(() => {
@@ -243,53 +158,16 @@ export function DesignManagerProvider({
       if ((e.metaKey || e.ctrlKey) && e.key === 'z') {
         e.preventDefault();
         if (e.shiftKey) {
-          dispatch({ type: ACTIONS.REDO });
+          store.redo();
         } else {
-          dispatch({ type: ACTIONS.UNDO });
+          store.undo();
         }
       }
     }
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, []);
-
-  // Action creators
-  const setToken = useCallback((key, value) => {
-    dispatch({ type: ACTIONS.SET_TOKEN, payload: { key, value } });
-  }, []);
-
-  const setColor = useCallback((token, value, mode) => {
-    dispatch({ type: ACTIONS.SET_COLOR, payload: { token, value, mode } });
-  }, []);
-
-  const setDarkMode = useCallback((dark) => {
-    dispatch({ type: ACTIONS.SET_DARK_MODE, payload: dark });
-  }, []);
-
-  const setActiveTab = useCallback((tab) => {
-    dispatch({ type: ACTIONS.SET_ACTIVE_TAB, payload: tab });
-  }, []);
-
-  const applyPreset = useCallback((presetId) => {
-    dispatch({ type: ACTIONS.APPLY_PRESET, payload: presetId });
-  }, []);
-
-  const undo = useCallback(() => {
-    dispatch({ type: ACTIONS.UNDO });
-  }, []);
-
-  const redo = useCallback(() => {
-    dispatch({ type: ACTIONS.REDO });
-  }, []);
-
-  const resetToDefaults = useCallback(() => {
-    dispatch({ type: ACTIONS.RESET, payload: { storageKey } });
-  }, [storageKey]);
-
-  const importTheme = useCallback((themeData) => {
-    dispatch({ type: ACTIONS.IMPORT_THEME, payload: themeData });
-  }, []);
+  }, [store]);
 
   const value = {
     // State
@@ -298,6 +176,9 @@ export function DesignManagerProvider({
     activeTab: state.activeTab,
     colors: state.colors,
 
+    // User presets
+    userPresets,
+
     // API configuration (for AI features)
     apiKey,
     apiEndpoint,
@@ -305,17 +186,35 @@ export function DesignManagerProvider({
     // History state
     canUndo: state.historyIndex >= 0,
     canRedo: state.historyIndex < state.history.length - 1,
+    history: state.history,
+    historyIndex: state.historyIndex,
+
+    // Underlying store (for non-React integrations)
+    store,
 
     // Actions
-    setToken,
-    setColor,
-    setDarkMode,
-    setActiveTab,
-    applyPreset,
-    undo,
-    redo,
-    resetToDefaults,
-    importTheme,
+    setToken: store.setToken,
+    setColor: store.setColor,
+    setDarkMode: store.setDarkMode,
+    setActiveTab: store.setActiveTab,
+    applyPreset: store.applyPreset,
+    savePreset: store.savePreset,
+    renamePreset: store.renamePreset,
+    duplicatePreset: store.duplicatePreset,
+    deletePreset: store.deletePreset,
+    undo: store.undo,
+    redo: store.redo,
+    jumpToHistory: store.jumpToHistory,
+    resetToDefaults: store.resetToDefaults,
+    importTheme: store.importTheme,
+
+    // Shared theme links
+    sharedTheme,
+    isPreviewingSharedTheme: !!sharedTheme && preview === sharedTheme,
+    previewSharedTheme: (enabled = true) => store.previewTheme(enabled ? sharedTheme : null),
+    importSharedTheme,
+    dismissSharedTheme: closeSharedTheme,
+    createShareLink: () => createThemeLink(state, { param: themeLinkParam || DEFAULT_THEME_LINK_PARAM }),
   };
 
   return (
@@ -7,12 +7,14 @@
  * @module hooks/useDesignManager
  */
 
+import { useSyncExternalStore } from 'react';
 import { useDesignManagerContext } from '../context/DesignManagerContext';
-import { exportAsCSS } from '../lib/exporters/css-exporter';
-import { exportAsJSON, importFromJSON } from '../lib/exporters/json-exporter';
-import { exportAsTailwind } from '../lib/exporters/tailwind-exporter';
-import { exportAsTokens } from '../lib/exporters/tokens-exporter';
-import { exportAsAIRules } from '../lib/exporters/rules-exporter';
+import { parseThemeCSS } from '../lib/exporters/css-exporter';
+import { parseThemeJSON } from '../lib/exporters/json-exporter';
+import { parseDesignTokens } from '../lib/exporters/tokens-exporter';
+import { reportThemeIssues } from '../lib/theme-schema';
+import { getExporters, subscribeExporters, runExporter } from '../lib/exporters/registry';
+import { exportAsBundle } from '../lib/exporters/bundle-exporter';
 
 /**
  * @typedef {Object} DesignManagerAPI
@@ -24,16 +26,42 @@ import { exportAsAIRules } from '../lib/exporters/rules-exporter';
  * @property {Object.<string, string>} colors.dark - Dark mode color tokens
  * @property {boolean} canUndo - Whether undo is available in history
  * @property {boolean} canRedo - Whether redo is available in history
+ * @property {Array.<HistoryEntry>} history - Recorded history entries, oldest first
+ * @property {number} historyIndex - Index of the current entry (-1 = before the first change)
+ * @property {Object} store - Underlying headless store (see createThemeStore)
  * @property {function(string, any): void} setToken - Update a theme token value
  * @property {function(string, string, string): void} setColor - Update a color token (tokenKey, value, mode)
  * @property {function(boolean): void} setDarkMode - Toggle dark mode on/off
  * @property {function(string): void} setActiveTab - Change the active panel tab
  * @property {function(Object): void} applyPreset - Apply a theme preset
+ * @property {Array.<Object>} userPresets - Saved user presets
+ * @property {function(string): Object} savePreset - Save the current theme as a named preset
+ * @property {function(string, string): void} renamePreset - Rename a user preset (id, name)
+ * @property {function(string): void} duplicatePreset - Duplicate a user preset
+ * @property {function(string): void} deletePreset - Delete a user preset
  * @property {function(): void} undo - Undo the last change
  * @property {function(): void} redo - Redo the last undone change
+ * @property {function(number): void} jumpToHistory - Jump to a history index (-1 = initial state)
  * @property {function(): void} resetToDefaults - Reset theme to default values
  * @property {function(string, Object=): string} exportTheme - Export theme in specified format
- * @property {function(string, string): void} importTheme - Import theme from string data
+ * @property {function(Object=): Uint8Array} exportBundle - Export the handoff bundle as a ZIP archive
+ * @property {Array.<Object>} exporters - Registered export formats (see registerExporter)
+ * @property {function(string, string): (Object|null)} importTheme - Import theme from string data ('json', 'css' or 'tokens')
+ * @property {function(string, string): (Object|null)} parseTheme - Parse theme string data without applying it; returns { theme, errors, unknown }
+ * @property {Object|null} sharedTheme - Theme from a shared link in the page URL, until imported or dismissed
+ * @property {boolean} isPreviewingSharedTheme - Whether the shared theme is shown on the page
+ * @property {function(boolean=): void} previewSharedTheme - Show (or stop showing) the shared theme without applying it
+ * @property {function(): void} importSharedTheme - Apply the shared theme (undoable)
+ * @property {function(): void} dismissSharedTheme - Ignore the shared theme and remove it from the URL
+ * @property {function(): Promise<string>} createShareLink - Build a link to this page carrying the current theme
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique entry id
+ * @property {string} label - Human-readable label, e.g. 'Set primary (light)'
+ * @property {number} timestamp - Time of the (last coalesced) change
+ * @property {Object.<string, {from: *, to: *}>} changes - Changed values keyed by path
  */
 
 /**
@@ -81,13 +109,17 @@ import { exportAsAIRules } from '../lib/exporters/rules-exporter';
  */
 export function useDesignManager() {
   const context = useDesignManagerContext();
+  const exporters = useSyncExternalStore(subscribeExporters, getExporters, getExporters);
 
   /**
    * Exports the current theme in the specified format.
-   * Supports CSS variables, JSON, Tailwind config, design tokens, and AI rules.
+   * Supports CSS variables, SCSS, Less, JSON, Tailwind v3 config, Tailwind v4 CSS, design tokens,
+   * component library themes (MUI, Chakra UI, Mantine, styled-components),
+   * native platforms (SwiftUI, Android resources, Flutter), AI rules, and any
+   * format added with registerExporter().
    *
-   * @param {'css' | 'json' | 'tailwind' | 'tokens' | 'rules'} format - Export format
-   * @param {Object} [options={}] - Export options (used for 'rules' format)
+   * @param {'css' | 'scss' | 'less' | 'json' | 'tailwind' | 'tailwind-v4' | 'tokens' | 'mui' | 'chakra' | 'mantine' | 'styled-components' | 'swift' | 'android' | 'flutter' | 'rules' | 'styleguide' | string} format - Export format id
+   * @param {Object} [options={}] - Export options (defaults come from the format's optionsSchema)
    * @param {string} [options.format] - AI rules format: 'markdown', 'cursor', or 'claude'
    * @param {string} [options.scope] - AI rules scope: 'full', 'colors', or 'typography'
    * @returns {string} Exported theme as a formatted string
@@ -103,49 +135,88 @@ export function useDesignManager() {
    * const cursorRules = exportTheme('rules', { format: 'cursor' });
    */
   function exportTheme(format, options = {}) {
-    const { theme, colors, darkMode } = context;
+    const { theme, colors } = context;
+    return runExporter(format, theme, colors, options);
+  }
+
+  /**
+   * Exports the handoff bundle as a ZIP archive: CSS, JSON, Tailwind config,
+   * design tokens, AI rules files, a README and a manifest.
+   *
+   * @param {Object} [options={}] - Bundle options
+   * @param {string} [options.name] - Theme name for the README and manifest
+   * @param {Object.<string, Object>} [options.formatOptions] - Export options per format id
+   * @returns {Uint8Array} ZIP archive bytes
+   *
+   * @example
+   * const zip = exportBundle({ formatOptions: { css: { prefix: 'acme' } } });
+   * const url = URL.createObjectURL(new Blob([zip], { type: 'application/zip' }));
+   */
+  function exportBundle(options = {}) {
+    const { theme, colors } = context;
+    return exportAsBundle({ ...theme, colors }, options);
+  }
 
+  /**
+   * Parses a theme from a string without applying it, so an import UI can
+   * show what was invalid or unrecognized before (or after) importing.
+   *
+   * @param {string} data - Theme data string
+   * @param {'css' | 'json' | 'tokens'} format - Import format
+   * @returns {{theme: Object, errors: Array.<Object>, unknown: string[]}|null}
+   *   Parsed theme and report, or null for unsupported formats
+   *
+   * @example
+   * const { theme, errors, unknown } = parseTheme(text, 'json');
+   * if (errors.length > 0) showWarnings(errors);
+   */
+  function parseThemeFromString(data, format) {
     switch (format) {
-      case 'css':
-        return exportAsCSS({ ...theme, colors });
       case 'json':
-        return exportAsJSON({ ...theme, colors });
-      case 'tailwind':
-        return exportAsTailwind({ ...theme, colors });
+        return parseThemeJSON(data);
+      case 'css':
+        return parseThemeCSS(data);
       case 'tokens':
-        return exportAsTokens({ ...theme, colors });
-      case 'rules':
-        return exportAsAIRules(theme, colors, options);
+        return parseDesignTokens(data);
       default:
-        throw new Error(`Unknown export format: ${format}`);
+        console.warn(`Import from ${format} not yet implemented`);
+        return null;
     }
   }
 
   /**
    * Imports a theme from a string in the specified format.
-   * Currently supports JSON format; other formats show a warning.
+   * Supports JSON exports, CSS custom-property themes (`:root` / `.dark`
+   * blocks, e.g. shadcn/ui themes) and design tokens (W3C DTCG or Tokens
+   * Studio); other formats show a warning. Invalid and unknown fields are
+   * logged; use parseTheme to get them.
    *
    * @param {string} data - Theme data string to import
    * @param {'css' | 'json' | 'tailwind' | 'tokens'} format - Import format
-   * @returns {void}
+   * @returns {Object|null} The imported theme tokens, or null if nothing could be imported
    *
    * @example
    * // Import from JSON string
    * const jsonData = '{"theme": {...}, "colors": {...}}';
    * importThemeFromString(jsonData, 'json');
+   *
+   * @example
+   * // Import a shadcn/ui theme
+   * importThemeFromString(':root { --primary: oklch(0.6 0.2 250); } .dark { ... }', 'css');
+   *
+   * @example
+   * // Import a Tokens Studio export from Figma
+   * importThemeFromString(tokensStudioJSON, 'tokens');
    */
   function importThemeFromString(data, format) {
-    switch (format) {
-      case 'json': {
-        const parsed = importFromJSON(data);
-        if (parsed) {
-          context.importTheme(parsed);
-        }
-        break;
-      }
-      default:
-        console.warn(`Import from ${format} not yet implemented`);
-    }
+    const result = parseThemeFromString(data, format);
+    if (!result) return null;
+
+    reportThemeIssues(result, `${format} import`);
+    if (Object.keys(result.theme).length === 0) return null;
+
+    context.importTheme(result.theme);
+    return result.theme;
   }
 
   return {
@@ -164,6 +235,13 @@ export function useDesignManager() {
     canUndo: context.canUndo,
     /** @type {boolean} Whether redo is available */
     canRedo: context.canRedo,
+    /** @type {Array.<HistoryEntry>} History entries, oldest first */
+    history: context.history,
+    /** @type {number} Current history index (-1 = initial state) */
+    historyIndex: context.historyIndex,
+
+    /** @type {Object} Underlying headless store (see createThemeStore) */
+    store: context.store,
 
     // Basic actions - Modify theme state
     /** @type {function(string, any): void} Update a theme token */
@@ -176,18 +254,52 @@ export function useDesignManager() {
     setActiveTab: context.setActiveTab,
     /** @type {function(Object): void} Apply a preset */
     applyPreset: context.applyPreset,
+
+    // User presets - Saved theme library
+    /** @type {Array.<Object>} Saved user presets */
+    userPresets: context.userPresets,
+    /** @type {function(string): Object} Save current theme as a preset */
+    savePreset: context.savePreset,
+    /** @type {function(string, string): void} Rename a preset (id, name) */
+    renamePreset: context.renamePreset,
+    /** @type {function(string): void} Duplicate a preset */
+    duplicatePreset: context.duplicatePreset,
+    /** @type {function(string): void} Delete a preset */
+    deletePreset: context.deletePreset,
     /** @type {function(): void} Undo last change */
     undo: context.undo,
     /** @type {function(): void} Redo last undone change */
     redo: context.redo,
+    /** @type {function(number): void} Jump to a history index */
+    jumpToHistory: context.jumpToHistory,
     /** @type {function(): void} Reset to defaults */
     resetToDefaults: context.resetToDefaults,
 
     // Export/Import - Theme serialization
     /** @type {function(string, Object=): string} Export theme in format */
     exportTheme,
-    /** @type {function(string, string): void} Import theme from string */
+    /** @type {function(Object=): Uint8Array} Export the handoff bundle as a ZIP */
+    exportBundle,
+    /** @type {Array.<Object>} Registered export formats */
+    exporters,
+    /** @type {function(string, string): (Object|null)} Import theme from string */
     importTheme: importThemeFromString,
+    /** @type {function(string, string): (Object|null)} Parse a theme string with its report of invalid and unknown fields */
+    parseTheme: parseThemeFromString,
+
+    // Shared links - Themes carried in the page URL
+    /** @type {Object|null} Theme from a shared link */
+    sharedTheme: context.sharedTheme,
+    /** @type {boolean} Whether the shared theme is being previewed */
+    isPreviewingSharedTheme: context.isPreviewingSharedTheme,
+    /** @type {function(boolean=): void} Preview the shared theme */
+    previewSharedTheme: context.previewSharedTheme,
+    /** @type {function(): void} Import the shared theme */
+    importSharedTheme: context.importSharedTheme,
+    /** @type {function(): void} Dismiss the shared theme */
+    dismissSharedTheme: context.dismissSharedTheme,
+    /** @type {function(): Promise<string>} Build a share link for the current theme */
+    createShareLink: context.createShareLink,
   };
 }
 
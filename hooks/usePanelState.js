@@ -15,8 +15,47 @@ import {
   STORAGE_DEBOUNCE,
 } from '../lib/constants';
 
-// Version key to detect fresh integrations
-const PANEL_STATE_VERSION = 'dm-panel-v8'; // Bumped to v8 - fixed positioning
+// Panel state schema version, stored inside the panel state itself
+const PANEL_STATE_VERSION = 9;
+
+// Global key used up to v8, when every version bump wiped the panel state
+const LEGACY_VERSION_KEY = 'design-manager-version';
+
+/**
+ * Panel state migrations keyed by the version they upgrade from.
+ * Each step receives state at version N and returns it at version N + 1.
+ */
+const PANEL_MIGRATIONS = {
+  // v7 -> v8: panel switched to fixed positioning, old coordinates don't apply
+  7: ({ position, ...state }) => state,
+  // v8 -> v9: version moved from the global key into the panel state
+  8: (state) => state,
+};
+
+/**
+ * Upgrade stored panel state to PANEL_STATE_VERSION
+ * @param {Object} stored - Parsed panel state
+ * @param {string|null} legacyVersion - Value of the legacy global version key
+ * @returns {Object|null} Migrated state, or null if it is from a newer version
+ */
+function migratePanelState(stored, legacyVersion) {
+  let { version, ...state } = stored;
+
+  if (!Number.isInteger(version)) {
+    // Unversioned state: take the version from the legacy key ('dm-panel-v8'),
+    // anything older is treated as v7
+    const legacy = parseInt(String(legacyVersion).replace('dm-panel-v', ''), 10);
+    version = legacy >= 7 ? legacy : 7;
+  }
+
+  if (version > PANEL_STATE_VERSION) return null;
+
+  for (; version < PANEL_STATE_VERSION; version += 1) {
+    state = PANEL_MIGRATIONS[version](state);
+  }
+
+  return state;
+}
 
 // Edge snapping configuration
 const SNAP_THRESHOLD = 20; // Distance in pixels to trigger snap
@@ -66,34 +105,26 @@ export function usePanelState({
 } = {}) {
   // Load initial state from localStorage or use defaults
   const getInitialState = () => {
-    try {
-      const storedVersion = localStorage.getItem('design-manager-version');
-      const storedState = localStorage.getItem(storageKey);
-
-      // Update version if needed - reset to defaults (clean slate for new features)
-      if (storedVersion !== PANEL_STATE_VERSION) {
-        localStorage.setItem('design-manager-version', PANEL_STATE_VERSION);
-        // Clear old stored state on version change for clean UX
-        localStorage.removeItem(storageKey);
-        return {
-          isOpen: defaultOpen,
-          isMinimized: false,
-          position: calculateInitialPosition(position),
-          size: DEFAULT_PANEL_SIZE,
-        };
-      }
-
-      if (storedState) {
-        const parsed = JSON.parse(storedState);
-        return {
-          isOpen: parsed.isOpen ?? defaultOpen,
-          isMinimized: parsed.isMinimized ?? false,
-          position: validatePosition(parsed.position) || calculateInitialPosition(position),
-          size: validateSize(parsed.size) || DEFAULT_PANEL_SIZE,
-        };
+    // No storage on the server - render defaults
+    if (typeof localStorage !== 'undefined') {
+      try {
+        const legacyVersion = localStorage.getItem(LEGACY_VERSION_KEY);
+        const storedState = localStorage.getItem(storageKey);
+
+        // Migrate older panel state step by step instead of discarding it
+        const parsed = storedState ? migratePanelState(JSON.parse(storedState), legacyVersion) : null;
+
+        if (parsed) {
+          return {
+            isOpen: parsed.isOpen ?? defaultOpen,
+            isMinimized: parsed.isMinimized ?? false,
+            position: validatePosition(parsed.position) || calculateInitialPosition(position),
+            size: validateSize(parsed.size) || DEFAULT_PANEL_SIZE,
+          };
+        }
+      } catch (e) {
+        console.warn('Failed to load panel state:', e);
       }
-    } catch (e) {
-      console.warn('Failed to load panel state:', e);
     }
 
     return {
@@ -199,7 +230,7 @@ export function usePanelState({
 
     saveTimeoutRef.current = setTimeout(() => {
       try {
-        localStorage.setItem(storageKey, JSON.stringify(state));
+        localStorage.setItem(storageKey, JSON.stringify({ ...state, version: PANEL_STATE_VERSION }));
       } catch (e) {
         console.warn('Failed to save panel state:', e);
       }
@@ -240,7 +271,7 @@ export function usePanelState({
   // Helper to immediately persist state (for critical changes like open/close)
   const persistImmediately = useCallback((newState) => {
     try {
-      localStorage.setItem(storageKey, JSON.stringify(newState));
+      localStorage.setItem(storageKey, JSON.stringify({ ...newState, version: PANEL_STATE_VERSION }));
     } catch (e) {
       console.warn('Failed to persist panel state:', e);
     }
@@ -29,6 +29,14 @@ export {
   DesignManagerContext,
 } from './context/DesignManagerContext.jsx';
 
+// Headless store
+export {
+  createThemeStore,
+  themeReducer,
+  createInitialState,
+  ACTIONS as THEME_ACTIONS,
+} from './lib/theme-store.js';
+
 // Hooks
 export { useDesignManager } from './hooks/useDesignManager.jsx';
 export { usePanelState } from './hooks/usePanelState.jsx';
@@ -37,9 +45,16 @@ export { useAIChat, MESSAGE_STATES } from './hooks/useAIChat.jsx';
 
 // Lib utilities
 export {
+  resolveThemeTarget,
+  getThemeScopeSelector,
   setCSSVariable,
   getCSSVariable,
+  getThemeVariables,
+  getTypographyVariables,
+  normalizeCSSPrefix,
+  prefixCSSVariable,
   applyThemeToDOM,
+  removeThemeFromDOM,
   applyTypographyToDOM,
   loadGoogleFont,
   getFontFamily,
@@ -47,20 +62,69 @@ export {
   oklchToHex,
   loadThemeFromStorage,
   saveThemeToStorage,
+  getPersistableTheme,
+  loadPresetsFromStorage,
+  savePresetsToStorage,
   getDefaultTheme,
   generateGoogleFontsImport,
   exportTypographyAsCSS,
 } from './lib/theme-utils.js';
 
+// Storage adapters
+export {
+  createLocalStorageAdapter,
+  createSessionStorageAdapter,
+  createMemoryAdapter,
+  createIndexedDBAdapter,
+  createHttpAdapter,
+  createCookieAdapter,
+  isStorageAdapter,
+} from './lib/storage-adapters.js';
+
+// Server rendering
+export {
+  getThemeStyleString,
+  getThemeScript,
+  getThemeClassName,
+  readThemeCookie,
+  encodeThemeCookie,
+  decodeThemeCookie,
+} from './lib/ssr.js';
+
+// Shared theme links
+export {
+  THEME_LINK_VERSION,
+  encodeThemeLink,
+  decodeThemeLink,
+  createThemeLink,
+  readThemeLink,
+  getThemeLinkValue,
+  removeThemeLink,
+} from './lib/theme-link.js';
+
+// History
+export {
+  diffThemes,
+  applyChanges,
+  commitToHistory,
+  travelHistory,
+} from './lib/history.js';
+
+// Cross-tab sync
+export { createThemeSync, isNewerWrite } from './lib/theme-sync.js';
+
 // Typography config
 export {
   FONT_CATALOG,
   FONT_CATEGORIES,
   TYPE_SCALES,
+  TYPE_SCALE_STEPS,
   LINE_HEIGHTS,
+  getTypeScaleSizes,
   getFontsByCategory,
   getFont,
   getRecommendedFonts,
+  findFontByFamily,
 } from './lib/typography-config.js';
 
 // Presets
@@ -69,30 +133,94 @@ export {
   getPresetById,
   applyBuiltInPreset,
   removePresetStyles,
+  scopePresetCSS,
+  buildPresetThumbnail,
+  createThemeSnapshot,
+  createUserPreset,
+  duplicateUserPreset,
+  isUserPresetId,
 } from './lib/presets.js';
 
 // Constants
 export {
   DEFAULT_STORAGE_KEY,
+  DEFAULT_PRESETS_KEY,
   DEFAULT_PANEL_KEY,
   DEFAULT_THEME,
   DEFAULT_COLOR_TOKENS,
   COLOR_TOKEN_GROUPS,
   TABS,
+  THEME_SCHEMA_VERSION,
+  DEFAULT_THEME_COOKIE,
+  DEFAULT_THEME_LINK_PARAM,
   getCSSVarName,
 } from './lib/constants.js';
 
+// Theme schema
+export {
+  THEME_FIELDS,
+  THEME_MIGRATIONS,
+  migrateTheme,
+  normalizeTheme,
+  validateTheme,
+  readThemePayload,
+  serializeTheme,
+} from './lib/theme-schema.js';
+
 // Exporters
-export { exportAsCSS } from './lib/exporters/css-exporter.js';
-export { exportAsJSON, importFromJSON } from './lib/exporters/json-exporter.js';
-export { exportAsTailwind, exportAsTailwindStatic } from './lib/exporters/tailwind-exporter.js';
-export { exportAsTokens } from './lib/exporters/tokens-exporter.js';
+export {
+  registerExporter,
+  unregisterExporter,
+  getExporter,
+  getExporters,
+  subscribeExporters,
+  getDefaultExportOptions,
+  getExportFileName,
+  runExporter,
+} from './lib/exporters/registry.js';
+export { exportAsCSS, importFromCSS, parseThemeCSS } from './lib/exporters/css-exporter.js';
+export { CSS_OUTPUT_DEFAULTS } from './lib/exporters/css-output.js';
+export { BUNDLE_ENTRIES, getThemeBundleFiles, exportAsBundle } from './lib/exporters/bundle-exporter.js';
+export { createZip, crc32 } from './lib/exporters/zip.js';
+export { exportAsSCSS } from './lib/exporters/scss-exporter.js';
+export { exportAsLess } from './lib/exporters/less-exporter.js';
+export { exportAsJSON, importFromJSON, parseThemeJSON } from './lib/exporters/json-exporter.js';
+export {
+  exportAsTailwind,
+  exportAsTailwindStatic,
+  exportAsTailwindV4,
+} from './lib/exporters/tailwind-exporter.js';
+export {
+  exportAsTokens,
+  importFromTokens,
+  parseDesignTokens,
+  isDesignTokens,
+} from './lib/exporters/tokens-exporter.js';
+export { exportAsMUI } from './lib/exporters/mui-exporter.js';
+export { exportAsChakra } from './lib/exporters/chakra-exporter.js';
+export { exportAsMantine } from './lib/exporters/mantine-exporter.js';
+export { exportAsStyledComponents } from './lib/exporters/styled-components-exporter.js';
+export { exportAsSwift, getAssetCatalogFiles } from './lib/exporters/ios-exporter.js';
+export { exportAsAndroid, getAndroidResourceFiles } from './lib/exporters/android-exporter.js';
+export { exportAsFlutter } from './lib/exporters/flutter-exporter.js';
+export { exportAsStyleGuide } from './lib/exporters/styleguide-exporter.js';
 
 // Color utilities
 export {
   parseToOklch,
+  formatOklch,
   toOklchString,
+  getAlpha,
+  withAlpha,
+  compositeColors,
   toHexString,
+  GAMUTS,
+  isInGamut,
+  getColorGamut,
+  mapToGamut,
+  toGamutOklchString,
+  toDisplayP3String,
+  getMaxChroma,
   adjustLightness,
   adjustChroma,
   shiftHue,
@@ -101,14 +229,38 @@ export {
   mixColors,
   isLightColor,
   getContrastingTextColor,
+  toRgbChannels,
 } from './lib/color-utils.js';
 
+// Tonal scales
+export {
+  TONAL_SCALE_STEPS,
+  TONAL_SCALES,
+  getClosestStep,
+  generateTonalScale,
+  generateColorScales,
+  getColorScales,
+  syncColorScales,
+} from './lib/tonal-scales.js';
+
 // Contrast checking
 export {
+  CONTRAST_MODELS,
+  DEFAULT_CONTRAST_MODEL,
   WCAG_THRESHOLDS,
+  WCAG_LARGE_TEXT,
+  APCA_TEXT_LEVELS,
   getContrastRatio,
+  getAPCAContrast,
+  getContrastValue,
+  formatContrast,
+  getTextStyles,
+  isLargeText,
+  getAPCAMinimum,
+  getContrastTargets,
   checkContrast,
   getComplianceLevel,
+  getAPCALevel,
   getContrastScore,
   suggestAccessibleColor,
   getAccessiblePairs,
@@ -128,6 +280,7 @@ export {
 // Components (for advanced customization)
 export { FloatingPanel } from './components/floating-panel/FloatingPanel.jsx';
 export { PanelHeader } from './components/floating-panel/PanelHeader.jsx';
+export { SharedThemePrompt } from './components/floating-panel/SharedThemePrompt.jsx';
 
 // Tabs (for advanced customization)
 export { ColorsTab } from './tabs/ColorsTab.jsx';
@@ -139,6 +292,7 @@ export { ExportTab } from './tabs/ExportTab.jsx';
 // Control components
 export { ColorPicker, ColorSwatch } from './components/controls/ColorPicker.jsx';
 export { ContrastBadge, ContrastDetails } from './components/controls/ContrastBadge.jsx';
+export { ContrastModelSelect } from './components/controls/ContrastModelSelect.jsx';
 export { ExpandableSection } from './components/controls/ExpandableSection.jsx';
 export { FontSelector, SimpleFontSelector } from './components/controls/FontSelector.jsx';
 export { FontWeightSelector, VisualWeightSelector } from './components/controls/FontWeightSelector.jsx';
@@ -7,6 +7,8 @@
  * @module ai-copy-utils
  */
 
+import { CONTRAST_MODELS } from './contrast-checker';
+
 /**
  * Formats a contrast fix recommendation as AI-readable Markdown.
  * Includes the issue description, fix, and implementation guidance.
@@ -15,8 +17,10 @@
  * @param {string} data.original - Original color value that failed contrast check
  * @param {string} data.fixed - Adjusted color value that passes contrast requirements
  * @param {string} data.background - Background color used in the contrast check
- * @param {string} data.ratio - Contrast ratio achieved (e.g., '4.5')
- * @param {string} data.level - WCAG compliance level ('AA', 'AAA', or 'Fail')
+ * @param {string} [data.ratio] - Contrast ratio achieved (e.g., '4.5')
+ * @param {string} [data.contrast] - Formatted contrast achieved (e.g., '4.52:1' or 'Lc 78.3'), instead of ratio
+ * @param {string} data.level - Target level met (e.g. 'AA', 'AAA' or 'Minimum (Lc 75)')
+ * @param {string} [data.model='wcag2'] - Contrast model ('wcag2' or 'apca')
  * @returns {string} AI-readable Markdown documentation
  *
  * @example
@@ -29,10 +33,12 @@
  * });
  */
 export function formatContrastFix(data) {
-  const { original, fixed, background, ratio, level } = data;
+  const { original, fixed, background, ratio, level, model = 'wcag2' } = data;
+  const standard = CONTRAST_MODELS[model]?.name || CONTRAST_MODELS.wcag2.name;
+  const contrast = data.contrast || `${ratio}:1`;
   return `## Color Adjustment for Accessibility
 
-**Issue:** The color \`${original}\` on background \`${background}\` does not meet WCAG contrast requirements.
+**Issue:** The color \`${original}\` on background \`${background}\` does not meet ${standard} contrast requirements.
 
 **Fix:** Replace with \`${fixed}\`
 
@@ -41,8 +47,8 @@ export function formatContrastFix(data) {
 | Original | \`${original}\` |
 | Fixed | \`${fixed}\` |
 | Background | \`${background}\` |
-| Contrast Ratio | ${ratio}:1 |
-| WCAG Level | ${level} |
+| Contrast | ${contrast} (${standard}) |
+| Level | ${level} |
 
 **Usage:**
 - CSS: \`color: ${fixed};\`
@@ -5,7 +5,7 @@
  * Supports protanopia, deuteranopia, and tritanopia.
  */
 
-import { toHexString, parseToOklch } from './color-utils';
+import { toHexString, parseToOklch, getAlpha } from './color-utils';
 
 /**
  * Color vision deficiency types
@@ -104,7 +104,7 @@ function linearToSrgb(c) {
 }
 
 /**
- * Parse hex color to RGB array (0-1 range)
+ * Parse hex color to RGB array (0-1 range); an alpha byte is ignored
  */
 function hexToRgb(hex) {
   hex = hex.replace('#', '');
@@ -116,14 +116,15 @@ function hexToRgb(hex) {
 }
 
 /**
- * Convert RGB array to hex
+ * Convert RGB array to hex, with an alpha byte for translucent colors
  */
-function rgbToHex(rgb) {
+function rgbToHex(rgb, alpha = 1) {
   const clamp = (v) => Math.max(0, Math.min(255, Math.round(v * 255)));
   const r = clamp(rgb[0]).toString(16).padStart(2, '0');
   const g = clamp(rgb[1]).toString(16).padStart(2, '0');
   const b = clamp(rgb[2]).toString(16).padStart(2, '0');
-  return `#${r}${g}${b}`;
+  const a = alpha < 1 ? clamp(alpha).toString(16).padStart(2, '0') : '';
+  return `#${r}${g}${b}${a}`;
 }
 
 /**
@@ -165,7 +166,7 @@ export function simulateColorBlindness(color, type) {
   // Convert back to sRGB
   const srgb = simRgb.map(linearToSrgb);
 
-  return rgbToHex(srgb);
+  return rgbToHex(srgb, getAlpha(color));
 }
 
 /**
@@ -178,7 +179,7 @@ function simulateAchromatopsia(color) {
   // Convert to grayscale using luminance weights
   const gray = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
 
-  return rgbToHex([gray, gray, gray]);
+  return rgbToHex([gray, gray, gray], getAlpha(color));
 }
 
 /**
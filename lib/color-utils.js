@@ -2,34 +2,91 @@
  * Color Utilities
  *
  * Advanced color manipulation using the culori library.
- * Provides OKLCH conversion, manipulation, and analysis functions.
+ * Provides OKLCH conversion, gamut mapping, manipulation, and analysis
+ * functions. All conversions between OKLCH, hex and RGB go through here.
  */
 
-import { oklch, formatHex, parse, converter } from 'culori';
+import { oklch, formatHex, formatHex8, parse, converter, toGamut } from 'culori';
 
 // Converters
 const toOklch = converter('oklch');
-const toRgb = converter('rgb');
+
+/**
+ * Output gamuts, keyed by id. `mode` is the culori color space.
+ * @constant {Object.<string, {id: string, name: string, mode: string}>}
+ */
+export const GAMUTS = {
+  srgb: { id: 'srgb', name: 'sRGB', mode: 'rgb' },
+  p3: { id: 'p3', name: 'Display P3', mode: 'p3' },
+};
+
+/**
+ * How far a channel may fall outside 0-1 and still count as in gamut.
+ * Half an 8-bit step, so OKLCH values rounded from a hex color stay in.
+ * @constant {number}
+ */
+const GAMUT_TOLERANCE = 1 / 510;
+
+// Converters and CSS Color 4 gamut mappers, per gamut
+const gamutConverters = {
+  srgb: converter(GAMUTS.srgb.mode),
+  p3: converter(GAMUTS.p3.mode),
+};
+const gamutMappers = {
+  srgb: toGamut(GAMUTS.srgb.mode, 'oklch'),
+  p3: toGamut(GAMUTS.p3.mode, 'oklch'),
+};
+
+/**
+ * Plain `oklch(L C H)` / `oklch(L C H / A)` strings, parsed without culori.
+ * Anything else (percentages, `none`, ...) falls through to culori.
+ * @constant {RegExp}
+ */
+const OKLCH_PATTERN = /^oklch\(\s*([\d.]+)\s+([\d.]+)\s+([\d.]+)\s*(?:\/\s*([\d.]+)(%)?\s*)?\)$/;
+
+/**
+ * Format OKLCH components as a CSS color, with `/ alpha` when translucent
+ * @param {{l: number, c: number, h: number, alpha?: number}} oklchColor - OKLCH components
+ * @param {number} [digits=4] - Decimal places
+ * @returns {string} OKLCH string
+ *
+ * @example
+ * formatOklch({ l: 0.5, c: 0.1, h: 250, alpha: 0.5 }); // 'oklch(0.5000 0.1000 250.0000 / 0.5)'
+ */
+export function formatOklch({ l, c, h, alpha }, digits = 4) {
+  const channels = [l, c, h].map((value) => (value || 0).toFixed(digits)).join(' ');
+  const opacity = alpha !== undefined && alpha < 1 ? ` / ${+Math.max(0, alpha).toFixed(3)}` : '';
+  return `oklch(${channels}${opacity})`;
+}
 
 /**
  * Parse any color format to OKLCH
- * @param {string} color - Color in any format (hex, rgb, oklch, etc.)
+ * @param {string|Object} color - Color in any format (hex, rgb, oklch, etc.) or a culori color object
  * @returns {Object|null} OKLCH color object or null if invalid
  */
 export function parseToOklch(color) {
   try {
     if (!color) return null;
 
+    if (typeof color === 'object') {
+      return color.mode ? toOklch(color) : null;
+    }
+
     // If already in oklch format string, parse it
     if (typeof color === 'string' && color.startsWith('oklch')) {
-      const match = color.match(/oklch\(([\d.]+)\s+([\d.]+)\s+([\d.]+)/);
+      const match = color.match(OKLCH_PATTERN);
       if (match) {
-        return {
+        const oklchColor = {
           mode: 'oklch',
           l: parseFloat(match[1]),
           c: parseFloat(match[2]),
           h: parseFloat(match[3]),
         };
+        if (match[4] !== undefined) {
+          const alpha = parseFloat(match[4]) / (match[5] ? 100 : 1);
+          if (alpha < 1) oklchColor.alpha = Math.max(0, alpha);
+        }
+        return oklchColor;
       }
     }
 
@@ -52,25 +109,182 @@ export function toOklchString(color) {
   const oklchColor = parseToOklch(color);
   if (!oklchColor) return color;
 
-  const l = (oklchColor.l || 0).toFixed(4);
-  const c = (oklchColor.c || 0).toFixed(4);
-  const h = (oklchColor.h || 0).toFixed(4);
+  return formatOklch(oklchColor);
+}
+
+/**
+ * Get the opacity of a color
+ * @param {string} color - Color in any format
+ * @returns {number} Alpha (0-1), 1 for opaque or invalid colors
+ */
+export function getAlpha(color) {
+  return parseToOklch(color)?.alpha ?? 1;
+}
+
+/**
+ * Set the opacity of a color
+ * @param {string} color - Color in any format
+ * @param {number} alpha - Alpha (0-1); 1 makes the color opaque
+ * @returns {string} OKLCH string or original color if conversion fails
+ */
+export function withAlpha(color, alpha) {
+  const oklchColor = parseToOklch(color);
+  if (!oklchColor) return color;
+
+  return formatOklch({ ...oklchColor, alpha: Math.min(1, Math.max(0, alpha)) });
+}
+
+/**
+ * Composite a translucent color over a backdrop (source-over in sRGB, as
+ * browsers blend), e.g. to get the color text actually shows on screen
+ * @param {string} color - Color in any format
+ * @param {string} backdrop - Color underneath
+ * @returns {string} The color itself if opaque, otherwise the blended hex color
+ *   (translucent only if the backdrop is)
+ */
+export function compositeColors(color, backdrop) {
+  const top = toRgbChannels(color);
+  if (!top || top.alpha >= 1) return color;
+
+  const bottom = toRgbChannels(backdrop) || { r: 1, g: 1, b: 1, alpha: 1 };
+  const alpha = top.alpha + bottom.alpha * (1 - top.alpha);
+  if (alpha === 0) return formatHex8({ mode: 'rgb', r: 0, g: 0, b: 0, alpha: 0 });
+
+  const blend = (channel) => (top[channel] * top.alpha + bottom[channel] * bottom.alpha * (1 - top.alpha)) / alpha;
+  const rgb = { mode: 'rgb', r: blend('r'), g: blend('g'), b: blend('b'), alpha };
+
+  return alpha < 1 ? formatHex8(rgb) : formatHex(rgb);
+}
 
-  return `oklch(${l} ${c} ${h})`;
+/**
+ * Check whether an OKLCH color's channels in a gamut are within 0-1
+ * @param {Object} oklchColor - OKLCH color object
+ * @param {string} gamut - Gamut id
+ * @param {number} tolerance - Allowed overshoot per channel
+ * @returns {boolean} True if every channel is in range
+ */
+function channelsInGamut(oklchColor, gamut, tolerance) {
+  const channels = (gamutConverters[gamut] || gamutConverters.srgb)(oklchColor);
+  return ['r', 'g', 'b'].every(
+    (channel) => channels[channel] >= -tolerance && channels[channel] <= 1 + tolerance
+  );
 }
 
 /**
- * Convert any color to hex
+ * Check whether a color can be shown in a gamut without mapping
  * @param {string} color - Color in any format
+ * @param {string} [gamut='srgb'] - Gamut id ('srgb' or 'p3')
+ * @returns {boolean} True if every channel is within the gamut
+ */
+export function isInGamut(color, gamut = 'srgb') {
+  const oklchColor = parseToOklch(color);
+  if (!oklchColor) return false;
+
+  return channelsInGamut(oklchColor, gamut, GAMUT_TOLERANCE);
+}
+
+/**
+ * Get the smallest gamut that contains a color
+ * @param {string} color - Color in any format
+ * @returns {'srgb'|'p3'|null} Gamut id, or null if the color is outside Display P3
+ */
+export function getColorGamut(color) {
+  if (isInGamut(color, 'srgb')) return 'srgb';
+  if (isInGamut(color, 'p3')) return 'p3';
+  return null;
+}
+
+/**
+ * Get the channels of a color mapped into a gamut.
+ * Out-of-gamut colors are mapped with the CSS Color 4 algorithm: chroma
+ * is reduced in OKLCH at constant lightness and hue until the color fits,
+ * instead of clipping each channel (which shifts hue and lightness).
+ * @param {string} color - Color in any format
+ * @param {string} [gamut='srgb'] - Gamut id ('srgb' or 'p3')
+ * @returns {{mode: string, r: number, g: number, b: number, alpha: number}|null} Channels (0-1) or null if invalid
+ */
+export function mapToGamut(color, gamut = 'srgb') {
+  const oklchColor = parseToOklch(color);
+  if (!oklchColor) return null;
+
+  const id = GAMUTS[gamut] ? gamut : 'srgb';
+  const mapped = isInGamut(oklchColor, id) ? gamutConverters[id](oklchColor) : gamutMappers[id](oklchColor);
+  const clamp = (v) => Math.min(1, Math.max(0, v || 0));
+
+  return {
+    mode: mapped.mode,
+    r: clamp(mapped.r),
+    g: clamp(mapped.g),
+    b: clamp(mapped.b),
+    alpha: clamp(mapped.alpha ?? 1),
+  };
+}
+
+/**
+ * Map a color into a gamut and return it as an OKLCH string
+ * @param {string} color - Color in any format
+ * @param {string} [gamut='srgb'] - Gamut id ('srgb' or 'p3')
+ * @returns {string} OKLCH string or original color if conversion fails
+ *
+ * @example
+ * toGamutOklchString('oklch(0.7 0.3 150)'); // 'oklch(0.7092 0.2105 147.0547)'
+ */
+export function toGamutOklchString(color, gamut = 'srgb') {
+  const mapped = mapToGamut(color, gamut);
+  return mapped ? toOklchString(mapped) : color;
+}
+
+/**
+ * Map a color into Display P3 and return it as a CSS `color(display-p3 ...)` value
+ * @param {string} color - Color in any format
+ * @returns {string} Display P3 color or original color if conversion fails
+ *
+ * @example
+ * toDisplayP3String('oklch(0.666 0.179 58.318)'); // 'color(display-p3 0.8271 0.4672 0.0336)'
+ */
+export function toDisplayP3String(color) {
+  const p3 = mapToGamut(color, 'p3');
+  if (!p3) return color;
+
+  const opacity = p3.alpha < 1 ? ` / ${+p3.alpha.toFixed(3)}` : '';
+  return `color(display-p3 ${p3.r.toFixed(4)} ${p3.g.toFixed(4)} ${p3.b.toFixed(4)}${opacity})`;
+}
+
+/**
+ * Find the highest chroma a lightness and hue reach within a gamut
+ * (the gamut boundary at that lightness and hue)
+ * @param {number} l - OKLCH lightness (0-1)
+ * @param {number} h - OKLCH hue in degrees
+ * @param {string} [gamut='srgb'] - Gamut id ('srgb' or 'p3')
+ * @returns {number} Maximum chroma
+ */
+export function getMaxChroma(l, h, gamut = 'srgb') {
+  let low = 0;
+  let high = 0.5;
+
+  for (let i = 0; i < 16; i++) {
+    const c = (low + high) / 2;
+    if (channelsInGamut({ mode: 'oklch', l, c, h }, gamut, 0)) low = c;
+    else high = c;
+  }
+
+  return low;
+}
+
+/**
+ * Convert any color to hex, mapping out-of-gamut colors into sRGB.
+ * Translucent colors get an alpha byte (#rrggbbaa).
+ * @param {string} color - Color in any format
+ * @param {Object} [options]
+ * @param {boolean} [options.opaque=false] - Drop the alpha byte (e.g. for `<input type="color">`)
  * @returns {string} Hex color string
  */
-export function toHexString(color) {
+export function toHexString(color, { opaque = false } = {}) {
   try {
-    const parsed = parseToOklch(color);
-    if (!parsed) return '#888888';
+    const rgb = mapToGamut(color, 'srgb');
+    if (!rgb) return '#888888';
 
-    const rgb = toRgb(parsed);
-    return formatHex(rgb) || '#888888';
+    return (rgb.alpha < 1 && !opaque ? formatHex8(rgb) : formatHex(rgb)) || '#888888';
   } catch (e) {
     return '#888888';
   }
@@ -87,7 +301,7 @@ export function adjustLightness(color, amount) {
   if (!oklchColor) return color;
 
   const newL = Math.max(0, Math.min(1, (oklchColor.l || 0) + amount));
-  return `oklch(${newL.toFixed(4)} ${(oklchColor.c || 0).toFixed(4)} ${(oklchColor.h || 0).toFixed(4)})`;
+  return formatOklch({ ...oklchColor, l: newL });
 }
 
 /**
@@ -101,7 +315,7 @@ export function adjustChroma(color, amount) {
   if (!oklchColor) return color;
 
   const newC = Math.max(0, Math.min(0.4, (oklchColor.c || 0) + amount));
-  return `oklch(${(oklchColor.l || 0).toFixed(4)} ${newC.toFixed(4)} ${(oklchColor.h || 0).toFixed(4)})`;
+  return formatOklch({ ...oklchColor, c: newC });
 }
 
 /**
@@ -117,7 +331,7 @@ export function shiftHue(color, degrees) {
   let newH = ((oklchColor.h || 0) + degrees) % 360;
   if (newH < 0) newH += 360;
 
-  return `oklch(${(oklchColor.l || 0).toFixed(4)} ${(oklchColor.c || 0).toFixed(4)} ${newH.toFixed(4)})`;
+  return formatOklch({ ...oklchColor, h: newH });
 }
 
 /**
@@ -135,7 +349,7 @@ export function generatePalette(baseColor, count = 5) {
 
   for (let i = 0; i < count; i++) {
     const h = ((oklchColor.h || 0) + i * hueStep) % 360;
-    palette.push(`oklch(${(oklchColor.l || 0).toFixed(4)} ${(oklchColor.c || 0).toFixed(4)} ${h.toFixed(4)})`);
+    palette.push(formatOklch({ ...oklchColor, h }));
   }
 
   return palette;
@@ -158,17 +372,13 @@ export function generateHarmony(color) {
   }
 
   const h = oklchColor.h || 0;
-  const l = oklchColor.l || 0;
-  const c = oklchColor.c || 0;
-
-  const formatOklch = (hue) =>
-    `oklch(${l.toFixed(4)} ${c.toFixed(4)} ${((hue % 360) + 360) % 360})`;
+  const rotate = (hue) => formatOklch({ ...oklchColor, h: ((hue % 360) + 360) % 360 });
 
   return {
-    complementary: formatOklch(h + 180),
-    triadic: [formatOklch(h + 120), formatOklch(h + 240)],
-    analogous: [formatOklch(h - 30), formatOklch(h + 30)],
-    splitComplementary: [formatOklch(h + 150), formatOklch(h + 210)],
+    complementary: rotate(h + 180),
+    triadic: [rotate(h + 120), rotate(h + 240)],
+    analogous: [rotate(h - 30), rotate(h + 30)],
+    splitComplementary: [rotate(h + 150), rotate(h + 210)],
   };
 }
 
@@ -200,21 +410,39 @@ export function mixColors(color1, color2, ratio = 0.5) {
   if (h < 0) h += 360;
   if (h >= 360) h -= 360;
 
-  return `oklch(${l.toFixed(4)} ${c.toFixed(4)} ${h.toFixed(4)})`;
+  const alpha = (c1.alpha ?? 1) * (1 - ratio) + (c2.alpha ?? 1) * ratio;
+
+  return formatOklch({ l, c, h, alpha });
+}
+
+/**
+ * Get sRGB channels of a color, mapped into the sRGB gamut
+ * (for platforms that take numeric components, e.g. iOS and Android)
+ * @param {string} color - Color in any format
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} Channels (0-1) or null if invalid
+ */
+export function toRgbChannels(color) {
+  const rgb = mapToGamut(color, 'srgb');
+  if (!rgb) return null;
+
+  const { r, g, b, alpha } = rgb;
+  return { r, g, b, alpha };
 }
 
 /**
- * Get relative luminance of a color (for contrast calculations)
+ * Get relative luminance of a color (for contrast calculations).
+ * Linearizes with the IEC 61966-2-1 sRGB transfer function (0.04045
+ * threshold; WCAG 2.0 printed 0.03928, corrected in WCAG 2.2).
  * @param {string} color - Color in any format
  * @returns {number} Relative luminance (0-1)
  */
 export function getRelativeLuminance(color) {
-  const rgb = toRgb(parseToOklch(color));
+  const rgb = toRgbChannels(color);
   if (!rgb) return 0;
 
-  const { r = 0, g = 0, b = 0 } = rgb;
+  const { r, g, b } = rgb;
 
-  const toLinear = (c) => (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+  const toLinear = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
 
   const lr = toLinear(r);
   const lg = toLinear(g);
@@ -246,14 +474,25 @@ export function getContrastingTextColor(backgroundColor) {
 
 export default {
   parseToOklch,
+  formatOklch,
   toOklchString,
+  getAlpha,
+  withAlpha,
+  compositeColors,
   toHexString,
+  isInGamut,
+  getColorGamut,
+  mapToGamut,
+  toGamutOklchString,
+  toDisplayP3String,
+  getMaxChroma,
   adjustLightness,
   adjustChroma,
   shiftHue,
   generatePalette,
   generateHarmony,
   mixColors,
+  toRgbChannels,
   getRelativeLuminance,
   isLightColor,
   getContrastingTextColor,
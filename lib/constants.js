@@ -19,12 +19,32 @@ export const DEFAULT_STORAGE_KEY = 'design-manager-theme';
  */
 export const DEFAULT_PRESETS_KEY = 'design-manager-presets';
 
+/**
+ * Default cookie name for themes rendered on the server.
+ * @constant {string}
+ */
+export const DEFAULT_THEME_COOKIE = 'dm-theme';
+
+/**
+ * Default URL parameter carrying a shared theme (see lib/theme-link.js).
+ * @constant {string}
+ */
+export const DEFAULT_THEME_LINK_PARAM = 'dm-theme';
+
 /**
  * Default localStorage key for persisting panel position and size.
  * @constant {string}
  */
 export const DEFAULT_PANEL_KEY = 'design-manager-panel';
 
+/**
+ * Current theme schema version, embedded in persisted themes, JSON
+ * exports and user presets. Bump it together with a new entry in
+ * THEME_MIGRATIONS (lib/theme-schema.js).
+ * @constant {number}
+ */
+export const THEME_SCHEMA_VERSION = 2;
+
 /**
  * Default panel position offset from corner (in pixels).
  * Negative values offset inward from the corner.
@@ -76,6 +96,13 @@ export const PANEL_POSITIONS = {
  */
 export const MAX_HISTORY_SIZE = 50;
 
+/**
+ * Window (in milliseconds) in which repeated edits to the same token
+ * are merged into a single undo entry, e.g. while dragging a slider.
+ * @constant {number}
+ */
+export const HISTORY_COALESCE_WINDOW = 1000;
+
 /**
  * Debounce delay for localStorage writes (in milliseconds).
  * Prevents excessive writes during rapid changes.
@@ -125,6 +152,7 @@ export const TABS = {
  * @property {number} fontWeightBody - Font weight for body text (100-900)
  * @property {string} typeScale - Typography scale preset identifier
  * @property {string} lineHeightPreset - Line height preset identifier
+ * @property {string} contrastModel - Contrast model for checks and tools ('wcag2' or 'apca')
  * @property {string} activePresetId - Currently active theme preset ID
  */
 export const DEFAULT_THEME = {
@@ -147,6 +175,9 @@ export const DEFAULT_THEME = {
   typeScale: 'default',
   lineHeightPreset: 'normal',
 
+  // Accessibility: contrast model for checks and tools ('wcag2' or 'apca')
+  contrastModel: 'wcag2',
+
   // Active preset
   activePresetId: 'default',
 };
@@ -1,10 +1,49 @@
 /**
  * Contrast Checker
  *
- * WCAG 2.1 contrast ratio calculation and accessibility checking.
+ * Contrast calculation and accessibility checking with two models:
+ *
+ * - 'wcag2': WCAG 2.1 luminance contrast ratio (1-21:1)
+ * - 'apca': APCA lightness contrast (Lc, about -108 to 106), the
+ *   contrast method of the WCAG 3 drafts. Polarity-aware: positive for
+ *   dark text on a light background, negative for light text on dark.
+ *
+ * Pass criteria depend on the text being checked. Given the theme's
+ * typography, body text is checked at the base font size and body weight,
+ * headings at the smallest heading size and heading weight.
+ *
+ * Translucent colors are checked as they appear on screen: the background
+ * is composited over a backdrop (the page background, white by default)
+ * and the text over the result.
  */
 
-import { getRelativeLuminance } from './color-utils';
+import { getRelativeLuminance, toRgbChannels, compositeColors } from './color-utils';
+import { getTypeScaleSizes } from './typography-config';
+
+/**
+ * Contrast models
+ * @constant {Object.<string, {id: string, name: string, description: string, levels: {minimum: string, enhanced: string}}>}
+ */
+export const CONTRAST_MODELS = {
+  wcag2: {
+    id: 'wcag2',
+    name: 'WCAG 2.1',
+    description: 'Luminance contrast ratio (1-21:1)',
+    levels: { minimum: 'AA', enhanced: 'AAA' },
+  },
+  apca: {
+    id: 'apca',
+    name: 'APCA',
+    description: 'Lightness contrast Lc (WCAG 3 draft)',
+    levels: { minimum: 'Minimum', enhanced: 'Preferred' },
+  },
+};
+
+/**
+ * Contrast model used when none is given
+ * @constant {string}
+ */
+export const DEFAULT_CONTRAST_MODEL = 'wcag2';
 
 /**
  * WCAG contrast thresholds
@@ -16,17 +55,105 @@ export const WCAG_THRESHOLDS = {
   AAA_LARGE: 4.5, // Enhanced contrast for large text
 };
 
+/**
+ * WCAG 2 large text: 18pt (24px), or 14pt (18.66px) at bold weight
+ * @constant {Object}
+ */
+export const WCAG_LARGE_TEXT = {
+  fontSize: 24,
+  boldFontSize: 18.66,
+  boldWeight: 700,
+};
+
+/**
+ * APCA Bronze (simple mode) levels for readable text, lowest first. Each
+ * level lists the smallest font size in px allowed at a font weight; a
+ * weight uses the entry of the nearest listed weight at or below it.
+ * @constant {Array.<{lc: number, sizes: Object.<number, number>}>}
+ */
+export const APCA_TEXT_LEVELS = [
+  { lc: 45, sizes: { 400: 36, 700: 24 } },
+  { lc: 60, sizes: { 200: 48, 300: 36, 400: 24, 500: 21, 600: 18, 700: 16 } },
+  { lc: 75, sizes: { 300: 24, 400: 18, 500: 16, 700: 14 } },
+  { lc: 90, sizes: { 300: 18, 400: 16, 500: 14 } },
+];
+
+/**
+ * APCA levels named in results, highest first ('Lc 30' is only for spot
+ * text such as placeholders and disabled labels)
+ * @constant {number[]}
+ */
+const APCA_LEVELS = [90, 75, 60, 45, 30];
+
+// The preferred level is Lc 15 above the minimum, up to the Lc 90 body text level
+const APCA_PREFERRED_OFFSET = 15;
+const APCA_PREFERRED_MAX = 90;
+
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  rCoef: 0.2126729,
+  gCoef: 0.7151522,
+  bCoef: 0.072175,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  loOffset: 0.027,
+  loClip: 0.1,
+  deltaYmin: 0.0005,
+};
+
+/**
+ * Text checked when no typography is given: 16px body text, and WCAG
+ * large text for headings
+ * @constant {{body: Object, heading: Object}}
+ */
+const DEFAULT_TEXT_STYLES = {
+  body: { fontSize: 16, fontWeight: 400 },
+  heading: { fontSize: WCAG_LARGE_TEXT.fontSize, fontWeight: 400 },
+};
+
+/**
+ * Smallest type scale step used for headings
+ * @constant {string}
+ */
+const HEADING_STEP = 'lg';
+
+/**
+ * Backdrop for translucent backgrounds when none is given (a white page)
+ * @constant {string}
+ */
+const DEFAULT_BACKDROP = '#ffffff';
+
+/**
+ * Resolve a color pair to the opaque colors shown on screen
+ * @param {string} foreground - Foreground color
+ * @param {string} background - Background color
+ * @param {string} [backdrop=DEFAULT_BACKDROP] - Color behind a translucent background
+ * @returns {[string, string]} Visible foreground and background
+ */
+function getVisiblePair(foreground, background, backdrop = DEFAULT_BACKDROP) {
+  const visibleBackground = compositeColors(compositeColors(background, backdrop), DEFAULT_BACKDROP);
+  return [compositeColors(foreground, visibleBackground), visibleBackground];
+}
+
 /**
  * Calculate contrast ratio between two colors
  * Based on WCAG 2.1 formula
  *
  * @param {string} foreground - Foreground color
  * @param {string} background - Background color
+ * @param {string} [backdrop='#ffffff'] - Color behind a translucent background
  * @returns {number} Contrast ratio (1-21)
  */
-export function getContrastRatio(foreground, background) {
-  const lum1 = getRelativeLuminance(foreground);
-  const lum2 = getRelativeLuminance(background);
+export function getContrastRatio(foreground, background, backdrop) {
+  const [visibleForeground, visibleBackground] = getVisiblePair(foreground, background, backdrop);
+  const lum1 = getRelativeLuminance(visibleForeground);
+  const lum2 = getRelativeLuminance(visibleBackground);
 
   const lighter = Math.max(lum1, lum2);
   const darker = Math.min(lum1, lum2);
@@ -35,25 +162,201 @@ export function getContrastRatio(foreground, background) {
 }
 
 /**
- * Check WCAG compliance for a color pair
+ * Screen luminance as APCA estimates it (simple 2.4 gamma, soft black clamp)
+ * @param {string} color - Color in any format
+ * @returns {number} Estimated luminance Y
+ */
+function getAPCALuminance(color) {
+  const rgb = toRgbChannels(color);
+  if (!rgb) return 0;
+
+  const y =
+    APCA.rCoef * Math.pow(rgb.r, APCA.mainTRC) +
+    APCA.gCoef * Math.pow(rgb.g, APCA.mainTRC) +
+    APCA.bCoef * Math.pow(rgb.b, APCA.mainTRC);
+
+  return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+}
+
+/**
+ * Calculate APCA lightness contrast of text on a background.
+ * Order matters: APCA rates dark-on-light and light-on-dark differently.
+ *
+ * @param {string} foreground - Text color
+ * @param {string} background - Background color
+ * @param {string} [backdrop='#ffffff'] - Color behind a translucent background
+ * @returns {number} Lc value: positive for dark text on light, negative for light text on dark
+ *
+ * @example
+ * getAPCAContrast('#000000', '#ffffff'); // 106.04
+ * getAPCAContrast('#ffffff', '#000000'); // -107.88
+ */
+export function getAPCAContrast(foreground, background, backdrop) {
+  const [visibleForeground, visibleBackground] = getVisiblePair(foreground, background, backdrop);
+  const textY = getAPCALuminance(visibleForeground);
+  const backgroundY = getAPCALuminance(visibleBackground);
+
+  if (Math.abs(backgroundY - textY) < APCA.deltaYmin) return 0;
+
+  if (backgroundY > textY) {
+    const sapc = (Math.pow(backgroundY, APCA.normBG) - Math.pow(textY, APCA.normTXT)) * APCA.scale;
+    return sapc < APCA.loClip ? 0 : (sapc - APCA.loOffset) * 100;
+  }
+
+  const sapc = (Math.pow(backgroundY, APCA.revBG) - Math.pow(textY, APCA.revTXT)) * APCA.scale;
+  return sapc > -APCA.loClip ? 0 : (sapc + APCA.loOffset) * 100;
+}
+
+/**
+ * Contrast of a color pair in a model, as a magnitude to compare with targets
  *
  * @param {string} foreground - Foreground color
  * @param {string} background - Background color
- * @returns {Object} Compliance results
+ * @param {string} [model=DEFAULT_CONTRAST_MODEL] - 'wcag2' or 'apca'
+ * @param {string} [backdrop='#ffffff'] - Color behind a translucent background
+ * @returns {number} Contrast ratio, or absolute Lc for APCA
  */
-export function checkContrast(foreground, background) {
-  const ratio = getContrastRatio(foreground, background);
+export function getContrastValue(foreground, background, model = DEFAULT_CONTRAST_MODEL, backdrop) {
+  return model === 'apca'
+    ? Math.abs(getAPCAContrast(foreground, background, backdrop))
+    : getContrastRatio(foreground, background, backdrop);
+}
+
+/**
+ * Format a contrast value for display
+ *
+ * @param {number} value - Contrast ratio or Lc
+ * @param {string} [model=DEFAULT_CONTRAST_MODEL] - 'wcag2' or 'apca'
+ * @param {number} [digits] - Decimals (default 2 for ratios, 1 for Lc); trailing zeros are dropped
+ * @returns {string} e.g. '4.52:1' or 'Lc 78.3'
+ */
+export function formatContrast(value, model = DEFAULT_CONTRAST_MODEL, digits) {
+  if (model === 'apca') {
+    return `Lc ${Number(Math.abs(value).toFixed(digits ?? 1))}`;
+  }
+  return `${Number(value.toFixed(digits ?? 2))}:1`;
+}
+
+/**
+ * Text sizes and weights to check, from the theme's typography settings
+ *
+ * @param {Object} [typography] - Theme tokens (typeScale, fontWeightBody, fontWeightHeading)
+ * @returns {{body: {fontSize: number, fontWeight: number}, heading: {fontSize: number, fontWeight: number}}}
+ *   Without typography: 16px body text and 24px (WCAG large) headings
+ */
+export function getTextStyles(typography) {
+  if (!typography) return DEFAULT_TEXT_STYLES;
+
+  const sizes = getTypeScaleSizes(typography.typeScale);
+  return {
+    body: { fontSize: sizes.base, fontWeight: typography.fontWeightBody || 400 },
+    heading: { fontSize: sizes[HEADING_STEP], fontWeight: typography.fontWeightHeading || 600 },
+  };
+}
+
+/**
+ * Whether text counts as large text under WCAG 2
+ *
+ * @param {{fontSize: number, fontWeight: number}} textStyle - Text size in px and weight
+ * @returns {boolean}
+ */
+export function isLargeText({ fontSize, fontWeight = 400 }) {
+  return (
+    fontSize >= WCAG_LARGE_TEXT.fontSize ||
+    (fontSize >= WCAG_LARGE_TEXT.boldFontSize && fontWeight >= WCAG_LARGE_TEXT.boldWeight)
+  );
+}
+
+/**
+ * Minimum APCA Lc for readable text of a size and weight. Text smaller or
+ * thinner than every level allows is held to Lc 90, the strictest level.
+ *
+ * @param {{fontSize: number, fontWeight: number}} textStyle - Text size in px and weight
+ * @returns {number} Minimum Lc (45, 60, 75 or 90)
+ *
+ * @example
+ * getAPCAMinimum({ fontSize: 16, fontWeight: 400 }); // 90
+ * getAPCAMinimum({ fontSize: 24, fontWeight: 700 }); // 45
+ */
+export function getAPCAMinimum({ fontSize, fontWeight = 400 }) {
+  const level = APCA_TEXT_LEVELS.find(({ sizes }) => {
+    const weights = Object.keys(sizes).map(Number).filter((weight) => weight <= fontWeight);
+    return weights.length > 0 && fontSize >= sizes[Math.max(...weights)];
+  });
+
+  return level ? level.lc : APCA_TEXT_LEVELS[APCA_TEXT_LEVELS.length - 1].lc;
+}
+
+/**
+ * Contrast targets for text of a size and weight
+ *
+ * @param {{fontSize: number, fontWeight: number}} textStyle - Text size in px and weight
+ * @param {string} [model=DEFAULT_CONTRAST_MODEL] - 'wcag2' or 'apca'
+ * @returns {{minimum: number, enhanced: number}} Minimum (AA) and enhanced (AAA / preferred) targets
+ *
+ * @example
+ * getContrastTargets({ fontSize: 16, fontWeight: 400 });         // { minimum: 4.5, enhanced: 7 }
+ * getContrastTargets({ fontSize: 24, fontWeight: 700 }, 'apca'); // { minimum: 45, enhanced: 60 }
+ */
+export function getContrastTargets(textStyle, model = DEFAULT_CONTRAST_MODEL) {
+  if (model === 'apca') {
+    const minimum = getAPCAMinimum(textStyle);
+    return { minimum, enhanced: Math.max(minimum, Math.min(minimum + APCA_PREFERRED_OFFSET, APCA_PREFERRED_MAX)) };
+  }
+
+  return isLargeText(textStyle)
+    ? { minimum: WCAG_THRESHOLDS.AA_LARGE, enhanced: WCAG_THRESHOLDS.AAA_LARGE }
+    : { minimum: WCAG_THRESHOLDS.AA_NORMAL, enhanced: WCAG_THRESHOLDS.AAA_NORMAL };
+}
+
+/**
+ * Check a color pair against the selected contrast model
+ *
+ * @param {string} foreground - Foreground color
+ * @param {string} background - Background color
+ * @param {Object} [options={}]
+ * @param {string} [options.model=DEFAULT_CONTRAST_MODEL] - 'wcag2' or 'apca'
+ * @param {Object} [options.typography] - Theme tokens whose typography sets the text to check
+ * @param {string} [options.backdrop='#ffffff'] - Color behind a translucent background,
+ *   usually the page background
+ * @returns {Object} Compliance results. `passes.aa` / `passes.aaa` are the
+ *   minimum and enhanced targets for body text, `passes.aaLarge` /
+ *   `passes.aaaLarge` the same for headings (large text without typography).
+ *
+ * @example
+ * checkContrast('#ffffff', '#666666');
+ * // { model: 'wcag2', ratio: 5.74, value: 5.74, display: '5.74:1', level: 'AA', passes: { aa: true, aaa: false, ... }, ... }
+ * checkContrast('#ffffff', '#666666', { model: 'apca', typography: theme });
+ * // { model: 'apca', lc: -84, value: 84, display: 'Lc 84', level: 'Lc 75', passes: { aa: false, ... }, ... }
+ */
+export function checkContrast(foreground, background, options = {}) {
+  const { model = DEFAULT_CONTRAST_MODEL, typography, backdrop } = options;
+  const textStyles = getTextStyles(typography);
+  const targets = {
+    body: getContrastTargets(textStyles.body, model),
+    heading: getContrastTargets(textStyles.heading, model),
+  };
+
+  const ratio = getContrastRatio(foreground, background, backdrop);
+  const lc = getAPCAContrast(foreground, background, backdrop);
+  const value = model === 'apca' ? Math.abs(lc) : ratio;
 
   return {
+    model,
     ratio: Math.round(ratio * 100) / 100,
+    lc: Math.round(lc * 10) / 10,
+    value: model === 'apca' ? Math.round(value * 10) / 10 : Math.round(value * 100) / 100,
+    display: formatContrast(value, model),
     passes: {
-      aa: ratio >= WCAG_THRESHOLDS.AA_NORMAL,
-      aaLarge: ratio >= WCAG_THRESHOLDS.AA_LARGE,
-      aaa: ratio >= WCAG_THRESHOLDS.AAA_NORMAL,
-      aaaLarge: ratio >= WCAG_THRESHOLDS.AAA_LARGE,
+      aa: value >= targets.body.minimum,
+      aaLarge: value >= targets.heading.minimum,
+      aaa: value >= targets.body.enhanced,
+      aaaLarge: value >= targets.heading.enhanced,
     },
-    level: getComplianceLevel(ratio),
-    score: getContrastScore(ratio),
+    level: model === 'apca' ? getAPCALevel(value) : getComplianceLevel(ratio),
+    score: getScoreForTargets(value, targets),
+    textStyles,
+    targets,
   };
 }
 
@@ -70,6 +373,17 @@ export function getComplianceLevel(ratio) {
   return 'Fail';
 }
 
+/**
+ * Get the highest APCA level reached
+ *
+ * @param {number} lc - Lc value (either polarity)
+ * @returns {'Lc 90' | 'Lc 75' | 'Lc 60' | 'Lc 45' | 'Lc 30' | 'Fail'} APCA level
+ */
+export function getAPCALevel(lc) {
+  const level = APCA_LEVELS.find((threshold) => Math.abs(lc) >= threshold);
+  return level ? `Lc ${level}` : 'Fail';
+}
+
 /**
  * Get a descriptive score for the contrast
  *
@@ -83,22 +397,41 @@ export function getContrastScore(ratio) {
   return 'poor';
 }
 
+/**
+ * Score a contrast value against body and heading targets
+ * @param {number} value - Contrast ratio or absolute Lc
+ * @param {{body: Object, heading: Object}} targets - Targets from getContrastTargets
+ * @returns {'excellent' | 'good' | 'acceptable' | 'poor'} Score
+ */
+function getScoreForTargets(value, targets) {
+  if (value >= targets.body.enhanced) return 'excellent';
+  if (value >= targets.body.minimum) return 'good';
+  if (value >= targets.heading.minimum) return 'acceptable';
+  return 'poor';
+}
+
 /**
  * Suggest a better foreground color for accessibility
  *
  * @param {string} foreground - Current foreground color
  * @param {string} background - Background color
- * @param {number} targetRatio - Target contrast ratio (default: AA)
+ * @param {number} targetRatio - Target contrast ratio, or Lc for APCA (default: AA)
+ * @param {string} [model=DEFAULT_CONTRAST_MODEL] - 'wcag2' or 'apca'
  * @returns {string} Suggested color or original if already compliant
  */
-export function suggestAccessibleColor(foreground, background, targetRatio = WCAG_THRESHOLDS.AA_NORMAL) {
-  const currentRatio = getContrastRatio(foreground, background);
+export function suggestAccessibleColor(
+  foreground,
+  background,
+  targetRatio = WCAG_THRESHOLDS.AA_NORMAL,
+  model = DEFAULT_CONTRAST_MODEL
+) {
+  const currentRatio = getContrastValue(foreground, background, model);
 
   if (currentRatio >= targetRatio) {
     return foreground;
   }
 
-  const bgLuminance = getRelativeLuminance(background);
+  const bgLuminance = getRelativeLuminance(getVisiblePair(foreground, background)[1]);
 
   // Determine if we need lighter or darker foreground
   if (bgLuminance > 0.5) {
@@ -114,11 +447,12 @@ export function suggestAccessibleColor(foreground, background, targetRatio = WCA
  * Generate accessible color pairs
  *
  * @param {string} baseColor - Base color to check against
+ * @param {Object} [options] - Contrast options (see checkContrast)
  * @returns {Object} Object with accessible foreground options
  */
-export function getAccessiblePairs(baseColor) {
-  const whiteFg = checkContrast('oklch(1 0 0)', baseColor);
-  const blackFg = checkContrast('oklch(0 0 0)', baseColor);
+export function getAccessiblePairs(baseColor, options) {
+  const whiteFg = checkContrast('oklch(1 0 0)', baseColor, options);
+  const blackFg = checkContrast('oklch(0 0 0)', baseColor, options);
 
   return {
     white: {
@@ -129,7 +463,7 @@ export function getAccessiblePairs(baseColor) {
       color: 'oklch(0 0 0)',
       ...blackFg,
     },
-    recommended: whiteFg.ratio > blackFg.ratio ? 'white' : 'black',
+    recommended: whiteFg.value > blackFg.value ? 'white' : 'black',
   };
 }
 
@@ -138,17 +472,21 @@ export function getAccessiblePairs(baseColor) {
  *
  * @param {string} foreground - Foreground color
  * @param {string} background - Background color
+ * @param {Object} [options] - Contrast options (see checkContrast)
  * @returns {Object} Badge display data
  */
-export function getContrastBadge(foreground, background) {
-  const result = checkContrast(foreground, background);
+export function getContrastBadge(foreground, background, options) {
+  const result = checkContrast(foreground, background, options);
 
   return {
+    model: result.model,
     ratio: result.ratio.toFixed(1),
+    value: result.model === 'apca' ? formatContrast(result.value, 'apca', 0) : result.ratio.toFixed(1),
+    display: result.model === 'apca' ? formatContrast(result.value, 'apca', 0) : `${result.ratio.toFixed(1)}:1`,
     level: result.level,
     score: result.score,
     color: getBadgeColor(result.score),
-    icon: getBadgeIcon(result.level),
+    icon: getBadgeIcon(result.passes),
   };
 }
 
@@ -169,26 +507,32 @@ function getBadgeColor(score) {
 }
 
 /**
- * Get badge icon based on level
+ * Get badge icon based on the targets passed
  */
-function getBadgeIcon(level) {
-  switch (level) {
-    case 'AAA':
-      return '★★★';
-    case 'AA':
-      return '★★';
-    case 'AA Large':
-      return '★';
-    default:
-      return '✕';
-  }
+function getBadgeIcon(passes) {
+  if (passes.aaa) return '★★★';
+  if (passes.aa) return '★★';
+  if (passes.aaLarge) return '★';
+  return '✕';
 }
 
 export default {
+  CONTRAST_MODELS,
+  DEFAULT_CONTRAST_MODEL,
   WCAG_THRESHOLDS,
+  WCAG_LARGE_TEXT,
+  APCA_TEXT_LEVELS,
   getContrastRatio,
+  getAPCAContrast,
+  getContrastValue,
+  formatContrast,
+  getTextStyles,
+  isLargeText,
+  getAPCAMinimum,
+  getContrastTargets,
   checkContrast,
   getComplianceLevel,
+  getAPCALevel,
   getContrastScore,
   suggestAccessibleColor,
   getAccessiblePairs,
@@ -0,0 +1,119 @@
+/**
+ * Android Exporter
+ *
+ * Exports theme as Android resources: `values/colors.xml` with the light
+ * colors, `values-night/colors.xml` with the dark colors (picked up
+ * automatically in night mode) and `values/dimens.xml` with the radius and
+ * text sizes from the type scale. The tonal scales (`primary_500`, ...) are
+ * the same in both modes, so they are only in `values/colors.xml`.
+ */
+
+import { getCSSVarName, getTokenMetadata } from '../constants';
+import { toRgbChannels } from '../color-utils';
+import { LINE_HEIGHTS, getTypeScaleSizes } from '../typography-config';
+import { getColorScales, getColorScaleEntries } from '../tonal-scales';
+
+/**
+ * Android resource name for a token ('cardForeground' -> 'card_foreground')
+ * @param {string} key - Token key
+ * @returns {string} Resource name
+ */
+function getResourceName(key) {
+  return getCSSVarName(key).replace(/-/g, '_');
+}
+
+/**
+ * Format a color as an Android #AARRGGBB value
+ * @param {string} color - Color in any format
+ * @returns {string} Android color
+ */
+function toAndroidColor(color) {
+  const { r, g, b, alpha } = toRgbChannels(color) || { r: 0, g: 0, b: 0, alpha: 1 };
+  const hex = (v) => Math.round(v * 255).toString(16).padStart(2, '0').toUpperCase();
+  return `#${hex(alpha)}${hex(r)}${hex(g)}${hex(b)}`;
+}
+
+/**
+ * Wrap resource entries in a resources document
+ * @param {string[]} lines - Resource elements
+ * @returns {string} XML document
+ */
+function formatResources(lines) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!-- Generated by Design Manager -->
+<resources>
+${lines.join('\n')}
+</resources>
+`;
+}
+
+/**
+ * Build colors.xml entries for one mode
+ * @param {Object} colors - Color tokens for the mode
+ * @param {Object.<string, Object>} [scales] - Tonal scales to append
+ * @returns {string} XML document
+ */
+function buildColors(colors, scales) {
+  const scaleLines = getColorScaleEntries(scales).map(
+    ([name, step, value]) => `    <color name="${name}_${step}">${toAndroidColor(value)}</color>`
+  );
+
+  return formatResources([
+    ...Object.entries(colors).map(([key, value]) => {
+      const meta = getTokenMetadata(key);
+      const comment = meta.usage ? `    <!-- ${meta.usage} -->\n` : '';
+      return `${comment}    <color name="${getResourceName(key)}">${toAndroidColor(value)}</color>`;
+    }),
+    ...(scaleLines.length ? ['', '    <!-- Tonal scales -->', ...scaleLines] : []),
+  ]);
+}
+
+/**
+ * Build Android resource files for a theme
+ * @param {Object} theme - Theme state
+ * @returns {Object.<string, string>} File contents keyed by path (relative to res/)
+ */
+export function getAndroidResourceFiles(theme) {
+  const { colors, ...tokens } = theme;
+  const lightColors = colors?.light || {};
+  const darkColors = colors?.dark || {};
+  const sizes = getTypeScaleSizes(tokens.typeScale);
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+
+  const dimens = [
+    `    <dimen name="radius">${Math.round((tokens.radius ?? 0.625) * 16 * 100) / 100}dp</dimen>`,
+    '',
+    '    <!-- Text sizes from the type scale -->',
+    ...Object.entries(sizes).map(([step, size]) => `    <dimen name="text_${step}">${size}sp</dimen>`),
+    '',
+    '    <!-- Line height multipliers -->',
+    `    <item name="line_height_heading" format="float" type="dimen">${lineHeights.heading}</item>`,
+    `    <item name="line_height_body" format="float" type="dimen">${lineHeights.body}</item>`,
+  ];
+
+  const integers = [
+    `    <integer name="font_weight_heading">${tokens.fontWeightHeading || 600}</integer>`,
+    `    <integer name="font_weight_body">${tokens.fontWeightBody || 400}</integer>`,
+  ];
+
+  return {
+    'values/colors.xml': buildColors(lightColors, getColorScales(theme)),
+    // Tokens missing a dark value keep the light one
+    'values-night/colors.xml': buildColors({ ...lightColors, ...darkColors }),
+    'values/dimens.xml': formatResources(dimens),
+    'values/integers.xml': formatResources(integers),
+  };
+}
+
+/**
+ * Export theme as Android resources, one file after another
+ * @param {Object} theme - Theme state
+ * @returns {string} XML files separated by path comments
+ */
+export function exportAsAndroid(theme) {
+  return Object.entries(getAndroidResourceFiles(theme))
+    .map(([path, contents]) => `<!-- ===== res/${path} ===== -->\n${contents}`)
+    .join('\n');
+}
+
+export default exportAsAndroid;
@@ -0,0 +1,205 @@
+/**
+ * Bundle Exporter
+ *
+ * Packs the handoff formats into one ZIP: CSS, JSON, Tailwind config, W3C
+ * design tokens, the AI rules files, the HTML style guide, a README
+ * describing the theme and a manifest listing every file with its format
+ * and options.
+ *
+ * Files come from the exporter registry, so replacing a built-in format
+ * with registerExporter() also changes what goes into the bundle.
+ */
+
+import { getExporter, getExportFileName, getDefaultExportOptions, runExporter } from './registry';
+import { createZip } from './zip';
+import { resolveCSSOutputOptions, describeDarkMode } from './css-output';
+import { THEME_SCHEMA_VERSION, getCSSVarName, getTokenMetadata } from '../constants';
+import { getPresetById } from '../presets';
+import { getFont, getTypeScaleSizes, TYPE_SCALES, LINE_HEIGHTS } from '../typography-config';
+import { toHexString } from '../color-utils';
+import { prefixCSSVariable } from '../theme-utils';
+
+/**
+ * Bundle contents, in manifest order. `path` overrides the exporter's
+ * download name; `options` are forced on top of the user's options.
+ * Entries with `cssVariables` reference the variables of theme.css and get
+ * its prefix and dark mode options, so they name the same variables.
+ * @constant {Object[]}
+ */
+export const BUNDLE_ENTRIES = [
+  { format: 'css', description: 'CSS custom properties for light and dark mode' },
+  { format: 'json', description: 'Design Manager theme, re-importable in the Export tab' },
+  { format: 'tailwind', path: 'tailwind.config.js', cssVariables: true, description: 'Tailwind CSS v3 configuration' },
+  { format: 'tokens', description: 'W3C design tokens (DTCG)' },
+  {
+    format: 'rules',
+    options: { format: 'markdown' },
+    directory: 'ai',
+    cssVariables: true,
+    description: 'Design system rules for any AI chat',
+  },
+  {
+    format: 'rules',
+    options: { format: 'cursor' },
+    directory: 'ai',
+    cssVariables: true,
+    description: 'Cursor rules, for .cursor/rules/',
+  },
+  {
+    format: 'rules',
+    options: { format: 'claude' },
+    directory: 'ai',
+    cssVariables: true,
+    description: 'Claude project instructions',
+  },
+  { format: 'styleguide', cssVariables: true, description: 'Standalone HTML style guide' },
+];
+
+/**
+ * Name of the theme for the README and manifest
+ * @param {Object} theme - Theme state
+ * @returns {string} Theme name
+ */
+function getThemeName(theme) {
+  return getPresetById(theme.activePresetId)?.name || 'Design Manager Theme';
+}
+
+/**
+ * Describe the theme and the bundle contents as Markdown
+ * @param {Object} theme - Theme state (with colors)
+ * @param {Object[]} files - Manifest file entries
+ * @param {string} name - Theme name
+ * @param {Object} cssOptions - Resolved CSS output options, for variable names
+ * @returns {string} README contents
+ */
+function buildReadme(theme, files, name, cssOptions) {
+  const { colors, ...tokens } = theme;
+  const cssVar = (key) => prefixCSSVariable(`--${getCSSVarName(key)}`, cssOptions.prefix);
+  const light = colors?.light || {};
+  const dark = colors?.dark || {};
+  const fontName = (id) => getFont(id)?.name || id || 'System Default';
+  const scale = TYPE_SCALES[tokens.typeScale] || TYPE_SCALES.default;
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+  const sizes = getTypeScaleSizes(scale.id);
+
+  const colorRows = Object.keys(light).map((key) => {
+    const swatch = (value) => (value ? `\`${value}\` (${toHexString(value)})` : '-');
+    return `| \`${cssVar(key)}\` | ${swatch(light[key])} | ${swatch(dark[key])} | ${getTokenMetadata(key).usage} |`;
+  });
+
+  const fileRows = files.map((file) => `| \`${file.path}\` | ${file.description || file.name} |`);
+
+  return `# ${name}
+
+Design system bundle generated by Design Manager on ${new Date().toISOString().slice(0, 10)}.
+
+## Files
+
+| File | Contents |
+|------|----------|
+${fileRows.join('\n')}
+| \`manifest.json\` | File list with formats and export options |
+
+## Usage
+
+- **CSS**: import \`theme.css\` once, then use the variables (\`background: var(${cssVar('background')})\`). ${describeDarkMode(cssOptions)}
+- **Tailwind**: merge \`tailwind.config.js\` into your config and import \`theme.css\` for the variables it references.
+- **Design tokens**: load \`theme.tokens.json\` into Style Dictionary, Tokens Studio or any DTCG tool.
+- **Design Manager**: import \`theme.json\` in the Export tab to keep editing this theme.
+- **AI assistants**: the files in \`ai/\` give coding assistants the token names and usage rules.
+- **Docs**: publish \`style-guide.html\` as the design system reference; it has no external dependencies besides web fonts.
+
+## Colors
+
+| Variable | Light | Dark | Usage |
+|----------|-------|------|-------|
+${colorRows.join('\n')}
+
+## Typography
+
+| | Font | Weight | Line height |
+|-|------|--------|-------------|
+| Headings | ${fontName(tokens.fontHeading)} | ${tokens.fontWeightHeading || 600} | ${lineHeights.heading} |
+| Body | ${fontName(tokens.fontBody)} | ${tokens.fontWeightBody || 400} | ${lineHeights.body} |
+
+Type scale: ${scale.name} (ratio ${scale.ratio}, ${scale.baseFontSize}px base): ${Object.entries(sizes).map(([step, px]) => `${step} ${px}px`).join(', ')}.
+
+## Shape
+
+Border radius: ${tokens.radius ?? 0.625}rem
+`;
+}
+
+/**
+ * Build the files of a theme bundle
+ * @param {Object} theme - Theme state (with colors)
+ * @param {Object} [options={}] - Bundle options
+ * @param {string} [options.name] - Theme name (defaults to the active preset's name)
+ * @param {Object.<string, Object>} [options.formatOptions={}] - Export options per format id, e.g. { css: { prefix: 'acme' } };
+ *   the prefix and dark mode options of `css` also apply to the files that reference its variables
+ * @returns {Array.<{path: string, content: string}>} Bundle files, README and manifest last
+ *
+ * @example
+ * const files = getThemeBundleFiles({ ...theme, colors }, { formatOptions: { css: { layer: 'theme' } } });
+ */
+export function getThemeBundleFiles(theme, options = {}) {
+  const { colors, ...tokens } = theme;
+  const { name = getThemeName(theme), formatOptions = {} } = options;
+  const cssOptions = resolveCSSOutputOptions(formatOptions.css);
+  const { prefix, darkMode, darkSelector } = cssOptions;
+
+  const files = [];
+  const manifestFiles = [];
+
+  BUNDLE_ENTRIES.forEach((entry) => {
+    // Formats removed with unregisterExporter() are left out
+    const exporter = getExporter(entry.format);
+    if (!exporter) return;
+
+    const exportOptions = {
+      ...getDefaultExportOptions(exporter),
+      ...formatOptions[entry.format],
+      ...(entry.cssVariables && { prefix, darkMode, darkSelector }),
+      ...entry.options,
+    };
+    const fileName = entry.path || getExportFileName(exporter, exportOptions);
+    const path = entry.directory ? `${entry.directory}/${fileName}` : fileName;
+
+    files.push({ path, content: runExporter(entry.format, tokens, colors, exportOptions) });
+    manifestFiles.push({
+      path,
+      format: exporter.id,
+      name: exporter.name,
+      ...(exporter.version && { version: exporter.version }),
+      options: exportOptions,
+      description: entry.description,
+    });
+  });
+
+  const manifest = {
+    name,
+    generator: 'design-manager',
+    schemaVersion: THEME_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    files: manifestFiles.map(({ description, ...file }) => file),
+  };
+
+  files.push({ path: 'README.md', content: buildReadme(theme, manifestFiles, name, cssOptions) });
+  files.push({ path: 'manifest.json', content: `${JSON.stringify(manifest, null, 2)}\n` });
+
+  return files;
+}
+
+/**
+ * Export a theme bundle as a ZIP archive
+ * @param {Object} theme - Theme state (with colors)
+ * @param {Object} [options={}] - Bundle options (see getThemeBundleFiles)
+ * @returns {Uint8Array} ZIP archive bytes
+ *
+ * @example
+ * const zip = exportAsBundle({ ...theme, colors });
+ * const url = URL.createObjectURL(new Blob([zip], { type: 'application/zip' }));
+ */
+export function exportAsBundle(theme, options = {}) {
+  return createZip(getThemeBundleFiles(theme, options));
+}
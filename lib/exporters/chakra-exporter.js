@@ -0,0 +1,131 @@
+/**
+ * Chakra UI Exporter
+ *
+ * Exports theme as a Chakra UI v3 system config. Colors become semantic
+ * tokens with `base` and `_dark` values, and primary, secondary, accent and
+ * destructive become color palettes usable with `colorPalette`. Tonal
+ * scales become 50-950 color tokens (`primary.500`), like Chakra's own
+ * palettes.
+ */
+
+import { getContrastingTextColor } from '../color-utils';
+import { getFontFamily } from '../theme-utils';
+import { LINE_HEIGHTS, getTypeScaleSizes } from '../typography-config';
+import { getColorScales } from '../tonal-scales';
+import { formatJSValue, pxToRem } from './js-module';
+
+/**
+ * Color palettes mapped to their [solid, contrast] tokens
+ * @constant {Object.<string, Array.<string>>}
+ */
+const PALETTES = {
+  primary: ['primary', 'primaryForeground'],
+  secondary: ['secondary', 'secondaryForeground'],
+  accent: ['accent', 'accentForeground'],
+  destructive: ['destructive', null],
+};
+
+/**
+ * Export theme as a Chakra UI system module
+ * @param {Object} theme - Theme state
+ * @returns {string} JavaScript source
+ */
+export function exportAsChakra(theme) {
+  const { colors, ...tokens } = theme;
+  const lightColors = colors?.light || {};
+  const darkColors = { ...lightColors, ...colors?.dark };
+  const sizes = getTypeScaleSizes(tokens.typeScale);
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+  const radius = `${tokens.radius ?? 0.625}rem`;
+
+  const token = (key) => ({ value: { base: lightColors[key], _dark: darkColors[key] } });
+  const contrast = (key) => ({
+    value: {
+      base: getContrastingTextColor(lightColors[key]),
+      _dark: getContrastingTextColor(darkColors[key]),
+    },
+  });
+
+  const palettes = Object.fromEntries(
+    Object.entries(PALETTES).map(([name, [solid, fg]]) => [
+      name,
+      {
+        solid: token(solid),
+        contrast: fg ? token(fg) : contrast(solid),
+        fg: token(solid),
+        focusRing: token('ring'),
+      },
+    ])
+  );
+
+  const scaleTokens = Object.fromEntries(
+    Object.entries(getColorScales(theme)).map(([name, scale]) => [
+      name,
+      Object.fromEntries(Object.entries(scale).map(([step, value]) => [step, { value }])),
+    ])
+  );
+
+  const config = {
+    theme: {
+      tokens: {
+        colors: scaleTokens,
+        fonts: {
+          heading: { value: getFontFamily(tokens.fontHeading) },
+          body: { value: getFontFamily(tokens.fontBody) },
+        },
+        fontWeights: {
+          heading: { value: String(tokens.fontWeightHeading || 600) },
+          body: { value: String(tokens.fontWeightBody || 400) },
+        },
+        fontSizes: Object.fromEntries(
+          Object.entries(sizes).map(([step, px]) => [step, { value: pxToRem(px) }])
+        ),
+        lineHeights: {
+          heading: { value: String(lineHeights.heading) },
+          body: { value: String(lineHeights.body) },
+        },
+        radii: {
+          sm: { value: `calc(${radius} - 4px)` },
+          md: { value: `calc(${radius} - 2px)` },
+          lg: { value: radius },
+        },
+      },
+      semanticTokens: {
+        colors: {
+          bg: {
+            DEFAULT: token('background'),
+            panel: token('card'),
+            muted: token('muted'),
+          },
+          fg: {
+            DEFAULT: token('foreground'),
+            muted: token('mutedForeground'),
+          },
+          border: {
+            DEFAULT: token('border'),
+          },
+          ...palettes,
+          card: { DEFAULT: token('card'), fg: token('cardForeground') },
+          popover: { DEFAULT: token('popover'), fg: token('popoverForeground') },
+          input: token('input'),
+          ring: token('ring'),
+          chart: Object.fromEntries([1, 2, 3, 4, 5].map((n) => [n, token(`chart${n}`)])),
+        },
+      },
+    },
+  };
+
+  return `// Generated by Design Manager
+// Usage: <ChakraProvider value={system}>...</ChakraProvider> (Chakra UI v3)
+// Dark values apply under the .dark class, e.g. with next-themes attribute="class".
+import { createSystem, defaultConfig, defineConfig } from '@chakra-ui/react';
+
+const config = defineConfig(${formatJSValue(config)});
+
+export const system = createSystem(defaultConfig, config);
+
+export default system;
+`;
+}
+
+export default exportAsChakra;
@@ -1,104 +1,404 @@
 /**
  * CSS Exporter
  *
- * Exports theme as CSS custom properties.
+ * Exports theme as CSS custom properties, and imports themes written as
+ * CSS custom properties (Design Manager CSS exports, built-in preset CSS,
+ * shadcn/ui and tweakcn themes).
  */
 
-import { getCSSVarName } from '../constants';
-import { generateGoogleFontsImport, getFontFamily } from '../theme-utils';
-import { TYPE_SCALES, LINE_HEIGHTS } from '../typography-config';
+import { DEFAULT_COLOR_TOKENS, getCSSVarName } from '../constants';
+import {
+  generateGoogleFontsImport,
+  getFontFamily,
+  normalizeCSSPrefix,
+  prefixCSSVariable,
+} from '../theme-utils';
+import { TYPE_SCALES, LINE_HEIGHTS, findFontByFamily } from '../typography-config';
+import {
+  toOklchString,
+  toHexString,
+  isInGamut,
+  toGamutOklchString,
+  toDisplayP3String,
+} from '../color-utils';
+import { normalizeTheme, reportThemeIssues } from '../theme-schema';
+import { getColorScales, getColorScaleEntries, TONAL_SCALES, TONAL_SCALE_STEPS } from '../tonal-scales';
+import { resolveCSSOutputOptions, buildThemeRules, formatCSS } from './css-output';
 
 /**
  * Export theme as CSS custom properties
  * @param {Object} theme - Theme state
+ * @param {Object} [options] - Output options
+ * @param {string} [options.prefix=''] - Variable prefix ('acme' writes --acme-primary)
+ * @param {string} [options.selector=':root'] - Selector for the light (and shared) variables
+ * @param {string} [options.darkSelector='.dark'] - Selector for the dark colors
+ * @param {'selector'|'media'|'both'} [options.darkMode='selector'] - Apply dark colors with
+ *   darkSelector, with `@media (prefers-color-scheme: dark)`, or both
+ * @param {boolean} [options.fallbacks=false] - Write hex values first and the OKLCH
+ *   values inside `@supports (color: oklch(0 0 0))`
+ * @param {'none'|'oklch'|'display-p3'} [options.wideGamut='none'] - Write colors outside
+ *   sRGB gamut-mapped into sRGB, and their Display P3 values (as OKLCH or
+ *   `color(display-p3 ...)`) inside `@media (color-gamut: p3)`
+ * @param {string} [options.layer=''] - Wrap the rules in `@layer <name>`
+ * @param {boolean} [options.minify=false] - Drop comments and whitespace
  * @returns {string} CSS string
  */
-export function exportAsCSS(theme) {
+export function exportAsCSS(theme, options = {}) {
   const { colors, darkMode, ...tokens } = theme;
   const lightColors = colors?.light || {};
   const darkColors = colors?.dark || {};
+  const output = resolveCSSOutputOptions(options);
 
-  let css = '';
+  const name = (varName) => prefixCSSVariable(`--${varName}`, output.prefix);
+  const declare = (varName, value) => ({ property: name(varName), value });
 
-  // Google Fonts import
+  // With fallbacks, OKLCH colors get an sRGB value here and the original in @supports.
+  // With wideGamut, colors outside sRGB get their sRGB-mapped value here and
+  // their Display P3 value in @media (color-gamut: p3).
+  const supportsLight = [];
+  const supportsDark = [];
+  const p3Light = [];
+  const p3Dark = [];
+  const declareColor = (varName, value, supportsBody, p3Body) => {
+    if (output.wideGamut !== 'none' && value && !isInGamut(value, 'srgb')) {
+      let p3Value = isInGamut(value, 'p3') ? value : toGamutOklchString(value, 'p3');
+      if (output.wideGamut === 'display-p3') p3Value = toDisplayP3String(value);
+      p3Body.push(declare(varName, p3Value));
+      return declare(varName, output.fallbacks ? toHexString(value) : toGamutOklchString(value, 'srgb'));
+    }
+    if (output.fallbacks && String(value).startsWith('oklch')) {
+      supportsBody.push(declare(varName, value));
+      return declare(varName, toHexString(value));
+    }
+    return declare(varName, value);
+  };
+
+  const headingFamily = getFontFamily(tokens.fontHeading || 'system-ui');
+  const bodyFamily = getFontFamily(tokens.fontBody || 'system-ui');
+  const scale = TYPE_SCALES[tokens.typeScale] || TYPE_SCALES.default;
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+  const ratio = scale.ratio;
+  const base = scale.baseFontSize;
+
+  const light = [
+    { comment: 'Colors - Light Mode' },
+    ...Object.entries(lightColors).map(([key, value]) => declareColor(getCSSVarName(key), value, supportsLight, p3Light)),
+    { blank: true },
+
+    // Tonal scales (primitives, the same in both modes)
+    { comment: 'Tonal Scales' },
+    ...getColorScaleEntries(getColorScales(theme)).map(([scale, step, value]) =>
+      declareColor(`${scale}-${step}`, value, supportsLight, p3Light)
+    ),
+    { blank: true },
+
+    // Typography
+    { comment: 'Typography' },
+    declare('font-family-heading', headingFamily),
+    declare('font-family-body', bodyFamily),
+    declare('font-weight-heading', tokens.fontWeightHeading || 600),
+    declare('font-weight-body', tokens.fontWeightBody || 400),
+    declare('font-size-base', `${base}px`),
+    declare('type-scale-ratio', ratio),
+    declare('line-height-heading', lineHeights.heading),
+    declare('line-height-body', lineHeights.body),
+    { blank: true },
+
+    // Computed font sizes
+    { comment: 'Computed Font Sizes' },
+    declare('font-size-xs', `${(base / ratio / ratio).toFixed(2)}px`),
+    declare('font-size-sm', `${(base / ratio).toFixed(2)}px`),
+    declare('font-size-lg', `${(base * ratio).toFixed(2)}px`),
+    declare('font-size-xl', `${(base * ratio * ratio).toFixed(2)}px`),
+    declare('font-size-2xl', `${(base * ratio * ratio * ratio).toFixed(2)}px`),
+    declare('font-size-3xl', `${(base * ratio * ratio * ratio * ratio).toFixed(2)}px`),
+    declare('font-size-4xl', `${(base * ratio * ratio * ratio * ratio * ratio).toFixed(2)}px`),
+    { blank: true },
+
+    // Surfaces
+    { comment: 'Surfaces' },
+    ...['paperWhite', 'paperCream', 'paperKraft']
+      .filter((key) => tokens[key])
+      .map((key) => declareColor(key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`), tokens[key], supportsLight, p3Light)),
+    { blank: true },
+
+    // Design tokens
+    { comment: 'Design Tokens' },
+    ...(tokens.radius !== undefined ? [declare('radius', `${tokens.radius}rem`)] : []),
+    ...(tokens.textureOpacityFaint !== undefined
+      ? [declare('texture-opacity-faint', tokens.textureOpacityFaint)]
+      : []),
+  ];
+
+  const dark = [
+    { comment: 'Colors - Dark Mode' },
+    ...Object.entries(darkColors).map(([key, value]) => declareColor(getCSSVarName(key), value, supportsDark, p3Dark)),
+  ];
+
+  const rules = buildThemeRules({ light, dark, supportsLight, supportsDark, p3Light, p3Dark }, output);
+  let css = formatCSS(rules, { minify: output.minify });
+
+  // Google Fonts import (@import must come before any rule, including @layer)
   const googleImport = generateGoogleFontsImport(tokens);
   if (googleImport) {
-    css += `/* Google Fonts */\n${googleImport}\n\n`;
+    css = output.minify ? `${googleImport}${css}` : `/* Google Fonts */\n${googleImport}\n\n${css}`;
   }
 
-  // Light mode variables
-  css += ':root {\n';
-  css += '  /* Colors - Light Mode */\n';
+  return css;
+}
 
-  Object.entries(lightColors).forEach(([key, value]) => {
-    const varName = getCSSVarName(key);
-    css += `  --${varName}: ${value};\n`;
-  });
+/**
+ * CSS variable name (without '--') -> color token key
+ * @constant {Object.<string, string>}
+ */
+const COLOR_VAR_TOKENS = Object.fromEntries(
+  Object.keys(DEFAULT_COLOR_TOKENS.light).map((token) => [getCSSVarName(token), token])
+);
 
-  css += '\n';
+/**
+ * CSS variable name -> non-color theme token
+ * @constant {Object.<string, {key: string, type: string}>}
+ */
+const TOKEN_VARS = {
+  'paper-white': { key: 'paperWhite', type: 'color' },
+  'paper-cream': { key: 'paperCream', type: 'color' },
+  'paper-kraft': { key: 'paperKraft', type: 'color' },
+  radius: { key: 'radius', type: 'length' },
+  'texture-opacity-faint': { key: 'textureOpacityFaint', type: 'number' },
+  'font-weight-heading': { key: 'fontWeightHeading', type: 'number' },
+  'font-weight-body': { key: 'fontWeightBody', type: 'number' },
+  'font-family-heading': { key: 'fontHeading', type: 'font' },
+  'font-family-body': { key: 'fontBody', type: 'font' },
+  // shadcn/ui and tweakcn
+  'font-sans': { key: 'fontBody', type: 'font' },
+};
 
-  // Typography
-  css += '  /* Typography */\n';
-  const headingFamily = getFontFamily(tokens.fontHeading || 'system-ui');
-  const bodyFamily = getFontFamily(tokens.fontBody || 'system-ui');
-  const scale = TYPE_SCALES[tokens.typeScale] || TYPE_SCALES.default;
-  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+/**
+ * Tonal scale variable ('primary-500' -> scale 'primary', step '500')
+ * @constant {RegExp}
+ */
+const SCALE_VAR_PATTERN = new RegExp(
+  `^(${Object.keys(TONAL_SCALES).join('|')})-(${TONAL_SCALE_STEPS.join('|')})$`
+);
 
-  css += `  --font-family-heading: ${headingFamily};\n`;
-  css += `  --font-family-body: ${bodyFamily};\n`;
-  css += `  --font-weight-heading: ${tokens.fontWeightHeading || 600};\n`;
-  css += `  --font-weight-body: ${tokens.fontWeightBody || 400};\n`;
-  css += `  --font-size-base: ${scale.baseFontSize}px;\n`;
-  css += `  --type-scale-ratio: ${scale.ratio};\n`;
-  css += `  --line-height-heading: ${lineHeights.heading};\n`;
-  css += `  --line-height-body: ${lineHeights.body};\n`;
+/**
+ * Variables derived from the type scale and line-height preset.
+ * They are matched back to a preset, never imported individually.
+ * @constant {RegExp}
+ */
+const DERIVED_VAR_PATTERN = /^(font-size-|text-|leading-|line-height-|type-scale-ratio$)/;
 
-  css += '\n';
+/**
+ * Classify a rule's selector as light or dark
+ * @param {string} selector - Selector list
+ * @returns {'light'|'dark'|null} Mode, or null for selectors that are not theme roots
+ */
+function getSelectorMode(selector) {
+  if (/\.dark\b|\[data-theme=["']?dark["']?\]|\[data-mode=["']?dark["']?\]/.test(selector)) return 'dark';
+  if (/:root|\bhtml\b|:host|\.light\b|\[data-theme=["']?light["']?\]/.test(selector)) return 'light';
+  return null;
+}
 
-  // Computed font sizes
-  const ratio = scale.ratio;
-  const base = scale.baseFontSize;
+/**
+ * Convert a CSS color value to the OKLCH strings themes use.
+ * Accepts hex, rgb(), hsl(), oklch() and shadcn's bare HSL channels ("222.2 84% 4.9%").
+ * @param {string} value - CSS value
+ * @returns {string|null} OKLCH color, or null if the value is not a color
+ */
+function parseColorValue(value) {
+  if (/^oklch\(/i.test(value)) return value;
 
-  css += '  /* Computed Font Sizes */\n';
-  css += `  --font-size-xs: ${(base / ratio / ratio).toFixed(2)}px;\n`;
-  css += `  --font-size-sm: ${(base / ratio).toFixed(2)}px;\n`;
-  css += `  --font-size-lg: ${(base * ratio).toFixed(2)}px;\n`;
-  css += `  --font-size-xl: ${(base * ratio * ratio).toFixed(2)}px;\n`;
-  css += `  --font-size-2xl: ${(base * ratio * ratio * ratio).toFixed(2)}px;\n`;
-  css += `  --font-size-3xl: ${(base * ratio * ratio * ratio * ratio).toFixed(2)}px;\n`;
-  css += `  --font-size-4xl: ${(base * ratio * ratio * ratio * ratio * ratio).toFixed(2)}px;\n`;
-
-  css += '\n';
-
-  // Surfaces
-  css += '  /* Surfaces */\n';
-  if (tokens.paperWhite) css += `  --paper-white: ${tokens.paperWhite};\n`;
-  if (tokens.paperCream) css += `  --paper-cream: ${tokens.paperCream};\n`;
-  if (tokens.paperKraft) css += `  --paper-kraft: ${tokens.paperKraft};\n`;
-
-  css += '\n';
-
-  // Design tokens
-  css += '  /* Design Tokens */\n';
-  if (tokens.radius !== undefined) css += `  --radius: ${tokens.radius}rem;\n`;
-  if (tokens.textureOpacityFaint !== undefined) {
-    css += `  --texture-opacity-faint: ${tokens.textureOpacityFaint};\n`;
+  const color = /^-?[\d.]+\s+[\d.]+%\s+[\d.]+%$/.test(value) ? `hsl(${value})` : value;
+  const converted = toOklchString(color);
+  return converted === color ? null : converted;
+}
+
+/**
+ * Parse a non-color token value
+ * @param {string} value - CSS value
+ * @param {string} type - Token type from TOKEN_VARS
+ * @returns {*} Parsed value, or null if unreadable
+ */
+function parseTokenValue(value, type) {
+  switch (type) {
+    case 'color':
+      return parseColorValue(value);
+    case 'length': {
+      // Radius is stored in rem
+      const match = value.match(/^(-?[\d.]+)(rem|px)?$/);
+      if (!match) return null;
+      const amount = parseFloat(match[1]);
+      return match[2] === 'px' ? amount / 16 : amount;
+    }
+    case 'number': {
+      const amount = parseFloat(value);
+      return Number.isNaN(amount) ? null : amount;
+    }
+    case 'font':
+      return findFontByFamily(value);
+    default:
+      return null;
   }
+}
 
-  css += '}\n\n';
+/**
+ * Collect custom properties per mode from a stylesheet
+ * @param {string} css - CSS source
+ * @param {string} [prefix] - Variable prefix to strip ('acme' reads --acme-primary as primary)
+ * @returns {{light: Object.<string, string>, dark: Object.<string, string>}} Variables without '--'
+ */
+function collectVariables(css, prefix) {
+  const vars = { light: {}, dark: {} };
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const namePrefix = prefix ? `${prefix}-` : '';
+
+  // Walk the blocks, reading innermost rules only, so `@layer base { :root { ... } }`
+  // still matches; `:root` inside a prefers-color-scheme: dark query holds dark colors
+  const headers = [];
+  let start = 0;
+  let innermost = false;
+  for (let i = 0; i < source.length; i += 1) {
+    if (source[i] === '{') {
+      headers.push(source.slice(start, i));
+      start = i + 1;
+      innermost = true;
+    } else if (source[i] === '}') {
+      const header = headers.pop() || '';
+      if (innermost) {
+        let mode = getSelectorMode(header);
+        if (mode === 'light' && headers.some((h) => /prefers-color-scheme:\s*dark/.test(h))) {
+          mode = 'dark';
+        }
+        if (mode) {
+          source.slice(start, i).split(';').forEach((declaration) => {
+            const match = declaration.match(/^\s*--([\w-]+)\s*:\s*([\s\S]+?)\s*$/);
+            if (match && match[1].startsWith(namePrefix)) {
+              vars[mode][match[1].slice(namePrefix.length)] = match[2].replace(/\s*!important$/, '');
+            }
+          });
+        }
+      }
+      start = i + 1;
+      innermost = false;
+    }
+  }
 
-  // Dark mode variables
-  css += '.dark {\n';
-  css += '  /* Colors - Dark Mode */\n';
+  return vars;
+}
 
-  Object.entries(darkColors).forEach(([key, value]) => {
-    const varName = getCSSVarName(key);
-    css += `  --${varName}: ${value};\n`;
+/**
+ * Parse a CSS custom-property theme into theme tokens.
+ *
+ * Reads `:root` (light) and `.dark` rules and maps `--kebab-case` variables
+ * back to tokens via CSS_VAR_MAP, and `--{scale}-{step}` variables
+ * (`--primary-500`) back to tonal scales. Type sizes and line heights are
+ * matched back to the closest built-in preset.
+ *
+ * @param {string} css - CSS source
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Variable prefix used by the export (see exportAsCSS)
+ * @returns {{theme: Object, errors: Array.<{path: string, message: string, value: *}>, unknown: string[]}}
+ *   Parsed theme and a report of unreadable values and unrecognized variables
+ *
+ * @example
+ * parseThemeCSS(':root { --primary: #3b82f6; --sidebar: #fff; }');
+ * // { theme: { colors: { light: { primary: 'oklch(...)' } } }, errors: [], unknown: ['--sidebar'] }
+ */
+export function parseThemeCSS(css, { prefix } = {}) {
+  const vars = collectVariables(css || '', normalizeCSSPrefix(prefix));
+  const theme = {};
+  const errors = [];
+  const unknown = [];
+
+  // Follow `var(--name)` references within the stylesheet (dark falls back to light)
+  function resolve(value, mode, depth = 0) {
+    const match = value.match(/^var\(\s*--([\w-]+)\s*(?:,\s*([\s\S]+))?\)$/);
+    if (!match || depth > 5) return value;
+    const referenced = vars[mode][match[1]] ?? vars.light[match[1]] ?? match[2];
+    return referenced === undefined ? value : resolve(referenced.trim(), mode, depth + 1);
+  }
+
+  ['light', 'dark'].forEach((mode) => {
+    Object.entries(vars[mode]).forEach(([name, value]) => {
+      const path = mode === 'dark' ? `.dark --${name}` : `--${name}`;
+      const token = COLOR_VAR_TOKENS[name];
+
+      if (token) {
+        const color = parseColorValue(resolve(value, mode));
+        if (!color) {
+          errors.push({ path, message: 'expected a hex, rgb, hsl or oklch color', value });
+          return;
+        }
+        theme.colors = theme.colors || {};
+        theme.colors[mode] = { ...theme.colors[mode], [token]: color };
+        return;
+      }
+
+      // Tonal scales are the same in both modes; the light values win
+      const scaleMatch = name.match(SCALE_VAR_PATTERN);
+      if (scaleMatch) {
+        if (mode === 'dark' && vars.light[name] !== undefined) return;
+        const color = parseColorValue(resolve(value, mode));
+        if (!color) {
+          errors.push({ path, message: 'expected a hex, rgb, hsl or oklch color', value });
+          return;
+        }
+        const [, scale, step] = scaleMatch;
+        theme.colorScales = theme.colorScales || {};
+        theme.colorScales[scale] = { ...theme.colorScales[scale], [step]: color };
+        return;
+      }
+
+      // Non-color tokens are the same in both modes; the light values win
+      const field = TOKEN_VARS[name];
+      if (field) {
+        if (mode === 'dark' && vars.light[name] !== undefined) return;
+        const parsed = parseTokenValue(resolve(value, mode), field.type);
+        if (parsed === null) {
+          const message = field.type === 'font' ? 'font is not in the font catalog' : `unreadable ${field.type} value`;
+          errors.push({ path, message, value });
+        } else if (theme[field.key] === undefined) {
+          theme[field.key] = parsed;
+        }
+        return;
+      }
+
+      if (!DERIVED_VAR_PATTERN.test(name) && name !== 'font-size-base') {
+        unknown.push(path);
+      }
+    });
   });
 
-  css += '}\n';
+  // Derived typography: match the base size and ratio back to presets
+  const base = parseFloat(vars.light['font-size-base']);
+  const ratio = parseFloat(vars.light['type-scale-ratio']);
+  const scale = Object.values(TYPE_SCALES).find((s) => s.baseFontSize === base && s.ratio === ratio);
+  if (scale) theme.typeScale = scale.id;
 
-  return css;
+  const heading = parseFloat(vars.light['line-height-heading']);
+  const body = parseFloat(vars.light['line-height-body']);
+  const lineHeight = Object.values(LINE_HEIGHTS).find((lh) => lh.heading === heading && lh.body === body);
+  if (lineHeight) theme.lineHeightPreset = lineHeight.id;
+
+  const normalized = normalizeTheme(theme);
+  return {
+    theme: normalized.theme,
+    errors: [...errors, ...normalized.errors],
+    unknown,
+  };
+}
+
+/**
+ * Import theme from CSS custom properties
+ * @param {string} css - CSS source, e.g. a shadcn/ui theme
+ * @param {Object} [options] - Parse options (see parseThemeCSS)
+ * @returns {Object|null} Theme tokens, or null if no theme variables were found
+ */
+export function importFromCSS(css, options) {
+  const result = parseThemeCSS(css, options);
+  reportThemeIssues(result, 'CSS');
+
+  return Object.keys(result.theme).length > 0 ? result.theme : null;
 }
 
 export default exportAsCSS;
@@ -0,0 +1,228 @@
+/**
+ * CSS Output Options
+ *
+ * Shared by the CSS, SCSS and Less exporters: where the light and dark
+ * rules go (selectors, `prefers-color-scheme`, `@supports` fallbacks,
+ * `@media (color-gamut: p3)` overrides, `@layer`), and how the stylesheet
+ * is printed.
+ *
+ * Rules are plain nodes so every exporter can fill them with its own
+ * declarations:
+ *
+ *   { selector: ':root', body: [
+ *     { comment: 'Colors' },
+ *     { property: '--primary', value: 'oklch(...)' },
+ *     { raw: '@include theme-custom-properties($theme-light);' },
+ *     { blank: true },
+ *     { selector: '.nested', body: [...] },
+ *   ] }
+ */
+
+import { normalizeCSSPrefix } from '../theme-utils';
+
+/**
+ * Default CSS output options (the output before options existed)
+ * @constant {Object}
+ */
+export const CSS_OUTPUT_DEFAULTS = {
+  prefix: '',
+  selector: ':root',
+  darkSelector: '.dark',
+  darkMode: 'selector',
+  fallbacks: false,
+  wideGamut: 'none',
+  layer: '',
+  minify: false,
+};
+
+/**
+ * Query that gates the OKLCH values when fallbacks are on
+ * @constant {string}
+ */
+export const OKLCH_SUPPORTS_QUERY = '@supports (color: oklch(0 0 0))';
+
+/**
+ * Formats for wide-gamut colors: 'none' leaves colors as written, 'oklch'
+ * and 'display-p3' write sRGB colors first and Display P3 ones in
+ * P3_MEDIA_QUERY
+ * @constant {string[]}
+ */
+export const WIDE_GAMUT_FORMATS = ['none', 'oklch', 'display-p3'];
+
+/**
+ * Query that gates the Display P3 colors when wideGamut is on
+ * @constant {string}
+ */
+export const P3_MEDIA_QUERY = '@media (color-gamut: p3)';
+
+/**
+ * Fill in and normalize CSS output options
+ * @param {Object} [options={}] - Output options (see CSS_OUTPUT_DEFAULTS)
+ * @returns {Object} Complete options
+ */
+export function resolveCSSOutputOptions(options = {}) {
+  const resolved = { ...CSS_OUTPUT_DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && key in CSS_OUTPUT_DEFAULTS) resolved[key] = value;
+  });
+
+  return {
+    ...resolved,
+    prefix: normalizeCSSPrefix(resolved.prefix),
+    selector: String(resolved.selector).trim() || CSS_OUTPUT_DEFAULTS.selector,
+    darkSelector: String(resolved.darkSelector).trim() || CSS_OUTPUT_DEFAULTS.darkSelector,
+    darkMode: ['selector', 'media', 'both'].includes(resolved.darkMode) ? resolved.darkMode : 'selector',
+    layer: String(resolved.layer).trim(),
+    fallbacks: !!resolved.fallbacks,
+    wideGamut: WIDE_GAMUT_FORMATS.includes(resolved.wideGamut) ? resolved.wideGamut : 'none',
+    minify: !!resolved.minify,
+  };
+}
+
+/**
+ * Describe how dark mode is switched in CSS written with these options
+ * @param {Object} options - CSS output options
+ * @param {'selector'|'media'|'both'} [options.darkMode='selector'] - How dark colors are applied
+ * @param {string} [options.darkSelector='.dark'] - Selector for the dark colors
+ * @returns {string} Sentence for docs (Markdown)
+ */
+export function describeDarkMode({ darkSelector = CSS_OUTPUT_DEFAULTS.darkSelector, darkMode = 'selector' } = {}) {
+  if (darkMode === 'media') return 'Dark mode follows the system setting (`prefers-color-scheme`).';
+  if (darkMode === 'both') {
+    return `Dark mode follows the system setting, or \`${darkSelector}\` (e.g. a class on \`<html>\`).`;
+  }
+  return `Dark mode applies under \`${darkSelector}\` (e.g. a class on \`<html>\`).`;
+}
+
+/**
+ * Dark declarations for an override block. The light selector and the dark
+ * one have the same specificity, so a light override would win over the
+ * dark value of a token in dark mode; every property the light overrides
+ * set but the dark ones don't is declared again with its dark value.
+ * @param {Array} lightOverrides - Light declarations of the block
+ * @param {Array} darkOverrides - Dark declarations of the block
+ * @param {Map<string, string>} darkValues - Dark values in effect before the block
+ * @returns {Array} Dark declarations
+ */
+function withDarkValues(lightOverrides, darkOverrides, darkValues) {
+  const overridden = new Set(darkOverrides.map((item) => item.property).filter(Boolean));
+  const restored = lightOverrides
+    .filter((item) => item.property && !overridden.has(item.property) && darkValues.has(item.property))
+    .map((item) => ({ property: item.property, value: darkValues.get(item.property) }));
+  return [...darkOverrides, ...restored];
+}
+
+/**
+ * Build the light and dark rules for a theme
+ *
+ * With `fallbacks`, `light` and `dark` should hold sRGB values and
+ * `supportsLight` / `supportsDark` the OKLCH ones; the latter are wrapped in
+ * an `@supports` block after the fallbacks so supporting browsers use them.
+ * `p3Light` / `p3Dark` hold the Display P3 values of colors outside sRGB
+ * and go last, in a `@media (color-gamut: p3)` block. Both blocks repeat
+ * the dark value of any token they override for light mode only.
+ *
+ * @param {Object} bodies - Rule bodies
+ * @param {Array} bodies.light - Light (and mode-independent) declarations
+ * @param {Array} bodies.dark - Dark mode declarations
+ * @param {Array} [bodies.supportsLight] - Light declarations for the @supports block
+ * @param {Array} [bodies.supportsDark] - Dark declarations for the @supports block
+ * @param {Array} [bodies.p3Light] - Light declarations for the color-gamut block
+ * @param {Array} [bodies.p3Dark] - Dark declarations for the color-gamut block
+ * @param {Object} options - Resolved output options
+ * @returns {Object[]} Rule nodes
+ */
+export function buildThemeRules({ light, dark, supportsLight, supportsDark, p3Light, p3Dark }, options) {
+  const { selector, darkSelector, darkMode, fallbacks, wideGamut, layer } = options;
+
+  const modeRules = (lightBody, darkBody) => {
+    const rules = [{ selector, body: lightBody }];
+    if (darkMode === 'selector' || darkMode === 'both') {
+      rules.push({ selector: darkSelector, body: darkBody });
+    }
+    if (darkMode === 'media' || darkMode === 'both') {
+      rules.push({
+        selector: '@media (prefers-color-scheme: dark)',
+        body: [{ selector, body: darkBody }],
+      });
+    }
+    return rules;
+  };
+
+  let rules = modeRules(light, dark);
+
+  // Dark values in effect before each override block
+  const darkValues = new Map(dark.filter((item) => item.property).map((item) => [item.property, item.value]));
+  const supportsActive = fallbacks && (supportsLight?.length || supportsDark?.length);
+
+  if (supportsActive) {
+    rules.push({
+      selector: OKLCH_SUPPORTS_QUERY,
+      body: modeRules(supportsLight || [], withDarkValues(supportsLight || [], supportsDark || [], darkValues)),
+    });
+  }
+
+  if (p3Light?.length || p3Dark?.length) {
+    const p3InSupports = fallbacks && wideGamut === 'oklch';
+    // Inside @supports the OKLCH dark values apply; elsewhere only the sRGB ones can be relied on
+    const p3DarkValues = p3InSupports && supportsActive
+      ? new Map([...darkValues, ...(supportsDark || []).filter((item) => item.property).map((item) => [item.property, item.value])])
+      : darkValues;
+    const p3Rule = {
+      selector: P3_MEDIA_QUERY,
+      body: modeRules(p3Light || [], withDarkValues(p3Light || [], p3Dark || [], p3DarkValues)),
+    };
+    // OKLCH values would override the hex fallbacks in browsers that can't parse them
+    rules.push(p3InSupports ? { selector: OKLCH_SUPPORTS_QUERY, body: [p3Rule] } : p3Rule);
+  }
+
+  if (layer) {
+    rules = [{ selector: `@layer ${layer}`, body: rules }];
+  }
+
+  return rules;
+}
+
+/**
+ * Print rule nodes
+ * @param {Object[]} nodes - Rule nodes
+ * @param {Object} [options]
+ * @param {boolean} [options.minify=false] - Drop comments and whitespace
+ * @param {string} [options.commentStyle='block'] - 'block' for /* *\/, 'line' for // (SCSS and Less)
+ * @returns {string} Stylesheet
+ */
+export function formatCSS(nodes, { minify = false, commentStyle = 'block' } = {}) {
+  const comment = (text) => (commentStyle === 'line' ? `// ${text}` : `/* ${text} */`);
+
+  const printRule = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    const inner = '  '.repeat(depth + 1);
+
+    if (minify) {
+      const body = node.body
+        .map((item) => {
+          if (item.selector) return printRule(item, 0);
+          if (item.property) return `${item.property}:${item.value};`;
+          if (item.raw) return item.raw;
+          return '';
+        })
+        .join('');
+      return `${node.selector}{${body}}`;
+    }
+
+    const lines = node.body.map((item, index) => {
+      if (item.selector) {
+        // Nested rules are separated by a blank line
+        return `${index > 0 ? '\n' : ''}${printRule(item, depth + 1)}`;
+      }
+      if (item.comment) return `${inner}${comment(item.comment)}\n`;
+      if (item.property) return `${inner}${item.property}: ${item.value};\n`;
+      if (item.raw) return `${inner}${item.raw}\n`;
+      return '\n';
+    });
+
+    return `${indent}${node.selector} {\n${lines.join('')}${indent}}\n`;
+  };
+
+  return nodes.map((node) => printRule(node, 0)).join(minify ? '' : '\n');
+}
@@ -0,0 +1,187 @@
+/**
+ * Flutter Exporter
+ *
+ * Exports theme as a Dart file with light and dark Material 3
+ * `ColorScheme`s, a `TextTheme` from the type scale, and `ThemeData`
+ * builders. Every color token is also available as a constant, and the
+ * tonal scales as `AppPalette.primary[500]`.
+ */
+
+import { toRgbChannels, isLightColor } from '../color-utils';
+import { FONT_CATALOG, LINE_HEIGHTS, getTypeScaleSizes } from '../typography-config';
+import { getColorScales, TONAL_SCALE_STEPS } from '../tonal-scales';
+
+/**
+ * ColorScheme roles mapped to theme color tokens
+ * @constant {Array.<[string, string]>}
+ */
+const COLOR_SCHEME_ROLES = [
+  ['primary', 'primary'],
+  ['onPrimary', 'primaryForeground'],
+  ['secondary', 'secondary'],
+  ['onSecondary', 'secondaryForeground'],
+  ['tertiary', 'accent'],
+  ['onTertiary', 'accentForeground'],
+  ['error', 'destructive'],
+  ['surface', 'card'],
+  ['onSurface', 'cardForeground'],
+  ['surfaceContainerHighest', 'muted'],
+  ['onSurfaceVariant', 'mutedForeground'],
+  ['outline', 'border'],
+  ['outlineVariant', 'input'],
+];
+
+/**
+ * TextTheme styles mapped to type scale steps
+ * @constant {Array.<[string, string, string]>} [style, step, role]
+ */
+const TEXT_THEME_STYLES = [
+  ['displayLarge', '4xl', 'heading'],
+  ['displayMedium', '3xl', 'heading'],
+  ['headlineLarge', '2xl', 'heading'],
+  ['headlineMedium', 'xl', 'heading'],
+  ['titleLarge', 'lg', 'heading'],
+  ['bodyLarge', 'lg', 'body'],
+  ['bodyMedium', 'base', 'body'],
+  ['bodySmall', 'sm', 'body'],
+  ['labelLarge', 'base', 'body'],
+  ['labelSmall', 'xs', 'body'],
+];
+
+/**
+ * Format a color as a Dart Color constant
+ * @param {string} color - Color in any format
+ * @returns {string} Dart expression, e.g. Color(0xFFFBF3E4)
+ */
+function toDartColor(color) {
+  const { r, g, b, alpha } = toRgbChannels(color) || { r: 0, g: 0, b: 0, alpha: 1 };
+  const hex = (v) => Math.round(v * 255).toString(16).padStart(2, '0').toUpperCase();
+  return `Color(0x${hex(alpha)}${hex(r)}${hex(g)}${hex(b)})`;
+}
+
+/**
+ * Build a ColorScheme declaration for one mode
+ * @param {string} name - Constant name
+ * @param {'light'|'dark'} brightness - Brightness
+ * @param {Object} colors - Color tokens for the mode
+ * @returns {string} Dart declaration
+ */
+function buildColorScheme(name, brightness, colors) {
+  const roles = COLOR_SCHEME_ROLES
+    .filter(([, token]) => colors[token])
+    .map(([role, token]) => `    ${role}: ${toDartColor(colors[token])},`);
+
+  // The theme has no destructive foreground; use black or white text
+  const onErrorColor = colors.destructive && isLightColor(colors.destructive)
+    ? 'Color(0xFF000000)'
+    : 'Color(0xFFFFFFFF)';
+
+  return `  static const ${name} = ColorScheme(
+    brightness: Brightness.${brightness},
+${roles.join('\n')}
+    onError: ${onErrorColor},
+  );`;
+}
+
+/**
+ * Export theme as a Flutter Dart file
+ * @param {Object} theme - Theme state
+ * @returns {string} Dart source
+ */
+export function exportAsFlutter(theme) {
+  const { colors, ...tokens } = theme;
+  const lightColors = colors?.light || {};
+  const darkColors = { ...lightColors, ...colors?.dark };
+  const sizes = getTypeScaleSizes(tokens.typeScale);
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+
+  const fonts = {
+    heading: tokens.fontHeading && tokens.fontHeading !== 'system-ui' ? FONT_CATALOG[tokens.fontHeading]?.name : null,
+    body: tokens.fontBody && tokens.fontBody !== 'system-ui' ? FONT_CATALOG[tokens.fontBody]?.name : null,
+  };
+  const weights = {
+    heading: tokens.fontWeightHeading || 600,
+    body: tokens.fontWeightBody || 400,
+  };
+
+  const textStyles = TEXT_THEME_STYLES.map(([style, step, role]) => {
+    const family = fonts[role] ? `fontFamily: '${fonts[role]}', ` : '';
+    return `    ${style}: TextStyle(${family}fontSize: ${sizes[step]}, fontWeight: FontWeight.w${weights[role]}, height: ${lineHeights[role]}),`;
+  });
+
+  const paletteConstants = Object.entries(getColorScales(theme))
+    .map(([name, scale]) => {
+      const shades = TONAL_SCALE_STEPS.filter((step) => scale[step])
+        .map((step) => `    ${step}: ${toDartColor(scale[step])},`);
+      return `  static const Map<int, Color> ${name} = {\n${shades.join('\n')}\n  };`;
+    })
+    .join('\n\n');
+
+  const tokenConstants = (modeColors) => Object.entries(modeColors)
+    .map(([key, value]) => `  static const ${key} = ${toDartColor(value)};`)
+    .join('\n');
+
+  return `// Generated by Design Manager
+// Usage: MaterialApp(theme: AppTheme.light(), darkTheme: AppTheme.dark())
+${fonts.heading || fonts.body ? `//
+// Fonts: add ${[...new Set([fonts.heading, fonts.body].filter(Boolean))].join(' and ')} to pubspec.yaml
+// (or load them with the google_fonts package).
+` : ''}
+import 'package:flutter/material.dart';
+
+/// Light mode color tokens
+class AppColorsLight {
+  AppColorsLight._();
+
+${tokenConstants(lightColors)}
+}
+
+/// Dark mode color tokens
+class AppColorsDark {
+  AppColorsDark._();
+
+${tokenConstants(darkColors)}
+}
+
+/// Tonal scales (50 lightest, 950 darkest), the same in both modes
+class AppPalette {
+  AppPalette._();
+
+${paletteConstants}
+}
+
+class AppTheme {
+  AppTheme._();
+
+  static const double radius = ${Math.round((tokens.radius ?? 0.625) * 16 * 100) / 100};
+
+${buildColorScheme('lightColorScheme', 'light', lightColors)}
+
+${buildColorScheme('darkColorScheme', 'dark', darkColors)}
+
+  /// Sizes from the "${tokens.typeScale || 'default'}" type scale
+  static const textTheme = TextTheme(
+${textStyles.join('\n')}
+  );
+
+  static ThemeData light() => _build(lightColorScheme, AppColorsLight.background, AppColorsLight.border);
+
+  static ThemeData dark() => _build(darkColorScheme, AppColorsDark.background, AppColorsDark.border);
+
+  static ThemeData _build(ColorScheme scheme, Color background, Color border) {
+    return ThemeData(
+      useMaterial3: true,
+      colorScheme: scheme,
+      scaffoldBackgroundColor: background,
+      dividerColor: border,
+      textTheme: textTheme.apply(
+        bodyColor: scheme.onSurface,
+        displayColor: scheme.onSurface,
+      ),
+    );
+  }
+}
+`;
+}
+
+export default exportAsFlutter;
@@ -0,0 +1,226 @@
+/**
+ * iOS Exporter
+ *
+ * Exports theme colors for SwiftUI (a `Color.theme` namespace whose colors
+ * follow the system light/dark appearance) or as an Xcode asset catalog,
+ * plus font sizes from the type scale. The 50-950 tonal scales don't change
+ * with the appearance and are exported as `Color.palette.primary500`.
+ */
+
+import { getTokenMetadata } from '../constants';
+import { toRgbChannels } from '../color-utils';
+import { FONT_CATALOG, LINE_HEIGHTS, getTypeScaleSizes } from '../typography-config';
+import { getColorScales, getColorScaleEntries } from '../tonal-scales';
+
+/**
+ * SwiftUI Font.Weight names by numeric weight
+ * @constant {Object.<number, string>}
+ */
+const SWIFT_FONT_WEIGHTS = {
+  100: 'ultraLight',
+  200: 'thin',
+  300: 'light',
+  400: 'regular',
+  500: 'medium',
+  600: 'semibold',
+  700: 'bold',
+  800: 'heavy',
+  900: 'black',
+};
+
+/**
+ * Identifier for a type scale step ('2xl' -> 'xxl'); identifiers can't start with a digit
+ * @param {string} step - Step name from getTypeScaleSizes
+ * @returns {string} Identifier
+ */
+function getSizeIdentifier(step) {
+  const match = step.match(/^(\d)xl$/);
+  return match ? `${'x'.repeat(Number(match[1]) - 1)}xl` : step;
+}
+
+/**
+ * Format a number for Swift / asset catalogs
+ * @param {number} value - Channel value
+ * @returns {string} Value with 3 decimals
+ */
+function formatComponent(value) {
+  return value.toFixed(3);
+}
+
+/**
+ * Format a color as a SwiftUI Color initializer
+ * @param {string} color - Color in any format
+ * @returns {string} Swift expression
+ */
+function toSwiftColor(color) {
+  const { r, g, b, alpha } = toRgbChannels(color) || { r: 0, g: 0, b: 0, alpha: 1 };
+  const opacity = alpha < 1 ? `, opacity: ${formatComponent(alpha)}` : '';
+  return `Color(red: ${formatComponent(r)}, green: ${formatComponent(g)}, blue: ${formatComponent(b)}${opacity})`;
+}
+
+/**
+ * Swift font family name, or null for the system font
+ * @param {string} fontId - Font ID
+ * @returns {string|null} Family name
+ */
+function getSwiftFontName(fontId) {
+  const font = FONT_CATALOG[fontId];
+  return font && fontId !== 'system-ui' ? font.name : null;
+}
+
+/**
+ * Export theme as a SwiftUI source file
+ * @param {Object} theme - Theme state
+ * @returns {string} Swift source
+ */
+export function exportAsSwift(theme) {
+  const { colors, ...tokens } = theme;
+  const lightColors = colors?.light || {};
+  const darkColors = colors?.dark || {};
+  const sizes = getTypeScaleSizes(tokens.typeScale);
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+  const headingFont = getSwiftFontName(tokens.fontHeading || 'system-ui');
+  const bodyFont = getSwiftFontName(tokens.fontBody || 'system-ui');
+
+  const colorLines = Object.keys(lightColors).map((key) => {
+    const meta = getTokenMetadata(key);
+    const doc = meta.usage ? `    /// ${meta.usage}\n` : '';
+    return `${doc}    let ${key} = Color(light: ${toSwiftColor(lightColors[key])},\n` +
+      `${' '.repeat(key.length + 17)}dark: ${toSwiftColor(darkColors[key] || lightColors[key])})`;
+  });
+
+  const paletteLines = getColorScaleEntries(getColorScales(theme)).map(([name, step, value]) =>
+    `    let ${name}${step} = ${toSwiftColor(value)}`
+  );
+
+  const sizeLines = Object.entries(sizes).map(([step, size]) =>
+    `    static let ${getSizeIdentifier(step)}: CGFloat = ${size}`
+  );
+
+  return `// Generated by Design Manager
+// Usage: Color.theme.primary, Color.palette.primary500, ThemeTypography.lg
+
+import SwiftUI
+
+extension Color {
+    static let theme = ThemeColors()
+    static let palette = ThemePalette()
+}
+
+struct ThemeColors {
+${colorLines.join('\n\n')}
+}
+
+/// Tonal scales (50 lightest, 950 darkest), the same in light and dark mode
+struct ThemePalette {
+${paletteLines.join('\n')}
+}
+
+enum ThemeTypography {
+    // Font sizes (pt) from the "${tokens.typeScale || 'default'}" type scale
+${sizeLines.join('\n')}
+
+    static let headingWeight: Font.Weight = .${SWIFT_FONT_WEIGHTS[tokens.fontWeightHeading || 600] || 'semibold'}
+    static let bodyWeight: Font.Weight = .${SWIFT_FONT_WEIGHTS[tokens.fontWeightBody || 400] || 'regular'}
+    static let headingLineHeight: CGFloat = ${lineHeights.heading}
+    static let bodyLineHeight: CGFloat = ${lineHeights.body}
+
+    static func heading(_ size: CGFloat) -> Font {
+        ${headingFont ? `.custom("${headingFont}", size: size).weight(headingWeight)` : '.system(size: size, weight: headingWeight)'}
+    }
+
+    static func body(_ size: CGFloat = base) -> Font {
+        ${bodyFont ? `.custom("${bodyFont}", size: size).weight(bodyWeight)` : '.system(size: size, weight: bodyWeight)'}
+    }
+}
+
+enum ThemeRadius {
+    static let base: CGFloat = ${Math.round((tokens.radius ?? 0.625) * 16 * 100) / 100}
+}
+
+private extension Color {
+    /// A color that follows the system light/dark appearance
+    init(light: Color, dark: Color) {
+        #if canImport(UIKit)
+        self.init(UIColor { traits in
+            traits.userInterfaceStyle == .dark ? UIColor(dark) : UIColor(light)
+        })
+        #else
+        self.init(NSColor(name: nil) { appearance in
+            appearance.bestMatch(from: [.darkAqua, .aqua]) == .darkAqua ? NSColor(dark) : NSColor(light)
+        })
+        #endif
+    }
+}
+`;
+}
+
+/**
+ * Build an asset catalog color entry
+ * @param {string} color - Color in any format
+ * @param {string} [appearance] - 'dark' for the dark appearance
+ * @returns {Object} Entry for Contents.json
+ */
+function buildColorEntry(color, appearance) {
+  const { r, g, b, alpha } = toRgbChannels(color) || { r: 0, g: 0, b: 0, alpha: 1 };
+  const entry = {
+    color: {
+      'color-space': 'srgb',
+      components: {
+        red: formatComponent(r),
+        green: formatComponent(g),
+        blue: formatComponent(b),
+        alpha: formatComponent(alpha),
+      },
+    },
+    idiom: 'universal',
+  };
+
+  if (appearance) {
+    entry.appearances = [{ appearance: 'luminosity', value: appearance }];
+  }
+  return entry;
+}
+
+/**
+ * Build an Xcode asset catalog with one color set per token
+ * (light and dark appearances) and one per tonal scale step.
+ * Use as `Color("Primary")` or `Color("Primary500")`.
+ * @param {Object} theme - Theme state
+ * @param {Object} [options]
+ * @param {string} [options.catalogName='Theme'] - Name of the .xcassets folder
+ * @returns {Object.<string, string>} File contents keyed by path
+ */
+export function getAssetCatalogFiles(theme, { catalogName = 'Theme' } = {}) {
+  const lightColors = theme.colors?.light || {};
+  const darkColors = theme.colors?.dark || {};
+  const info = { author: 'xcode', version: 1 };
+  const root = `${catalogName}.xcassets`;
+
+  const files = {
+    [`${root}/Contents.json`]: JSON.stringify({ info }, null, 2),
+  };
+
+  Object.keys(lightColors).forEach((key) => {
+    const name = key.charAt(0).toUpperCase() + key.slice(1);
+    files[`${root}/${name}.colorset/Contents.json`] = JSON.stringify({
+      colors: [
+        buildColorEntry(lightColors[key]),
+        buildColorEntry(darkColors[key] || lightColors[key], 'dark'),
+      ],
+      info,
+    }, null, 2);
+  });
+
+  getColorScaleEntries(getColorScales(theme)).forEach(([scale, step, value]) => {
+    const name = `${scale.charAt(0).toUpperCase()}${scale.slice(1)}${step}`;
+    files[`${root}/${name}.colorset/Contents.json`] = JSON.stringify({
+      colors: [buildColorEntry(value)],
+      info,
+    }, null, 2);
+  });
+
+  return files;
+}
+
+export default exportAsSwift;
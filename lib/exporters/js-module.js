@@ -0,0 +1,58 @@
+/**
+ * JS Module Helpers
+ *
+ * Shared formatting for exporters that write JavaScript theme modules
+ * (MUI, Chakra, Mantine, styled-components).
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Format a value as a JavaScript literal, with single-quoted strings and
+ * unquoted keys where possible
+ * @param {*} value - Plain object, array, string, number or boolean
+ * @param {number} [depth=0] - Indentation level of the value
+ * @returns {string} JavaScript source
+ */
+export function formatJSValue(value, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const inner = '  '.repeat(depth + 1);
+
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map((item) => formatJSValue(item, depth + 1));
+    const oneLine = `[${items.join(', ')}]`;
+    if (oneLine.length + indent.length <= 100 && !oneLine.includes('\n')) return oneLine;
+    return `[\n${items.map((item) => `${inner}${item},`).join('\n')}\n${indent}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return '{}';
+    const props = entries.map(([key, v]) => {
+      const name = IDENTIFIER.test(key) || /^\d+$/.test(key) ? key : formatJSValue(key);
+      return `${name}: ${formatJSValue(v, depth + 1)}`;
+    });
+
+    // Keep small flat objects, e.g. { value: '1rem' }, on one line
+    const flat = entries.every(([, v]) => v === null || typeof v !== 'object');
+    const oneLine = `{ ${props.join(', ')} }`;
+    if (flat && oneLine.length + indent.length <= 80) return oneLine;
+
+    return `{\n${props.map((prop) => `${inner}${prop},`).join('\n')}\n${indent}}`;
+  }
+
+  return String(value);
+}
+
+/**
+ * Convert a pixel size to a rem string
+ * @param {number} px - Size in pixels
+ * @returns {string} Size in rem, e.g. '1.2rem'
+ */
+export function pxToRem(px) {
+  return `${Math.round((px / 16) * 10000) / 10000}rem`;
+}
@@ -1,21 +1,31 @@
 /**
  * JSON Exporter
  *
- * Exports theme as structured JSON with metadata.
+ * Exports theme as structured JSON with metadata. Exports carry the theme
+ * schemaVersion so older files can be migrated on import.
  */
 
+import { THEME_SCHEMA_VERSION } from '../constants';
+import { THEME_FIELDS, readThemePayload, reportThemeIssues } from '../theme-schema';
+import { DEFAULT_CONTRAST_MODEL } from '../contrast-checker';
+import { getColorScales } from '../tonal-scales';
+
 /**
  * Export theme as JSON
  * @param {Object} theme - Theme state
  * @returns {string} JSON string
  */
 export function exportAsJSON(theme) {
-  const { colors, history, historyIndex, activeTab, panelOpen, ...tokens } = theme;
+  const { colors, history, historyIndex, activeTab, panelOpen, schemaVersion, ...tokens } = theme;
+
+  // Fields this version doesn't know (e.g. from a newer release) are passed through
+  const unknownFields = Object.fromEntries(Object.entries(tokens).filter(([key]) => !THEME_FIELDS[key]));
 
   const exportData = {
     $schema: 'https://design-manager.dev/schema/v1.json',
     name: 'Design Manager Theme',
     version: '1.0.0',
+    schemaVersion: THEME_SCHEMA_VERSION,
     exportedAt: new Date().toISOString(),
 
     colors: {
@@ -23,6 +33,9 @@ export function exportAsJSON(theme) {
       dark: colors?.dark || {},
     },
 
+    // Tonal scales (primitives, the same in both modes)
+    colorScales: getColorScales(theme),
+
     typography: {
       fontHeading: tokens.fontHeading || 'system-ui',
       fontBody: tokens.fontBody || 'system-ui',
@@ -41,11 +54,13 @@ export function exportAsJSON(theme) {
     tokens: {
       radius: tokens.radius,
       textureOpacity: tokens.textureOpacityFaint,
+      ...unknownFields,
     },
 
     preferences: {
       darkMode: tokens.darkMode || false,
       activePresetId: tokens.activePresetId || 'default',
+      contrastModel: tokens.contrastModel || DEFAULT_CONTRAST_MODEL,
     },
   };
 
@@ -53,40 +68,71 @@ export function exportAsJSON(theme) {
 }
 
 /**
- * Import theme from JSON string
+ * Flatten the sectioned export format back into theme tokens.
+ * Every field in a section is carried over so the validator can report
+ * anything it does not recognize.
+ * @param {Object} data - Parsed export
+ * @returns {Object} Flat theme payload (keeps schemaVersion)
+ */
+function flattenExport(data) {
+  const { textureOpacity, ...tokens } = data.tokens || {};
+
+  return {
+    schemaVersion: data.schemaVersion,
+    colors: data.colors,
+    colorScales: data.colorScales,
+    ...data.typography,
+    ...data.surfaces,
+    ...tokens,
+    ...(textureOpacity !== undefined && { textureOpacityFaint: textureOpacity }),
+    ...data.preferences,
+  };
+}
+
+/**
+ * Parse a theme from a JSON string.
+ * Accepts the export format above (any schema version) as well as a flat
+ * persisted theme. Malformed fields are left out of the theme; unknown
+ * fields are kept. Both are listed in the report.
+ *
  * @param {string} jsonString - JSON string
- * @returns {Object|null} Parsed theme or null if invalid
+ * @returns {{theme: Object, errors: Array.<{path: string, message: string, value: *}>, unknown: string[]}}
+ *   Parsed theme and a report of invalid and unknown fields
+ *
+ * @example
+ * parseThemeJSON('{"schemaVersion": 2, "radius": "big", "shadow": 2}');
+ * // { theme: { shadow: 2 }, errors: [{ path: 'radius', message: 'expected a number', value: 'big' }], unknown: ['shadow'] }
  */
-export function importFromJSON(jsonString) {
+export function parseThemeJSON(jsonString) {
+  let data;
   try {
-    const data = JSON.parse(jsonString);
-
-    // Validate basic structure
-    if (!data.colors || !data.typography) {
-      console.warn('Invalid theme JSON: missing required fields');
-      return null;
-    }
-
-    return {
-      colors: data.colors,
-      fontHeading: data.typography.fontHeading,
-      fontBody: data.typography.fontBody,
-      fontWeightHeading: data.typography.fontWeightHeading,
-      fontWeightBody: data.typography.fontWeightBody,
-      typeScale: data.typography.typeScale,
-      lineHeightPreset: data.typography.lineHeightPreset,
-      paperWhite: data.surfaces?.paperWhite,
-      paperCream: data.surfaces?.paperCream,
-      paperKraft: data.surfaces?.paperKraft,
-      radius: data.tokens?.radius,
-      textureOpacityFaint: data.tokens?.textureOpacity,
-      darkMode: data.preferences?.darkMode,
-      activePresetId: data.preferences?.activePresetId,
-    };
+    data = JSON.parse(jsonString);
   } catch (e) {
-    console.error('Failed to parse theme JSON:', e);
+    return { theme: {}, errors: [{ path: '', message: `invalid JSON: ${e.message}`, value: null }], unknown: [] };
+  }
+
+  const isExport = data && typeof data === 'object' && (data.typography || data.surfaces || data.preferences);
+  const { theme, errors, unknown } = readThemePayload(isExport ? flattenExport(data) : data);
+  return { theme: theme || {}, errors, unknown };
+}
+
+/**
+ * Import theme from JSON string (see parseThemeJSON).
+ * Invalid and unknown fields are reported with console warnings.
+ *
+ * @param {string} jsonString - JSON string
+ * @returns {Object|null} Parsed theme or null if invalid
+ */
+export function importFromJSON(jsonString) {
+  const result = parseThemeJSON(jsonString);
+  reportThemeIssues(result, 'JSON import');
+
+  if (Object.keys(result.theme).length === 0) {
+    console.warn('Invalid theme JSON: no theme fields found');
     return null;
   }
+
+  return result.theme;
 }
 
 export default exportAsJSON;
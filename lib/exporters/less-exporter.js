@@ -0,0 +1,127 @@
+/**
+ * Less Exporter
+ *
+ * Exports theme as Less variables, `@theme-light` / `@theme-dark` maps and
+ * a mixin that emits the maps as CSS custom properties. Variable names
+ * match the CSS export (see getCSSVarName). Maps need Less 3.5+.
+ */
+
+import { getCSSVarName } from '../constants';
+import { generateGoogleFontsImport, getTypographyVariables } from '../theme-utils';
+import { toHexString } from '../color-utils';
+import { getColorScales, getColorScaleEntries } from '../tonal-scales';
+import { resolveCSSOutputOptions, buildThemeRules, formatCSS } from './css-output';
+
+/**
+ * Format a Less map (detached ruleset)
+ * @param {string} name - Map variable name, without @
+ * @param {Array.<[string, string]>} entries - [key, Less value] pairs
+ * @returns {string} Less map declaration
+ */
+function formatMap(name, entries) {
+  const body = entries.map(([key, value]) => `  ${key}: ${value};`).join('\n');
+  return `@${name}: {\n${body}\n};\n`;
+}
+
+/**
+ * Export theme as Less
+ * @param {Object} theme - Theme state
+ * @param {Object} [options] - Output options shared with exportAsCSS: prefix, selector,
+ *   darkSelector, darkMode, fallbacks and layer (minify is left to the Less compiler)
+ * @returns {string} Less string
+ */
+export function exportAsLess(theme, options = {}) {
+  const { colors, darkMode, ...tokens } = theme;
+  const output = resolveCSSOutputOptions(options);
+  const lightColors = colors?.light || {};
+  const darkColors = colors?.dark || {};
+
+  // [name, value] pairs; names are custom property names without --
+  const surfaces = ['paperWhite', 'paperCream', 'paperKraft']
+    .filter((key) => tokens[key])
+    .map((key) => [key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`), tokens[key]]);
+
+  const scales = getColorScaleEntries(getColorScales(theme)).map(([scale, step, value]) => [`${scale}-${step}`, value]);
+
+  const designTokens = [];
+  if (tokens.radius !== undefined) designTokens.push(['radius', `${tokens.radius}rem`]);
+  if (tokens.textureOpacityFaint !== undefined) {
+    designTokens.push(['texture-opacity-faint', tokens.textureOpacityFaint]);
+  }
+
+  // --text-* and --leading-* are aliases of --font-size-* and --line-height-*
+  const typography = Object.entries(getTypographyVariables(tokens))
+    .filter(([name]) => !name.startsWith('--text-') && !name.startsWith('--leading-'))
+    .map(([name, value]) => [name.slice(2), value]);
+
+  const lightEntries = Object.entries(lightColors).map(([key, value]) => [getCSSVarName(key), value]);
+  const darkEntries = Object.entries(darkColors).map(([key, value]) => [getCSSVarName(key), value]);
+
+  const formatVariables = (entries, suffix = '') =>
+    entries.map(([name, value]) => `@${name}${suffix}: ${value};\n`).join('');
+
+  let less = '';
+
+  // Google Fonts import
+  const googleImport = generateGoogleFontsImport(tokens);
+  if (googleImport) {
+    less += `// Google Fonts\n${googleImport}\n\n`;
+  }
+
+  less += '// Colors - Light Mode\n';
+  less += formatVariables(lightEntries);
+  less += '\n// Colors - Dark Mode\n';
+  less += formatVariables(darkEntries, '-dark');
+  less += '\n// Tonal Scales\n';
+  less += formatVariables(scales);
+  less += '\n// Surfaces\n';
+  less += formatVariables(surfaces);
+  less += '\n// Design Tokens\n';
+  less += formatVariables(designTokens);
+  less += '\n// Typography\n';
+  less += formatVariables(typography);
+
+  // Light map carries every token; dark only overrides colors
+  const ref = (name) => `@${name}`;
+  const lightMap = [...lightEntries, ...scales, ...surfaces, ...designTokens, ...typography].map(([name]) => [name, ref(name)]);
+  const darkMap = darkEntries.map(([name]) => [name, ref(`${name}-dark`)]);
+  less += '\n// Theme maps\n';
+  less += formatMap('theme-light', lightMap);
+  less += '\n';
+  less += formatMap('theme-dark', darkMap);
+
+  // sRGB copies of the maps for browsers without OKLCH support
+  if (output.fallbacks) {
+    const values = Object.fromEntries([...lightEntries, ...scales, ...surfaces]);
+    const darkValues = Object.fromEntries(darkEntries);
+    const fallback = (entries, source) => entries.map(([name, value]) => (
+      String(source[name]).startsWith('oklch') ? [name, toHexString(source[name])] : [name, value]
+    ));
+    less += '\n';
+    less += formatMap('theme-light-fallback', fallback(lightMap, values));
+    less += '\n';
+    less += formatMap('theme-dark-fallback', fallback(darkMap, darkValues));
+  }
+
+  const include = (map) => [{ raw: `.theme-custom-properties(@${map});` }];
+  const rules = buildThemeRules({
+    light: include(output.fallbacks ? 'theme-light-fallback' : 'theme-light'),
+    dark: include(output.fallbacks ? 'theme-dark-fallback' : 'theme-dark'),
+    supportsLight: include('theme-light'),
+    supportsDark: include('theme-dark'),
+  }, output);
+
+  less += `
+// Emit a theme map as CSS custom properties
+.theme-custom-properties(@theme) {
+  each(@theme, {
+    --${output.prefix ? `${output.prefix}-` : ''}@{key}: @value;
+  });
+}
+
+${formatCSS(rules, { commentStyle: 'line' })}`;
+
+  return less;
+}
+
+export default exportAsLess;
@@ -0,0 +1,180 @@
+/**
+ * Mantine Exporter
+ *
+ * Exports theme as a Mantine v7 `createTheme()` module. Mantine needs
+ * ten-shade tuples per color, so primary, accent, destructive and neutral
+ * use steps 50-900 of their tonal scales, and secondary gets a scale
+ * generated around its color. The semantic tokens for both modes are
+ * written by a `cssVariablesResolver`.
+ */
+
+import { toHexString, mixColors, adjustLightness } from '../color-utils';
+import { getCSSVarName } from '../constants';
+import { getFontFamily } from '../theme-utils';
+import { LINE_HEIGHTS, getTypeScaleSizes } from '../typography-config';
+import { getColorScales, generateTonalScale, getClosestStep, TONAL_SCALE_STEPS } from '../tonal-scales';
+import { formatJSValue, pxToRem } from './js-module';
+
+/**
+ * Scale steps used for shades 0 (lightest) to 9 (darkest)
+ * @constant {number[]}
+ */
+const SHADE_STEPS = TONAL_SCALE_STEPS.slice(0, 10);
+
+/**
+ * Headings mapped to type scale steps
+ * @constant {Object.<string, string>}
+ */
+const HEADING_STEPS = {
+  h1: '4xl',
+  h2: '3xl',
+  h3: '2xl',
+  h4: 'xl',
+  h5: 'lg',
+  h6: 'base',
+};
+
+/**
+ * Shade closest in lightness to a color
+ * @param {string} color - Color in any format
+ * @returns {number} Shade index (0-9)
+ */
+function getClosestShade(color) {
+  return SHADE_STEPS.indexOf(Math.min(getClosestStep(color) ?? 500, SHADE_STEPS[SHADE_STEPS.length - 1]));
+}
+
+/**
+ * Build a Mantine color tuple from a tonal scale. Steps missing from the
+ * scale come from a scale generated around the color.
+ * @param {string} color - Color in any format
+ * @param {Object.<number, string>} [scale] - Tonal scale of the color
+ * @returns {string[]} Ten hex colors
+ */
+function buildShades(color, scale) {
+  const shades = { ...generateTonalScale(color), ...scale };
+  return SHADE_STEPS.map((step) => toHexString(shades[step]));
+}
+
+/**
+ * Build Mantine's `dark` tuple (text, borders and surfaces used in dark
+ * mode) from the dark color tokens
+ * @param {Object} colors - Dark color tokens
+ * @returns {string[]} Ten hex colors
+ */
+function buildDarkShades(colors) {
+  return [
+    colors.foreground,
+    mixColors(colors.foreground, colors.mutedForeground, 0.5),
+    colors.mutedForeground,
+    mixColors(colors.mutedForeground, colors.border, 0.5),
+    colors.border,
+    mixColors(colors.border, colors.card, 0.5),
+    colors.card,
+    colors.background,
+    adjustLightness(colors.background, -0.03),
+    adjustLightness(colors.background, -0.06),
+  ].map(toHexString);
+}
+
+/**
+ * Custom properties for one mode: Mantine's own variables plus every
+ * theme color token under its Design Manager name
+ * @param {Object} colors - Color tokens for the mode
+ * @returns {Object.<string, string>} Custom properties
+ */
+function buildModeVariables(colors) {
+  const vars = {
+    '--mantine-color-body': colors.background,
+    '--mantine-color-text': colors.foreground,
+    '--mantine-color-dimmed': colors.mutedForeground,
+    '--mantine-color-default-border': colors.border,
+    '--mantine-color-error': colors.destructive,
+    '--mantine-color-placeholder': colors.mutedForeground,
+  };
+  Object.entries(colors).forEach(([key, value]) => {
+    vars[`--${getCSSVarName(key)}`] = value;
+  });
+  return vars;
+}
+
+/**
+ * Export theme as a Mantine theme module
+ * @param {Object} theme - Theme state
+ * @returns {string} JavaScript source
+ */
+export function exportAsMantine(theme) {
+  const { colors, ...tokens } = theme;
+  const lightColors = colors?.light || {};
+  const darkColors = { ...lightColors, ...colors?.dark };
+  const sizes = getTypeScaleSizes(tokens.typeScale);
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+  const radius = (tokens.radius ?? 0.625) * 16;
+  const scales = getColorScales(theme);
+
+  const options = {
+    colors: {
+      primary: buildShades(lightColors.primary, scales.primary),
+      secondary: buildShades(lightColors.secondary),
+      accent: buildShades(lightColors.accent, scales.accent),
+      destructive: buildShades(lightColors.destructive, scales.destructive),
+      neutral: buildShades(lightColors.mutedForeground, scales.neutral),
+      dark: buildDarkShades(darkColors),
+    },
+    primaryColor: 'primary',
+    primaryShade: {
+      light: getClosestShade(lightColors.primary),
+      dark: getClosestShade(darkColors.primary),
+    },
+    fontFamily: getFontFamily(tokens.fontBody),
+    fontSizes: {
+      xs: pxToRem(sizes.xs),
+      sm: pxToRem(sizes.sm),
+      md: pxToRem(sizes.base),
+      lg: pxToRem(sizes.lg),
+      xl: pxToRem(sizes.xl),
+    },
+    lineHeights: {
+      md: String(lineHeights.body),
+    },
+    headings: {
+      fontFamily: getFontFamily(tokens.fontHeading),
+      fontWeight: String(tokens.fontWeightHeading || 600),
+      sizes: Object.fromEntries(
+        Object.entries(HEADING_STEPS).map(([heading, step]) => [
+          heading,
+          { fontSize: pxToRem(sizes[step]), lineHeight: String(lineHeights.heading) },
+        ])
+      ),
+    },
+    radius: {
+      sm: pxToRem(Math.max(radius - 4, 0)),
+      md: pxToRem(Math.max(radius - 2, 0)),
+      lg: pxToRem(radius),
+    },
+    defaultRadius: 'lg',
+  };
+
+  const variables = {
+    variables: {
+      '--radius': `${tokens.radius ?? 0.625}rem`,
+    },
+    light: buildModeVariables(lightColors),
+    dark: buildModeVariables(darkColors),
+  };
+
+  return `// Generated by Design Manager
+// Usage:
+//   <MantineProvider theme={theme} cssVariablesResolver={cssVariablesResolver}>
+//     ...
+//   </MantineProvider>
+import { createTheme } from '@mantine/core';
+
+export const theme = createTheme(${formatJSValue(options)});
+
+export const cssVariablesResolver = () => (${formatJSValue(variables)});
+
+export default theme;
+`;
+}
+
+export default exportAsMantine;
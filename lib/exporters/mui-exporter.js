@@ -0,0 +1,123 @@
+/**
+ * MUI Exporter
+ *
+ * Exports theme as a Material UI `createTheme()` module. Light and dark
+ * palettes go in `colorSchemes` (MUI v6+), switched by the `.dark` class
+ * like the rest of Design Manager.
+ */
+
+import { toHexString, getContrastingTextColor } from '../color-utils';
+import { getFontFamily } from '../theme-utils';
+import { LINE_HEIGHTS, getTypeScaleSizes } from '../typography-config';
+import { getColorScales } from '../tonal-scales';
+import { formatJSValue, pxToRem } from './js-module';
+
+/**
+ * Heading variants mapped to type scale steps
+ * @constant {Object.<string, string>}
+ */
+const HEADING_STEPS = {
+  h1: '4xl',
+  h2: '3xl',
+  h3: '2xl',
+  h4: 'xl',
+  h5: 'lg',
+  h6: 'base',
+};
+
+/**
+ * Build an MUI palette for one mode. Tonal scales become the numbered
+ * shades of their palette color (`palette.primary[500]`), the neutral
+ * scale replaces `grey`.
+ * @param {Object} colors - Color tokens for the mode
+ * @param {Object.<string, Object>} scales - Tonal scales keyed by id
+ * @returns {Object} Palette options
+ */
+function buildPalette(colors, scales) {
+  const hex = (token) => toHexString(colors[token]);
+  const shades = (scale) => Object.fromEntries(
+    Object.entries(scales[scale] || {}).map(([step, value]) => [step, toHexString(value)])
+  );
+  const intent = (main, contrast) => ({
+    main: hex(main),
+    contrastText: contrast ? hex(contrast) : toHexString(getContrastingTextColor(colors[main])),
+    ...shades(main),
+  });
+
+  return {
+    primary: intent('primary', 'primaryForeground'),
+    secondary: intent('secondary', 'secondaryForeground'),
+    error: intent('destructive'),
+    // Custom palette color; declare it with module augmentation in TypeScript
+    accent: intent('accent', 'accentForeground'),
+    background: {
+      default: hex('background'),
+      paper: hex('card'),
+    },
+    text: {
+      primary: hex('foreground'),
+      secondary: hex('mutedForeground'),
+    },
+    divider: hex('border'),
+    ...(scales.neutral && { grey: shades('neutral') }),
+  };
+}
+
+/**
+ * Export theme as an MUI theme module
+ * @param {Object} theme - Theme state
+ * @returns {string} JavaScript source
+ */
+export function exportAsMUI(theme) {
+  const { colors, ...tokens } = theme;
+  const lightColors = colors?.light || {};
+  const darkColors = { ...lightColors, ...colors?.dark };
+  const sizes = getTypeScaleSizes(tokens.typeScale);
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+  const scales = getColorScales(theme);
+
+  const heading = {
+    fontFamily: getFontFamily(tokens.fontHeading),
+    fontWeight: tokens.fontWeightHeading || 600,
+    lineHeight: lineHeights.heading,
+  };
+
+  const typography = {
+    fontFamily: getFontFamily(tokens.fontBody),
+    fontSize: sizes.base,
+    fontWeightRegular: tokens.fontWeightBody || 400,
+    ...Object.fromEntries(
+      Object.entries(HEADING_STEPS).map(([variant, step]) => [
+        variant,
+        { ...heading, fontSize: pxToRem(sizes[step]) },
+      ])
+    ),
+    body1: { fontSize: pxToRem(sizes.base), lineHeight: lineHeights.body },
+    body2: { fontSize: pxToRem(sizes.sm), lineHeight: lineHeights.body },
+    caption: { fontSize: pxToRem(sizes.xs), lineHeight: lineHeights.body },
+  };
+
+  const options = {
+    cssVariables: { colorSchemeSelector: 'class' },
+    colorSchemes: {
+      light: { palette: buildPalette(lightColors, scales) },
+      dark: { palette: buildPalette(darkColors, scales) },
+    },
+    shape: {
+      borderRadius: Math.round((tokens.radius ?? 0.625) * 16 * 100) / 100,
+    },
+    typography,
+  };
+
+  return `// Generated by Design Manager
+// Usage: <ThemeProvider theme={theme}>...</ThemeProvider> (MUI v6+)
+// Dark mode follows the .dark class on <html>.
+import { createTheme } from '@mui/material/styles';
+
+export const theme = createTheme(${formatJSValue(options)});
+
+export default theme;
+`;
+}
+
+export default exportAsMUI;
@@ -0,0 +1,382 @@
+/**
+ * Exporter Registry
+ *
+ * Every export format, built-in or not, is an exporter definition:
+ *
+ *   {
+ *     id: 'acme-tokens',
+ *     name: 'Acme Tokens',
+ *     extension: '.acme.json',          // or (options) => string
+ *     fileName: 'theme',                // optional, or (options) => string
+ *     version: '2.0.0',                 // optional output format version, listed in bundle manifests
+ *     export(theme, colors, options) {  // returns the file contents
+ *       return JSON.stringify({ ...theme, colors });
+ *     },
+ *     optionsSchema: {                  // optional, rendered as controls in the Export tab
+ *       indent: { type: 'number', label: 'Indent', default: 2 },
+ *     },
+ *   }
+ *
+ * registerExporter() adds one; the Export tab and exportTheme() pick it up
+ * immediately.
+ *
+ * Option types: 'select' (with `choices: [{ value, label, description?, hint? }]`),
+ * 'boolean', 'text' and 'number'.
+ */
+
+import { exportAsCSS } from './css-exporter';
+import { exportAsSCSS } from './scss-exporter';
+import { exportAsLess } from './less-exporter';
+import { exportAsJSON } from './json-exporter';
+import { exportAsTailwind, exportAsTailwindV4 } from './tailwind-exporter';
+import { exportAsTokens } from './tokens-exporter';
+import { exportAsMUI } from './mui-exporter';
+import { exportAsChakra } from './chakra-exporter';
+import { exportAsMantine } from './mantine-exporter';
+import { exportAsStyledComponents } from './styled-components-exporter';
+import { exportAsSwift } from './ios-exporter';
+import { exportAsAndroid } from './android-exporter';
+import { exportAsFlutter } from './flutter-exporter';
+import { exportAsAIRules } from './rules-exporter';
+import { exportAsStyleGuide } from './styleguide-exporter';
+
+/**
+ * Option control types the Export tab can render
+ * @constant {string[]}
+ */
+const OPTION_TYPES = ['select', 'boolean', 'text', 'number'];
+
+/**
+ * Wrap an exporter taking the full theme in the registry signature
+ * @param {function(Object, Object=): string} exportFn - Exporter taking (theme, options)
+ * @returns {function(Object, Object, Object): string} Registry export function
+ */
+const withColors = (exportFn) => (theme, colors, options) => exportFn({ ...theme, colors }, options);
+
+/**
+ * Output options of the CSS exporter (see css-output.js)
+ * @constant {Object}
+ */
+const CSS_OPTIONS_SCHEMA = {
+  prefix: { type: 'text', label: 'Variable prefix', default: '', placeholder: 'acme' },
+  selector: { type: 'text', label: 'Light selector', default: ':root' },
+  darkSelector: { type: 'text', label: 'Dark selector', default: '.dark' },
+  darkMode: {
+    type: 'select',
+    label: 'Dark mode',
+    default: 'selector',
+    choices: [
+      { value: 'selector', label: 'Selector', description: 'Dark colors apply under the dark selector' },
+      { value: 'media', label: 'System', description: '@media (prefers-color-scheme: dark)' },
+      { value: 'both', label: 'Both', description: 'Dark selector and prefers-color-scheme' },
+    ],
+  },
+  fallbacks: {
+    type: 'boolean',
+    label: 'sRGB fallbacks',
+    default: false,
+    description: 'Hex values first, OKLCH inside @supports (color: oklch(0 0 0))',
+  },
+  wideGamut: {
+    type: 'select',
+    label: 'Wide gamut',
+    default: 'none',
+    choices: [
+      { value: 'none', label: 'Off', description: 'Colors as written; browsers map them to the display' },
+      {
+        value: 'oklch',
+        label: 'P3 (OKLCH)',
+        description: 'sRGB-mapped colors, OKLCH P3 colors inside @media (color-gamut: p3)',
+      },
+      {
+        value: 'display-p3',
+        label: 'P3 (color())',
+        description: 'sRGB-mapped colors, color(display-p3 ...) inside @media (color-gamut: p3)',
+      },
+    ],
+  },
+  layer: { type: 'text', label: 'Cascade layer', default: '', placeholder: 'theme' },
+  minify: { type: 'boolean', label: 'Minify', default: false },
+};
+
+// Sass and Less output is compiled (and minified) downstream; wide-gamut overrides are CSS only
+const { minify: _minify, wideGamut: _wideGamut, ...PREPROCESSOR_OPTIONS_SCHEMA } = CSS_OPTIONS_SCHEMA;
+
+/**
+ * AI rules file names per rules format
+ * @constant {Object.<string, string>}
+ */
+const RULES_FILE_NAMES = {
+  markdown: 'design-system-rules',
+  cursor: 'design-system',
+  claude: 'claude-instructions',
+};
+
+/**
+ * Built-in export formats, in Export tab order
+ * @constant {Object[]}
+ */
+const BUILT_IN_EXPORTERS = [
+  {
+    id: 'css',
+    name: 'CSS',
+    extension: '.css',
+    export: withColors(exportAsCSS),
+    optionsSchema: CSS_OPTIONS_SCHEMA,
+  },
+  {
+    id: 'scss',
+    name: 'SCSS',
+    extension: '.scss',
+    export: withColors(exportAsSCSS),
+    optionsSchema: PREPROCESSOR_OPTIONS_SCHEMA,
+  },
+  {
+    id: 'less',
+    name: 'Less',
+    extension: '.less',
+    export: withColors(exportAsLess),
+    optionsSchema: PREPROCESSOR_OPTIONS_SCHEMA,
+  },
+  { id: 'json', name: 'JSON', extension: '.json', export: withColors(exportAsJSON) },
+  { id: 'tailwind', name: 'Tailwind v3', extension: '.js', export: withColors(exportAsTailwind) },
+  { id: 'tailwind-v4', name: 'Tailwind v4', extension: '.css', export: withColors(exportAsTailwindV4) },
+  { id: 'tokens', name: 'Design Tokens', extension: '.tokens.json', export: withColors(exportAsTokens) },
+  { id: 'mui', name: 'MUI', extension: '.js', export: withColors(exportAsMUI) },
+  { id: 'chakra', name: 'Chakra UI', extension: '.js', export: withColors(exportAsChakra) },
+  { id: 'mantine', name: 'Mantine', extension: '.js', export: withColors(exportAsMantine) },
+  {
+    id: 'styled-components',
+    name: 'styled-components',
+    extension: '.js',
+    export: withColors(exportAsStyledComponents),
+  },
+  { id: 'swift', name: 'iOS (SwiftUI)', extension: '.swift', export: withColors(exportAsSwift) },
+  { id: 'android', name: 'Android', extension: '.xml', export: withColors(exportAsAndroid) },
+  { id: 'flutter', name: 'Flutter', extension: '.dart', export: withColors(exportAsFlutter) },
+  {
+    id: 'rules',
+    name: 'AI Rules',
+    extension: (options) => (options.format === 'cursor' ? '.mdc' : '.md'),
+    fileName: (options) => RULES_FILE_NAMES[options.format] || RULES_FILE_NAMES.markdown,
+    export: exportAsAIRules,
+    optionsSchema: {
+      format: {
+        type: 'select',
+        label: 'Format',
+        default: 'markdown',
+        choices: [
+          {
+            value: 'markdown',
+            label: 'Markdown',
+            description: 'For Claude/ChatGPT chat',
+            hint: 'Paste into any AI chat for design context',
+          },
+          {
+            value: 'cursor',
+            label: 'Cursor Rules',
+            description: '.mdc format for .cursor/rules/',
+            hint: 'Place in .cursor/rules/ for automatic context',
+          },
+          {
+            value: 'claude',
+            label: 'Claude Instructions',
+            description: 'XML-structured format',
+            hint: 'Add to Claude project instructions',
+          },
+        ],
+      },
+      scope: {
+        type: 'select',
+        label: 'Scope',
+        default: 'full',
+        choices: [
+          { value: 'full', label: 'Full System', description: 'Colors, typography, spacing, patterns' },
+          { value: 'colors', label: 'Colors Only', description: 'Color tokens and accessibility' },
+          { value: 'typography', label: 'Typography Only', description: 'Fonts, sizes, line heights' },
+        ],
+      },
+    },
+  },
+  {
+    id: 'styleguide',
+    name: 'Style Guide',
+    extension: '.html',
+    fileName: 'style-guide',
+    export: withColors(exportAsStyleGuide),
+    optionsSchema: {
+      title: { type: 'text', label: 'Title', default: '', placeholder: 'Design System' },
+    },
+  },
+];
+
+// Registered exporters, keyed by id (Map keeps registration order)
+const exporters = new Map(BUILT_IN_EXPORTERS.map((exporter) => [exporter.id, Object.freeze(exporter)]));
+const listeners = new Set();
+let snapshot = [...exporters.values()];
+
+/**
+ * Refresh the cached list and notify subscribers
+ */
+function emitChange() {
+  snapshot = [...exporters.values()];
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Check an exporter definition, throwing on anything the Export tab can't use
+ * @param {Object} definition - Exporter definition
+ */
+function validateExporter(definition) {
+  const { id, name, extension, optionsSchema } = definition || {};
+
+  if (!id || typeof id !== 'string') {
+    throw new Error('registerExporter: `id` must be a non-empty string');
+  }
+  if (!name || typeof name !== 'string') {
+    throw new Error(`registerExporter(${id}): \`name\` must be a non-empty string`);
+  }
+  if (typeof extension !== 'string' && typeof extension !== 'function') {
+    throw new Error(`registerExporter(${id}): \`extension\` must be a string or function`);
+  }
+  if (typeof definition.export !== 'function') {
+    throw new Error(`registerExporter(${id}): \`export\` must be a function`);
+  }
+  if (definition.version !== undefined && typeof definition.version !== 'string') {
+    throw new Error(`registerExporter(${id}): \`version\` must be a string`);
+  }
+
+  Object.entries(optionsSchema || {}).forEach(([key, option]) => {
+    if (!OPTION_TYPES.includes(option?.type)) {
+      throw new Error(
+        `registerExporter(${id}): option "${key}" has unknown type "${option?.type}" (expected ${OPTION_TYPES.join(', ')})`
+      );
+    }
+    if (option.type === 'select' && !option.choices?.length) {
+      throw new Error(`registerExporter(${id}): select option "${key}" needs \`choices\``);
+    }
+  });
+}
+
+/**
+ * Register an export format. Registering an existing id replaces it,
+ * including built-in formats.
+ * @param {Object} definition - Exporter definition (see module docs)
+ * @param {string} definition.id - Unique format id, passed to exportTheme()
+ * @param {string} definition.name - Label shown in the Export tab
+ * @param {string|function(Object): string} definition.extension - File extension including the dot
+ * @param {string|function(Object): string} [definition.fileName='theme'] - Download name without extension
+ * @param {string} [definition.version] - Output format version, listed in bundle manifests when set
+ * @param {function(Object, Object, Object): string} definition.export - (theme, colors, options) => contents
+ * @param {Object.<string, Object>} [definition.optionsSchema] - Option controls, keyed by option name
+ * @param {Function} [definition.icon] - Icon component shown on the format tab
+ * @returns {function(): void} Unregister function
+ *
+ * @example
+ * registerExporter({
+ *   id: 'acme-json',
+ *   name: 'Acme',
+ *   extension: '.json',
+ *   export: (theme, colors, { indent }) => JSON.stringify(colors.light, null, indent),
+ *   optionsSchema: { indent: { type: 'number', label: 'Indent', default: 2 } },
+ * });
+ */
+export function registerExporter(definition) {
+  validateExporter(definition);
+
+  const exporter = Object.freeze({ ...definition });
+  exporters.set(exporter.id, exporter);
+  emitChange();
+
+  return () => {
+    // Only remove it if it hasn't been replaced since
+    if (exporters.get(exporter.id) === exporter) {
+      unregisterExporter(exporter.id);
+    }
+  };
+}
+
+/**
+ * Remove an export format
+ * @param {string} id - Format id
+ * @returns {boolean} True if a format was removed
+ */
+export function unregisterExporter(id) {
+  const removed = exporters.delete(id);
+  if (removed) emitChange();
+  return removed;
+}
+
+/**
+ * Get a registered exporter
+ * @param {string} id - Format id
+ * @returns {Object|undefined} Exporter definition
+ */
+export function getExporter(id) {
+  return exporters.get(id);
+}
+
+/**
+ * Get all registered exporters in registration order.
+ * The array is only replaced when the registry changes.
+ * @returns {Object[]} Exporter definitions
+ */
+export function getExporters() {
+  return snapshot;
+}
+
+/**
+ * Subscribe to registry changes
+ * @param {function(): void} listener - Called after a format is added, replaced or removed
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeExporters(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Default option values from an exporter's options schema
+ * @param {Object} exporter - Exporter definition
+ * @returns {Object} Options keyed by name
+ */
+export function getDefaultExportOptions(exporter) {
+  const defaults = {};
+  Object.entries(exporter?.optionsSchema || {}).forEach(([key, option]) => {
+    if (option.default !== undefined) {
+      defaults[key] = option.default;
+    } else if (option.type === 'select') {
+      defaults[key] = option.choices[0].value;
+    }
+  });
+  return defaults;
+}
+
+/**
+ * Download file name for an export
+ * @param {Object} exporter - Exporter definition
+ * @param {Object} [options={}] - Export options
+ * @returns {string} File name with extension
+ */
+export function getExportFileName(exporter, options = {}) {
+  const resolvedOptions = { ...getDefaultExportOptions(exporter), ...options };
+  const resolve = (value) => (typeof value === 'function' ? value(resolvedOptions) : value);
+  return `${resolve(exporter.fileName) || 'theme'}${resolve(exporter.extension)}`;
+}
+
+/**
+ * Run a registered exporter
+ * @param {string} id - Format id
+ * @param {Object} theme - Theme tokens (without colors)
+ * @param {Object} colors - Color tokens ({ light, dark })
+ * @param {Object} [options={}] - Export options (schema defaults fill the gaps)
+ * @returns {string} Exported contents
+ * @throws {Error} If no exporter is registered under the id
+ */
+export function runExporter(id, theme, colors, options = {}) {
+  const exporter = exporters.get(id);
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${id}`);
+  }
+  return exporter.export(theme, colors, { ...getDefaultExportOptions(exporter), ...options });
+}
@@ -8,9 +8,18 @@
  */
 
 import { getCSSVarName, SEMANTIC_TOKEN_METADATA, getTokenMetadata } from '../constants';
-import { getContrastRatio } from '../contrast-checker';
+import {
+  checkContrast,
+  formatContrast,
+  getTextStyles,
+  getContrastTargets,
+  CONTRAST_MODELS,
+  DEFAULT_CONTRAST_MODEL,
+} from '../contrast-checker';
 import { TYPE_SCALES, LINE_HEIGHTS } from '../typography-config';
-import { getFontFamily } from '../theme-utils';
+import { getFontFamily, prefixCSSVariable } from '../theme-utils';
+import { getColorScales, TONAL_SCALES, TONAL_SCALE_STEPS } from '../tonal-scales';
+import { describeDarkMode } from './css-output';
 
 /**
  * Generates color table rows with semantic hints for documentation.
@@ -18,13 +27,14 @@ import { getFontFamily } from '../theme-utils';
  *
  * @param {Object.<string, string>} colors - Color token map (e.g., { primary: 'oklch(...)' })
  * @param {string} [mode='light'] - Color mode identifier ('light' or 'dark')
+ * @param {string} [prefix=''] - CSS variable prefix of the theme's CSS export
  * @returns {Array.<{token: string, cssVar: string, value: string, usage: string, tailwind: string}>} Array of color table row objects
  *
  * @example
  * const rows = generateColorTable({ primary: 'oklch(0.666 0.179 58.318)' });
  * // Returns: [{ token: 'primary', cssVar: '--primary', value: 'oklch(...)', usage: '...', tailwind: 'bg-primary' }]
  */
-function generateColorTable(colors, mode = 'light') {
+function generateColorTable(colors, mode = 'light', prefix = '') {
   const rows = [];
 
   Object.entries(colors).forEach(([token, value]) => {
@@ -32,7 +42,7 @@ function generateColorTable(colors, mode = 'light') {
     const cssVar = getCSSVarName(token);
     rows.push({
       token,
-      cssVar: `--${cssVar}`,
+      cssVar: prefixCSSVariable(`--${cssVar}`, prefix),
       value,
       usage: meta.usage,
       tailwind: meta.tailwind,
@@ -43,17 +53,19 @@ function generateColorTable(colors, mode = 'light') {
 }
 
 /**
- * Generates accessibility rules by checking contrast ratios for common color pairs.
- * Tests foreground/background combinations against WCAG guidelines.
+ * Generates accessibility rules by checking contrast for common color pairs.
+ * Uses the theme's contrast model (WCAG 2.1 or APCA) with targets for body
+ * text and headings at the theme's font sizes and weights.
  *
  * @param {Object.<string, string>} colors - Color token map with both foreground and background tokens
- * @returns {Array.<{label: string, foreground: string, background: string, ratio: string, passes: boolean, level: string}>} Array of contrast check results
+ * @param {Object} theme - Theme configuration object (contrastModel and typography)
+ * @returns {Array.<{label: string, foreground: string, background: string, contrast: string, passes: boolean, body: string, heading: string}>} Array of contrast check results
  *
  * @example
- * const rules = generateAccessibilityRules(lightColors);
- * // Returns: [{ label: 'Text on background', ratio: '12.45', passes: true, level: 'AAA' }, ...]
+ * const rules = generateAccessibilityRules(lightColors, theme);
+ * // Returns: [{ label: 'Text on background', contrast: '16.9:1', passes: true, body: 'AAA', heading: 'AAA' }, ...]
  */
-function generateAccessibilityRules(colors) {
+function generateAccessibilityRules(colors, theme) {
   const pairs = [
     { fg: 'foreground', bg: 'background', label: 'Text on background' },
     { fg: 'primaryForeground', bg: 'primary', label: 'Text on primary' },
@@ -62,21 +74,44 @@ function generateAccessibilityRules(colors) {
     { fg: 'mutedForeground', bg: 'muted', label: 'Text on muted' },
     { fg: 'accentForeground', bg: 'accent', label: 'Text on accent' },
   ];
+  const model = theme.contrastModel || DEFAULT_CONTRAST_MODEL;
+  const { levels } = CONTRAST_MODELS[model];
+  const status = (enhanced, minimum) => (enhanced ? levels.enhanced : minimum ? levels.minimum : 'Fail');
 
   return pairs.map(({ fg, bg, label }) => {
-    const ratio = getContrastRatio(colors[fg], colors[bg]);
-    const passes = ratio >= 4.5;
+    const result = checkContrast(colors[fg], colors[bg], { model, typography: theme, backdrop: colors.background });
     return {
       label,
       foreground: fg,
       background: bg,
-      ratio: ratio.toFixed(2),
-      passes,
-      level: ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : 'Fail',
+      contrast: result.display,
+      passes: result.passes.aa,
+      body: status(result.passes.aaa, result.passes.aa),
+      heading: status(result.passes.aaaLarge, result.passes.aaLarge),
     };
   });
 }
 
+/**
+ * Describes the minimum contrast of the theme's model for body text and headings.
+ *
+ * @param {Object} theme - Theme configuration object (contrastModel and typography)
+ * @returns {string} Requirement sentence fragment
+ *
+ * @example
+ * describeContrastRequirement(theme);
+ * // 'WCAG 2.1 AA: 4.5:1 for body text (16px, weight 400) and 4.5:1 for headings (19.2px, weight 600)'
+ */
+function describeContrastRequirement(theme) {
+  const model = theme.contrastModel || DEFAULT_CONTRAST_MODEL;
+  const { name, levels } = CONTRAST_MODELS[model];
+  const textStyles = getTextStyles(theme);
+  const requirement = (style, text) =>
+    `${formatContrast(getContrastTargets(style, model).minimum, model)} for ${text} (${style.fontSize}px, weight ${style.fontWeight})`;
+
+  return `${name} ${levels.minimum}: ${requirement(textStyles.body, 'body text')} and ${requirement(textStyles.heading, 'headings')}`;
+}
+
 /**
  * Generates Tailwind CSS class patterns for common UI components.
  * Patterns use the theme's border radius and semantic color tokens.
@@ -119,6 +154,9 @@ function generateComponentPatterns(theme) {
  * @param {Object.<string, string>} [colors.dark] - Dark mode color tokens
  * @param {Object} [options={}] - Export options
  * @param {string} [options.scope='full'] - Content scope: 'full', 'colors', or 'typography'
+ * @param {string} [options.prefix=''] - CSS variable prefix of the theme's CSS export
+ * @param {string} [options.darkMode='selector'] - How the CSS export applies dark colors
+ * @param {string} [options.darkSelector='.dark'] - Selector for the dark colors
  * @returns {string} Markdown-formatted design system documentation
  *
  * @example
@@ -126,11 +164,15 @@ function generateComponentPatterns(theme) {
  * // Returns markdown with only color-related sections
  */
 function generateMarkdownRules(theme, colors, options = {}) {
-  const { scope = 'full' } = options;
+  const { scope = 'full', prefix = '' } = options;
+  const cssVar = (name) => prefixCSSVariable(`--${name}`, prefix);
   const lightColors = colors.light || {};
   const darkColors = colors.dark || {};
-  const colorTable = generateColorTable(lightColors);
-  const accessibilityRules = generateAccessibilityRules(lightColors);
+  const colorTable = generateColorTable(lightColors, 'light', prefix);
+  const scales = getColorScales({ ...theme, colors });
+  const accessibilityRules = generateAccessibilityRules(lightColors, theme);
+  const contrastRequirement = describeContrastRequirement(theme);
+  const textStyles = getTextStyles(theme);
   const patterns = generateComponentPatterns(theme);
 
   const scale = TYPE_SCALES[theme.typeScale] || TYPE_SCALES.default;
@@ -164,9 +206,19 @@ Use CSS variables, never raw color values. Reference these tokens by their CSS v
       }
     });
 
+    md += `
+### Tonal Scales
+Primitive 50–950 ramps (50 lightest). Prefer the semantic tokens above; use a scale only for tints and shades they don't cover (subtle backgrounds, charts, illustrations). Scales are the same in light and dark mode.
+
+`;
+    Object.keys(scales).forEach((name) => {
+      const label = TONAL_SCALES[name]?.name || name;
+      md += `- **${label}**: \`${cssVar(`${name}-50`)}\` … \`${cssVar(`${name}-950`)}\` (Tailwind \`bg-${name}-100\`, \`text-${name}-700\`)\n`;
+    });
+
     md += `
 ### Dark Mode
-Dark mode is activated by adding \`.dark\` class to a parent element. The same CSS variables automatically update.
+${describeDarkMode(options)} The same CSS variables automatically update.
 
 `;
   }
@@ -183,12 +235,12 @@ Dark mode is activated by adding \`.dark\` class to a parent element. The same C
 - **Line height (body)**: ${lineHeights.body}
 
 ### Font Size Scale
-- \`--font-size-xs\`: ${(scale.baseFontSize / scale.ratio / scale.ratio).toFixed(1)}px
-- \`--font-size-sm\`: ${(scale.baseFontSize / scale.ratio).toFixed(1)}px
-- \`--font-size-base\`: ${scale.baseFontSize}px
-- \`--font-size-lg\`: ${(scale.baseFontSize * scale.ratio).toFixed(1)}px
-- \`--font-size-xl\`: ${(scale.baseFontSize * scale.ratio * scale.ratio).toFixed(1)}px
-- \`--font-size-2xl\`: ${(scale.baseFontSize * Math.pow(scale.ratio, 3)).toFixed(1)}px
+- \`${cssVar('font-size-xs')}\`: ${(scale.baseFontSize / scale.ratio / scale.ratio).toFixed(1)}px
+- \`${cssVar('font-size-sm')}\`: ${(scale.baseFontSize / scale.ratio).toFixed(1)}px
+- \`${cssVar('font-size-base')}\`: ${scale.baseFontSize}px
+- \`${cssVar('font-size-lg')}\`: ${(scale.baseFontSize * scale.ratio).toFixed(1)}px
+- \`${cssVar('font-size-xl')}\`: ${(scale.baseFontSize * scale.ratio * scale.ratio).toFixed(1)}px
+- \`${cssVar('font-size-2xl')}\`: ${(scale.baseFontSize * Math.pow(scale.ratio, 3)).toFixed(1)}px
 
 `;
   }
@@ -209,19 +261,18 @@ Dark mode is activated by adding \`.dark\` class to a parent element. The same C
   if (scope === 'full' || scope === 'colors') {
     md += `## Accessibility Rules
 
-All color combinations must meet WCAG AA contrast requirements (4.5:1 for normal text).
+All color combinations must meet ${contrastRequirement}.
 
-| Combination | Contrast | Status |
-|-------------|----------|--------|
+| Combination | Contrast | Body text (${textStyles.body.fontSize}px) | Headings (${textStyles.heading.fontSize}px) |
+|-------------|----------|-----------|----------|
 `;
     accessibilityRules.forEach((rule) => {
-      const status = rule.passes ? `${rule.level}` : 'Fail';
-      md += `| ${rule.label} | ${rule.ratio}:1 | ${status} |\n`;
+      md += `| ${rule.label} | ${rule.contrast} | ${rule.body} | ${rule.heading} |\n`;
     });
 
     md += `
 **Rules:**
-1. Never use colors that fail WCAG AA (4.5:1 for normal text)
+1. Never use color pairs that fail ${contrastRequirement}
 2. Always pair foreground tokens with their matching background tokens
 3. Test color combinations before using them
 
@@ -263,10 +314,10 @@ ${patterns.badge}
 
   md += `## Important Rules
 
-1. **Never use raw color values** - Always use CSS variables (\`var(--primary)\`) or Tailwind classes (\`bg-primary\`)
+1. **Never use raw color values** - Always use CSS variables (\`var(${cssVar('primary')})\`) or Tailwind classes (\`bg-primary\`)
 2. **Follow the token hierarchy** - Use semantic tokens (primary, secondary) not primitive values
 3. **Maintain consistency** - Use the same patterns throughout the codebase
-4. **Test accessibility** - Verify contrast ratios meet WCAG AA standards
+4. **Test accessibility** - Verify contrast meets ${CONTRAST_MODELS[theme.contrastModel || DEFAULT_CONTRAST_MODEL].name} requirements
 `;
 
   return md;
@@ -281,6 +332,7 @@ ${patterns.badge}
  * @param {Object} colors - Color tokens object with light and dark mode values
  * @param {Object} [options={}] - Export options
  * @param {string} [options.scope='full'] - Content scope: 'full', 'colors', or 'typography'
+ * @param {string} [options.prefix=''] - CSS variable prefix of the theme's CSS export
  * @returns {string} Cursor Rules formatted content with YAML frontmatter
  *
  * @example
@@ -307,7 +359,8 @@ ${content}`;
  * @param {Object} theme - Theme configuration object
  * @param {Object} colors - Color tokens object with light and dark mode values
  * @param {Object.<string, string>} colors.light - Light mode color tokens
- * @param {Object} [options={}] - Export options (currently unused but reserved for future)
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.prefix=''] - CSS variable prefix of the theme's CSS export
  * @returns {string} XML-structured design system documentation
  *
  * @example
@@ -315,20 +368,34 @@ ${content}`;
  * // Returns: '<design-system>\n<colors>\n  <token name="primary"...'
  */
 function generateClaudeInstructions(theme, colors, options = {}) {
+  const cssVar = (name) => prefixCSSVariable(`--${name}`, options.prefix);
   const lightColors = colors.light || {};
+  const contrastRequirement = describeContrastRequirement(theme);
   const patterns = generateComponentPatterns(theme);
 
   // Build XML-style tokens
   let tokenXml = '';
   Object.entries(lightColors).forEach(([token, value]) => {
     const meta = getTokenMetadata(token);
-    tokenXml += `  <token name="${token}" value="${value}" usage="${meta.usage}" />\n`;
+    tokenXml += `  <token name="${token}" css-var="${cssVar(getCSSVarName(token))}" value="${value}" usage="${meta.usage}" />\n`;
+  });
+
+  let scaleXml = '';
+  Object.entries(getColorScales({ ...theme, colors })).forEach(([name, scale]) => {
+    scaleXml += `  <scale name="${name}" css-var="${cssVar(`${name}-{step}`)}">\n`;
+    TONAL_SCALE_STEPS.filter((step) => scale[step]).forEach((step) => {
+      scaleXml += `    <step name="${step}" value="${scale[step]}" />\n`;
+    });
+    scaleXml += '  </scale>\n';
   });
 
   return `<design-system>
 <colors>
 ${tokenXml}</colors>
 
+<scales usage="Primitive tints and shades; prefer the semantic color tokens">
+${scaleXml}</scales>
+
 <typography>
   <font-heading family="${getFontFamily(theme.fontHeading || 'system-ui')}" weight="${theme.fontWeightHeading || 600}" />
   <font-body family="${getFontFamily(theme.fontBody || 'system-ui')}" weight="${theme.fontWeightBody || 400}" />
@@ -350,7 +417,7 @@ ${tokenXml}</colors>
 1. Always use CSS variables from the design system above
 2. Never hardcode colors - reference tokens by name
 3. Follow the component patterns provided exactly
-4. Ensure all text meets WCAG AA contrast requirements (4.5:1)
+4. Ensure all text meets ${contrastRequirement}
 5. Use semantic token names (primary, secondary) not color names (blue, red)
 </rules>`;
 }
@@ -366,6 +433,9 @@ ${tokenXml}</colors>
  * @param {Object} [options={}] - Export options
  * @param {string} [options.format='markdown'] - Output format: 'markdown', 'cursor', or 'claude'
  * @param {string} [options.scope='full'] - Content scope: 'full', 'colors', or 'typography'
+ * @param {string} [options.prefix=''] - CSS variable prefix of the theme's CSS export
+ * @param {string} [options.darkMode='selector'] - How the CSS export applies dark colors ('selector', 'media' or 'both')
+ * @param {string} [options.darkSelector='.dark'] - Selector for the dark colors
  * @returns {string} AI rules content in the specified format
  *
  * @example
@@ -381,15 +451,16 @@ ${tokenXml}</colors>
  * const claudeColors = exportAsAIRules(theme, colors, { format: 'claude', scope: 'colors' });
  */
 export function exportAsAIRules(theme, colors, options = {}) {
-  const { format = 'markdown', scope = 'full' } = options;
+  const { format = 'markdown', scope = 'full', prefix, darkMode, darkSelector } = options;
+  const generatorOptions = { scope, prefix, darkMode, darkSelector };
 
   switch (format) {
     case 'cursor':
-      return generateCursorRules(theme, colors, { scope });
+      return generateCursorRules(theme, colors, generatorOptions);
     case 'claude':
-      return generateClaudeInstructions(theme, colors, { scope });
+      return generateClaudeInstructions(theme, colors, generatorOptions);
     default:
-      return generateMarkdownRules(theme, colors, { scope });
+      return generateMarkdownRules(theme, colors, generatorOptions);
   }
 }
 
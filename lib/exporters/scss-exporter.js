@@ -0,0 +1,137 @@
+/**
+ * SCSS Exporter
+ *
+ * Exports theme as Sass variables, `$theme-light` / `$theme-dark` maps and
+ * a mixin that emits the maps as CSS custom properties. Variable names
+ * match the CSS export (see getCSSVarName).
+ */
+
+import { getCSSVarName } from '../constants';
+import { generateGoogleFontsImport, getTypographyVariables } from '../theme-utils';
+import { toHexString } from '../color-utils';
+import { getColorScales, getColorScaleEntries } from '../tonal-scales';
+import { resolveCSSOutputOptions, buildThemeRules, formatCSS } from './css-output';
+
+/**
+ * Quote a value for Sass when it contains quoted parts (font stacks),
+ * so it survives interpolation into custom properties unchanged
+ * @param {string} value - CSS value
+ * @returns {string} Sass value
+ */
+function toSassValue(value) {
+  return String(value).includes('"') ? `unquote('${value}')` : String(value);
+}
+
+/**
+ * Format a Sass map
+ * @param {string} name - Map variable name, without $
+ * @param {Array.<[string, string]>} entries - [key, Sass value] pairs
+ * @returns {string} Sass map declaration
+ */
+function formatMap(name, entries) {
+  const body = entries.map(([key, value]) => `  '${key}': ${value},`).join('\n');
+  return `$${name}: (\n${body}\n);\n`;
+}
+
+/**
+ * Export theme as SCSS
+ * @param {Object} theme - Theme state
+ * @param {Object} [options] - Output options shared with exportAsCSS: prefix, selector,
+ *   darkSelector, darkMode, fallbacks and layer (minify is left to the SCSS compiler)
+ * @returns {string} SCSS string
+ */
+export function exportAsSCSS(theme, options = {}) {
+  const { colors, darkMode, ...tokens } = theme;
+  const output = resolveCSSOutputOptions(options);
+  const lightColors = colors?.light || {};
+  const darkColors = colors?.dark || {};
+
+  // [name, value] pairs; names are custom property names without --
+  const surfaces = ['paperWhite', 'paperCream', 'paperKraft']
+    .filter((key) => tokens[key])
+    .map((key) => [key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`), tokens[key]]);
+
+  const scales = getColorScaleEntries(getColorScales(theme)).map(([scale, step, value]) => [`${scale}-${step}`, value]);
+
+  const designTokens = [];
+  if (tokens.radius !== undefined) designTokens.push(['radius', `${tokens.radius}rem`]);
+  if (tokens.textureOpacityFaint !== undefined) {
+    designTokens.push(['texture-opacity-faint', tokens.textureOpacityFaint]);
+  }
+
+  // --text-* and --leading-* are aliases of --font-size-* and --line-height-*
+  const typography = Object.entries(getTypographyVariables(tokens))
+    .filter(([name]) => !name.startsWith('--text-') && !name.startsWith('--leading-'))
+    .map(([name, value]) => [name.slice(2), value]);
+
+  const lightEntries = Object.entries(lightColors).map(([key, value]) => [getCSSVarName(key), value]);
+  const darkEntries = Object.entries(darkColors).map(([key, value]) => [getCSSVarName(key), value]);
+
+  const formatVariables = (entries, suffix = '') =>
+    entries.map(([name, value]) => `$${name}${suffix}: ${toSassValue(value)};\n`).join('');
+
+  let scss = '';
+
+  // Google Fonts import
+  const googleImport = generateGoogleFontsImport(tokens);
+  if (googleImport) {
+    scss += `// Google Fonts\n${googleImport}\n\n`;
+  }
+
+  scss += '// Colors - Light Mode\n';
+  scss += formatVariables(lightEntries);
+  scss += '\n// Colors - Dark Mode\n';
+  scss += formatVariables(darkEntries, '-dark');
+  scss += '\n// Tonal Scales\n';
+  scss += formatVariables(scales);
+  scss += '\n// Surfaces\n';
+  scss += formatVariables(surfaces);
+  scss += '\n// Design Tokens\n';
+  scss += formatVariables(designTokens);
+  scss += '\n// Typography\n';
+  scss += formatVariables(typography);
+
+  // Light map carries every token; dark only overrides colors
+  const ref = (name) => `$${name}`;
+  const lightMap = [...lightEntries, ...scales, ...surfaces, ...designTokens, ...typography].map(([name]) => [name, ref(name)]);
+  const darkMap = darkEntries.map(([name]) => [name, ref(`${name}-dark`)]);
+  scss += '\n// Theme maps\n';
+  scss += formatMap('theme-light', lightMap);
+  scss += '\n';
+  scss += formatMap('theme-dark', darkMap);
+
+  // sRGB copies of the maps for browsers without OKLCH support
+  if (output.fallbacks) {
+    const values = Object.fromEntries([...lightEntries, ...scales, ...surfaces]);
+    const darkValues = Object.fromEntries(darkEntries);
+    const fallback = (entries, source) => entries.map(([name, value]) => (
+      String(source[name]).startsWith('oklch') ? [name, toHexString(source[name])] : [name, value]
+    ));
+    scss += '\n';
+    scss += formatMap('theme-light-fallback', fallback(lightMap, values));
+    scss += '\n';
+    scss += formatMap('theme-dark-fallback', fallback(darkMap, darkValues));
+  }
+
+  const include = (map) => [{ raw: `@include theme-custom-properties($${map});` }];
+  const rules = buildThemeRules({
+    light: include(output.fallbacks ? 'theme-light-fallback' : 'theme-light'),
+    dark: include(output.fallbacks ? 'theme-dark-fallback' : 'theme-dark'),
+    supportsLight: include('theme-light'),
+    supportsDark: include('theme-dark'),
+  }, output);
+
+  scss += `
+// Emit a theme map as CSS custom properties
+@mixin theme-custom-properties($theme) {
+  @each $name, $value in $theme {
+    --${output.prefix ? `${output.prefix}-` : ''}#{$name}: #{$value};
+  }
+}
+
+${formatCSS(rules, { commentStyle: 'line' })}`;
+
+  return scss;
+}
+
+export default exportAsSCSS;
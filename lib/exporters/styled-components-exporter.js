@@ -0,0 +1,83 @@
+/**
+ * styled-components Exporter
+ *
+ * Exports theme as plain light and dark theme objects for
+ * styled-components (or Emotion) `ThemeProvider`. Colors keep the
+ * theme's token names and values; the 50-950 tonal scales are shared by
+ * both modes as `theme.scales.primary[500]`.
+ */
+
+import { getFontFamily } from '../theme-utils';
+import { LINE_HEIGHTS, getTypeScaleSizes } from '../typography-config';
+import { getColorScales } from '../tonal-scales';
+import { formatJSValue, pxToRem } from './js-module';
+
+/**
+ * Export theme as a styled-components theme module
+ * @param {Object} theme - Theme state
+ * @returns {string} JavaScript source
+ */
+export function exportAsStyledComponents(theme) {
+  const { colors, ...tokens } = theme;
+  const lightColors = colors?.light || {};
+  const darkColors = { ...lightColors, ...colors?.dark };
+  const sizes = getTypeScaleSizes(tokens.typeScale);
+  const lineHeights = LINE_HEIGHTS[tokens.lineHeightPreset] || LINE_HEIGHTS.normal;
+  const radius = `${tokens.radius ?? 0.625}rem`;
+
+  const shared = {
+    scales: getColorScales(theme),
+    fonts: {
+      heading: getFontFamily(tokens.fontHeading),
+      body: getFontFamily(tokens.fontBody),
+    },
+    fontSizes: Object.fromEntries(
+      Object.entries(sizes).map(([step, px]) => [step, pxToRem(px)])
+    ),
+    fontWeights: {
+      heading: tokens.fontWeightHeading || 600,
+      body: tokens.fontWeightBody || 400,
+    },
+    lineHeights: {
+      heading: lineHeights.heading,
+      body: lineHeights.body,
+    },
+    radii: {
+      sm: `calc(${radius} - 4px)`,
+      md: `calc(${radius} - 2px)`,
+      lg: radius,
+    },
+    surfaces: {
+      paperWhite: tokens.paperWhite,
+      paperCream: tokens.paperCream,
+      paperKraft: tokens.paperKraft,
+    },
+  };
+
+  return `// Generated by Design Manager
+// Usage:
+//   <ThemeProvider theme={isDark ? darkTheme : lightTheme}>...</ThemeProvider>
+//   const Card = styled.div\`
+//     background: \${({ theme }) => theme.colors.card};
+//     border-radius: \${({ theme }) => theme.radii.lg};
+//   \`;
+
+const shared = ${formatJSValue(shared)};
+
+export const lightTheme = {
+  mode: 'light',
+  colors: ${formatJSValue(lightColors, 1)},
+  ...shared,
+};
+
+export const darkTheme = {
+  mode: 'dark',
+  colors: ${formatJSValue(darkColors, 1)},
+  ...shared,
+};
+
+export default lightTheme;
+`;
+}
+
+export default exportAsStyledComponents;
@@ -0,0 +1,514 @@
+/**
+ * Style Guide Exporter
+ *
+ * Generates a standalone HTML style guide for publishing as design system
+ * docs: color swatches for light and dark mode, tonal scales, contrast matrices, the type
+ * scale in the theme's fonts, surfaces, radius samples and component
+ * patterns. Styles are inline; the page embeds the theme's own CSS export,
+ * so the examples render with the same variables apps use.
+ *
+ * @module exporters/styleguide-exporter
+ */
+
+import { exportAsCSS } from './css-exporter';
+import { COLOR_TOKEN_GROUPS, getCSSVarName, getTokenMetadata } from '../constants';
+import { checkContrast, formatContrast, CONTRAST_MODELS, DEFAULT_CONTRAST_MODEL } from '../contrast-checker';
+import { getTypeScaleSizes, TYPE_SCALES, LINE_HEIGHTS, getFont } from '../typography-config';
+import { getFontFamily, prefixCSSVariable } from '../theme-utils';
+import { toHexString, getContrastingTextColor, getAlpha } from '../color-utils';
+import { getPresetById } from '../presets';
+import { getColorScales, TONAL_SCALES, TONAL_SCALE_STEPS } from '../tonal-scales';
+import { describeDarkMode } from './css-output';
+
+/**
+ * Text colors checked against each background in the contrast matrices
+ * @constant {string[]}
+ */
+const CONTRAST_FOREGROUNDS = [
+  'foreground',
+  'cardForeground',
+  'primaryForeground',
+  'secondaryForeground',
+  'accentForeground',
+  'mutedForeground',
+  'primary',
+  'destructive',
+];
+
+/**
+ * Backgrounds of the contrast matrices
+ * @constant {string[]}
+ */
+const CONTRAST_BACKGROUNDS = ['background', 'card', 'popover', 'primary', 'secondary', 'accent', 'muted'];
+
+/**
+ * Radius samples, as CSS lengths relative to --radius
+ * @constant {Array.<{name: string, value: string}>}
+ */
+const RADIUS_SAMPLES = [
+  { name: 'sm', value: 'calc(var(--radius) - 4px)' },
+  { name: 'md', value: 'calc(var(--radius) - 2px)' },
+  { name: 'lg', value: 'var(--radius)' },
+  { name: 'xl', value: 'calc(var(--radius) + 4px)' },
+  { name: 'full', value: '9999px' },
+];
+
+/**
+ * Surface tokens with their labels
+ * @constant {Array.<{key: string, label: string}>}
+ */
+const SURFACES = [
+  { key: 'paperWhite', label: 'Paper White' },
+  { key: 'paperCream', label: 'Paper Cream' },
+  { key: 'paperKraft', label: 'Paper Kraft' },
+];
+
+/**
+ * Checkerboard shown through translucent swatches
+ * @constant {string}
+ */
+const CHECKERBOARD = 'repeating-conic-gradient(#d4d4d4 0 25%, #ffffff 0 50%) 0 0 / 12px 12px';
+
+/**
+ * Layout styles of the guide itself (sg- classes). Every color, font and
+ * radius comes from the embedded theme CSS.
+ * @constant {string}
+ */
+const GUIDE_CSS = `
+* { box-sizing: border-box; }
+body {
+  margin: 0;
+  background: var(--background);
+  color: var(--foreground);
+  font-family: var(--font-family-body);
+  font-weight: var(--font-weight-body);
+  line-height: var(--line-height-body);
+}
+h1, h2, h3 {
+  font-family: var(--font-family-heading);
+  font-weight: var(--font-weight-heading);
+  line-height: var(--line-height-heading);
+  margin: 0 0 0.5em;
+}
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.85em; }
+.sg-page { max-width: 1120px; margin: 0 auto; padding: 48px 24px 96px; }
+.sg-header { margin-bottom: 48px; }
+.sg-header p, .sg-note { color: var(--muted-foreground); margin: 0; }
+.sg-section { margin-bottom: 64px; }
+.sg-section > h2 { border-bottom: 1px solid var(--border); padding-bottom: 8px; }
+.sg-group { margin: 24px 0; }
+.sg-group h3 { font-size: 1rem; margin-bottom: 2px; }
+.sg-swatches { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 12px; margin-top: 12px; }
+.sg-swatch { border: 1px solid var(--border); border-radius: var(--radius); overflow: hidden; background: var(--card); color: var(--card-foreground); }
+.sg-swatch-colors { display: flex; height: 64px; }
+.sg-swatch-colors div { flex: 1; display: flex; align-items: flex-end; padding: 4px 6px; font-size: 11px; }
+.sg-swatch-info { padding: 8px 10px; font-size: 12px; }
+.sg-swatch-info strong { display: block; font-size: 13px; }
+.sg-swatch-info span { display: block; color: var(--muted-foreground); }
+.sg-scale { display: grid; grid-template-columns: repeat(auto-fit, minmax(64px, 1fr)); border-radius: var(--radius); overflow: hidden; margin-top: 8px; }
+.sg-scale div { height: 64px; padding: 6px; font-size: 11px; display: flex; flex-direction: column; justify-content: flex-end; }
+.sg-modes { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; }
+.sg-mode { background: var(--background); color: var(--foreground); border: 1px solid var(--border); border-radius: var(--radius); padding: 20px; overflow-x: auto; }
+.sg-mode > h3 { font-size: 0.875rem; text-transform: uppercase; letter-spacing: 0.05em; color: var(--muted-foreground); }
+.sg-matrix { border-collapse: collapse; font-size: 11px; }
+.sg-matrix th { font-weight: 500; text-align: left; padding: 4px 6px; white-space: nowrap; }
+.sg-matrix td { padding: 6px; text-align: center; min-width: 56px; border: 1px solid transparent; }
+.sg-matrix td b { display: block; font-size: 13px; }
+.sg-matrix td.sg-pair { border-color: currentColor; }
+.sg-level { display: inline-block; margin-top: 2px; padding: 0 4px; border-radius: 4px; background: rgb(255 255 255 / 0.85); color: #1a1a1a; }
+.sg-level-fail { background: #b91c1c; color: #fff; }
+.sg-type-row { display: grid; grid-template-columns: 120px 1fr; gap: 16px; align-items: baseline; padding: 10px 0; border-bottom: 1px solid var(--border); }
+.sg-type-meta { font-size: 12px; color: var(--muted-foreground); }
+.sg-type-sample { overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+.sg-fonts { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 16px; margin-bottom: 24px; }
+.sg-font { border: 1px solid var(--border); border-radius: var(--radius); padding: 16px; }
+.sg-font-specimen { font-size: 2rem; margin: 8px 0; }
+.sg-surfaces, .sg-radii { display: flex; flex-wrap: wrap; gap: 16px; }
+.sg-surface { width: 200px; height: 120px; border: 1px solid var(--border); border-radius: var(--radius); padding: 12px; display: flex; flex-direction: column; justify-content: flex-end; font-size: 12px; color: #1a1a1a; }
+.sg-radius { width: 96px; height: 96px; background: var(--primary); color: var(--primary-foreground); display: flex; align-items: center; justify-content: center; font-size: 12px; }
+.sg-components { display: flex; flex-direction: column; gap: 16px; }
+.sg-row { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+.sg-button { font: inherit; font-size: 14px; font-weight: 500; padding: 8px 16px; border-radius: calc(var(--radius) - 2px); border: 1px solid transparent; cursor: pointer; }
+.sg-button-primary { background: var(--primary); color: var(--primary-foreground); }
+.sg-button-secondary { background: var(--secondary); color: var(--secondary-foreground); }
+.sg-button-destructive { background: var(--destructive); color: #fff; }
+.sg-button-outline { background: var(--background); color: var(--foreground); border-color: var(--input); }
+.sg-button-ghost { background: transparent; color: var(--foreground); }
+.sg-button-ghost:hover, .sg-button-outline:hover { background: var(--accent); color: var(--accent-foreground); }
+.sg-card { background: var(--card); color: var(--card-foreground); border: 1px solid var(--border); border-radius: var(--radius); padding: 16px; box-shadow: 0 1px 2px rgb(0 0 0 / 0.05); }
+.sg-card h4 { margin: 0 0 4px; font-family: var(--font-family-heading); font-weight: var(--font-weight-heading); }
+.sg-card p { margin: 0 0 12px; color: var(--muted-foreground); font-size: 14px; }
+.sg-input { font: inherit; font-size: 14px; width: 100%; max-width: 280px; padding: 8px 12px; background: var(--background); color: var(--foreground); border: 1px solid var(--input); border-radius: calc(var(--radius) - 2px); }
+.sg-input:focus { outline: 2px solid var(--ring); outline-offset: 1px; }
+.sg-badge { display: inline-block; padding: 2px 10px; border-radius: 9999px; font-size: 12px; font-weight: 500; background: var(--primary); color: var(--primary-foreground); }
+.sg-badge-secondary { background: var(--secondary); color: var(--secondary-foreground); }
+.sg-badge-outline { background: transparent; color: var(--foreground); border: 1px solid var(--border); }
+.sg-alert { background: var(--muted); color: var(--muted-foreground); border: 1px solid var(--border); border-radius: var(--radius); padding: 12px 16px; font-size: 14px; }
+.sg-alert strong { color: var(--foreground); }
+.sg-footer { color: var(--muted-foreground); font-size: 12px; }
+`;
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a camelCase token key to a readable label
+ * @param {string} key - Token key, e.g. 'cardForeground'
+ * @returns {string} Label, e.g. 'Card Foreground'
+ */
+function toLabel(key) {
+  return key
+    .replace(/([A-Z])/g, ' $1')
+    .replace(/(\d+)/g, ' $1')
+    .replace(/^./, (char) => char.toUpperCase())
+    .trim();
+}
+
+/**
+ * Point the var() references in guide markup or styles at prefixed variables
+ * @param {string} css - CSS using unprefixed theme variables
+ * @param {string} [prefix] - Variable prefix of the theme CSS
+ * @returns {string} CSS
+ */
+function prefixVariables(css, prefix) {
+  return css.replace(/var\((--[\w-]+)\)/g, (match, name) => `var(${prefixCSSVariable(name, prefix)})`);
+}
+
+/**
+ * Color swatches, grouped like the Colors tab, with light and dark halves
+ * @param {Object} light - Light color tokens
+ * @param {Object} dark - Dark color tokens
+ * @param {string} [prefix] - Variable prefix of the theme CSS
+ * @returns {string} HTML
+ */
+function renderColorSection(light, dark, prefix) {
+  const swatch = (key) => {
+    const half = (value, mode) => {
+      if (!value) return '<div></div>';
+      const fill = getAlpha(value) < 1 ? `linear-gradient(${value}, ${value}), ${CHECKERBOARD}` : value;
+      return `<div style="background: ${escapeHTML(fill)}; color: ${getContrastingTextColor(value)}">${mode}</div>`;
+    };
+
+    return `<div class="sg-swatch">
+        <div class="sg-swatch-colors">${half(light[key], 'Light')}${half(dark[key], 'Dark')}</div>
+        <div class="sg-swatch-info">
+          <strong>${escapeHTML(toLabel(key))}</strong>
+          <code>${escapeHTML(prefixCSSVariable(`--${getCSSVarName(key)}`, prefix))}</code>
+          <span>${escapeHTML(light[key] || '-')} &middot; ${escapeHTML(light[key] ? toHexString(light[key]) : '')}</span>
+          <span>${escapeHTML(dark[key] || '-')} &middot; ${escapeHTML(dark[key] ? toHexString(dark[key]) : '')}</span>
+          <span>${escapeHTML(getTokenMetadata(key).usage)}</span>
+        </div>
+      </div>`;
+  };
+
+  const groups = COLOR_TOKEN_GROUPS.map((group) => {
+    const tokens = group.tokens.filter((key) => light[key] || dark[key]);
+    if (tokens.length === 0) return '';
+    return `<div class="sg-group">
+      <h3>${escapeHTML(group.name)}</h3>
+      <p class="sg-note">${escapeHTML(group.description)}</p>
+      <div class="sg-swatches">
+      ${tokens.map(swatch).join('\n      ')}
+      </div>
+    </div>`;
+  });
+
+  return `<section class="sg-section" id="colors">
+    <h2>Colors</h2>
+    ${groups.join('\n    ')}
+  </section>`;
+}
+
+/**
+ * Tonal scales, one row of chips per scale (the same in both modes)
+ * @param {Object.<string, Object>} scales - Scales keyed by id
+ * @param {string} [prefix] - Variable prefix of the theme CSS
+ * @returns {string} HTML
+ */
+function renderScaleSection(scales, prefix) {
+  const cssVar = (name) => escapeHTML(prefixCSSVariable(`--${name}`, prefix));
+  const rows = Object.entries(scales).map(([name, scale]) => {
+    const chips = TONAL_SCALE_STEPS.filter((step) => scale[step]).map((step) =>
+      `<div style="background: var(${cssVar(`${name}-${step}`)}); color: ${getContrastingTextColor(scale[step])}" title="${escapeHTML(scale[step])}"><b>${step}</b>${escapeHTML(toHexString(scale[step]))}</div>`
+    );
+    return `<div class="sg-group">
+      <h3>${escapeHTML(TONAL_SCALES[name]?.name || toLabel(name))}</h3>
+      <code>${cssVar(`${name}-{step}`)}</code>
+      <div class="sg-scale">
+        ${chips.join('\n        ')}
+      </div>
+    </div>`;
+  });
+
+  return `<section class="sg-section" id="scales">
+    <h2>Tonal Scales</h2>
+    <p class="sg-note">Primitive tints and shades of the brand colors. Prefer the semantic colors above; scales don't change in dark mode.</p>
+    ${rows.join('\n    ')}
+  </section>`;
+}
+
+/**
+ * Contrast matrix for one mode
+ * @param {Object} colors - Color tokens of the mode
+ * @param {Object} options - Contrast model and typography (see checkContrast)
+ * @returns {string} HTML table
+ */
+function renderContrastMatrix(colors, options) {
+  const backgrounds = CONTRAST_BACKGROUNDS.filter((key) => colors[key]);
+  const foregrounds = CONTRAST_FOREGROUNDS.filter((key) => colors[key]);
+
+  const header = backgrounds.map((bg) => `<th scope="col">${escapeHTML(toLabel(bg))}</th>`).join('');
+  const rows = foregrounds.map((fg) => {
+    const cells = backgrounds.map((bg) => {
+      if (fg === bg) return '<td></td>';
+      const { display, level } = checkContrast(colors[fg], colors[bg], options);
+      // Intended pairs: foreground on background, primaryForeground on primary, ...
+      const intended = fg === `${bg}Foreground` || (fg === 'foreground' && bg === 'background');
+      return `<td class="${intended ? 'sg-pair' : ''}" style="background: ${escapeHTML(colors[bg])}; color: ${escapeHTML(colors[fg])}" title="${escapeHTML(`${toLabel(fg)} on ${toLabel(bg)}`)}">
+              <b>${display}</b><span class="sg-level${level === 'Fail' ? ' sg-level-fail' : ''}">${level}</span>
+            </td>`;
+    }).join('');
+    return `<tr><th scope="row">${escapeHTML(toLabel(fg))}</th>${cells}</tr>`;
+  });
+
+  return `<table class="sg-matrix">
+          <thead><tr><th>Text \\ Background</th>${header}</tr></thead>
+          <tbody>
+          ${rows.join('\n          ')}
+          </tbody>
+        </table>`;
+}
+
+/**
+ * Describe the contrast targets of the theme's model
+ * @param {Object} tokens - Theme tokens (contrastModel and typography)
+ * @returns {string} Sentence for the contrast section
+ */
+function describeContrastTargets(tokens) {
+  const model = tokens.contrastModel || DEFAULT_CONTRAST_MODEL;
+  const { targets, textStyles } = checkContrast('#000', '#fff', { model, typography: tokens });
+  const { name, levels } = CONTRAST_MODELS[model];
+  const target = (value) => formatContrast(value, model);
+
+  return `${name} contrast. ${levels.minimum} needs ${target(targets.body.minimum)} for body text (${textStyles.body.fontSize}px) and ${target(targets.heading.minimum)} for headings (${textStyles.heading.fontSize}px); ${levels.enhanced} needs ${target(targets.body.enhanced)} for body text.`;
+}
+
+/**
+ * Contrast matrices for both modes
+ * @param {Object} light - Light color tokens
+ * @param {Object} dark - Dark color tokens
+ * @param {Object} tokens - Theme tokens (contrastModel and typography)
+ * @returns {string} HTML
+ */
+function renderContrastSection(light, dark, tokens) {
+  const options = { model: tokens.contrastModel, typography: tokens };
+  // Translucent backgrounds sit on the mode's page background
+  const lightOptions = { ...options, backdrop: light.background };
+  const darkOptions = { ...options, backdrop: dark.background };
+  return `<section class="sg-section" id="contrast">
+    <h2>Contrast</h2>
+    <p class="sg-note">${escapeHTML(describeContrastTargets(tokens))} Outlined cells are the pairs the tokens are meant for.</p>
+    <div class="sg-modes">
+      <div class="sg-mode">
+        <h3>Light</h3>
+        ${renderContrastMatrix(light, lightOptions)}
+      </div>
+      <div class="sg-mode dark">
+        <h3>Dark</h3>
+        ${renderContrastMatrix(dark, darkOptions)}
+      </div>
+    </div>
+  </section>`;
+}
+
+/**
+ * Font specimens and the type scale
+ * @param {Object} tokens - Theme tokens
+ * @param {string} [prefix] - Variable prefix of the theme CSS
+ * @returns {string} HTML
+ */
+function renderTypographySection(tokens, prefix) {
+  const {
+    fontHeading = 'system-ui',
+    fontBody = 'system-ui',
+    fontWeightHeading = 600,
+    fontWeightBody = 400,
+    typeScale = 'default',
+    lineHeightPreset = 'normal',
+  } = tokens;
+  const scale = TYPE_SCALES[typeScale] || TYPE_SCALES.default;
+  const lineHeights = LINE_HEIGHTS[lineHeightPreset] || LINE_HEIGHTS.normal;
+  const sizes = getTypeScaleSizes(scale.id);
+
+  const font = (role, id, weight, lineHeight) => `<div class="sg-font">
+        <span class="sg-type-meta">${role}</span>
+        <div class="sg-font-specimen" style="font-family: ${escapeHTML(getFontFamily(id))}; font-weight: ${weight}">${escapeHTML(getFont(id)?.name || id)}</div>
+        <span class="sg-type-meta">Weight ${weight} &middot; line height ${lineHeight} &middot; <code>${escapeHTML(getFontFamily(id))}</code></span>
+      </div>`;
+
+  // Larger steps are set as headings, base and below as body text
+  const rows = Object.entries(sizes).reverse().map(([step, px]) => {
+    const isHeading = !['base', 'sm', 'xs'].includes(step);
+    const style = prefixVariables(isHeading
+      ? 'font-family: var(--font-family-heading); font-weight: var(--font-weight-heading); line-height: var(--line-height-heading)'
+      : 'font-family: var(--font-family-body); font-weight: var(--font-weight-body)', prefix);
+    const sample = isHeading ? 'The quick brown fox jumps over the lazy dog' : 'Body copy sets the rhythm of the page. The quick brown fox jumps over the lazy dog.';
+    return `<div class="sg-type-row">
+        <div class="sg-type-meta"><strong>${step}</strong><br>${px}px &middot; ${Math.round((px / 16) * 1000) / 1000}rem</div>
+        <div class="sg-type-sample" style="${style}; font-size: ${px}px">${sample}</div>
+      </div>`;
+  });
+
+  return `<section class="sg-section" id="typography">
+    <h2>Typography</h2>
+    <div class="sg-fonts">
+      ${font('Headings', fontHeading, fontWeightHeading, lineHeights.heading)}
+      ${font('Body', fontBody, fontWeightBody, lineHeights.body)}
+    </div>
+    <p class="sg-note">${escapeHTML(scale.name)} scale: ratio ${scale.ratio} from a ${scale.baseFontSize}px base (<code>${escapeHTML(prefixCSSVariable('--font-size-{step}', prefix))}</code>).</p>
+    ${rows.join('\n    ')}
+  </section>`;
+}
+
+/**
+ * Surface colors and radius samples
+ * @param {Object} tokens - Theme tokens
+ * @param {string} [prefix] - Variable prefix of the theme CSS
+ * @returns {string} HTML
+ */
+function renderShapeSection(tokens, prefix) {
+  const cssVar = (name) => escapeHTML(prefixCSSVariable(`--${name}`, prefix));
+  const surfaces = SURFACES.filter(({ key }) => tokens[key]).map(({ key, label }) => `<div class="sg-surface" style="background: ${escapeHTML(tokens[key])}">
+        <strong>${label}</strong>
+        <code>${cssVar(key.replace(/([A-Z])/g, '-$1').toLowerCase())}</code>
+        <span>${escapeHTML(tokens[key])}</span>
+      </div>`);
+
+  const radii = RADIUS_SAMPLES.map(({ name, value }) => {
+    const radius = prefixVariables(value, prefix);
+    return `<div class="sg-radius" style="border-radius: ${radius}" title="${radius}">${name}</div>`;
+  });
+
+  return `<section class="sg-section" id="surfaces">
+    <h2>Surfaces</h2>
+    <div class="sg-surfaces">
+      ${surfaces.join('\n      ')}
+    </div>
+  </section>
+
+  <section class="sg-section" id="radius">
+    <h2>Radius</h2>
+    <p class="sg-note">Base radius <code>${cssVar('radius')}: ${tokens.radius ?? 0.625}rem</code>; the other steps are offsets from it.</p>
+    <div class="sg-radii">
+      ${radii.join('\n      ')}
+    </div>
+  </section>`;
+}
+
+/**
+ * Component pattern examples, rendered in both modes
+ * @returns {string} HTML
+ */
+function renderComponentSection() {
+  const examples = `<div class="sg-components">
+          <div class="sg-row">
+            <button type="button" class="sg-button sg-button-primary">Primary</button>
+            <button type="button" class="sg-button sg-button-secondary">Secondary</button>
+            <button type="button" class="sg-button sg-button-outline">Outline</button>
+            <button type="button" class="sg-button sg-button-ghost">Ghost</button>
+            <button type="button" class="sg-button sg-button-destructive">Delete</button>
+          </div>
+          <div class="sg-row">
+            <span class="sg-badge">Badge</span>
+            <span class="sg-badge sg-badge-secondary">Secondary</span>
+            <span class="sg-badge sg-badge-outline">Outline</span>
+          </div>
+          <div class="sg-card">
+            <h4>Card title</h4>
+            <p>Cards sit on the card surface with a border and the base radius.</p>
+            <input class="sg-input" type="text" placeholder="Input placeholder" aria-label="Example input">
+          </div>
+          <div class="sg-alert"><strong>Note:</strong> Alerts use the muted colors.</div>
+        </div>`;
+
+  return `<section class="sg-section" id="components">
+    <h2>Components</h2>
+    <p class="sg-note">Common patterns built only from the theme variables.</p>
+    <div class="sg-modes">
+      <div class="sg-mode">
+        <h3>Light</h3>
+        ${examples}
+      </div>
+      <div class="sg-mode dark">
+        <h3>Dark</h3>
+        ${examples}
+      </div>
+    </div>
+  </section>`;
+}
+
+/**
+ * Export theme as a standalone HTML style guide
+ * @param {Object} theme - Theme state (with colors)
+ * @param {Object} [options={}]
+ * @param {string} [options.title] - Page title (defaults to the active preset's name)
+ * @param {string} [options.prefix=''] - Variable prefix, matching the CSS export the guide documents
+ * @param {string} [options.darkMode] - Dark mode option of that CSS export, described in the footer
+ * @param {string} [options.darkSelector] - Dark selector of that CSS export, described in the footer
+ * @returns {string} HTML document
+ *
+ * @example
+ * const html = exportAsStyleGuide({ ...theme, colors }, { title: 'Acme Design System' });
+ */
+export function exportAsStyleGuide(theme, options = {}) {
+  const { colors, ...tokens } = theme;
+  const light = colors?.light || {};
+  const dark = colors?.dark || {};
+  const title = options.title || getPresetById(tokens.activePresetId)?.name || 'Design System';
+  const { prefix } = options;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)} - Style Guide</title>
+<style>
+${exportAsCSS(theme, { prefix })}</style>
+<style>${prefixVariables(GUIDE_CSS, prefix)}</style>
+</head>
+<body>
+<main class="sg-page">
+  <header class="sg-header">
+    <h1>${escapeHTML(title)}</h1>
+    <p>Style guide generated by Design Manager on ${new Date().toISOString().slice(0, 10)}.</p>
+  </header>
+
+  ${renderColorSection(light, dark, prefix)}
+
+  ${renderScaleSection(getColorScales(theme), prefix)}
+
+  ${renderContrastSection(light, dark, tokens)}
+
+  ${renderTypographySection(tokens, prefix)}
+
+  ${renderShapeSection(tokens, prefix)}
+
+  ${renderComponentSection()}
+
+  <footer class="sg-footer">${escapeHTML(describeDarkMode(options)).replace(/`([^`]+)`/g, '<code>$1</code>')}</footer>
+</main>
+</body>
+</html>
+`;
+}
@@ -1,10 +1,49 @@
 /**
  * Tailwind Exporter
  *
- * Exports theme as Tailwind CSS configuration.
+ * Exports theme as Tailwind CSS configuration: a v3 `tailwind.config.js`
+ * object, or a v4 stylesheet with `@theme inline` and a class-based dark
+ * variant.
  */
 
-import { oklchToHex } from '../theme-utils';
+import { getThemeVariables, generateGoogleFontsImport, normalizeCSSPrefix, prefixCSSVariable } from '../theme-utils';
+import { getCSSVarName } from '../constants';
+import { toHexString } from '../color-utils';
+import { getColorScales, getColorScaleEntries, TONAL_SCALE_STEPS } from '../tonal-scales';
+import { formatJSValue } from './js-module';
+
+/**
+ * Scales merged into the semantic color of the same name
+ * (`bg-primary` and `bg-primary-500` side by side)
+ * @constant {string[]}
+ */
+const SEMANTIC_SCALES = ['primary', 'accent', 'destructive'];
+
+/**
+ * Format the steps of a tonal scale as config entries
+ * @param {Object.<number, string>} [scale] - Scale colors keyed by step
+ * @param {function(number): string} formatValue - Config value of a step
+ * @returns {string} Entries, one per line
+ */
+function formatScaleSteps(scale, formatValue) {
+  return TONAL_SCALE_STEPS.filter((step) => scale?.[step])
+    .map((step) => `          ${step}: '${formatValue(step)}',\n`)
+    .join('');
+}
+
+/**
+ * Format the tonal scales without a semantic color (e.g. neutral) as
+ * color groups
+ * @param {Object.<string, Object>} scales - Scales keyed by id
+ * @param {function(string, number): string} formatValue - Config value of a step
+ * @returns {string} Color groups
+ */
+function formatScaleGroups(scales, formatValue) {
+  const groups = Object.entries(scales)
+    .filter(([name]) => !SEMANTIC_SCALES.includes(name))
+    .map(([name, scale]) => `        ${name}: {\n${formatScaleSteps(scale, (step) => formatValue(name, step))}        },\n`);
+  return groups.length > 0 ? `        // Tonal scales\n${groups.join('')}` : '';
+}
 
 /**
  * Convert OKLCH color to Tailwind-compatible format
@@ -19,18 +58,38 @@ function toTailwindColor(oklchColor) {
   return oklchColor;
 }
 
+/**
+ * Tailwind v3 `darkMode` setting matching the CSS export's dark mode options
+ * @param {Object} options
+ * @param {'selector'|'media'|'both'} [options.darkMode='selector'] - How the CSS applies dark colors
+ * @param {string} [options.darkSelector='.dark'] - Selector for the dark colors
+ * @returns {string} JavaScript value
+ */
+function getDarkModeSetting({ darkMode = 'selector', darkSelector = '.dark' }) {
+  if (darkMode === 'media') return "'media'";
+  const selector = String(darkSelector).trim() || '.dark';
+  return selector === '.dark' ? "'class'" : formatJSValue(['selector', selector]);
+}
+
 /**
  * Export theme as Tailwind configuration
  * @param {Object} theme - Theme state
+ * @param {Object} [options] - Options of the CSS export the config is used with
+ * @param {string} [options.prefix=''] - Variable prefix ('acme' references --acme-primary)
+ * @param {'selector'|'media'|'both'} [options.darkMode='selector'] - How the CSS applies dark colors
+ * @param {string} [options.darkSelector='.dark'] - Selector for the dark colors
  * @returns {string} JavaScript configuration string
  */
-export function exportAsTailwind(theme) {
+export function exportAsTailwind(theme, options = {}) {
   const { colors, ...tokens } = theme;
   const lightColors = colors?.light || {};
+  const scales = getColorScales(theme);
+  const scaleVar = (name, step) => `var(--${name}-${step})`;
+  const steps = (name) => formatScaleSteps(scales[name], (step) => scaleVar(name, step));
 
   let config = `/** @type {import('tailwindcss').Config} */
 export default {
-  darkMode: 'class',
+  darkMode: ${getDarkModeSetting(options)},
   theme: {
     extend: {
       colors: {
@@ -47,7 +106,7 @@ export default {
         primary: {
           DEFAULT: 'var(--primary)',
           foreground: 'var(--primary-foreground)',
-        },
+${steps('primary')}        },
         secondary: {
           DEFAULT: 'var(--secondary)',
           foreground: 'var(--secondary-foreground)',
@@ -59,11 +118,11 @@ export default {
         accent: {
           DEFAULT: 'var(--accent)',
           foreground: 'var(--accent-foreground)',
-        },
+${steps('accent')}        },
         destructive: {
           DEFAULT: 'var(--destructive)',
           foreground: 'var(--destructive-foreground)',
-        },
+${steps('destructive')}        },
         border: 'var(--border)',
         input: 'var(--input)',
         ring: 'var(--ring)',
@@ -84,7 +143,7 @@ export default {
           title: 'var(--chart-title)',
           subtitle: 'var(--chart-subtitle)',
         },
-`;
+${formatScaleGroups(scales, scaleVar)}`;
 
   // Add paper surfaces
   if (tokens.paperWhite || tokens.paperCream || tokens.paperKraft) {
@@ -126,6 +185,11 @@ export default {
 };
 `;
 
+  // Reference the prefixed variables of a prefixed CSS export
+  if (normalizeCSSPrefix(options.prefix)) {
+    config = config.replace(/var\((--[\w-]+)\)/g, (match, name) => `var(${prefixCSSVariable(name, options.prefix)})`);
+  }
+
   return config;
 }
 
@@ -139,13 +203,16 @@ export function exportAsTailwindStatic(theme) {
   const { colors } = theme;
   const lightColors = colors?.light || {};
   const darkColors = colors?.dark || {};
+  const scales = getColorScales(theme);
 
   const formatColor = (color) => {
     if (color?.startsWith('oklch')) {
-      return oklchToHex(color);
+      return toHexString(color);
     }
     return color;
   };
+  const scaleColor = (name, step) => formatColor(scales[name][step]);
+  const steps = (name) => formatScaleSteps(scales[name], (step) => scaleColor(name, step));
 
   let config = `/** @type {import('tailwindcss').Config} */
 export default {
@@ -159,7 +226,7 @@ export default {
         primary: {
           DEFAULT: '${formatColor(lightColors.primary)}',
           foreground: '${formatColor(lightColors.primaryForeground)}',
-        },
+${steps('primary')}        },
         secondary: {
           DEFAULT: '${formatColor(lightColors.secondary)}',
           foreground: '${formatColor(lightColors.secondaryForeground)}',
@@ -171,10 +238,10 @@ export default {
         accent: {
           DEFAULT: '${formatColor(lightColors.accent)}',
           foreground: '${formatColor(lightColors.accentForeground)}',
-        },
+${steps('accent')}        },
         destructive: {
           DEFAULT: '${formatColor(lightColors.destructive)}',
-        },
+${steps('destructive')}        },
         border: '${formatColor(lightColors.border)}',
         input: '${formatColor(lightColors.input)}',
         ring: '${formatColor(lightColors.ring)}',
@@ -195,7 +262,7 @@ export default {
           title: '${formatColor(lightColors.chartTitle)}',
           subtitle: '${formatColor(lightColors.chartSubtitle)}',
         },
-      },
+${formatScaleGroups(scales, scaleColor)}      },
     },
   },
   plugins: [],
@@ -205,4 +272,123 @@ export default {
   return config;
 }
 
+/**
+ * Type scale steps exposed as Tailwind `text-*` utilities
+ * @constant {string[]}
+ */
+const TAILWIND_TEXT_STEPS = ['xs', 'sm', 'base', 'lg', 'xl', '2xl', '3xl', '4xl'];
+
+/**
+ * Format custom properties as CSS declarations
+ * @param {Object.<string, string>} vars - Custom properties
+ * @returns {string} Indented declarations
+ */
+function formatDeclarations(vars) {
+  return Object.entries(vars)
+    .map(([name, value]) => `  ${name}: ${value};`)
+    .join('\n');
+}
+
+/**
+ * Export theme as a Tailwind CSS v4 stylesheet
+ *
+ * Theme values live in plain `:root` / `.dark` custom properties (the same
+ * ones applyThemeToDOM sets), and `@theme inline` maps them onto Tailwind's
+ * `--color-*`, `--radius-*`, `--font-*`, `--text-*` and `--leading-*`
+ * namespaces so utilities like `bg-primary` and `rounded-lg` follow the
+ * active mode. Dark mode uses the `.dark` class.
+ *
+ * @param {Object} theme - Theme state
+ * @returns {string} CSS to use as the app's main Tailwind stylesheet
+ */
+export function exportAsTailwindV4(theme) {
+  const { colors, ...tokens } = theme;
+  const lightColors = colors?.light || {};
+  const darkColors = colors?.dark || {};
+
+  // Type sizes and line heights are exposed through @theme instead
+  const rootVars = Object.fromEntries(
+    Object.entries(getThemeVariables({ ...tokens, colors }, 'light')).filter(
+      ([name]) => !name.startsWith('--text-') && !name.startsWith('--leading-')
+    )
+  );
+
+  const darkVars = {};
+  Object.entries(darkColors).forEach(([key, value]) => {
+    darkVars[`--${getCSSVarName(key)}`] = value;
+  });
+
+  const themeVars = {};
+  Object.keys({ ...lightColors, ...darkColors }).forEach((key) => {
+    const varName = getCSSVarName(key);
+    themeVars[`--color-${varName}`] = `var(--${varName})`;
+  });
+  getColorScaleEntries(getColorScales(theme)).forEach(([name, step]) => {
+    themeVars[`--color-${name}-${step}`] = `var(--${name}-${step})`;
+  });
+  ['paperWhite', 'paperCream', 'paperKraft'].forEach((key) => {
+    if (!tokens[key]) return;
+    const varName = key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+    themeVars[`--color-${varName}`] = `var(--${varName})`;
+  });
+
+  Object.assign(themeVars, {
+    '--radius-sm': 'calc(var(--radius) - 4px)',
+    '--radius-md': 'calc(var(--radius) - 2px)',
+    '--radius-lg': 'var(--radius)',
+    '--radius-xl': 'calc(var(--radius) + 4px)',
+    '--font-heading': 'var(--font-family-heading)',
+    '--font-body': 'var(--font-family-body)',
+    '--font-sans': 'var(--font-family-body)',
+  });
+  TAILWIND_TEXT_STEPS.forEach((step) => {
+    themeVars[`--text-${step}`] = `var(--font-size-${step})`;
+  });
+  themeVars['--leading-heading'] = 'var(--line-height-heading)';
+  themeVars['--leading-body'] = 'var(--line-height-body)';
+
+  let css = '';
+
+  // Google Fonts import (must come before other rules)
+  const googleImport = generateGoogleFontsImport(tokens);
+  if (googleImport) {
+    css += `${googleImport}\n`;
+  }
+
+  css += `@import "tailwindcss";
+
+/* Toggle dark mode with the .dark class */
+@custom-variant dark (&:where(.dark, .dark *));
+
+:root {
+${formatDeclarations(rootVars)}
+}
+
+.dark {
+${formatDeclarations(darkVars)}
+}
+
+@theme inline {
+${formatDeclarations(themeVars)}
+}
+
+@layer base {
+  body {
+    background-color: var(--color-background);
+    color: var(--color-foreground);
+    font-family: var(--font-body);
+    line-height: var(--leading-body);
+  }
+
+  h1, h2, h3, h4, h5, h6 {
+    font-family: var(--font-heading);
+    font-weight: var(--font-weight-heading);
+    line-height: var(--leading-heading);
+  }
+}
+`;
+
+  return css;
+}
+
 export default exportAsTailwind;
@@ -1,13 +1,16 @@
 /**
  * Design Tokens Exporter
  *
- * Exports theme as W3C Design Tokens format.
+ * Exports theme as W3C Design Tokens format, and imports W3C (DTCG) token
+ * files and Tokens Studio multi-set files back into a theme.
  * https://design-tokens.github.io/community-group/format/
  */
 
-import { oklchToHex } from '../theme-utils';
-import { TYPE_SCALES, LINE_HEIGHTS } from '../typography-config';
-import { getTokenMetadata } from '../constants';
+import { TYPE_SCALES, LINE_HEIGHTS, findFontByFamily } from '../typography-config';
+import { getTokenMetadata, DEFAULT_COLOR_TOKENS } from '../constants';
+import { toOklchString, withAlpha } from '../color-utils';
+import { normalizeTheme, reportThemeIssues } from '../theme-schema';
+import { getColorScales, TONAL_SCALES, TONAL_SCALE_STEPS } from '../tonal-scales';
 
 /**
  * Build a token object with optional description from metadata
@@ -26,6 +29,26 @@ function buildToken(value, tokenKey) {
   return token;
 }
 
+/**
+ * Chart color token keys (chart1 ... chartSubtitle)
+ * @constant {string[]}
+ */
+const CHART_TOKENS = Object.keys(DEFAULT_COLOR_TOKENS.light).filter((key) => key.startsWith('chart'));
+
+/**
+ * Build the chart group of one mode: chart1 -> chart.1, chartAxisLabel -> chart.axis-label
+ * @param {Object} colors - Color tokens of the mode
+ * @returns {Object} Chart token group
+ */
+function buildChartTokens(colors) {
+  return Object.fromEntries(
+    CHART_TOKENS.filter((key) => colors[key]).map((key) => [
+      key.slice('chart'.length).replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase(),
+      buildToken(colors[key], key),
+    ])
+  );
+}
+
 /**
  * Export theme as W3C Design Tokens format
  * @param {Object} theme - Theme state
@@ -77,6 +100,7 @@ export function exportAsTokens(theme) {
         border: buildToken(lightColors.border, 'border'),
         input: buildToken(lightColors.input, 'input'),
         ring: buildToken(lightColors.ring, 'ring'),
+        chart: buildChartTokens(lightColors),
       },
 
       // Dark mode
@@ -111,6 +135,7 @@ export function exportAsTokens(theme) {
         border: buildToken(darkColors.border, 'border'),
         input: buildToken(darkColors.input, 'input'),
         ring: buildToken(darkColors.ring, 'ring'),
+        chart: buildChartTokens(darkColors),
       },
 
       // Surfaces
@@ -119,6 +144,14 @@ export function exportAsTokens(theme) {
         'paper-cream': { $value: tokens.paperCream },
         'paper-kraft': { $value: tokens.paperKraft },
       },
+
+      // Tonal scales (primitives, the same in both modes): color.primary.500, ...
+      ...Object.fromEntries(
+        Object.entries(getColorScales(theme)).map(([name, scale]) => [
+          name,
+          Object.fromEntries(Object.entries(scale).map(([step, value]) => [step, { $value: value }])),
+        ])
+      ),
     },
 
     typography: {
@@ -220,4 +253,455 @@ export function exportAsTokens(theme) {
   return JSON.stringify(designTokens, null, 2);
 }
 
+/**
+ * Top-level keys of a Tokens Studio file that are not token sets
+ * @constant {string[]}
+ */
+const TOKENS_STUDIO_META_KEYS = ['$themes', '$metadata'];
+
+/**
+ * Group names that carry no meaning for token matching
+ * @constant {string[]}
+ */
+const NEUTRAL_SEGMENTS = ['default', 'base', 'value', 'semantic', 'theme', 'colors', 'color', 'surface', 'surfaces'];
+
+/**
+ * Font weight keywords used by Figma and Tokens Studio
+ * @constant {Object.<string, number>}
+ */
+const FONT_WEIGHT_NAMES = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
+
+/**
+ * Normalize a name for loose matching ('card-foreground' == 'cardForeground')
+ * @param {string} name - Token or path name
+ * @returns {string} Lowercase alphanumerics
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Normalized color token name -> color token key
+ * @constant {Object.<string, string>}
+ */
+const COLOR_TOKEN_NAMES = Object.fromEntries(
+  Object.keys(DEFAULT_COLOR_TOKENS.light).map((token) => [normalizeName(token), token])
+);
+
+/**
+ * Normalized name -> surface token key
+ * @constant {Object.<string, string>}
+ */
+const SURFACE_TOKEN_NAMES = {
+  paperwhite: 'paperWhite',
+  papercream: 'paperCream',
+  paperkraft: 'paperKraft',
+};
+
+/**
+ * Check whether data looks like a design tokens file (DTCG or Tokens Studio)
+ * rather than a Design Manager JSON export
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean} True for design token files
+ */
+export function isDesignTokens(data) {
+  if (!data || typeof data !== 'object') return false;
+  if (TOKENS_STUDIO_META_KEYS.some((key) => key in data)) return true;
+  if (typeof data.$schema === 'string' && data.$schema.includes('design-tokens')) return true;
+
+  // Any `$value` (DTCG) or `value` + `type` (Tokens Studio) leaf
+  const stack = [data];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if ('$value' in node || ('value' in node && typeof node.type === 'string')) return true;
+    Object.values(node).forEach((child) => {
+      if (child && typeof child === 'object' && !Array.isArray(child)) stack.push(child);
+    });
+  }
+  return false;
+}
+
+/**
+ * Flatten a token tree into leaf tokens. Group `$type` is inherited.
+ * @param {Object} tree - Token group
+ * @param {string[]} [path=[]] - Path of the group
+ * @param {string} [inheritedType] - $type of the enclosing group
+ * @param {Array.<Object>} [out=[]] - Collected tokens
+ * @returns {Array.<{path: string[], value: *, type: string}>} Leaf tokens
+ */
+function flattenTokens(tree, path = [], inheritedType, out = []) {
+  const groupType = tree.$type || inheritedType;
+
+  Object.entries(tree).forEach(([key, node]) => {
+    if (key.startsWith('$') || !node || typeof node !== 'object' || Array.isArray(node)) return;
+
+    if ('$value' in node) {
+      out.push({ path: [...path, key], value: node.$value, type: node.$type || groupType });
+    } else if ('value' in node && (typeof node.type === 'string' || groupType)) {
+      // Tokens Studio legacy format
+      out.push({ path: [...path, key], value: node.value, type: node.type || groupType });
+    } else {
+      flattenTokens(node, [...path, key], groupType, out);
+    }
+  });
+
+  return out;
+}
+
+/**
+ * Split a file into token sets with an optional color mode each.
+ * Plain DTCG files are a single set; Tokens Studio files have one set per
+ * top-level key, and `$themes` named light/dark decide the mode of their sets.
+ * @param {Object} data - Parsed token file
+ * @returns {Array.<{name: string, mode: ('light'|'dark'|null), tokens: Array.<Object>}>} Token sets
+ */
+function readTokenSets(data) {
+  const isMultiSet = TOKENS_STUDIO_META_KEYS.some((key) => key in data);
+  if (!isMultiSet) {
+    return [{ name: '', mode: null, tokens: flattenTokens(data) }];
+  }
+
+  const order = data.$metadata?.tokenSetOrder ||
+    Object.keys(data).filter((key) => !TOKENS_STUDIO_META_KEYS.includes(key));
+
+  // Modes from $themes: sets enabled in a "Dark" theme are dark, and so on
+  const themeModes = {};
+  (Array.isArray(data.$themes) ? data.$themes : []).forEach((theme) => {
+    const mode = /dark/i.test(theme.name) ? 'dark' : /light/i.test(theme.name) ? 'light' : null;
+    if (!mode) return;
+    Object.entries(theme.selectedTokenSets || {}).forEach(([set, status]) => {
+      if (status === 'enabled') themeModes[set] = mode;
+    });
+  });
+
+  return order
+    .filter((name) => data[name] && typeof data[name] === 'object')
+    .map((name) => ({
+      name,
+      mode: /dark/i.test(name) ? 'dark' : /light/i.test(name) ? 'light' : themeModes[name] || null,
+      tokens: flattenTokens(data[name]),
+    }));
+}
+
+/**
+ * Convert a token color value to an OKLCH string.
+ * Accepts CSS color strings and DTCG color objects ({ colorSpace, components, alpha, hex }).
+ * @param {*} value - Token value
+ * @returns {string|null} OKLCH color, or null if unreadable
+ */
+function parseTokenColor(value) {
+  let color = value;
+
+  if (value && typeof value === 'object') {
+    const [a, b, c] = value.components || [];
+    const alpha = typeof value.alpha === 'number' && value.alpha < 1 ? ` / ${value.alpha}` : '';
+    if (value.colorSpace === 'oklch') {
+      return `oklch(${a} ${b} ${c}${alpha})`;
+    }
+    if (value.colorSpace === 'srgb') {
+      color = `rgb(${a * 255} ${b * 255} ${c * 255}${alpha})`;
+    } else {
+      color = value.hex && alpha ? withAlpha(value.hex, value.alpha) : value.hex;
+    }
+  }
+
+  if (typeof color !== 'string') return null;
+  if (/^oklch\(/i.test(color)) return color;
+
+  const converted = toOklchString(color);
+  return converted === color ? null : converted;
+}
+
+/**
+ * Convert a dimension token value to rem
+ * @param {*} value - '8px', '0.5rem', 8 or { value, unit }
+ * @returns {number|null} Value in rem
+ */
+function parseDimensionRem(value) {
+  if (value && typeof value === 'object') {
+    return parseDimensionRem(`${value.value}${value.unit || 'px'}`);
+  }
+  if (typeof value === 'number') return value / 16;
+
+  const match = String(value).trim().match(/^(-?[\d.]+)(rem|px)?$/);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  return match[2] === 'rem' ? amount : amount / 16;
+}
+
+/**
+ * Convert a font weight token value to a number
+ * @param {*} value - 600, '600' or 'SemiBold'
+ * @returns {number|null} Numeric weight
+ */
+function parseFontWeight(value) {
+  const numeric = parseFloat(value);
+  if (!Number.isNaN(numeric)) return numeric;
+  return FONT_WEIGHT_NAMES[normalizeName(value)] || null;
+}
+
+/**
+ * Which text role a token path describes
+ * @param {string[]} path - Token path
+ * @returns {'heading'|'body'|null} Role
+ */
+function getTextRole(path) {
+  const names = path.map(normalizeName);
+  if (names.some((name) => /^(heading|headings|display|title|h[1-6])$/.test(name))) return 'heading';
+  if (names.some((name) => /^(body|paragraph|text|sans|base|default)$/.test(name))) return 'body';
+  return null;
+}
+
+/**
+ * Find the preset whose values are closest to the given ones
+ * @param {Object} presets - TYPE_SCALES or LINE_HEIGHTS
+ * @param {function(Object): number} distance - Distance of a preset
+ * @returns {string} Preset ID
+ */
+function findClosestPreset(presets, distance) {
+  return Object.values(presets).reduce((best, preset) =>
+    distance(preset) < distance(best) ? preset : best
+  ).id;
+}
+
+/**
+ * Parse a W3C Design Tokens (DTCG) or Tokens Studio file into theme tokens.
+ *
+ * Color tokens are matched to theme colors by name (`card.foreground`,
+ * `card-foreground` and `cardForeground` all match cardForeground) and
+ * assigned to light or dark mode by a `light`/`dark` group in their path or,
+ * for Tokens Studio, by their token set and `$themes`. Steps of the tonal
+ * scales (`primary.500`, `neutral.950`) become `colorScales`. Alias
+ * references like `{color.primary}` are resolved first. Font families,
+ * weights, radius, line heights and the type scale ratio are mapped by type
+ * and name.
+ *
+ * @param {string|Object} data - Token file as JSON string or object
+ * @returns {{theme: Object, errors: Array.<{path: string, message: string, value: *}>, unknown: string[]}}
+ *   Parsed theme and a report of unreadable values and tokens with no matching theme token
+ *
+ * @example
+ * parseDesignTokens({ color: { $type: 'color', light: { primary: { $value: '#3b82f6' } } } });
+ * // { theme: { colors: { light: { primary: 'oklch(...)' } } }, errors: [], unknown: [] }
+ */
+export function parseDesignTokens(data) {
+  const errors = [];
+  const unknown = [];
+  const theme = {};
+
+  let tokenFile = data;
+  if (typeof data === 'string') {
+    try {
+      tokenFile = JSON.parse(data);
+    } catch (e) {
+      return { theme, errors: [{ path: '', message: `invalid JSON: ${e.message}`, value: null }], unknown };
+    }
+  }
+  if (!tokenFile || typeof tokenFile !== 'object') {
+    return { theme, errors: [{ path: '', message: 'expected a design tokens object', value: data }], unknown };
+  }
+
+  const sets = readTokenSets(tokenFile);
+
+  // Alias lookup: later sets override earlier ones, like Tokens Studio's set order
+  const byPath = new Map();
+  sets.forEach((set) => {
+    set.tokens.forEach((token) => byPath.set(token.path.join('.'), token));
+  });
+  const referenced = new Set();
+
+  function resolve(token, seen = new Set()) {
+    const match = typeof token.value === 'string' && token.value.match(/^\{([^{}]+)\}$/);
+    if (!match) return token;
+
+    const target = byPath.get(match[1]);
+    if (!target || seen.has(match[1])) return null;
+    referenced.add(match[1]);
+    seen.add(match[1]);
+    const resolved = resolve(target, seen);
+    return resolved && { ...resolved, type: token.type || resolved.type };
+  }
+
+  const typography = { lineHeight: {}, fontSize: {}, ratio: null };
+  const radiusCandidates = [];
+  const unmatched = [];
+
+  sets.forEach((set) => {
+    set.tokens.forEach((token) => {
+      const id = token.path.join('.');
+      const label = set.name ? `${set.name}/${id}` : id;
+      const resolved = resolve(token);
+      if (!resolved) {
+        errors.push({ path: label, message: 'unresolved alias', value: token.value });
+        return;
+      }
+
+      const { value } = resolved;
+      const type = normalizeName(resolved.type || '');
+      const names = token.path.map(normalizeName);
+      const role = getTextRole(token.path);
+      let matched = true;
+
+      const [scaleName, step] = names.slice(-2);
+      const isScaleStep = TONAL_SCALES[scaleName] && TONAL_SCALE_STEPS.includes(Number(step));
+
+      if (isScaleStep && (type === 'color' || !type)) {
+        // Tonal scale steps (primary.500) are the same in both modes
+        const color = parseTokenColor(value);
+        if (!color) {
+          errors.push({ path: label, message: 'unreadable color value', value });
+        } else {
+          theme.colorScales = theme.colorScales || {};
+          theme.colorScales[scaleName] = { ...theme.colorScales[scaleName], [step]: color };
+        }
+      } else if (type === 'color' || (!type && typeof value === 'string' && parseTokenColor(value))) {
+        const mode = names.includes('dark') ? 'dark' : names.includes('light') ? 'light' : set.mode || 'light';
+        // Try the longest suffix of the path first, so card.foreground beats foreground
+        const segments = names.filter((name) => name !== 'dark' && name !== 'light' && !NEUTRAL_SEGMENTS.includes(name));
+        let key = null;
+        for (let start = 0; start < segments.length && !key; start += 1) {
+          const name = segments.slice(start).join('');
+          key = COLOR_TOKEN_NAMES[name] || SURFACE_TOKEN_NAMES[name] || null;
+        }
+
+        const color = key ? parseTokenColor(value) : null;
+        if (!key) {
+          matched = false;
+        } else if (!color) {
+          errors.push({ path: label, message: 'unreadable color value', value });
+        } else if (SURFACE_TOKEN_NAMES[normalizeName(key)]) {
+          theme[key] = color;
+        } else {
+          theme.colors = theme.colors || {};
+          theme.colors[mode] = { ...theme.colors[mode], [key]: color };
+        }
+      } else if (type === 'fontfamily' || type === 'fontfamilies') {
+        const font = findFontByFamily(value);
+        if (!role) {
+          matched = false;
+        } else if (!font) {
+          errors.push({ path: label, message: 'font is not in the font catalog', value });
+        } else {
+          theme[role === 'heading' ? 'fontHeading' : 'fontBody'] = font;
+        }
+      } else if (type === 'fontweight' || type === 'fontweights') {
+        const weight = parseFontWeight(value);
+        if (!role) {
+          matched = false;
+        } else if (weight === null) {
+          errors.push({ path: label, message: 'unreadable font weight', value });
+        } else {
+          theme[role === 'heading' ? 'fontWeightHeading' : 'fontWeightBody'] = weight;
+        }
+      } else if (type === 'typography' && value && typeof value === 'object') {
+        // Composite typography tokens (Tokens Studio)
+        if (!role) {
+          matched = false;
+        } else {
+          const font = findFontByFamily(value.fontFamily);
+          const weight = parseFontWeight(value.fontWeight);
+          if (font) {
+            theme[role === 'heading' ? 'fontHeading' : 'fontBody'] = font;
+          } else if (value.fontFamily) {
+            errors.push({ path: `${label}.fontFamily`, message: 'font is not in the font catalog', value: value.fontFamily });
+          }
+          if (weight) theme[role === 'heading' ? 'fontWeightHeading' : 'fontWeightBody'] = weight;
+          const lineHeight = parseFloat(value.lineHeight);
+          if (!Number.isNaN(lineHeight) && lineHeight < 4) typography.lineHeight[role] = lineHeight;
+        }
+      } else if (names.some((name) => name.includes('radius') || name === 'borderradius')) {
+        const rem = parseDimensionRem(value);
+        if (rem === null) {
+          errors.push({ path: label, message: 'unreadable dimension', value });
+        } else {
+          radiusCandidates.push({ names, rem });
+        }
+      } else if (names.includes('lineheight') || names.includes('lineheights')) {
+        const lineHeight = parseFloat(value);
+        if (role && !Number.isNaN(lineHeight)) typography.lineHeight[role] = lineHeight;
+        else matched = false;
+      } else if (names.includes('fontsize') || names.includes('fontsizes')) {
+        // Only the base size is kept; the other steps follow from the scale
+        const rem = names[names.length - 1] === 'base' ? parseDimensionRem(value) : null;
+        if (rem !== null) typography.fontSize.base = rem * 16;
+      } else if (names.includes('typescale') && names[names.length - 1] === 'ratio') {
+        typography.ratio = parseFloat(value);
+      } else if (names.includes('opacity') && names.some((name) => name.startsWith('texture'))) {
+        const opacity = parseFloat(value);
+        if (Number.isNaN(opacity)) {
+          errors.push({ path: label, message: 'unreadable number', value });
+        } else {
+          theme.textureOpacityFaint = opacity;
+        }
+      } else {
+        matched = false;
+      }
+
+      if (!matched) unmatched.push({ id, label });
+    });
+  });
+
+  // A single radius wins; otherwise prefer the default/base/md step
+  if (radiusCandidates.length > 0) {
+    const preferred = radiusCandidates.find(({ names }) =>
+      ['radius', 'default', 'base', 'md'].includes(names[names.length - 1])
+    ) || radiusCandidates[0];
+    theme.radius = preferred.rem;
+  }
+
+  const { heading, body } = typography.lineHeight;
+  if (heading !== undefined || body !== undefined) {
+    theme.lineHeightPreset = findClosestPreset(LINE_HEIGHTS, (lh) =>
+      Math.abs(lh.heading - (heading ?? lh.heading)) + Math.abs(lh.body - (body ?? lh.body))
+    );
+  }
+
+  if (typography.ratio) {
+    const base = typography.fontSize.base;
+    theme.typeScale = findClosestPreset(TYPE_SCALES, (scale) =>
+      Math.abs(scale.ratio - typography.ratio) + (base ? Math.abs(scale.baseFontSize - base) / 100 : 0)
+    );
+  }
+
+  // Primitives that only feed aliases are not reported
+  unmatched.forEach(({ id, label }) => {
+    if (!referenced.has(id)) unknown.push(label);
+  });
+
+  const normalized = normalizeTheme(theme);
+  return {
+    theme: normalized.theme,
+    errors: [...errors, ...normalized.errors],
+    unknown,
+  };
+}
+
+/**
+ * Import theme from a W3C Design Tokens or Tokens Studio file
+ * @param {string|Object} data - Token file as JSON string or object
+ * @returns {Object|null} Theme tokens, or null if no theme tokens were found
+ */
+export function importFromTokens(data) {
+  const result = parseDesignTokens(data);
+  reportThemeIssues(result, 'design tokens');
+
+  return Object.keys(result.theme).length > 0 ? result.theme : null;
+}
+
 export default exportAsTokens;
@@ -0,0 +1,129 @@
+/**
+ * ZIP Writer
+ *
+ * Minimal ZIP archive writer for the export bundle. Entries are stored
+ * uncompressed (method 0) with CRC-32 checksums and UTF-8 names, which every
+ * unzip tool reads and keeps the package free of compression dependencies.
+ */
+
+/**
+ * CRC-32 lookup table (IEEE polynomial, reflected)
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 checksum of bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields (local time, 2s precision)
+ * @param {Date} date - Modification date
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array.<{path: string, content: (string|Uint8Array)}>} files - Entries; strings are UTF-8 encoded
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()] - Modification date of every entry
+ * @returns {Uint8Array} Archive bytes
+ *
+ * @example
+ * const zip = createZip([{ path: 'theme.css', content: ':root { ... }' }]);
+ * const blob = new Blob([zip], { type: 'application/zip' });
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, date: dosDate } = toDosDateTime(date);
+
+  const entries = files.map(({ path, content }) => {
+    const name = encoder.encode(path.replace(/^\/+/, ''));
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    return { name, data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  const u16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+  const u32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+  const write = (chunk) => { bytes.set(chunk, offset); offset += chunk.length; };
+
+  // Fields shared by local and central headers: version needed, flags
+  // (bit 11 = UTF-8 names), method (0 = stored), time, date, CRC, sizes
+  const writeEntryFields = (entry) => {
+    u16(20);
+    u16(0x0800);
+    u16(0);
+    u16(time);
+    u16(dosDate);
+    u32(entry.crc);
+    u32(entry.data.length);
+    u32(entry.data.length);
+    u16(entry.name.length);
+    u16(0);
+  };
+
+  entries.forEach((entry) => {
+    entry.offset = offset;
+    u32(0x04034b50);
+    writeEntryFields(entry);
+    write(entry.name);
+    write(entry.data);
+  });
+
+  const centralOffset = offset;
+  entries.forEach((entry) => {
+    u32(0x02014b50);
+    u16(20); // version made by
+    writeEntryFields(entry);
+    u16(0); // comment length
+    u16(0); // disk number
+    u16(0); // internal attributes
+    u32(0); // external attributes
+    u32(entry.offset);
+    write(entry.name);
+  });
+
+  // End of central directory
+  u32(0x06054b50);
+  u16(0);
+  u16(0);
+  u16(entries.length);
+  u16(entries.length);
+  u32(centralSize);
+  u32(centralOffset);
+  u16(0);
+
+  return bytes;
+}
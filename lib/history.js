@@ -0,0 +1,185 @@
+/**
+ * Theme History
+ *
+ * Compact, diff-based undo/redo history. Each entry stores only the
+ * values that changed (as path -> { from, to }) plus a human-readable
+ * label, instead of a full copy of the previous state.
+ *
+ * Paths are dot-separated: 'radius', 'colors.light.primary'.
+ *
+ * @module history
+ */
+
+import { MAX_HISTORY_SIZE, HISTORY_COALESCE_WINDOW } from './constants';
+
+/**
+ * State keys that are never recorded in history
+ * @constant {string[]}
+ */
+const UNTRACKED_KEYS = ['history', 'historyIndex', 'activeTab', 'panelOpen'];
+
+let entryCounter = 0;
+
+/**
+ * Compare two values for history purposes
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compute the changes between two theme states
+ * @param {Object} prev - State before the change
+ * @param {Object} next - State after the change
+ * @returns {Object.<string, {from: *, to: *}>} Changes keyed by path
+ */
+export function diffThemes(prev, next) {
+  const changes = {};
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+
+  keys.forEach((key) => {
+    if (UNTRACKED_KEYS.includes(key)) return;
+
+    if (key === 'colors') {
+      ['light', 'dark'].forEach((mode) => {
+        const prevColors = prev.colors?.[mode] || {};
+        const nextColors = next.colors?.[mode] || {};
+        const tokens = new Set([...Object.keys(prevColors), ...Object.keys(nextColors)]);
+
+        tokens.forEach((token) => {
+          if (prevColors[token] !== nextColors[token]) {
+            changes[`colors.${mode}.${token}`] = { from: prevColors[token], to: nextColors[token] };
+          }
+        });
+      });
+      return;
+    }
+
+    if (!isSameValue(prev[key], next[key])) {
+      changes[key] = { from: prev[key], to: next[key] };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Apply one side of a set of changes to a state
+ * @param {Object} state - Current state
+ * @param {Object} changes - Changes keyed by path
+ * @param {'from' | 'to'} side - 'from' to undo, 'to' to redo
+ * @returns {Object} New state
+ */
+export function applyChanges(state, changes, side) {
+  const next = {
+    ...state,
+    colors: {
+      light: { ...state.colors?.light },
+      dark: { ...state.colors?.dark },
+    },
+  };
+
+  Object.entries(changes).forEach(([path, change]) => {
+    const value = change[side];
+    const [root, mode, token] = path.split('.');
+
+    const target = root === 'colors' ? next.colors[mode] : next;
+    const key = root === 'colors' ? token : root;
+
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+  });
+
+  return next;
+}
+
+/**
+ * Record a state transition in history.
+ * Drops any redo branch, coalesces rapid edits that share a group key
+ * and caps history at MAX_HISTORY_SIZE entries.
+ *
+ * @param {Object} state - State before the change (with history)
+ * @param {Object} nextState - State after the change
+ * @param {Object} meta - Entry metadata
+ * @param {string} meta.label - Human-readable label, e.g. 'Set primary (light)'
+ * @param {string} [meta.groupKey] - Edits with the same key within the coalesce window merge
+ * @param {number} [meta.timestamp=Date.now()] - Time of the change
+ * @returns {Object} nextState with updated history and historyIndex
+ */
+export function commitToHistory(state, nextState, { label, groupKey = null, timestamp = Date.now() }) {
+  const changes = diffThemes(state, nextState);
+  const history = state.history.slice(0, state.historyIndex + 1);
+
+  if (Object.keys(changes).length === 0) {
+    return { ...nextState, history: state.history, historyIndex: state.historyIndex };
+  }
+
+  const last = history[history.length - 1];
+  const canCoalesce =
+    groupKey &&
+    last &&
+    last.groupKey === groupKey &&
+    history.length === state.history.length &&
+    timestamp - last.timestamp <= HISTORY_COALESCE_WINDOW;
+
+  if (canCoalesce) {
+    const merged = { ...last.changes };
+    Object.entries(changes).forEach(([path, change]) => {
+      merged[path] = { from: merged[path] ? merged[path].from : change.from, to: change.to };
+      if (isSameValue(merged[path].from, merged[path].to)) {
+        delete merged[path];
+      }
+    });
+
+    const updated = Object.keys(merged).length
+      ? [...history.slice(0, -1), { ...last, changes: merged, timestamp }]
+      : history.slice(0, -1);
+
+    return { ...nextState, history: updated, historyIndex: updated.length - 1 };
+  }
+
+  entryCounter += 1;
+  const entry = {
+    id: `h${entryCounter}`,
+    label,
+    groupKey,
+    timestamp,
+    changes,
+  };
+
+  const updated = [...history, entry].slice(-MAX_HISTORY_SIZE);
+  return { ...nextState, history: updated, historyIndex: updated.length - 1 };
+}
+
+/**
+ * Move through history to a given index.
+ * -1 is the state before the first recorded entry.
+ *
+ * @param {Object} state - Current state
+ * @param {number} targetIndex - History index to move to
+ * @returns {Object} New state
+ */
+export function travelHistory(state, targetIndex) {
+  const target = Math.max(-1, Math.min(targetIndex, state.history.length - 1));
+  let next = state;
+  let index = state.historyIndex;
+
+  while (index > target) {
+    next = applyChanges(next, state.history[index].changes, 'from');
+    index -= 1;
+  }
+  while (index < target) {
+    index += 1;
+    next = applyChanges(next, state.history[index].changes, 'to');
+  }
+
+  return { ...next, history: state.history, historyIndex: index };
+}
@@ -3,8 +3,14 @@
  *
  * Pre-configured color themes that can be applied instantly.
  * Each preset includes light and dark mode CSS variables.
+ *
+ * User presets (saved from the current theme) live alongside these and
+ * carry a full theme snapshot instead of raw CSS.
  */
 
+import { DEFAULT_THEME, THEME_SCHEMA_VERSION } from './constants';
+import { getThemeScopeSelector } from './theme-utils';
+
 export const BUILT_IN_PRESETS = [
   {
     id: 'default',
@@ -328,20 +334,50 @@ export function getPresetById(presetId) {
   return BUILT_IN_PRESETS.find((p) => p.id === presetId) || null;
 }
 
+/**
+ * Get the style element ID used for a preset scope
+ * @param {string|null} scopeSelector - Scope selector, or null for :root
+ * @returns {string} Element ID
+ */
+function getPresetStyleId(scopeSelector) {
+  if (!scopeSelector) return 'dm-preset-styles';
+
+  // Stable short hash so each scope owns exactly one style element
+  let hash = 0;
+  for (let i = 0; i < scopeSelector.length; i++) {
+    hash = (hash * 31 + scopeSelector.charCodeAt(i)) | 0;
+  }
+  return `dm-preset-styles-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Rewrite preset CSS so it only applies inside a scope
+ * @param {string} css - Preset CSS with :root and .dark blocks
+ * @param {string|null} scopeSelector - Scope selector, or null for :root
+ * @returns {string} Scoped CSS
+ */
+export function scopePresetCSS(css, scopeSelector) {
+  if (!scopeSelector) return css;
+
+  return css
+    .replace(/:root\s*\{/g, `${scopeSelector} {`)
+    .replace(/(^|\})\s*\.dark\s*\{/g, `$1\n${scopeSelector}.dark {`);
+}
+
 /**
  * Apply a built-in preset by injecting CSS
  * @param {string} presetId - The preset ID to apply
+ * @param {Element|string|{current: Element}} [target] - Scope target (defaults to :root)
  * @returns {boolean} Whether the preset was applied
  */
-export function applyBuiltInPreset(presetId) {
+export function applyBuiltInPreset(presetId, target) {
   const preset = getPresetById(presetId);
   if (!preset) return false;
 
-  // Remove any existing preset style element
-  const existingStyle = document.getElementById('dm-preset-styles');
-  if (existingStyle) {
-    existingStyle.remove();
-  }
+  const scopeSelector = getThemeScopeSelector(target);
+
+  // Remove any existing preset style element for this scope
+  removePresetStyles(target);
 
   // If it's the default preset, just remove the override styles
   if (preset.id === 'default' || !preset.css) {
@@ -350,8 +386,8 @@ export function applyBuiltInPreset(presetId) {
 
   // Create and inject the preset styles
   const styleElement = document.createElement('style');
-  styleElement.id = 'dm-preset-styles';
-  styleElement.textContent = preset.css;
+  styleElement.id = getPresetStyleId(scopeSelector);
+  styleElement.textContent = scopePresetCSS(preset.css, scopeSelector);
   document.head.appendChild(styleElement);
 
   return true;
@@ -359,10 +395,116 @@ export function applyBuiltInPreset(presetId) {
 
 /**
  * Remove any applied preset styles
+ * @param {Element|string|{current: Element}} [target] - Scope target (defaults to :root)
  */
-export function removePresetStyles() {
-  const existingStyle = document.getElementById('dm-preset-styles');
+export function removePresetStyles(target) {
+  if (typeof document === 'undefined') return;
+
+  const existingStyle = document.getElementById(getPresetStyleId(getThemeScopeSelector(target)));
   if (existingStyle) {
     existingStyle.remove();
   }
 }
+
+/**
+ * Theme keys that are captured in a user preset snapshot.
+ * darkMode and activePresetId are preferences, not part of a preset.
+ */
+const SNAPSHOT_KEYS = Object.keys(DEFAULT_THEME).filter(
+  (key) => key !== 'darkMode' && key !== 'activePresetId'
+);
+
+/**
+ * Build thumbnail swatches from a theme's key colors
+ * @param {Object} colors - Color tokens with light and dark modes
+ * @returns {Object} Key colors in the same shape as built-in presets
+ */
+export function buildPresetThumbnail(colors) {
+  const light = colors?.light || {};
+  const dark = colors?.dark || {};
+
+  return {
+    primary: light.primary,
+    accent: light.accent,
+    background: light.background,
+    darkBackground: dark.background,
+  };
+}
+
+/**
+ * Capture the design tokens of a theme state for storing in a preset
+ * @param {Object} themeState - The theme state
+ * @returns {Object} Theme snapshot (tokens and both color modes)
+ */
+export function createThemeSnapshot(themeState) {
+  const snapshot = {};
+  SNAPSHOT_KEYS.forEach((key) => {
+    if (themeState[key] !== undefined) {
+      snapshot[key] = themeState[key];
+    }
+  });
+
+  snapshot.colors = {
+    light: { ...themeState.colors?.light },
+    dark: { ...themeState.colors?.dark },
+  };
+
+  return snapshot;
+}
+
+/**
+ * Generate a unique ID for a user preset
+ * @returns {string} Preset ID prefixed with 'user-'
+ */
+function generatePresetId() {
+  return `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Create a user preset from the current theme state
+ * @param {Object} themeState - The theme state to save
+ * @param {string} name - Display name for the preset
+ * @returns {Object} User preset
+ */
+export function createUserPreset(themeState, name) {
+  const theme = createThemeSnapshot(themeState);
+  const now = new Date().toISOString();
+
+  return {
+    id: generatePresetId(),
+    name: name?.trim() || 'Untitled Preset',
+    createdAt: now,
+    updatedAt: now,
+    schemaVersion: THEME_SCHEMA_VERSION,
+    colors: buildPresetThumbnail(theme.colors),
+    theme,
+  };
+}
+
+/**
+ * Copy an existing user preset under a new ID
+ * @param {Object} preset - The user preset to copy
+ * @param {string} [name] - Name for the copy (defaults to "<name> copy")
+ * @returns {Object} New user preset
+ */
+export function duplicateUserPreset(preset, name) {
+  const now = new Date().toISOString();
+
+  return {
+    ...preset,
+    id: generatePresetId(),
+    name: name?.trim() || `${preset.name} copy`,
+    createdAt: now,
+    updatedAt: now,
+    theme: createThemeSnapshot(preset.theme),
+  };
+}
+
+/**
+ * Check whether a preset ID belongs to a user preset
+ * @param {string} presetId - The preset ID
+ * @returns {boolean} True for user preset IDs
+ */
+export function isUserPresetId(presetId) {
+  return typeof presetId === 'string' && presetId.startsWith('user-');
+}
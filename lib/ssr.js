@@ -0,0 +1,234 @@
+/**
+ * Server Rendering Helpers
+ *
+ * Render the stored theme on the first byte, before React hydrates:
+ *
+ * - getThemeStyleString() builds a `<style>` body from a theme the server
+ *   knows about (typically read from a cookie with readThemeCookie()).
+ * - getThemeScript() builds a tiny blocking `<script>` that applies the
+ *   theme saved in localStorage before the first paint.
+ *
+ * Everything here is pure and safe to import on the server.
+ *
+ * @module ssr
+ */
+
+import {
+  DEFAULT_THEME,
+  DEFAULT_COLOR_TOKENS,
+  DEFAULT_STORAGE_KEY,
+  DEFAULT_THEME_COOKIE,
+  CSS_VAR_MAP,
+  getCSSVarName,
+} from './constants';
+import { FONT_CATALOG, TYPE_SCALES, LINE_HEIGHTS } from './typography-config';
+import { getThemeVariables, getFontFamily, normalizeCSSPrefix, prefixCSSVariable } from './theme-utils';
+import { readThemePayload, serializeTheme } from './theme-schema';
+import { generateColorScales } from './tonal-scales';
+
+/**
+ * Fill in defaults for a (possibly partial) theme
+ * @param {Object} theme - Theme tokens and colors
+ * @returns {Object} Complete theme
+ */
+function withDefaults(theme) {
+  return {
+    ...DEFAULT_THEME,
+    ...theme,
+    colors: {
+      light: { ...DEFAULT_COLOR_TOKENS.light, ...theme?.colors?.light },
+      dark: { ...DEFAULT_COLOR_TOKENS.dark, ...theme?.colors?.dark },
+    },
+  };
+}
+
+/**
+ * Format custom properties as a CSS rule
+ * @param {string} selector - CSS selector
+ * @param {Object.<string, string>} vars - Custom properties
+ * @returns {string} CSS rule
+ */
+function formatRule(selector, vars) {
+  const body = Object.entries(vars)
+    .map(([name, value]) => `  ${name}: ${value};`)
+    .join('\n');
+  return `${selector} {\n${body}\n}`;
+}
+
+/**
+ * Encode a theme for a cookie. Only values that differ from the defaults
+ * are kept so the cookie stays well under the 4KB limit.
+ * @param {Object} theme - Theme tokens and colors
+ * @returns {string} Cookie-safe value
+ */
+export function encodeThemeCookie(theme) {
+  const { colors, colorScales, ...tokens } = serializeTheme(theme);
+  const compact = {};
+
+  Object.entries(tokens).forEach(([key, value]) => {
+    if (key === 'schemaVersion' || value !== DEFAULT_THEME[key]) {
+      compact[key] = value;
+    }
+  });
+
+  // Tonal scales are left out while they match the ones generated from the colors
+  const generated = generateColorScales({ ...DEFAULT_COLOR_TOKENS.light, ...colors?.light });
+  Object.entries(colorScales || {}).forEach(([name, scale]) => {
+    if (JSON.stringify(scale) !== JSON.stringify(generated[name])) {
+      compact.colorScales = { ...compact.colorScales, [name]: scale };
+    }
+  });
+
+  ['light', 'dark'].forEach((mode) => {
+    Object.entries(colors?.[mode] || {}).forEach(([token, value]) => {
+      if (value !== DEFAULT_COLOR_TOKENS[mode][token]) {
+        compact.colors = compact.colors || {};
+        compact.colors[mode] = { ...compact.colors[mode], [token]: value };
+      }
+    });
+  });
+
+  return encodeURIComponent(JSON.stringify(compact));
+}
+
+/**
+ * Decode a cookie value written by encodeThemeCookie
+ * @param {string} value - Cookie value
+ * @returns {Object|null} Theme payload or null if unreadable
+ */
+export function decodeThemeCookie(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(decodeURIComponent(value));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a theme from a Cookie header (or document.cookie)
+ * @param {string} cookieHeader - Raw cookie string, e.g. request.headers.get('cookie')
+ * @param {string} [name=DEFAULT_THEME_COOKIE] - Cookie name
+ * @returns {Object|null} Complete, migrated theme, or null if the cookie is missing or invalid
+ *
+ * @example
+ * // Next.js app router
+ * const theme = readThemeCookie(cookies().toString());
+ */
+export function readThemeCookie(cookieHeader, name = DEFAULT_THEME_COOKIE) {
+  if (!cookieHeader) return null;
+
+  const prefix = `${name}=`;
+  const entry = cookieHeader
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(prefix));
+
+  const payload = decodeThemeCookie(entry?.slice(prefix.length));
+  if (!payload) return null;
+
+  const { theme } = readThemePayload(payload);
+  return theme ? withDefaults(theme) : null;
+}
+
+/**
+ * Class name for the root element, so the server can render `<html class="dark">`
+ * @param {Object} [theme] - Theme (defaults are used if missing)
+ * @returns {string} 'dark' or ''
+ */
+export function getThemeClassName(theme) {
+  return theme?.darkMode ? 'dark' : '';
+}
+
+/**
+ * Build a stylesheet with the theme's custom properties for both modes.
+ * Render it in a `<style>` tag in the document head.
+ *
+ * @param {Object} [theme] - Theme (partial themes are filled with defaults)
+ * @param {Object} [options]
+ * @param {string} [options.selector=':root'] - Selector for the themed element
+ * @param {string} [options.prefix] - CSS variable prefix (match the provider's cssPrefix)
+ * @returns {string} CSS
+ *
+ * @example
+ * <style dangerouslySetInnerHTML={{ __html: getThemeStyleString(theme) }} />
+ */
+export function getThemeStyleString(theme, { selector = ':root', prefix } = {}) {
+  const fullTheme = withDefaults(theme);
+  const darkSelector = selector === ':root' ? '.dark' : `${selector}.dark`;
+
+  // Only colors change in dark mode
+  const darkVars = {};
+  Object.entries(fullTheme.colors.dark).forEach(([token, value]) => {
+    darkVars[prefixCSSVariable(`--${getCSSVarName(token)}`, prefix)] = value;
+  });
+
+  return [
+    formatRule(selector, getThemeVariables(fullTheme, 'light', { prefix })),
+    formatRule(darkSelector, darkVars),
+  ].join('\n\n');
+}
+
+/**
+ * Build an inline blocking script that applies the theme saved in
+ * localStorage to `<html>` before the first paint. Render it as the first
+ * child of `<head>` (or `<body>`).
+ *
+ * Only the document root is themed; scoped providers apply their theme
+ * after hydration.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.storageKey=DEFAULT_STORAGE_KEY] - Key the theme is persisted under
+ * @param {string} [options.cookieName] - Also read this cookie when localStorage is empty
+ * @param {string} [options.prefix] - CSS variable prefix (match the provider's cssPrefix)
+ * @returns {string} JavaScript source (no `<script>` tags)
+ *
+ * @example
+ * <script dangerouslySetInnerHTML={{ __html: getThemeScript() }} />
+ */
+export function getThemeScript({ storageKey = DEFAULT_STORAGE_KEY, cookieName, prefix } = {}) {
+  const normalizedPrefix = normalizeCSSPrefix(prefix);
+
+  const fonts = {};
+  Object.keys(FONT_CATALOG).forEach((id) => {
+    fonts[id] = getFontFamily(id);
+  });
+
+  const scales = {};
+  Object.entries(TYPE_SCALES).forEach(([id, scale]) => {
+    scales[id] = [scale.baseFontSize, scale.ratio];
+  });
+
+  const lineHeights = {};
+  Object.entries(LINE_HEIGHTS).forEach(([id, lh]) => {
+    lineHeights[id] = [lh.heading, lh.body];
+  });
+
+  const data = JSON.stringify({
+    k: storageKey,
+    c: cookieName || null,
+    p: normalizedPrefix ? `${normalizedPrefix}-` : '',
+    v: CSS_VAR_MAP,
+    f: fonts,
+    s: scales,
+    l: lineHeights,
+  }).replace(/</g, '\\u003c');
+
+  // Mirrors getThemeVariables(); kept ES5 so it runs before any polyfills
+  return `(function(){try{var D=${data};var t=null;try{t=JSON.parse(localStorage.getItem(D.k))}catch(e){}
+if(!t&&D.c){var ck=document.cookie.split('; ');for(var i=0;i<ck.length;i++)if(ck[i].indexOf(D.c+'=')===0){t=JSON.parse(decodeURIComponent(ck[i].slice(D.c.length+1)));break}}
+if(!t)return;var r=document.documentElement;var dk=!!t.darkMode;r.classList[dk?'add':'remove']('dark');
+function s(n,v){if(v!==undefined&&v!==null)r.style.setProperty('--'+D.p+n.slice(2),String(v))}
+var c=(t.colors||{})[dk?'dark':'light']||{};for(var k in c)s('--'+(D.v[k]||k),c[k]);
+var g=t.colorScales||{};for(var a in g)for(var st in g[a])s('--'+a+'-'+st,g[a][st]);
+s('--paper-white',t.paperWhite);s('--paper-cream',t.paperCream);s('--paper-kraft',t.paperKraft);
+if(t.radius!=null)s('--radius',t.radius+'rem');s('--texture-opacity-faint',t.textureOpacityFaint);
+s('--font-family-heading',D.f[t.fontHeading]);s('--font-family-body',D.f[t.fontBody]);
+s('--font-weight-heading',t.fontWeightHeading);s('--font-weight-body',t.fontWeightBody);
+var sc=D.s[t.typeScale]||D.s['default'],lh=D.l[t.lineHeightPreset]||D.l.normal,b=sc[0],q=sc[1];
+function px(e){return (b*Math.pow(q,e)).toFixed(2)+'px'}
+s('--font-size-base',b+'px');s('--text-base',b+'px');s('--type-scale-ratio',q);
+var z={xs:-2,sm:-1,lg:1,xl:2,'2xl':3,'3xl':4,'4xl':5};for(var n in z){s('--font-size-'+n,px(z[n]));s('--text-'+n,px(z[n]))}
+s('--line-height-heading',lh[0]);s('--line-height-body',lh[1]);s('--leading-heading',lh[0]);s('--leading-body',lh[1]);
+}catch(e){}})();`;
+}
@@ -0,0 +1,337 @@
+/**
+ * Storage Adapters
+ *
+ * Pluggable persistence for theme state. Every adapter implements:
+ *
+ *   load(key)                 -> Promise<Object|null>
+ *   save(key, theme)          -> Promise<void>
+ *   subscribe(key, callback)  -> unsubscribe function
+ *
+ * Synchronous adapters may also implement loadSync(key) so the provider
+ * can render the stored theme on the first paint.
+ *
+ * @module storage-adapters
+ */
+
+import { encodeThemeCookie, decodeThemeCookie } from './ssr';
+
+/**
+ * Create an adapter backed by a Web Storage object (localStorage/sessionStorage)
+ * @param {function(): Storage} getStorage - Returns the storage object (lazy for SSR)
+ * @param {string} label - Name used in warnings
+ * @returns {Object} Storage adapter
+ */
+function createWebStorageAdapter(getStorage, label) {
+  function loadSync(key) {
+    try {
+      const storage = getStorage();
+      const stored = storage?.getItem(key);
+      return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+      console.warn(`Failed to load theme from ${label}:`, e);
+      return null;
+    }
+  }
+
+  return {
+    loadSync,
+
+    async load(key) {
+      return loadSync(key);
+    },
+
+    async save(key, theme) {
+      try {
+        getStorage()?.setItem(key, JSON.stringify(theme));
+      } catch (e) {
+        console.warn(`Failed to save theme to ${label}:`, e);
+      }
+    },
+
+    subscribe(key, callback) {
+      if (typeof window === 'undefined') return () => {};
+
+      // Storage events fire in other documents sharing the same storage area
+      function handleStorage(e) {
+        if (e.key !== key || e.storageArea !== getStorage()) return;
+        try {
+          callback(e.newValue ? JSON.parse(e.newValue) : null);
+        } catch (err) {
+          console.warn(`Failed to read ${label} update:`, err);
+        }
+      }
+
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    },
+  };
+}
+
+/**
+ * Create a localStorage adapter (the default)
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorageAdapter() {
+  return createWebStorageAdapter(
+    () => (typeof localStorage !== 'undefined' ? localStorage : null),
+    'localStorage'
+  );
+}
+
+/**
+ * Create a sessionStorage adapter (theme lasts for the browser tab session)
+ * @returns {Object} Storage adapter
+ */
+export function createSessionStorageAdapter() {
+  return createWebStorageAdapter(
+    () => (typeof sessionStorage !== 'undefined' ? sessionStorage : null),
+    'sessionStorage'
+  );
+}
+
+/**
+ * Create an in-memory adapter. Useful for tests, previews and
+ * sharing one theme between several providers on the same page.
+ * @param {Object.<string, Object>} [initialData={}] - Initial themes by key
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryAdapter(initialData = {}) {
+  const data = new Map(Object.entries(initialData));
+  const listeners = new Map();
+
+  return {
+    loadSync(key) {
+      return data.get(key) ?? null;
+    },
+
+    async load(key) {
+      return data.get(key) ?? null;
+    },
+
+    async save(key, theme) {
+      data.set(key, theme);
+      (listeners.get(key) || []).forEach((callback) => callback(theme));
+    },
+
+    subscribe(key, callback) {
+      const callbacks = listeners.get(key) || [];
+      listeners.set(key, [...callbacks, callback]);
+      return () => {
+        listeners.set(key, (listeners.get(key) || []).filter((cb) => cb !== callback));
+      };
+    },
+  };
+}
+
+/**
+ * Create a cookie adapter. The theme is stored compactly (only values that
+ * differ from the defaults) so servers can read it with readThemeCookie()
+ * and render the right tokens on the first byte.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name] - Cookie name (defaults to the provider's storageKey)
+ * @param {number} [options.maxAge=31536000] - Cookie lifetime in seconds (1 year)
+ * @param {string} [options.path='/'] - Cookie path
+ * @param {string} [options.sameSite='Lax'] - SameSite attribute
+ * @returns {Object} Storage adapter
+ */
+export function createCookieAdapter({
+  name,
+  maxAge = 31536000,
+  path = '/',
+  sameSite = 'Lax',
+} = {}) {
+  function loadSync(key) {
+    if (typeof document === 'undefined') return null;
+    const prefix = `${name || key}=`;
+    const entry = document.cookie.split('; ').find((part) => part.startsWith(prefix));
+    return decodeThemeCookie(entry?.slice(prefix.length));
+  }
+
+  return {
+    loadSync,
+
+    async load(key) {
+      return loadSync(key);
+    },
+
+    async save(key, theme) {
+      if (typeof document === 'undefined') return;
+
+      const value = encodeThemeCookie(theme);
+      if (value.length > 4000) {
+        console.warn('Theme cookie exceeds 4KB and may be rejected by the browser');
+      }
+      document.cookie = `${name || key}=${value}; Max-Age=${maxAge}; Path=${path}; SameSite=${sameSite}`;
+    },
+
+    // Cookies have no change events
+    subscribe() {
+      return () => {};
+    },
+  };
+}
+
+/**
+ * Create an IndexedDB adapter
+ * @param {Object} [options]
+ * @param {string} [options.dbName='design-manager'] - Database name
+ * @param {string} [options.storeName='themes'] - Object store name
+ * @returns {Object} Storage adapter
+ */
+export function createIndexedDBAdapter({
+  dbName = 'design-manager',
+  storeName = 'themes',
+} = {}) {
+  let dbPromise = null;
+  const listeners = new Map();
+
+  function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return dbPromise;
+  }
+
+  async function runTransaction(mode, operation) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  return {
+    async load(key) {
+      try {
+        const theme = await runTransaction('readonly', (store) => store.get(key));
+        return theme ?? null;
+      } catch (e) {
+        console.warn('Failed to load theme from IndexedDB:', e);
+        return null;
+      }
+    },
+
+    async save(key, theme) {
+      try {
+        await runTransaction('readwrite', (store) => store.put(theme, key));
+        (listeners.get(key) || []).forEach((callback) => callback(theme));
+      } catch (e) {
+        console.warn('Failed to save theme to IndexedDB:', e);
+      }
+    },
+
+    subscribe(key, callback) {
+      const callbacks = listeners.get(key) || [];
+      listeners.set(key, [...callbacks, callback]);
+      return () => {
+        listeners.set(key, (listeners.get(key) || []).filter((cb) => cb !== callback));
+      };
+    },
+  };
+}
+
+/**
+ * Create an HTTP adapter for a REST-style backend.
+ *
+ * Reads with `GET {baseUrl}/{key}` and writes with `PUT {baseUrl}/{key}`
+ * (JSON body). A 404 on load is treated as "no saved theme".
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - Base URL, e.g. 'http://localhost:4000/themes'
+ * @param {Object|function(): Object} [options.headers] - Extra headers (e.g. auth)
+ * @param {number} [options.pollInterval=0] - Poll for remote changes every N ms (0 disables)
+ * @param {Function} [options.fetch] - Custom fetch implementation
+ * @returns {Object} Storage adapter
+ */
+export function createHttpAdapter({
+  baseUrl,
+  headers,
+  pollInterval = 0,
+  fetch: fetchImpl,
+} = {}) {
+  if (!baseUrl) {
+    throw new Error('createHttpAdapter requires a baseUrl');
+  }
+
+  const doFetch = (...args) => (fetchImpl || globalThis.fetch)(...args);
+  const urlFor = (key) => `${baseUrl.replace(/\/$/, '')}/${encodeURIComponent(key)}`;
+  const resolveHeaders = () => (typeof headers === 'function' ? headers() : headers || {});
+
+  async function load(key) {
+    try {
+      const response = await doFetch(urlFor(key), {
+        headers: { Accept: 'application/json', ...resolveHeaders() },
+      });
+      if (response.status === 404) return null;
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return await response.json();
+    } catch (e) {
+      console.warn('Failed to load theme from server:', e);
+      return null;
+    }
+  }
+
+  return {
+    load,
+
+    async save(key, theme) {
+      try {
+        const response = await doFetch(urlFor(key), {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json', ...resolveHeaders() },
+          body: JSON.stringify(theme),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      } catch (e) {
+        console.warn('Failed to save theme to server:', e);
+      }
+    },
+
+    subscribe(key, callback) {
+      if (!pollInterval) return () => {};
+
+      const interval = setInterval(async () => {
+        try {
+          const theme = await load(key);
+          if (theme) callback(theme);
+        } catch (e) {
+          console.warn('Failed to read server update:', e);
+        }
+      }, pollInterval);
+
+      return () => clearInterval(interval);
+    },
+  };
+}
+
+/**
+ * Check that an object implements the storage adapter interface
+ * @param {Object} adapter - Candidate adapter
+ * @returns {boolean} True if load, save and subscribe are functions
+ */
+export function isStorageAdapter(adapter) {
+  return (
+    !!adapter &&
+    typeof adapter.load === 'function' &&
+    typeof adapter.save === 'function' &&
+    typeof adapter.subscribe === 'function'
+  );
+}
@@ -0,0 +1,201 @@
+/**
+ * Theme Links
+ *
+ * Encode a complete theme (colors for both modes, typography, surfaces and
+ * tokens) into a URL so it can be shared by pasting a link:
+ *
+ *   https://app.example.com/#dm-theme=1.z.<base64url>
+ *
+ * The value is `<link version>.<codec>.<data>`: the versioned theme JSON,
+ * deflate-compressed (`z`) where CompressionStream exists and plain UTF-8
+ * (`j`) otherwise, in unpadded base64url. Links carry the whole theme rather
+ * than a diff against the defaults, so they keep working when defaults
+ * change. Reading a link runs it through the theme schema, so links from
+ * older releases are migrated like stored themes.
+ *
+ * @module theme-link
+ */
+
+import { DEFAULT_THEME_LINK_PARAM } from './constants';
+import { readThemePayload, reportThemeIssues, serializeTheme } from './theme-schema';
+import { getPersistableTheme } from './theme-utils';
+
+/**
+ * Current link encoding version. Bump it when the encoding (not the theme
+ * schema) changes, and keep decoding the older versions.
+ * @constant {number}
+ */
+export const THEME_LINK_VERSION = 1;
+
+/**
+ * Codec markers
+ * @constant {Object.<string, string>}
+ */
+const CODECS = {
+  deflate: 'z',
+  json: 'j',
+};
+
+/**
+ * Whether the runtime can (de)compress with the Compression Streams API
+ * @returns {boolean}
+ */
+function canCompress() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Pipe bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input
+ * @param {CompressionStream|DecompressionStream} stream - Transform stream
+ * @returns {Promise<Uint8Array>} Output
+ */
+async function transform(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} base64url string
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded base64url
+ * @param {string} value - base64url string
+ * @returns {Uint8Array} Data
+ */
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Encode a theme as a link value
+ * @param {Object} theme - Theme tokens and colors (provider state is fine)
+ * @returns {Promise<string>} Link value, e.g. '1.z.jZPBbsIw...'
+ *
+ * @example
+ * const value = await encodeThemeLink({ ...theme, colors });
+ */
+export async function encodeThemeLink(theme) {
+  const json = JSON.stringify(serializeTheme(getPersistableTheme(theme)));
+  const bytes = new TextEncoder().encode(json);
+
+  if (canCompress()) {
+    const compressed = await transform(bytes, new CompressionStream('deflate-raw'));
+    return `${THEME_LINK_VERSION}.${CODECS.deflate}.${toBase64Url(compressed)}`;
+  }
+  return `${THEME_LINK_VERSION}.${CODECS.json}.${toBase64Url(bytes)}`;
+}
+
+/**
+ * Decode a link value written by encodeThemeLink
+ * @param {string} value - Link value
+ * @returns {Promise<Object|null>} Migrated and validated theme, or null if the value is unreadable
+ */
+export async function decodeThemeLink(value) {
+  const [version, codec, data] = String(value || '').trim().split('.');
+  if (!data || Number(version) !== THEME_LINK_VERSION) {
+    if (Number(version) > THEME_LINK_VERSION) {
+      console.warn(`Theme link version ${version} is newer than supported version ${THEME_LINK_VERSION}`);
+    }
+    return null;
+  }
+
+  try {
+    let bytes = fromBase64Url(data);
+    if (codec === CODECS.deflate) {
+      if (!canCompress()) {
+        console.warn('This browser cannot decompress theme links');
+        return null;
+      }
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    } else if (codec !== CODECS.json) {
+      return null;
+    }
+
+    const result = readThemePayload(JSON.parse(new TextDecoder().decode(bytes)));
+    reportThemeIssues(result, 'link');
+    return result.theme;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read the raw link value from a URL (hash first, then query string)
+ * @param {string|URL} url - URL to read
+ * @param {string} [param=DEFAULT_THEME_LINK_PARAM] - Parameter name
+ * @returns {string|null} Link value or null if the URL has none
+ */
+export function getThemeLinkValue(url, param = DEFAULT_THEME_LINK_PARAM) {
+  try {
+    const parsed = new URL(url);
+    const hashParams = new URLSearchParams(parsed.hash.slice(1));
+    return hashParams.get(param) || parsed.searchParams.get(param) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build a shareable URL for a theme. The theme goes in the hash, so it is
+ * never sent to the server and opening the link doesn't reload the page.
+ * @param {Object} theme - Theme tokens and colors
+ * @param {Object} [options]
+ * @param {string|URL} [options.url=window.location.href] - Page the link opens
+ * @param {string} [options.param=DEFAULT_THEME_LINK_PARAM] - Parameter name
+ * @returns {Promise<string>} Shareable URL
+ *
+ * @example
+ * const link = await createThemeLink({ ...theme, colors });
+ * await navigator.clipboard.writeText(link);
+ */
+export async function createThemeLink(theme, { url, param = DEFAULT_THEME_LINK_PARAM } = {}) {
+  const parsed = new URL(removeThemeLink(url ?? window.location.href, param));
+  // A plain anchor (#pricing) is replaced rather than turned into a parameter
+  const hashParams = new URLSearchParams(parsed.hash.includes('=') ? parsed.hash.slice(1) : '');
+  hashParams.set(param, await encodeThemeLink(theme));
+  parsed.hash = hashParams.toString();
+  return parsed.toString();
+}
+
+/**
+ * Read the theme shared in a URL
+ * @param {string|URL} url - URL to read
+ * @param {string} [param=DEFAULT_THEME_LINK_PARAM] - Parameter name
+ * @returns {Promise<Object|null>} Theme, or null if the URL carries no readable theme
+ */
+export async function readThemeLink(url, param = DEFAULT_THEME_LINK_PARAM) {
+  const value = getThemeLinkValue(url, param);
+  return value ? decodeThemeLink(value) : null;
+}
+
+/**
+ * Remove the theme parameter from a URL (hash and query string)
+ * @param {string|URL} url - URL
+ * @param {string} [param=DEFAULT_THEME_LINK_PARAM] - Parameter name
+ * @returns {string} URL without the parameter
+ */
+export function removeThemeLink(url, param = DEFAULT_THEME_LINK_PARAM) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete(param);
+
+  const hashParams = new URLSearchParams(parsed.hash.slice(1));
+  if (hashParams.has(param)) {
+    hashParams.delete(param);
+    parsed.hash = hashParams.toString();
+  }
+
+  // Drop the empty '#' or '?' left behind
+  return parsed.toString().replace(/[?#]$/, '').replace(/\?#/, '#');
+}
@@ -0,0 +1,278 @@
+/**
+ * Theme Schema
+ *
+ * Versioned shape for persisted themes, JSON exports and user presets.
+ * Payloads carry a `schemaVersion`; older payloads are upgraded one
+ * version at a time through THEME_MIGRATIONS, then validated against
+ * THEME_FIELDS. Unknown fields are kept and reported (they may come from a
+ * newer release); malformed ones are reported and left out.
+ *
+ * Unversioned payloads (saved before versioning existed) are version 1.
+ *
+ * @module theme-schema
+ */
+
+import { THEME_SCHEMA_VERSION, DEFAULT_COLOR_TOKENS } from './constants';
+import { TYPE_SCALES, LINE_HEIGHTS } from './typography-config';
+import { CONTRAST_MODELS } from './contrast-checker';
+import { TONAL_SCALES, TONAL_SCALE_STEPS } from './tonal-scales';
+
+/**
+ * Provider state that is never part of a theme
+ * @constant {string[]}
+ */
+const NON_THEME_KEYS = ['history', 'historyIndex', 'activeTab', 'panelOpen'];
+
+/**
+ * Field definitions for theme tokens (everything except colors)
+ * @constant {Object.<string, Object>}
+ */
+export const THEME_FIELDS = {
+  darkMode: { type: 'boolean' },
+  paperWhite: { type: 'color' },
+  paperCream: { type: 'color' },
+  paperKraft: { type: 'color' },
+  radius: { type: 'number', min: 0 },
+  textureOpacityFaint: { type: 'number', min: 0, max: 1 },
+  fontHeading: { type: 'string' },
+  fontBody: { type: 'string' },
+  fontWeightHeading: { type: 'number', min: 100, max: 900 },
+  fontWeightBody: { type: 'number', min: 100, max: 900 },
+  typeScale: { type: 'enum', values: Object.keys(TYPE_SCALES) },
+  lineHeightPreset: { type: 'enum', values: Object.keys(LINE_HEIGHTS) },
+  contrastModel: { type: 'enum', values: Object.keys(CONTRAST_MODELS) },
+  colorScales: { type: 'scales' },
+  activePresetId: { type: 'string' },
+};
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each step receives a payload at version N and returns it at version N + 1.
+ * @constant {Object.<number, function(Object): Object>}
+ */
+export const THEME_MIGRATIONS = {
+  // v1 -> v2: early releases saved the whole provider state, including
+  // history snapshots and panel UI state
+  1: (data) => {
+    const theme = { ...data };
+    NON_THEME_KEYS.forEach((key) => delete theme[key]);
+
+    ['radius', 'textureOpacityFaint', 'fontWeightHeading', 'fontWeightBody'].forEach((key) => {
+      if (typeof theme[key] === 'string' && theme[key].trim() !== '' && !isNaN(parseFloat(theme[key]))) {
+        theme[key] = parseFloat(theme[key]);
+      }
+    });
+
+    return theme;
+  },
+};
+
+/**
+ * Upgrade a payload to the current schema version
+ * @param {Object} data - Theme payload, with or without schemaVersion
+ * @returns {{theme: Object, fromVersion: number, migrated: boolean}} Migrated theme (without schemaVersion)
+ * @throws {Error} If a migration step is missing or the payload is from a newer version
+ */
+export function migrateTheme(data) {
+  const { schemaVersion, ...payload } = data || {};
+  const fromVersion = Number.isInteger(schemaVersion) ? schemaVersion : 1;
+
+  if (fromVersion > THEME_SCHEMA_VERSION) {
+    throw new Error(
+      `Theme schema version ${fromVersion} is newer than supported version ${THEME_SCHEMA_VERSION}`
+    );
+  }
+
+  let theme = payload;
+  for (let version = fromVersion; version < THEME_SCHEMA_VERSION; version += 1) {
+    const migrate = THEME_MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No theme migration from schema version ${version}`);
+    }
+    theme = migrate(theme);
+  }
+
+  return { theme, fromVersion, migrated: fromVersion !== THEME_SCHEMA_VERSION };
+}
+
+/**
+ * Check a single field value against its definition
+ * @param {*} value - Field value
+ * @param {Object} field - Field definition from THEME_FIELDS
+ * @returns {string|null} Error message or null if valid
+ */
+function checkField(value, field) {
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected a boolean';
+    case 'string':
+      return typeof value === 'string' && value !== '' ? null : 'expected a non-empty string';
+    case 'color':
+      return typeof value === 'string' && value.trim() !== '' ? null : 'expected a CSS color string';
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return 'expected a number';
+      if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+      return null;
+    case 'enum':
+      return field.values.includes(value) ? null : `expected one of ${field.values.join(', ')}`;
+    case 'scales': {
+      // { primary: { 50: 'oklch(...)', ..., 950: 'oklch(...)' }, ... }
+      const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+      if (!isObject(value)) return 'expected an object of tonal scales';
+      const unknown = Object.keys(value).find((name) => !TONAL_SCALES[name]);
+      if (unknown) return `unknown scale ${unknown} (expected ${Object.keys(TONAL_SCALES).join(', ')})`;
+      const valid = Object.values(value).every((scale) =>
+        isObject(scale) && Object.entries(scale).every(([step, color]) =>
+          TONAL_SCALE_STEPS.includes(Number(step)) && !checkField(color, { type: 'color' })
+        )
+      );
+      return valid ? null : `expected colors keyed by step (${TONAL_SCALE_STEPS.join(', ')})`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Split a theme into valid fields and a report of everything else.
+ * Missing fields are fine (defaults fill them in); malformed values are
+ * left out of the result and listed in the report. Unknown fields are
+ * listed too but kept as they are, so they survive a save or round trip.
+ *
+ * @param {Object} theme - Theme tokens and colors (current schema version)
+ * @returns {{theme: Object, errors: Array.<{path: string, message: string, value: *}>, unknown: string[]}}
+ */
+export function normalizeTheme(theme) {
+  const result = {};
+  const errors = [];
+  const unknown = [];
+
+  Object.entries(theme || {}).forEach(([key, value]) => {
+    if (key === 'colors' || value === undefined) return;
+
+    const field = THEME_FIELDS[key];
+    if (!field) {
+      unknown.push(key);
+      result[key] = value;
+      return;
+    }
+
+    const message = checkField(value, field);
+    if (message) {
+      errors.push({ path: key, message, value });
+    } else {
+      result[key] = value;
+    }
+  });
+
+  if (theme?.colors !== undefined) {
+    if (typeof theme.colors !== 'object' || theme.colors === null) {
+      errors.push({ path: 'colors', message: 'expected an object with light and dark tokens', value: theme.colors });
+    } else {
+      result.colors = {};
+
+      Object.entries(theme.colors).forEach(([mode, tokens]) => {
+        if (!DEFAULT_COLOR_TOKENS[mode]) {
+          unknown.push(`colors.${mode}`);
+          result.colors[mode] = tokens;
+          return;
+        }
+        if (typeof tokens !== 'object' || tokens === null) {
+          errors.push({ path: `colors.${mode}`, message: 'expected an object of color tokens', value: tokens });
+          return;
+        }
+
+        result.colors[mode] = {};
+        Object.entries(tokens).forEach(([token, value]) => {
+          const path = `colors.${mode}.${token}`;
+          if (!(token in DEFAULT_COLOR_TOKENS[mode])) {
+            unknown.push(path);
+            result.colors[mode][token] = value;
+          } else if (checkField(value, { type: 'color' })) {
+            errors.push({ path, message: 'expected a CSS color string', value });
+          } else {
+            result.colors[mode][token] = value;
+          }
+        });
+      });
+    }
+  }
+
+  return { theme: result, errors, unknown };
+}
+
+/**
+ * Validate a theme without changing it
+ * @param {Object} theme - Theme payload (any schema version)
+ * @returns {{valid: boolean, errors: Array.<Object>, unknown: string[]}} Validation report
+ *
+ * @example
+ * validateTheme({ radius: 'big', shadow: 2 });
+ * // { valid: false, errors: [{ path: 'radius', message: 'expected a number', ... }], unknown: ['shadow'] }
+ */
+export function validateTheme(theme) {
+  try {
+    const { errors, unknown } = normalizeTheme(migrateTheme(theme).theme);
+    return { valid: errors.length === 0, errors, unknown };
+  } catch (e) {
+    return { valid: false, errors: [{ path: 'schemaVersion', message: e.message, value: theme?.schemaVersion }], unknown: [] };
+  }
+}
+
+/**
+ * Migrate and normalize a stored or imported theme payload
+ * @param {Object} data - Theme payload
+ * @returns {{theme: Object|null, fromVersion: number, migrated: boolean, errors: Array.<Object>, unknown: string[]}}
+ *   theme is null if the payload could not be read at all
+ */
+export function readThemePayload(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      theme: null,
+      fromVersion: null,
+      migrated: false,
+      errors: [{ path: '', message: 'expected a theme object', value: data }],
+      unknown: [],
+    };
+  }
+
+  try {
+    const { theme, fromVersion, migrated } = migrateTheme(data);
+    return { ...normalizeTheme(theme), fromVersion, migrated };
+  } catch (e) {
+    return {
+      theme: null,
+      fromVersion: data.schemaVersion,
+      migrated: false,
+      errors: [{ path: 'schemaVersion', message: e.message, value: data.schemaVersion }],
+      unknown: [],
+    };
+  }
+}
+
+/**
+ * Log any problems found while reading a theme payload
+ * @param {Object} result - Result of readThemePayload
+ * @param {string} source - Where the payload came from, e.g. 'storage'
+ */
+export function reportThemeIssues(result, source) {
+  if (result.errors.length > 0) {
+    console.warn(`Theme from ${source} has invalid fields:`, result.errors);
+  }
+  if (result.unknown.length > 0) {
+    console.warn(`Theme from ${source} has unknown fields:`, result.unknown);
+  }
+}
+
+/**
+ * Prepare a theme for persistence or export at the current schema version
+ * @param {Object} theme - Theme tokens and colors (provider state is fine)
+ * @returns {Object} Versioned payload
+ */
+export function serializeTheme(theme) {
+  const { schemaVersion, ...tokens } = theme;
+  const payload = { schemaVersion: THEME_SCHEMA_VERSION, ...tokens };
+  NON_THEME_KEYS.forEach((key) => delete payload[key]);
+  return payload;
+}
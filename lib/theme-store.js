@@ -0,0 +1,647 @@
+/**
+ * Theme Store
+ *
+ * Framework-agnostic store that owns the theme state, undo history, user
+ * presets, persistence, cross-tab sync and DOM application.
+ * DesignManagerProvider is a thin React binding over it; other frameworks
+ * (or plain scripts) can use it directly through getState / dispatch /
+ * subscribe.
+ *
+ * @module theme-store
+ */
+
+import {
+  DEFAULT_THEME,
+  DEFAULT_COLOR_TOKENS,
+  DEFAULT_STORAGE_KEY,
+  DEFAULT_PRESETS_KEY,
+  STORAGE_DEBOUNCE,
+  TABS,
+} from './constants';
+import {
+  applyThemeToDOM,
+  removeThemeFromDOM,
+  getPersistableTheme,
+  loadPresetsFromStorage,
+  savePresetsToStorage,
+} from './theme-utils';
+import {
+  applyBuiltInPreset,
+  removePresetStyles,
+  getPresetById,
+  createUserPreset,
+  duplicateUserPreset,
+} from './presets';
+import { createLocalStorageAdapter } from './storage-adapters';
+import { commitToHistory, travelHistory, diffThemes, applyChanges } from './history';
+import { createThemeSync } from './theme-sync';
+import { readThemePayload, reportThemeIssues, serializeTheme } from './theme-schema';
+import { syncColorScales } from './tonal-scales';
+
+// Shared default adapter (localStorage)
+const defaultStorageAdapter = createLocalStorageAdapter();
+
+/**
+ * Action types
+ * @constant {Object.<string, string>}
+ */
+export const ACTIONS = {
+  SET_THEME: 'SET_THEME',
+  SET_TOKEN: 'SET_TOKEN',
+  SET_COLOR: 'SET_COLOR',
+  SET_DARK_MODE: 'SET_DARK_MODE',
+  SET_ACTIVE_TAB: 'SET_ACTIVE_TAB',
+  APPLY_PRESET: 'APPLY_PRESET',
+  UNDO: 'UNDO',
+  REDO: 'REDO',
+  RESET: 'RESET',
+  IMPORT_THEME: 'IMPORT_THEME',
+  HYDRATE: 'HYDRATE',
+  JUMP_TO_HISTORY: 'JUMP_TO_HISTORY',
+  APPLY_REMOTE_CHANGES: 'APPLY_REMOTE_CHANGES',
+};
+
+/**
+ * Migrate and validate a theme read from a storage adapter
+ * @param {Object|null} payload - Stored payload
+ * @returns {Object|null} Theme tokens, or null if nothing usable was stored
+ */
+function readStoredTheme(payload) {
+  if (!payload) return null;
+  const result = readThemePayload(payload);
+  reportThemeIssues(result, 'storage');
+  return result.theme;
+}
+
+/**
+ * Create the initial store state.
+ * Adapters with loadSync are read immediately; async adapters hydrate on start().
+ * @param {Object} [initialTheme] - Initial theme values
+ * @param {string} storageKey - Key the theme is persisted under
+ * @param {Object|null} storage - Storage adapter (null skips storage)
+ * @returns {Object} Initial state
+ */
+export function createInitialState(initialTheme, storageKey, storage) {
+  const loadedTheme = (storage?.loadSync && readStoredTheme(storage.loadSync(storageKey))) || {};
+  const mergedTheme = { ...DEFAULT_THEME, ...loadedTheme, ...initialTheme };
+
+  // Tonal scales missing from the stored theme are generated from its colors
+  return syncColorScales(null, {
+    // Theme tokens
+    ...mergedTheme,
+
+    // Color tokens
+    colors: {
+      light: { ...DEFAULT_COLOR_TOKENS.light, ...loadedTheme.colors?.light },
+      dark: { ...DEFAULT_COLOR_TOKENS.dark, ...loadedTheme.colors?.dark },
+    },
+
+    // UI state
+    activeTab: TABS.COLORS,
+    panelOpen: true,
+
+    // Diff-based history for undo/redo (see lib/history.js)
+    history: [],
+    historyIndex: -1,
+  });
+}
+
+/**
+ * Merge persistable theme tokens into a state, keeping UI state and history
+ * @param {Object} state - Current state
+ * @param {Object} theme - Theme tokens (may be partial)
+ * @returns {Object} New state
+ */
+export function mergeThemeTokens(state, theme) {
+  const { colors, ...tokens } = getPersistableTheme(theme);
+  return syncColorScales(state, {
+    ...state,
+    ...tokens,
+    colors: {
+      light: { ...state.colors.light, ...colors?.light },
+      dark: { ...state.colors.dark, ...colors?.dark },
+    },
+  });
+}
+
+/**
+ * Theme reducer. Pure: (state, action) -> state.
+ * Edits to a scale's source color regenerate that tonal scale in the same
+ * history entry.
+ * @param {Object} state - Current state
+ * @param {Object} action - { type, payload, meta? }
+ * @returns {Object} Next state
+ */
+export function themeReducer(state, action) {
+  const label = action.meta?.label;
+
+  switch (action.type) {
+    case ACTIONS.SET_THEME: {
+      return commitToHistory(state, syncColorScales(state, { ...state, ...action.payload }), {
+        label: label || 'Update theme',
+      });
+    }
+
+    case ACTIONS.SET_TOKEN: {
+      const { key, value } = action.payload;
+
+      return commitToHistory(state, { ...state, [key]: value }, {
+        label: label || `Set ${key}`,
+        groupKey: `token:${key}`,
+      });
+    }
+
+    case ACTIONS.SET_COLOR: {
+      const { token, value, mode } = action.payload;
+      const targetMode = mode || (state.darkMode ? 'dark' : 'light');
+
+      const nextState = {
+        ...state,
+        colors: {
+          ...state.colors,
+          [targetMode]: {
+            ...state.colors[targetMode],
+            [token]: value,
+          },
+        },
+      };
+
+      return commitToHistory(state, syncColorScales(state, nextState), {
+        label: label || `Set ${token} (${targetMode})`,
+        groupKey: `color:${targetMode}:${token}`,
+      });
+    }
+
+    case ACTIONS.SET_DARK_MODE: {
+      return {
+        ...state,
+        darkMode: action.payload,
+      };
+    }
+
+    case ACTIONS.SET_ACTIVE_TAB: {
+      return {
+        ...state,
+        activeTab: action.payload,
+      };
+    }
+
+    case ACTIONS.APPLY_PRESET: {
+      const preset = getPresetById(action.payload);
+
+      return commitToHistory(state, { ...state, activePresetId: action.payload }, {
+        label: label || `Apply preset ${preset?.name || action.payload}`,
+      });
+    }
+
+    case ACTIONS.UNDO: {
+      if (state.historyIndex < 0) return state;
+      return travelHistory(state, state.historyIndex - 1);
+    }
+
+    case ACTIONS.REDO: {
+      if (state.historyIndex >= state.history.length - 1) return state;
+      return travelHistory(state, state.historyIndex + 1);
+    }
+
+    case ACTIONS.JUMP_TO_HISTORY: {
+      return travelHistory(state, action.payload);
+    }
+
+    case ACTIONS.RESET: {
+      const resetState = createInitialState({}, action.payload.storageKey, action.payload.storage);
+
+      return commitToHistory(state, resetState, {
+        label: label || 'Reset to defaults',
+      });
+    }
+
+    case ACTIONS.IMPORT_THEME: {
+      return commitToHistory(state, syncColorScales(state, { ...state, ...action.payload }), {
+        label: label || 'Import theme',
+      });
+    }
+
+    case ACTIONS.HYDRATE: {
+      // Theme loaded or changed externally - not an undoable edit
+      return mergeThemeTokens(state, action.payload);
+    }
+
+    case ACTIONS.APPLY_REMOTE_CHANGES: {
+      // Edits made in another tab - applied as-is, not recorded in this tab's history
+      return applyChanges(state, action.payload, 'to');
+    }
+
+    default:
+      return state;
+  }
+}
+
+
+/**
+ * Options that require side effects (storage, sync, DOM target) to restart
+ * @constant {string[]}
+ */
+const RESTART_OPTIONS = ['storageKey', 'storage', 'presetsKey', 'target', 'sync', 'applyToDOM', 'cssPrefix'];
+
+/**
+ * Create a theme store
+ *
+ * Uncontrolled by default: the store owns the theme and persists it.
+ * Pass `theme` to make it controlled - the theme is then read from the
+ * option and edits are only reported through `onThemeChange`.
+ *
+ * Side effects (storage reads and subscriptions, sync, DOM application)
+ * only run between start() and stop(). State can be read and changed
+ * while stopped, which keeps the store safe to create during server
+ * rendering.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.initialTheme] - Initial theme values
+ * @param {Object} [options.theme] - Controlled theme tokens (disables persistence and sync)
+ * @param {Function} [options.onThemeChange] - Called with (theme, action) on design-token changes
+ * @param {Function} [options.onChange] - Called with the state on any change, including UI state
+ * @param {string} [options.storageKey=DEFAULT_STORAGE_KEY] - Key the theme is persisted under
+ * @param {Object} [options.storage] - Storage adapter with load/save/subscribe (defaults to localStorage)
+ * @param {string} [options.presetsKey=DEFAULT_PRESETS_KEY] - localStorage key for user presets
+ * @param {Element|string|Object} [options.target] - Element, ref or selector to scope the theme to (defaults to :root)
+ * @param {boolean} [options.applyToDOM=true] - Write CSS variables and preset styles to the target
+ * @param {string} [options.cssPrefix] - Prefix for the CSS variables written to the target ('acme' writes --acme-primary)
+ * @param {boolean} [options.sync=true] - Sync edits live across tabs and windows over a BroadcastChannel session (the storage adapter's change feed is followed either way)
+ * @param {boolean} [options.ssr=false] - Defer storage reads until start()
+ * @returns {Object} Theme store
+ *
+ * @example
+ * const store = createThemeStore({ storageKey: 'my-theme' });
+ * const unsubscribe = store.subscribe(() => console.log(store.getState().radius));
+ * store.start();
+ * store.setToken('radius', 1);
+ */
+export function createThemeStore(options = {}) {
+  let config = {
+    storageKey: DEFAULT_STORAGE_KEY,
+    storage: defaultStorageAdapter,
+    presetsKey: DEFAULT_PRESETS_KEY,
+    applyToDOM: true,
+    sync: true,
+    ssr: false,
+    ...options,
+  };
+
+  const isControlled = () => config.theme !== undefined;
+  // Keyed by content so owners can pass a fresh object on every update
+  let controlledKey = isControlled() ? JSON.stringify(config.theme) : null;
+
+  // Server-rendered apps defer storage reads until start()
+  let internalState = createInitialState(
+    config.initialTheme,
+    config.storageKey,
+    isControlled() || config.ssr ? null : config.storage
+  );
+  let state = readState();
+
+  // User presets live outside the reducer so undo/redo never touches the library
+  let userPresets = config.ssr ? [] : loadPresetsFromStorage(config.presetsKey);
+  let presetsLoaded = !config.ssr;
+
+  const listeners = new Set();
+  let running = false;
+  let teardown = null;
+
+  // Theme shown on the page without being applied (see previewTheme)
+  let preview = null;
+
+  // Custom properties written to the current target, removed when the target or prefix changes
+  let appliedVariables = new Set();
+
+  let saveTimeout = null;
+  let pendingSave = null;
+  let lastPersisted = null;
+
+  // Cross-tab sync: the session and the last state other tabs know about
+  let syncSession = null;
+  let syncedState = state;
+  let syncBaselinePending = false;
+
+  /**
+   * In controlled mode the theme option wins over internal tokens;
+   * UI state and history stay internal.
+   */
+  function readState() {
+    return isControlled() ? mergeThemeTokens(internalState, config.theme) : internalState;
+  }
+
+  function notify() {
+    listeners.forEach((listener) => listener());
+  }
+
+  function flushSave() {
+    if (saveTimeout) clearTimeout(saveTimeout);
+    saveTimeout = null;
+    const save = pendingSave;
+    pendingSave = null;
+    save?.();
+  }
+
+  /**
+   * Write the theme to the DOM target: the previewed theme if there is one,
+   * the current state otherwise
+   */
+  function applyDOM() {
+    if (!config.applyToDOM) return;
+
+    const { target } = config;
+    const shown = preview ? mergeThemeTokens(state, preview) : state;
+    applyThemeToDOM(shown, target, { prefix: config.cssPrefix }).forEach((name) => appliedVariables.add(name));
+
+    // Apply built-in preset if one is active (user presets are applied via state)
+    if (shown.activePresetId && shown.activePresetId !== 'default' && getPresetById(shown.activePresetId)) {
+      applyBuiltInPreset(shown.activePresetId, target);
+    } else {
+      removePresetStyles(target);
+    }
+  }
+
+  /**
+   * Apply the current state: DOM, persistence, sync and onChange
+   */
+  function applyState() {
+    const { storage, storageKey } = config;
+
+    applyDOM();
+
+    // Debounced save through the storage adapter (controlled themes are persisted by their owner)
+    if (saveTimeout) clearTimeout(saveTimeout);
+    saveTimeout = null;
+    pendingSave = null;
+
+    if (!isControlled()) {
+      const snapshot = state;
+      pendingSave = () => {
+        const persistable = serializeTheme(getPersistableTheme(snapshot));
+        const serialized = JSON.stringify(persistable);
+        if (serialized === lastPersisted) return;
+        lastPersisted = serialized;
+        // Custom adapters may throw or reject; warn and keep editing like the built-in ones
+        new Promise((resolve) => resolve(storage.save(storageKey, persistable)))
+          .catch((e) => console.warn('Failed to save theme:', e));
+      };
+      saveTimeout = setTimeout(flushSave, STORAGE_DEBOUNCE);
+    }
+
+    // Broadcast local edits (including undo/redo) immediately
+    if (syncBaselinePending) {
+      syncBaselinePending = false;
+      syncedState = state;
+    } else {
+      const changes = diffThemes(syncedState, state);
+      syncedState = state;
+      syncSession?.publish(changes);
+    }
+
+    config.onChange?.(state);
+  }
+
+  function setState(next) {
+    if (next === state) return;
+    state = next;
+    if (running) applyState();
+    notify();
+  }
+
+  function setUserPresets(next) {
+    if (next === userPresets) return;
+    userPresets = next;
+    if (presetsLoaded) savePresetsToStorage(userPresets, config.presetsKey);
+    notify();
+  }
+
+  /**
+   * Dispatch an action and report design-token changes through onThemeChange.
+   * In controlled mode the reducer starts from the theme the owner provided.
+   * @param {Object} action - { type, payload, meta? }
+   */
+  function dispatch(action) {
+    const current = state;
+    const next = themeReducer(current, action);
+    internalState = next;
+    setState(readState());
+
+    const changes = diffThemes(current, next);
+    if (Object.keys(changes).length === 0 || !config.onThemeChange) return;
+
+    const label = action.meta?.label ||
+      (next.history !== current.history ? next.history[next.historyIndex]?.label : undefined);
+
+    config.onThemeChange(getPersistableTheme(next), {
+      type: action.type,
+      payload: action.payload,
+      label,
+      changes,
+    });
+  }
+
+  /**
+   * Start side effects: apply the theme, read and follow storage, join cross-tab sync
+   */
+  function start() {
+    if (running) return;
+    running = true;
+
+    const { storage, storageKey, target } = config;
+    const controlled = isControlled();
+    // Sync only controls the BroadcastChannel session; adapter changes are always followed
+    const syncEnabled = config.sync && !controlled;
+    let cancelled = false;
+    let unsubscribe = null;
+
+    syncedState = state;
+    syncBaselinePending = false;
+    applyState();
+
+    function handleExternalTheme(payload) {
+      if (cancelled || !payload) return;
+      const serialized = JSON.stringify(payload);
+      if (serialized === lastPersisted) return;
+      lastPersisted = serialized;
+
+      const theme = readStoredTheme(payload);
+      if (!theme) return;
+      // Stored themes are not local edits - don't broadcast them to other tabs
+      syncBaselinePending = true;
+      dispatch({ type: ACTIONS.HYDRATE, payload: theme });
+    }
+
+    // Load from async adapters (or deferred sync adapters) and follow external changes
+    if (!controlled) {
+      if (config.ssr && storage.loadSync) {
+        handleExternalTheme(storage.loadSync(storageKey));
+      } else if (!storage.loadSync) {
+        new Promise((resolve) => resolve(storage.load(storageKey)))
+          .then(handleExternalTheme)
+          .catch((e) => console.warn('Failed to load theme:', e));
+      }
+
+      unsubscribe = storage.subscribe(storageKey, handleExternalTheme);
+    }
+
+    // Live sync with other tabs and windows
+    if (syncEnabled) {
+      syncSession = createThemeSync({
+        channelName: `dm-sync:${storageKey}`,
+        onRemoteChanges: (changes) => {
+          syncedState = applyChanges(syncedState, changes, 'to');
+          dispatch({ type: ACTIONS.APPLY_REMOTE_CHANGES, payload: changes });
+        },
+      });
+    }
+
+    // Server-rendered apps read the preset library once started
+    if (!presetsLoaded) {
+      presetsLoaded = true;
+      userPresets = loadPresetsFromStorage(config.presetsKey);
+      notify();
+    }
+
+    teardown = () => {
+      cancelled = true;
+      unsubscribe?.();
+      syncSession?.close();
+      syncSession = null;
+      // Scoped themes clean up their preset styles
+      if (target && config.applyToDOM) removePresetStyles(target);
+    };
+  }
+
+  /**
+   * Stop side effects. Pending saves are written immediately.
+   */
+  function stop() {
+    if (!running) return;
+    running = false;
+    flushSave();
+    teardown?.();
+    teardown = null;
+  }
+
+  /**
+   * Update options. Callbacks and the controlled theme take effect
+   * immediately; storage, sync and target changes restart side effects.
+   * @param {Object} partial - Options to change
+   */
+  function configure(partial) {
+    const prev = config;
+    config = { ...config, ...partial };
+
+    const restart = running && (
+      RESTART_OPTIONS.some((key) => prev[key] !== config[key]) ||
+      (prev.theme === undefined) !== (config.theme === undefined)
+    );
+    if (restart) {
+      stop();
+      // A new target or prefix takes over the theme; clear the old one so it isn't shown twice
+      if (prev.target !== config.target || prev.cssPrefix !== config.cssPrefix) {
+        if (appliedVariables.size > 0) removeThemeFromDOM(appliedVariables, prev.target);
+        appliedVariables = new Set();
+      }
+    }
+
+    const nextKey = isControlled() ? JSON.stringify(config.theme) : null;
+    if (nextKey !== controlledKey) {
+      controlledKey = nextKey;
+      setState(readState());
+    }
+
+    if (restart) {
+      start();
+    }
+  }
+
+  return {
+    getState: () => state,
+    getUserPresets: () => userPresets,
+    dispatch,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    start,
+    stop,
+    configure,
+
+    setToken: (key, value) => dispatch({ type: ACTIONS.SET_TOKEN, payload: { key, value } }),
+    setColor: (token, value, mode) => dispatch({ type: ACTIONS.SET_COLOR, payload: { token, value, mode } }),
+    setDarkMode: (dark) => dispatch({ type: ACTIONS.SET_DARK_MODE, payload: dark }),
+    setActiveTab: (tab) => dispatch({ type: ACTIONS.SET_ACTIVE_TAB, payload: tab }),
+
+    applyPreset(presetId) {
+      const userPreset = userPresets.find((p) => p.id === presetId);
+      if (userPreset) {
+        dispatch({
+          type: ACTIONS.IMPORT_THEME,
+          payload: { ...userPreset.theme, activePresetId: userPreset.id },
+          meta: { label: `Apply preset ${userPreset.name}` },
+        });
+        return;
+      }
+      dispatch({ type: ACTIONS.APPLY_PRESET, payload: presetId });
+    },
+
+    undo: () => dispatch({ type: ACTIONS.UNDO }),
+    redo: () => dispatch({ type: ACTIONS.REDO }),
+    jumpToHistory: (index) => dispatch({ type: ACTIONS.JUMP_TO_HISTORY, payload: index }),
+
+    resetToDefaults() {
+      dispatch({
+        type: ACTIONS.RESET,
+        payload: { storageKey: config.storageKey, storage: isControlled() ? null : config.storage },
+      });
+    },
+
+    importTheme: (themeData) => dispatch({ type: ACTIONS.IMPORT_THEME, payload: themeData }),
+
+    /**
+     * Show a theme on the page without changing the state: nothing is
+     * persisted, synced or recorded in history. Pass null to go back to
+     * the current theme.
+     * @param {Object|null} theme - Theme tokens and colors (may be partial)
+     */
+    previewTheme(theme) {
+      if ((theme || null) === preview) return;
+      preview = theme || null;
+      if (running) applyDOM();
+      notify();
+    },
+
+    getPreview: () => preview,
+
+    savePreset(name) {
+      const preset = createUserPreset(state, name);
+      setUserPresets([...userPresets, preset]);
+      return preset;
+    },
+
+    renamePreset(presetId, name) {
+      const trimmed = name?.trim();
+      if (!trimmed) return;
+      setUserPresets(
+        userPresets.map((p) =>
+          p.id === presetId ? { ...p, name: trimmed, updatedAt: new Date().toISOString() } : p
+        )
+      );
+    },
+
+    duplicatePreset(presetId) {
+      const index = userPresets.findIndex((p) => p.id === presetId);
+      if (index === -1) return;
+      const copy = duplicateUserPreset(userPresets[index]);
+      setUserPresets([...userPresets.slice(0, index + 1), copy, ...userPresets.slice(index + 1)]);
+    },
+
+    deletePreset(presetId) {
+      setUserPresets(userPresets.filter((p) => p.id !== presetId));
+    },
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Theme Sync
+ *
+ * Live theme synchronization between tabs and windows of the same origin.
+ * Uses BroadcastChannel where available and falls back to localStorage
+ * `storage` events.
+ *
+ * Each tab publishes only the values it changed (see diffThemes in
+ * history.js). Concurrent edits are resolved per value with a Lamport
+ * clock: the higher clock wins, ties go to the higher tab id, so every
+ * tab converges on the same theme without losing edits to other tokens.
+ *
+ * @module theme-sync
+ */
+
+/**
+ * Create a random id for this tab
+ * @returns {string} Tab id
+ */
+function createTabId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Create a message transport for a channel
+ * @param {string} channelName - Channel (and fallback storage key) name
+ * @param {function(Object): void} onMessage - Called with messages from other tabs
+ * @returns {{post: function(Object): void, close: function(): void}} Transport
+ */
+function createSyncTransport(channelName, onMessage) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(channelName);
+    channel.onmessage = (e) => onMessage(e.data);
+
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+    // Writing then removing the key fires a storage event in every other tab
+    function handleStorage(e) {
+      if (e.key !== channelName || !e.newValue) return;
+      try {
+        onMessage(JSON.parse(e.newValue));
+      } catch (err) {
+        console.warn('Failed to read theme sync message:', err);
+      }
+    }
+
+    window.addEventListener('storage', handleStorage);
+
+    return {
+      post(message) {
+        try {
+          localStorage.setItem(channelName, JSON.stringify(message));
+          localStorage.removeItem(channelName);
+        } catch (e) {
+          console.warn('Failed to send theme sync message:', e);
+        }
+      },
+      close: () => window.removeEventListener('storage', handleStorage),
+    };
+  }
+
+  return { post: () => {}, close: () => {} };
+}
+
+/**
+ * Check whether an incoming write should replace the current one
+ * @param {{clock: number, source: string}} incoming - Incoming write
+ * @param {{clock: number, source: string}} [current] - Last accepted write for the path
+ * @returns {boolean} True if incoming wins
+ */
+export function isNewerWrite(incoming, current) {
+  if (!current) return true;
+  if (incoming.clock !== current.clock) return incoming.clock > current.clock;
+  return incoming.source > current.source;
+}
+
+/**
+ * Create a sync session for one provider
+ *
+ * @param {Object} options
+ * @param {string} options.channelName - Channel name, shared by every tab that should sync
+ * @param {function(Object, Object): void} options.onRemoteChanges - Called with accepted
+ *   changes (path -> { from, to }) and the raw message
+ * @returns {{tabId: string, publish: function(Object): void, close: function(): void}} Session
+ *
+ * @example
+ * const session = createThemeSync({
+ *   channelName: 'dm-sync:design-manager-theme',
+ *   onRemoteChanges: (changes) => console.log(changes),
+ * });
+ * session.publish({ radius: { from: '0.5rem', to: '1rem' } });
+ */
+export function createThemeSync({ channelName, onRemoteChanges }) {
+  const tabId = createTabId();
+  const writes = new Map();
+  let clock = 0;
+
+  function handleMessage(message) {
+    if (!message || message.type !== 'changes' || message.source === tabId) return;
+
+    clock = Math.max(clock, message.clock);
+
+    const accepted = {};
+    Object.entries(message.changes || {}).forEach(([path, change]) => {
+      if (isNewerWrite(message, writes.get(path))) {
+        writes.set(path, { clock: message.clock, source: message.source });
+        accepted[path] = change;
+      }
+    });
+
+    if (Object.keys(accepted).length > 0) {
+      onRemoteChanges(accepted, message);
+    }
+  }
+
+  const transport = createSyncTransport(channelName, handleMessage);
+
+  return {
+    tabId,
+
+    publish(changes) {
+      if (!changes || Object.keys(changes).length === 0) return;
+
+      clock += 1;
+      Object.keys(changes).forEach((path) => {
+        writes.set(path, { clock, source: tabId });
+      });
+
+      transport.post({ type: 'changes', source: tabId, clock, changes });
+    },
+
+    close: () => transport.close(),
+  };
+}
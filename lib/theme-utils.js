@@ -6,67 +6,188 @@
  */
 
 import { FONT_CATALOG, TYPE_SCALES, LINE_HEIGHTS } from './typography-config';
-import { DEFAULT_THEME, DEFAULT_STORAGE_KEY, DEFAULT_PRESETS_KEY, getCSSVarName } from './constants';
+import {
+  DEFAULT_THEME,
+  DEFAULT_STORAGE_KEY,
+  DEFAULT_PRESETS_KEY,
+  THEME_SCHEMA_VERSION,
+  getCSSVarName,
+} from './constants';
+import { readThemePayload, reportThemeIssues, serializeTheme } from './theme-schema';
+import { toOklchString, toHexString } from './color-utils';
+import { getColorScales, getColorScaleEntries } from './tonal-scales';
 
 /**
- * Set a CSS custom property on :root
+ * Resolve a theme target to a DOM element.
+ * Accepts an element, a React ref, or a CSS selector. Defaults to :root.
+ * @param {Element|string|{current: Element}} [target] - Theme target
+ * @returns {Element|null} The element, or null if unavailable
  */
-export function setCSSVariable(name, value) {
-  document.documentElement.style.setProperty(name, value);
+export function resolveThemeTarget(target) {
+  if (typeof document === 'undefined') return null;
+  if (!target) return document.documentElement;
+  if (typeof target === 'string') return document.querySelector(target);
+  if ('current' in target) return target.current || null;
+  return target;
 }
 
+let scopeCounter = 0;
+
 /**
- * Get a CSS custom property value from :root
+ * Get the CSS selector that matches a theme target.
+ * Elements without a selector get a generated data-dm-scope attribute.
+ * @param {Element|string|{current: Element}} [target] - Theme target
+ * @returns {string|null} Selector for the scope, or null for :root
  */
-export function getCSSVariable(name) {
-  return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+export function getThemeScopeSelector(target) {
+  if (!target) return null;
+  if (typeof target === 'string') return target;
+
+  const element = resolveThemeTarget(target);
+  if (!element || element === document.documentElement) return null;
+
+  if (!element.dataset.dmScope) {
+    scopeCounter += 1;
+    element.dataset.dmScope = `dm-scope-${scopeCounter}`;
+  }
+  return `[data-dm-scope="${element.dataset.dmScope}"]`;
 }
 
 /**
- * Apply theme state to DOM via CSS custom properties
+ * Set a CSS custom property on :root or a scoped target
+ * @param {string} name - Custom property name (including --)
+ * @param {string|number} value - Property value
+ * @param {Element|string|{current: Element}} [target] - Theme target
  */
-export function applyThemeToDOM(themeState) {
-  // Dark mode
-  if (themeState.darkMode) {
-    document.documentElement.classList.add('dark');
-  } else {
-    document.documentElement.classList.remove('dark');
+export function setCSSVariable(name, value, target) {
+  const element = resolveThemeTarget(target);
+  if (element) {
+    element.style.setProperty(name, value);
   }
+}
+
+/**
+ * Get a CSS custom property value from :root or a scoped target
+ * @param {string} name - Custom property name (including --)
+ * @param {Element|string|{current: Element}} [target] - Theme target
+ */
+export function getCSSVariable(name, target) {
+  const element = resolveThemeTarget(target);
+  if (!element) return '';
+  return getComputedStyle(element).getPropertyValue(name).trim();
+}
 
-  // Apply color tokens for the current mode
-  const colors = themeState.colors || {};
-  const currentColors = themeState.darkMode ? colors.dark : colors.light;
+/**
+ * Normalize a custom property prefix ('--acme-' -> 'acme')
+ * @param {string} [prefix] - Prefix, with or without dashes
+ * @returns {string} Prefix without surrounding dashes ('' for none)
+ */
+export function normalizeCSSPrefix(prefix) {
+  return String(prefix || '').trim().replace(/^-+|-+$/g, '');
+}
 
-  if (currentColors) {
-    Object.entries(currentColors).forEach(([key, value]) => {
-      const varName = getCSSVarName(key);
-      setCSSVariable(`--${varName}`, value);
+/**
+ * Add a prefix to a custom property name ('--primary' -> '--acme-primary')
+ * @param {string} name - Custom property name (including --)
+ * @param {string} [prefix] - Prefix, with or without dashes
+ * @returns {string} Prefixed name (unchanged without a prefix)
+ */
+export function prefixCSSVariable(name, prefix) {
+  const normalized = normalizeCSSPrefix(prefix);
+  return normalized ? `--${normalized}-${name.slice(2)}` : name;
+}
+
+/**
+ * Compute the CSS custom properties for a theme.
+ * Pure - safe to call on the server.
+ * @param {Object} themeState - The theme state
+ * @param {'light' | 'dark'} [mode] - Color mode (defaults to the theme's darkMode)
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Custom property prefix ('acme' writes --acme-primary)
+ * @returns {Object.<string, string>} Values keyed by custom property name (including --)
+ */
+export function getThemeVariables(themeState, mode = themeState.darkMode ? 'dark' : 'light', { prefix } = {}) {
+  const vars = {};
+
+  // Color tokens for the mode
+  Object.entries(themeState.colors?.[mode] || {}).forEach(([key, value]) => {
+    vars[`--${getCSSVarName(key)}`] = value;
+  });
+
+  // Tonal scales (the same in both modes)
+  if (themeState.colors) {
+    getColorScaleEntries(getColorScales(themeState)).forEach(([name, step, value]) => {
+      vars[`--${name}-${step}`] = value;
     });
   }
 
   // Paper surfaces
-  if (themeState.paperWhite) {
-    setCSSVariable('--paper-white', themeState.paperWhite);
-  }
-  if (themeState.paperCream) {
-    setCSSVariable('--paper-cream', themeState.paperCream);
-  }
-  if (themeState.paperKraft) {
-    setCSSVariable('--paper-kraft', themeState.paperKraft);
-  }
+  if (themeState.paperWhite) vars['--paper-white'] = themeState.paperWhite;
+  if (themeState.paperCream) vars['--paper-cream'] = themeState.paperCream;
+  if (themeState.paperKraft) vars['--paper-kraft'] = themeState.paperKraft;
 
   // Radius
   if (themeState.radius !== undefined) {
-    setCSSVariable('--radius', `${themeState.radius}rem`);
+    vars['--radius'] = `${themeState.radius}rem`;
   }
 
   // Texture opacity
   if (themeState.textureOpacityFaint !== undefined) {
-    setCSSVariable('--texture-opacity-faint', themeState.textureOpacityFaint);
+    vars['--texture-opacity-faint'] = String(themeState.textureOpacityFaint);
   }
 
-  // Typography
-  applyTypographyToDOM(themeState);
+  const allVars = { ...vars, ...getTypographyVariables(themeState) };
+  if (!normalizeCSSPrefix(prefix)) return allVars;
+
+  return Object.fromEntries(
+    Object.entries(allVars).map(([name, value]) => [prefixCSSVariable(name, prefix), value])
+  );
+}
+
+/**
+ * Apply theme state to DOM via CSS custom properties
+ * @param {Object} themeState - The theme state
+ * @param {Element|string|{current: Element}} [target] - Element to theme (defaults to :root)
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Custom property prefix, matching the CSS export's prefix option
+ * @returns {string[]} Names of the custom properties written (for removeThemeFromDOM)
+ */
+export function applyThemeToDOM(themeState, target, { prefix } = {}) {
+  const element = resolveThemeTarget(target);
+  if (!element) return [];
+
+  // Dark mode
+  if (themeState.darkMode) {
+    element.classList.add('dark');
+  } else {
+    element.classList.remove('dark');
+  }
+
+  const vars = getThemeVariables(themeState, undefined, { prefix });
+  Object.entries(vars).forEach(([name, value]) => {
+    setCSSVariable(name, value, element);
+  });
+
+  // Fonts
+  loadGoogleFont(themeState.fontHeading || 'system-ui');
+  loadGoogleFont(themeState.fontBody || 'system-ui');
+
+  return Object.keys(vars);
+}
+
+/**
+ * Remove a theme written by applyThemeToDOM: its custom properties and the dark class
+ * @param {Iterable<string>} names - Custom property names returned by applyThemeToDOM
+ * @param {Element|string|{current: Element}} [target] - Element the theme was applied to (defaults to :root)
+ */
+export function removeThemeFromDOM(names, target) {
+  const element = resolveThemeTarget(target);
+  if (!element) return;
+
+  element.classList.remove('dark');
+  for (const name of names) {
+    element.style.removeProperty(name);
+  }
 }
 
 // Track which fonts have been loaded to avoid duplicate requests
@@ -83,6 +204,7 @@ export function loadGoogleFont(fontId) {
 
   // Already loaded
   if (loadedFonts.has(fontId)) return true;
+  if (typeof document === 'undefined') return false;
 
   // Create and append the link element
   const link = document.createElement('link');
@@ -111,10 +233,11 @@ export function getFontFamily(fontId) {
 }
 
 /**
- * Apply typography state to DOM via CSS custom properties
+ * Compute the typography CSS custom properties for a theme
  * @param {Object} themeState - The theme state containing typography settings
+ * @returns {Object.<string, string>} Values keyed by custom property name (including --)
  */
-export function applyTypographyToDOM(themeState) {
+export function getTypographyVariables(themeState) {
   const {
     fontHeading = 'system-ui',
     fontBody = 'system-ui',
@@ -124,35 +247,16 @@ export function applyTypographyToDOM(themeState) {
     lineHeightPreset = 'normal',
   } = themeState;
 
-  // Load fonts if needed
-  loadGoogleFont(fontHeading);
-  loadGoogleFont(fontBody);
-
-  // Get font families
-  const headingFamily = getFontFamily(fontHeading);
-  const bodyFamily = getFontFamily(fontBody);
-
   // Get type scale values
   const scale = TYPE_SCALES[typeScale] || TYPE_SCALES.default;
 
   // Get line height values
   const lineHeights = LINE_HEIGHTS[lineHeightPreset] || LINE_HEIGHTS.normal;
 
-  // Apply CSS custom properties
-  setCSSVariable('--font-family-heading', headingFamily);
-  setCSSVariable('--font-family-body', bodyFamily);
-  setCSSVariable('--font-weight-heading', fontWeightHeading);
-  setCSSVariable('--font-weight-body', fontWeightBody);
-  setCSSVariable('--font-size-base', `${scale.baseFontSize}px`);
-  setCSSVariable('--type-scale-ratio', scale.ratio);
-  setCSSVariable('--line-height-heading', lineHeights.heading);
-  setCSSVariable('--line-height-body', lineHeights.body);
-
-  // Compute and set derived font sizes
+  // Compute derived font sizes
   const ratio = scale.ratio;
   const base = scale.baseFontSize;
 
-  // Font size variables
   const sizeXs = `${(base / ratio / ratio).toFixed(2)}px`;
   const sizeSm = `${(base / ratio).toFixed(2)}px`;
   const sizeBase = `${base}px`;
@@ -162,28 +266,54 @@ export function applyTypographyToDOM(themeState) {
   const size3xl = `${(base * ratio * ratio * ratio * ratio).toFixed(2)}px`;
   const size4xl = `${(base * ratio * ratio * ratio * ratio * ratio).toFixed(2)}px`;
 
-  // Set --font-size-* variables
-  setCSSVariable('--font-size-xs', sizeXs);
-  setCSSVariable('--font-size-sm', sizeSm);
-  setCSSVariable('--font-size-lg', sizeLg);
-  setCSSVariable('--font-size-xl', sizeXl);
-  setCSSVariable('--font-size-2xl', size2xl);
-  setCSSVariable('--font-size-3xl', size3xl);
-  setCSSVariable('--font-size-4xl', size4xl);
-
-  // Set --text-* variables (Tailwind naming)
-  setCSSVariable('--text-xs', sizeXs);
-  setCSSVariable('--text-sm', sizeSm);
-  setCSSVariable('--text-base', sizeBase);
-  setCSSVariable('--text-lg', sizeLg);
-  setCSSVariable('--text-xl', sizeXl);
-  setCSSVariable('--text-2xl', size2xl);
-  setCSSVariable('--text-3xl', size3xl);
-  setCSSVariable('--text-4xl', size4xl);
-
-  // Set line height utilities
-  setCSSVariable('--leading-heading', lineHeights.heading);
-  setCSSVariable('--leading-body', lineHeights.body);
+  return {
+    '--font-family-heading': getFontFamily(fontHeading),
+    '--font-family-body': getFontFamily(fontBody),
+    '--font-weight-heading': String(fontWeightHeading),
+    '--font-weight-body': String(fontWeightBody),
+    '--font-size-base': `${scale.baseFontSize}px`,
+    '--type-scale-ratio': String(scale.ratio),
+    '--line-height-heading': String(lineHeights.heading),
+    '--line-height-body': String(lineHeights.body),
+
+    // --font-size-* variables
+    '--font-size-xs': sizeXs,
+    '--font-size-sm': sizeSm,
+    '--font-size-lg': sizeLg,
+    '--font-size-xl': sizeXl,
+    '--font-size-2xl': size2xl,
+    '--font-size-3xl': size3xl,
+    '--font-size-4xl': size4xl,
+
+    // --text-* variables (Tailwind naming)
+    '--text-xs': sizeXs,
+    '--text-sm': sizeSm,
+    '--text-base': sizeBase,
+    '--text-lg': sizeLg,
+    '--text-xl': sizeXl,
+    '--text-2xl': size2xl,
+    '--text-3xl': size3xl,
+    '--text-4xl': size4xl,
+
+    // Line height utilities
+    '--leading-heading': String(lineHeights.heading),
+    '--leading-body': String(lineHeights.body),
+  };
+}
+
+/**
+ * Apply typography state to DOM via CSS custom properties
+ * @param {Object} themeState - The theme state containing typography settings
+ * @param {Element|string|{current: Element}} [target] - Element to theme (defaults to :root)
+ */
+export function applyTypographyToDOM(themeState, target) {
+  // Load fonts if needed
+  loadGoogleFont(themeState.fontHeading || 'system-ui');
+  loadGoogleFont(themeState.fontBody || 'system-ui');
+
+  Object.entries(getTypographyVariables(themeState)).forEach(([name, value]) => {
+    setCSSVariable(name, value, target);
+  });
 }
 
 /**
@@ -274,108 +404,46 @@ export function getDefaultTheme() {
 }
 
 /**
- * Convert hex color to oklch (approximate)
- * Note: For production, consider using culori library for accuracy
+ * Convert a hex color to an OKLCH string
+ * @param {string} hex - Hex color
+ * @returns {string} OKLCH string
  */
 export function hexToOklch(hex) {
-  // Remove # if present
-  hex = hex.replace(/^#/, '');
-
-  // Parse RGB values
-  const r = parseInt(hex.slice(0, 2), 16) / 255;
-  const g = parseInt(hex.slice(2, 4), 16) / 255;
-  const b = parseInt(hex.slice(4, 6), 16) / 255;
-
-  // Convert to linear RGB
-  const toLinear = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
-  const lr = toLinear(r);
-  const lg = toLinear(g);
-  const lb = toLinear(b);
-
-  // Convert to XYZ (D65)
-  const x = 0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb;
-  const y = 0.2126729 * lr + 0.7151522 * lg + 0.072175 * lb;
-  const z = 0.0193339 * lr + 0.119192 * lg + 0.9503041 * lb;
-
-  // Convert to Lab
-  const xn = 0.95047;
-  const yn = 1.0;
-  const zn = 1.08883;
-
-  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
-
-  const L = 116 * f(y / yn) - 16;
-  const a = 500 * (f(x / xn) - f(y / yn));
-  const bVal = 200 * (f(y / yn) - f(z / zn));
-
-  // Convert Lab to oklch (approximate)
-  const C = Math.sqrt(a * a + bVal * bVal);
-  let H = Math.atan2(bVal, a) * (180 / Math.PI);
-  if (H < 0) H += 360;
-
-  // Normalize L to 0-1 range for oklch
-  const oklchL = L / 100;
-
-  return `oklch(${oklchL.toFixed(3)} ${(C / 100).toFixed(3)} ${H.toFixed(0)})`;
+  return toOklchString(hex);
 }
 
 /**
- * Convert oklch to hex (approximate)
+ * Convert an OKLCH color to hex, mapping it into sRGB if it is out of gamut
+ * @param {string} oklchStr - OKLCH color string
+ * @returns {string} Hex color
  */
 export function oklchToHex(oklchStr) {
-  // Parse oklch string: oklch(L C H) or oklch(L C H / alpha)
-  const match = oklchStr.match(/oklch\(([\d.]+)\s+([\d.]+)\s+([\d.]+)/);
-  if (!match) return '#888888';
-
-  const L = parseFloat(match[1]) * 100; // Scale back to 0-100
-  const C = parseFloat(match[2]) * 100;
-  const H = parseFloat(match[3]);
-
-  // Convert to Lab
-  const hRad = (H * Math.PI) / 180;
-  const a = C * Math.cos(hRad);
-  const b = C * Math.sin(hRad);
-
-  // Convert Lab to XYZ
-  const xn = 0.95047;
-  const yn = 1.0;
-  const zn = 1.08883;
-
-  const fy = (L + 16) / 116;
-  const fx = a / 500 + fy;
-  const fz = fy - b / 200;
-
-  const f3 = (t) => (t > 0.206893 ? t * t * t : (t - 16 / 116) / 7.787);
-
-  const x = xn * f3(fx);
-  const y = yn * f3(fy);
-  const z = zn * f3(fz);
-
-  // Convert XYZ to linear RGB
-  let lr = 3.2404542 * x - 1.5371385 * y - 0.4985314 * z;
-  let lg = -0.969266 * x + 1.8760108 * y + 0.041556 * z;
-  let lb = 0.0556434 * x - 0.2040259 * y + 1.0572252 * z;
-
-  // Convert to sRGB
-  const toSRGB = (c) =>
-    c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
-
-  const rVal = Math.round(Math.max(0, Math.min(1, toSRGB(lr))) * 255);
-  const gVal = Math.round(Math.max(0, Math.min(1, toSRGB(lg))) * 255);
-  const bComp = Math.round(Math.max(0, Math.min(1, toSRGB(lb))) * 255);
+  return toHexString(oklchStr);
+}
 
-  return `#${rVal.toString(16).padStart(2, '0')}${gVal.toString(16).padStart(2, '0')}${bComp.toString(16).padStart(2, '0')}`;
+/**
+ * Strip UI and history state, leaving only what should be persisted
+ * @param {Object} themeState - The full provider state
+ * @returns {Object} Theme tokens and colors
+ */
+export function getPersistableTheme(themeState) {
+  const { history, historyIndex, activeTab, panelOpen, ...theme } = themeState;
+  return theme;
 }
 
 /**
- * Load theme from localStorage
+ * Load theme from localStorage, migrating older schema versions
  * @param {string} storageKey - The localStorage key to use
  */
 export function loadThemeFromStorage(storageKey = DEFAULT_STORAGE_KEY) {
+  if (typeof localStorage === 'undefined') return getDefaultTheme();
+
   try {
     const stored = localStorage.getItem(storageKey);
     if (stored) {
-      return { ...DEFAULT_THEME, ...JSON.parse(stored) };
+      const result = readThemePayload(JSON.parse(stored));
+      reportThemeIssues(result, 'storage');
+      return { ...DEFAULT_THEME, ...result.theme };
     }
   } catch (e) {
     console.warn('Failed to load theme from storage:', e);
@@ -389,22 +457,42 @@ export function loadThemeFromStorage(storageKey = DEFAULT_STORAGE_KEY) {
  * @param {string} storageKey - The localStorage key to use
  */
 export function saveThemeToStorage(themeState, storageKey = DEFAULT_STORAGE_KEY) {
+  if (typeof localStorage === 'undefined') return;
+
   try {
-    localStorage.setItem(storageKey, JSON.stringify(themeState));
+    localStorage.setItem(storageKey, JSON.stringify(serializeTheme(getPersistableTheme(themeState))));
   } catch (e) {
     console.warn('Failed to save theme to storage:', e);
   }
 }
 
 /**
- * Load presets from localStorage
+ * Load presets from localStorage.
+ * Each preset's theme is migrated to the current schema version;
+ * presets that cannot be read are skipped with a warning.
  * @param {string} presetsKey - The localStorage key to use
  */
 export function loadPresetsFromStorage(presetsKey = DEFAULT_PRESETS_KEY) {
+  if (typeof localStorage === 'undefined') return [];
+
   try {
     const stored = localStorage.getItem(presetsKey);
     if (stored) {
-      return JSON.parse(stored);
+      const presets = JSON.parse(stored);
+      if (!Array.isArray(presets)) {
+        console.warn('Ignoring stored presets: expected an array');
+        return [];
+      }
+
+      return presets.flatMap((preset) => {
+        const result = readThemePayload({ schemaVersion: preset?.schemaVersion, ...preset?.theme });
+        if (!preset?.id || !result.theme) {
+          console.warn('Skipping unreadable preset:', preset?.name || preset?.id, result.errors);
+          return [];
+        }
+        reportThemeIssues(result, `preset "${preset.name}"`);
+        return [{ ...preset, schemaVersion: THEME_SCHEMA_VERSION, theme: result.theme }];
+      });
     }
   } catch (e) {
     console.warn('Failed to load presets from storage:', e);
@@ -418,6 +506,8 @@ export function loadPresetsFromStorage(presetsKey = DEFAULT_PRESETS_KEY) {
  * @param {string} presetsKey - The localStorage key to use
  */
 export function savePresetsToStorage(presets, presetsKey = DEFAULT_PRESETS_KEY) {
+  if (typeof localStorage === 'undefined') return;
+
   try {
     localStorage.setItem(presetsKey, JSON.stringify(presets));
   } catch (e) {
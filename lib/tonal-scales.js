@@ -0,0 +1,179 @@
+/**
+ * Tonal Scales
+ *
+ * Tailwind-style 50-950 ramps for the brand colors, generated in OKLCH.
+ * Steps are evenly spaced in OKLCH lightness (so they look evenly spaced),
+ * chroma eases off towards white and black, and the source color itself
+ * lands on its closest step.
+ *
+ * Ramps are primitive tokens: they live in the theme as `colorScales`
+ * (`{ primary: { 50: 'oklch(...)', ..., 950: 'oklch(...)' }, ... }`) and
+ * are exported as `--primary-500`, `primary.500` and so on. Semantic
+ * tokens (primary, accent, ...) stay the colors components should use.
+ *
+ * @module tonal-scales
+ */
+
+import { parseToOklch, formatOklch, getColorGamut, getMaxChroma } from './color-utils';
+
+/**
+ * Scale steps, lightest first
+ * @constant {number[]}
+ */
+export const TONAL_SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+/**
+ * OKLCH lightness of the lightest (50) and darkest (950) steps
+ * @constant {{max: number, min: number}}
+ */
+export const TONAL_SCALE_LIGHTNESS = { max: 0.97, min: 0.28 };
+
+/**
+ * Generated scales and the light color token each one is built from.
+ * `maxChroma` caps the source chroma (neutrals keep only a tint of it).
+ * @constant {Object.<string, {id: string, name: string, source: string, maxChroma?: number}>}
+ */
+export const TONAL_SCALES = {
+  primary: { id: 'primary', name: 'Primary', source: 'primary' },
+  accent: { id: 'accent', name: 'Accent', source: 'accent' },
+  destructive: { id: 'destructive', name: 'Destructive', source: 'destructive' },
+  neutral: { id: 'neutral', name: 'Neutral', source: 'mutedForeground', maxChroma: 0.03 },
+};
+
+/**
+ * Lightness of a scale step
+ * @param {number} step - Step from TONAL_SCALE_STEPS
+ * @returns {number} OKLCH lightness
+ */
+export function getStepLightness(step) {
+  const { max, min } = TONAL_SCALE_LIGHTNESS;
+  const first = TONAL_SCALE_STEPS[0];
+  const last = TONAL_SCALE_STEPS[TONAL_SCALE_STEPS.length - 1];
+  return max - ((max - min) * (step - first)) / (last - first);
+}
+
+/**
+ * Step whose lightness is closest to a color's
+ * @param {string} color - Color in any format
+ * @returns {number|null} Step, or null if the color can't be parsed
+ */
+export function getClosestStep(color) {
+  const oklch = parseToOklch(color);
+  if (!oklch) return null;
+
+  const l = oklch.l || 0;
+  return TONAL_SCALE_STEPS.reduce((best, step) =>
+    Math.abs(getStepLightness(step) - l) < Math.abs(getStepLightness(best) - l) ? step : best
+  );
+}
+
+/**
+ * Generate a 50-950 tonal scale around a color.
+ * The color (opaque, with chroma capped at maxChroma) is used for its
+ * closest step. The other steps keep its hue; their chroma is full near
+ * the color's lightness and eases out towards the ends, and never leaves
+ * the color's gamut (sRGB, or Display P3 for wide-gamut colors).
+ *
+ * @param {string} color - Color in any format
+ * @param {Object} [options]
+ * @param {number} [options.maxChroma] - Upper limit for the chroma
+ * @returns {Object.<number, string>|null} OKLCH colors keyed by step, or null if the color can't be parsed
+ *
+ * @example
+ * generateTonalScale('oklch(0.666 0.179 58.318)');
+ * // { 50: 'oklch(0.970 0.023 58.318)', ..., 400: 'oklch(0.666 0.179 58.318)', ... }
+ */
+export function generateTonalScale(color, { maxChroma } = {}) {
+  const base = parseToOklch(color);
+  if (!base) return null;
+
+  const l = Math.min(Math.max(base.l || 0, 0.01), 0.99);
+  const c = Math.min(base.c || 0, maxChroma ?? Infinity);
+  const h = base.h || 0;
+  const gamut = getColorGamut(color) === 'srgb' ? 'srgb' : 'p3';
+  const baseStep = getClosestStep(color);
+
+  const scale = {};
+  TONAL_SCALE_STEPS.forEach((step) => {
+    if (step === baseStep) {
+      scale[step] = formatOklch({ l: base.l, c, h }, 3);
+      return;
+    }
+    const stepL = getStepLightness(step);
+    // 1 at the base lightness, 0 at white and black; eased so chroma drops near the ends
+    const t = stepL > l ? (1 - stepL) / (1 - l) : stepL / l;
+    const ease = 1 - (1 - Math.min(t, 1)) ** 2;
+    scale[step] = formatOklch({ l: stepL, c: Math.min(c * ease, getMaxChroma(stepL, h, gamut)), h }, 3);
+  });
+
+  return scale;
+}
+
+/**
+ * Generate every scale in TONAL_SCALES from light color tokens
+ * @param {Object} colors - Light mode color tokens
+ * @returns {Object.<string, Object>} Scales keyed by id (scales without a readable source are left out)
+ */
+export function generateColorScales(colors) {
+  const scales = {};
+  Object.values(TONAL_SCALES).forEach(({ id, source, maxChroma }) => {
+    const scale = generateTonalScale(colors?.[source], { maxChroma });
+    if (scale) scales[id] = scale;
+  });
+  return scales;
+}
+
+/**
+ * Scales of a theme: the stored `colorScales`, with missing ones generated
+ * from the light colors. Exporters read scales through this so themes
+ * saved before scales existed still export them.
+ * @param {Object} theme - Theme (with colors)
+ * @returns {Object.<string, Object>} Scales keyed by id
+ */
+export function getColorScales(theme) {
+  const stored = theme?.colorScales || {};
+  const scales = {};
+  Object.values(TONAL_SCALES).forEach(({ id, source, maxChroma }) => {
+    const scale = stored[id] || generateTonalScale(theme?.colors?.light?.[source], { maxChroma });
+    if (scale) scales[id] = scale;
+  });
+  return { ...scales, ...stored };
+}
+
+/**
+ * Flatten scales into [name, step, color] entries ('primary', 500, 'oklch(...)')
+ * @param {Object.<string, Object>} scales - Scales keyed by id
+ * @returns {Array.<[string, number, string]>} Entries, in scale and step order
+ */
+export function getColorScaleEntries(scales) {
+  return Object.entries(scales || {}).flatMap(([name, scale]) =>
+    TONAL_SCALE_STEPS.filter((step) => scale?.[step]).map((step) => [name, step, scale[step]])
+  );
+}
+
+/**
+ * Regenerate the scales whose source color changed between two states.
+ * Scales set in the same update (imports, undo) are kept as given.
+ * @param {Object|null} prev - State before the update
+ * @param {Object} next - State after the update
+ * @returns {Object} next, with `colorScales` brought up to date
+ */
+export function syncColorScales(prev, next) {
+  const scales = { ...next.colorScales };
+  let changed = false;
+
+  Object.values(TONAL_SCALES).forEach(({ id, source, maxChroma }) => {
+    const color = next.colors?.light?.[source];
+    const sourceChanged = color !== prev?.colors?.light?.[source];
+    const scaleSet = next.colorScales?.[id] !== prev?.colorScales?.[id];
+    if (scales[id] && (!sourceChanged || scaleSet)) return;
+
+    const scale = generateTonalScale(color, { maxChroma });
+    if (scale) {
+      scales[id] = scale;
+      changed = true;
+    }
+  });
+
+  return changed ? { ...next, colorScales: scales } : next;
+}
@@ -202,6 +202,39 @@ export const TYPE_SCALES = {
   },
 };
 
+/**
+ * Steps of the type scale, as powers of the ratio from the base size
+ * @constant {Object.<string, number>}
+ */
+export const TYPE_SCALE_STEPS = {
+  xs: -2,
+  sm: -1,
+  base: 0,
+  lg: 1,
+  xl: 2,
+  '2xl': 3,
+  '3xl': 4,
+  '4xl': 5,
+};
+
+/**
+ * Compute the font sizes of a type scale
+ * @param {string} scaleId - Type scale ID (falls back to 'default')
+ * @returns {Object.<string, number>} Sizes in px keyed by step (xs ... 4xl), rounded to 2 decimals
+ *
+ * @example
+ * getTypeScaleSizes('default'); // { xs: 11.11, sm: 13.33, base: 16, lg: 19.2, ... }
+ */
+export function getTypeScaleSizes(scaleId) {
+  const scale = TYPE_SCALES[scaleId] || TYPE_SCALES.default;
+  return Object.fromEntries(
+    Object.entries(TYPE_SCALE_STEPS).map(([step, power]) => [
+      step,
+      Math.round(scale.baseFontSize * Math.pow(scale.ratio, power) * 100) / 100,
+    ])
+  );
+}
+
 /**
  * Line Height Presets
  *
@@ -254,6 +287,22 @@ export function getFont(fontId) {
   return FONT_CATALOG[fontId] || null;
 }
 
+/**
+ * Find the catalog font for a font-family value
+ * @param {string|string[]} family - Family name or CSS font stack, e.g. '"Inter", sans-serif'
+ * @returns {string|null} Font ID, or null if the font is not in the catalog
+ */
+export function findFontByFamily(family) {
+  const first = (Array.isArray(family) ? family[0] : String(family || '').split(',')[0]) || '';
+  const name = first.trim().replace(/^["']|["']$/g, '').toLowerCase();
+  if (!name) return null;
+
+  const match = Object.entries(FONT_CATALOG).find(
+    ([id, font]) => id.toLowerCase() === name || font.name.toLowerCase() === name
+  );
+  return match ? match[0] : null;
+}
+
 /**
  * Get recommended fonts for a specific use
  * @param {"headings"|"body"|"both"} use - Intended use
@@ -10,9 +10,11 @@ import { Eye, EyeOff, Wand2 } from 'lucide-react';
 import { useDesignManagerContext } from '../context/DesignManagerContext';
 import { COLOR_TOKEN_GROUPS, getCSSVarName } from '../lib/constants';
 import { ColorPicker } from '../components/controls/ColorPicker';
+import { ContrastModelSelect } from '../components/controls/ContrastModelSelect';
 import { ExpandableSection } from '../components/controls/ExpandableSection';
 import { simulateColorBlindness, CVD_TYPES } from '../lib/color-blindness';
-import { parseToOklch } from '../lib/color-utils';
+import { parseToOklch, formatOklch, toHexString } from '../lib/color-utils';
+import { getColorScales, TONAL_SCALES, TONAL_SCALE_STEPS } from '../lib/tonal-scales';
 
 /**
  * Generate dark mode color from a light mode color
@@ -59,14 +61,16 @@ function generateDarkModeColor(color, tokenName) {
     newL = 1 - l;
   }
 
-  return `oklch(${newL.toFixed(3)} ${newC.toFixed(3)} ${h.toFixed(3)})`;
+  return formatOklch({ ...oklch, l: newL, c: newC, h }, 3);
 }
 
 export function ColorsTab() {
-  const { colors, darkMode, setColor } = useDesignManagerContext();
+  const { theme, colors, darkMode, setColor, setToken } = useDesignManagerContext();
   const [cvdMode, setCvdMode] = useState(null);
   const currentColors = darkMode ? colors.dark : colors.light;
   const backgroundColor = currentColors.background;
+  const contrastOptions = { model: theme.contrastModel, typography: theme, backdrop: backgroundColor };
+  const scales = getColorScales(theme);
 
   /**
    * Generate all dark mode colors from current light mode colors
@@ -110,23 +114,31 @@ export function ColorsTab() {
             </p>
           </div>
 
-          {/* CVD Simulation Toggle */}
-          <div className="dm-cvd-toggle">
-            <select
-              className="dm-select dm-select-small"
-              value={cvdMode || ''}
-              onChange={(e) => setCvdMode(e.target.value || null)}
-            >
-              <option value="">Normal vision</option>
-              <option value={CVD_TYPES.PROTANOPIA}>Protanopia (red-blind)</option>
-              <option value={CVD_TYPES.DEUTERANOPIA}>Deuteranopia (green-blind)</option>
-              <option value={CVD_TYPES.TRITANOPIA}>Tritanopia (blue-blind)</option>
-            </select>
-            {cvdMode ? (
-              <Eye size={14} className="dm-cvd-icon dm-active" />
-            ) : (
-              <EyeOff size={14} className="dm-cvd-icon" />
-            )}
+          <div className="dm-header-controls">
+            {/* Contrast model for the badges */}
+            <ContrastModelSelect
+              value={theme.contrastModel}
+              onChange={(model) => setToken('contrastModel', model)}
+            />
+
+            {/* CVD Simulation Toggle */}
+            <div className="dm-cvd-toggle">
+              <select
+                className="dm-select dm-select-small"
+                value={cvdMode || ''}
+                onChange={(e) => setCvdMode(e.target.value || null)}
+              >
+                <option value="">Normal vision</option>
+                <option value={CVD_TYPES.PROTANOPIA}>Protanopia (red-blind)</option>
+                <option value={CVD_TYPES.DEUTERANOPIA}>Deuteranopia (green-blind)</option>
+                <option value={CVD_TYPES.TRITANOPIA}>Tritanopia (blue-blind)</option>
+              </select>
+              {cvdMode ? (
+                <Eye size={14} className="dm-cvd-icon dm-active" />
+              ) : (
+                <EyeOff size={14} className="dm-cvd-icon" />
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -160,6 +172,8 @@ export function ColorsTab() {
                         value={color}
                         onChange={(newColor) => setColor(token, newColor)}
                         contrastWith={contrastWith}
+                        contrastRole={foregroundToken ? 'background' : 'foreground'}
+                        contrastOptions={contrastOptions}
                         showBadge={!!foregroundToken || token.includes('Foreground')}
                       />
                     </div>
@@ -178,6 +192,30 @@ export function ColorsTab() {
             </div>
           </ExpandableSection>
         ))}
+
+        {/* Tonal scales follow the light colors they are generated from */}
+        <ExpandableSection title="Tonal Scales" badge={`${Object.keys(scales).length}`}>
+          <div className="dm-scale-list">
+            {Object.entries(scales).map(([name, scale]) => (
+              <div key={name} className="dm-scale-row">
+                <div className="dm-token-info">
+                  <span className="dm-token-name">{TONAL_SCALES[name]?.name || formatTokenName(name)}</span>
+                  <span className="dm-token-var">--{name}-50 … 950</span>
+                </div>
+                <div className="dm-scale-chips">
+                  {TONAL_SCALE_STEPS.filter((step) => scale[step]).map((step) => (
+                    <div
+                      key={step}
+                      className="dm-scale-chip"
+                      style={{ backgroundColor: getDisplayColor(scale[step]) }}
+                      title={`--${name}-${step}: ${scale[step]} (${toHexString(scale[step])})`}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </ExpandableSection>
       </div>
 
       {/* Quick Actions */}
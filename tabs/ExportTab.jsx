@@ -5,48 +5,161 @@
  */
 
 import { useState, useRef } from 'react';
-import { Copy, Download, Upload, Check, AlertCircle, Bot } from 'lucide-react';
+import { Copy, Download, Upload, Check, AlertCircle, Bot, Save, Pencil, CopyPlus, Trash2, Package, Link2 } from 'lucide-react';
 import { useDesignManager } from '../hooks/useDesignManager';
 import { BUILT_IN_PRESETS } from '../lib/presets';
+import { isDesignTokens } from '../lib/exporters/tokens-exporter';
+import { getDefaultExportOptions, getExportFileName } from '../lib/exporters/registry';
 
-const EXPORT_FORMATS = [
-  { id: 'css', name: 'CSS', extension: '.css' },
-  { id: 'json', name: 'JSON', extension: '.json' },
-  { id: 'tailwind', name: 'Tailwind', extension: '.js' },
-  { id: 'tokens', name: 'Design Tokens', extension: '.tokens.json' },
-  { id: 'rules', name: 'AI Rules', extension: '.md', icon: Bot },
-];
-
-const AI_RULES_FORMATS = [
-  { id: 'markdown', name: 'Markdown', description: 'For Claude/ChatGPT chat' },
-  { id: 'cursor', name: 'Cursor Rules', description: '.mdc format for .cursor/rules/' },
-  { id: 'claude', name: 'Claude Instructions', description: 'XML-structured format' },
-];
-
-const AI_RULES_SCOPES = [
-  { id: 'full', name: 'Full System', description: 'Colors, typography, spacing, patterns' },
-  { id: 'colors', name: 'Colors Only', description: 'Color tokens and accessibility' },
-  { id: 'typography', name: 'Typography Only', description: 'Fonts, sizes, line heights' },
-];
+// Icons for built-in formats; registered formats can pass their own `icon`
+const FORMAT_ICONS = {
+  rules: Bot,
+};
+
+/**
+ * Controls for an exporter's optionsSchema
+ * @param {Object} props
+ * @param {Object} props.schema - Options schema, keyed by option name
+ * @param {Object} props.values - Current option values
+ * @param {function(string, any): void} props.onChange - Called with (name, value)
+ */
+function ExportOptionControls({ schema, values, onChange }) {
+  const hints = [];
+
+  const controls = Object.entries(schema).map(([key, option]) => {
+    const value = values[key];
+    const label = option.label || key;
+
+    if (option.type === 'select') {
+      const selected = option.choices.find((choice) => choice.value === value);
+      if (selected?.hint) hints.push(selected.hint);
+
+      return (
+        <div key={key} className="dm-export-option-group">
+          <label className="dm-export-option-label">{label}</label>
+          <div className="dm-export-option-choices">
+            {option.choices.map((choice) => (
+              <button
+                key={choice.value}
+                type="button"
+                className={`dm-export-option-choice ${value === choice.value ? 'dm-active' : ''}`}
+                onClick={() => onChange(key, choice.value)}
+                title={choice.description}
+              >
+                {choice.label || choice.value}
+              </button>
+            ))}
+          </div>
+        </div>
+      );
+    }
+
+    if (option.type === 'boolean') {
+      return (
+        <div key={key} className="dm-export-option-group">
+          <label className="dm-export-option-toggle" title={option.description}>
+            <input
+              type="checkbox"
+              checked={!!value}
+              onChange={(e) => onChange(key, e.target.checked)}
+            />
+            {label}
+          </label>
+        </div>
+      );
+    }
+
+    return (
+      <div key={key} className="dm-export-option-group">
+        <label className="dm-export-option-label" htmlFor={`dm-export-option-${key}`}>{label}</label>
+        <input
+          id={`dm-export-option-${key}`}
+          className="dm-input dm-export-option-input"
+          type={option.type === 'number' ? 'number' : 'text'}
+          value={value ?? ''}
+          placeholder={option.placeholder}
+          title={option.description}
+          onChange={(e) => {
+            const next = e.target.value;
+            onChange(key, option.type === 'number' ? (next === '' ? undefined : Number(next)) : next);
+          }}
+        />
+      </div>
+    );
+  });
+
+  return (
+    <div className="dm-export-options">
+      {controls}
+      {hints.map((hint) => (
+        <p key={hint} className="dm-export-option-hint">{hint}</p>
+      ))}
+    </div>
+  );
+}
 
 export function ExportTab() {
-  const { theme, exportTheme, applyPreset, importTheme } = useDesignManager();
-  const [activeFormat, setActiveFormat] = useState('css');
+  const {
+    theme,
+    exportTheme,
+    exportBundle,
+    createShareLink,
+    applyPreset,
+    importTheme,
+    parseTheme,
+    userPresets,
+    savePreset,
+    renamePreset,
+    duplicatePreset,
+    deletePreset,
+    exporters,
+  } = useDesignManager();
+  const [selectedFormat, setSelectedFormat] = useState('css');
   const [copied, setCopied] = useState(false);
+  const [bundleError, setBundleError] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
   const [importError, setImportError] = useState(null);
   const [importSuccess, setImportSuccess] = useState(false);
+  const [pastedText, setPastedText] = useState('');
   const fileInputRef = useRef(null);
 
-  // AI Rules sub-options
-  const [rulesFormat, setRulesFormat] = useState('markdown');
-  const [rulesScope, setRulesScope] = useState('full');
+  // User preset library
+  const [presetName, setPresetName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  // Option values per format, on top of each format's schema defaults
+  const [formatOptions, setFormatOptions] = useState({});
+
+  // Fall back to CSS if the selected format was unregistered
+  const exporter = exporters.find((f) => f.id === selectedFormat)
+    || exporters.find((f) => f.id === 'css')
+    || exporters[0];
+  const activeFormat = exporter?.id;
+  const exportOptions = {
+    ...getDefaultExportOptions(exporter),
+    ...formatOptions[activeFormat],
+  };
 
-  // Build export options for rules format
-  const exportOptions = activeFormat === 'rules'
-    ? { format: rulesFormat, scope: rulesScope }
-    : {};
+  const setExportOption = (key, value) => {
+    setFormatOptions((prev) => {
+      // Clearing a field (undefined) goes back to the schema default
+      const { [key]: _previous, ...rest } = prev[activeFormat] || {};
+      return {
+        ...prev,
+        [activeFormat]: value === undefined ? rest : { ...rest, [key]: value },
+      };
+    });
+  };
 
-  const exportedCode = exportTheme(activeFormat, exportOptions);
+  let exportedCode = '';
+  let exportError = null;
+  try {
+    exportedCode = activeFormat ? exportTheme(activeFormat, exportOptions) : '';
+  } catch (e) {
+    // Registered exporters are third-party code; keep the tab usable
+    exportError = e.message || String(e);
+  }
 
   const handleCopy = async () => {
     try {
@@ -59,57 +172,146 @@ export function ExportTab() {
   };
 
   const handleDownload = () => {
-    const format = EXPORT_FORMATS.find((f) => f.id === activeFormat);
     const blob = new Blob([exportedCode], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
+    a.download = getExportFileName(exporter, exportOptions);
+    a.click();
+    URL.revokeObjectURL(url);
+  };
 
-    // Handle AI Rules file extensions based on sub-format
-    let extension = format.extension;
-    let filename = 'theme';
-    if (activeFormat === 'rules') {
-      if (rulesFormat === 'cursor') {
-        extension = '.mdc';
-        filename = 'design-system';
-      } else if (rulesFormat === 'claude') {
-        extension = '.md';
-        filename = 'claude-instructions';
-      } else {
-        extension = '.md';
-        filename = 'design-system-rules';
-      }
+  /**
+   * Download the handoff ZIP. Options picked for a format in this tab
+   * (e.g. a CSS prefix) carry over into the bundle.
+   */
+  const handleDownloadBundle = () => {
+    setBundleError(null);
+    try {
+      const name = userPresets.find((preset) => preset.id === theme.activePresetId)?.name;
+      const zip = exportBundle({ name, formatOptions });
+      const blob = new Blob([zip], { type: 'application/zip' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'design-system.zip';
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setBundleError(e.message || 'Failed to build the bundle');
     }
+  };
 
-    a.download = `${filename}${extension}`;
-    a.click();
-    URL.revokeObjectURL(url);
+  const handleCopyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(await createShareLink());
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (e) {
+      console.error('Failed to copy share link:', e);
+    }
   };
 
-  const handleImport = async (file) => {
-    setImportError(null);
-    setImportSuccess(false);
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    savePreset(presetName || `Preset ${userPresets.length + 1}`);
+    setPresetName('');
+  };
 
-    if (!file) return;
+  const startRename = (preset) => {
+    setRenamingId(preset.id);
+    setRenameValue(preset.name);
+  };
 
-    try {
-      const text = await file.text();
+  const commitRename = () => {
+    if (renamingId) {
+      renamePreset(renamingId, renameValue);
+    }
+    setRenamingId(null);
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitRename();
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setRenamingId(null);
+    }
+  };
 
+  /**
+   * Import theme text. The format is detected from the content: CSS
+   * custom-property themes, design token files (W3C or Tokens Studio) or
+   * Design Manager JSON exports.
+   * @param {string} text - File or pasted contents
+   * @param {string} [fileName] - Original file name, if any
+   */
+  const importText = (text, fileName = '') => {
+    let format = 'css';
+
+    if (!fileName.endsWith('.css') && text.trim().startsWith('{')) {
       // Validate JSON syntax
       const parsed = JSON.parse(text);
       if (!parsed || typeof parsed !== 'object') {
         throw new Error('Invalid theme format');
       }
+      format = isDesignTokens(parsed) ? 'tokens' : 'json';
+    }
+
+    // Import the theme (pass raw string, the exporter module parses it)
+    if (!importTheme(text, format)) {
+      throw new Error(
+        format === 'css' ? 'No theme variables found in :root or .dark'
+          : format === 'tokens' ? 'No tokens matched the theme'
+            : 'Invalid theme format'
+      );
+    }
 
-      // Import the theme (pass raw string, json-exporter parses it)
-      importTheme(text, 'json');
-      setImportSuccess(true);
-      setTimeout(() => setImportSuccess(false), 3000);
+    // Tell the user what was invalid or had no matching token
+    const { errors, unknown } = parseTheme(text, format);
+    const list = (items) => `${items.slice(0, 8).join(', ')}${items.length > 8 ? ', ...' : ''}`;
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    const notes = [];
+    if (errors.length > 0) {
+      notes.push(`Ignored ${plural(errors.length, 'invalid value')}: ${list(errors.map((error) => `${error.path || 'file'} (${error.message})`))}`);
+    }
+    if (unknown.length > 0) {
+      notes.push(format === 'json'
+        ? `Kept ${plural(unknown.length, 'unrecognized field')}: ${list(unknown)}`
+        : `Skipped ${plural(unknown.length, `unrecognized ${format === 'css' ? 'variable' : 'token'}`)}: ${list(unknown)}`);
+    }
+    setImportSuccess(notes.length > 0 ? `Theme imported. ${notes.join('. ')}.` : true);
+    setTimeout(() => setImportSuccess(false), notes.length > 0 ? 6000 : 3000);
+  };
+
+  const handleImport = async (file) => {
+    setImportError(null);
+    setImportSuccess(false);
+
+    if (!file) return;
+
+    try {
+      importText(await file.text(), file.name);
     } catch (e) {
       setImportError(e.message || 'Failed to import theme');
     }
   };
 
+  const handlePasteImport = (e) => {
+    e.preventDefault();
+    setImportError(null);
+    setImportSuccess(false);
+    if (!pastedText.trim()) return;
+
+    try {
+      importText(pastedText);
+      setPastedText('');
+    } catch (err) {
+      setImportError(err.message || 'Failed to import theme');
+    }
+  };
+
   const handleFileChange = (e) => {
     const file = e.target.files?.[0];
     if (file) {
@@ -142,6 +344,115 @@ export function ExportTab() {
         </p>
       </div>
 
+      {/* User Presets Section */}
+      <div className="dm-export-section">
+        <h4 className="dm-section-title">My Presets</h4>
+
+        <form className="dm-preset-save" onSubmit={handleSavePreset}>
+          <input
+            type="text"
+            className="dm-input"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Name this theme..."
+            aria-label="Preset name"
+          />
+          <button type="submit" className="dm-button dm-button-primary">
+            <Save size={14} />
+            Save current
+          </button>
+        </form>
+
+        {userPresets.length === 0 ? (
+          <p className="dm-preset-empty">
+            Saved themes appear here and can be re-applied at any time.
+          </p>
+        ) : (
+          <div className="dm-presets-grid">
+            {userPresets.map((preset) => (
+              <div
+                key={preset.id}
+                className={`dm-preset-card dm-user-preset ${theme.activePresetId === preset.id ? 'dm-active' : ''}`}
+              >
+                <button
+                  type="button"
+                  className="dm-preset-apply"
+                  onClick={() => applyPreset(preset.id)}
+                  aria-label={`Apply ${preset.name}`}
+                >
+                  <div className="dm-preset-colors">
+                    <div
+                      className="dm-preset-swatch"
+                      style={{ backgroundColor: preset.colors.primary }}
+                    />
+                    <div
+                      className="dm-preset-swatch"
+                      style={{ backgroundColor: preset.colors.accent }}
+                    />
+                    <div
+                      className="dm-preset-swatch"
+                      style={{ backgroundColor: preset.colors.background }}
+                    />
+                    {preset.colors.darkBackground && (
+                      <div
+                        className="dm-preset-swatch"
+                        style={{ backgroundColor: preset.colors.darkBackground }}
+                      />
+                    )}
+                  </div>
+                  {renamingId !== preset.id && (
+                    <span className="dm-preset-name">{preset.name}</span>
+                  )}
+                </button>
+
+                {renamingId === preset.id && (
+                  <input
+                    type="text"
+                    className="dm-input dm-input-small"
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={handleRenameKeyDown}
+                    aria-label="New preset name"
+                    autoFocus
+                  />
+                )}
+
+                <div className="dm-preset-actions">
+                  <button
+                    type="button"
+                    className="dm-preset-action"
+                    onClick={() => startRename(preset)}
+                    title="Rename"
+                    aria-label={`Rename ${preset.name}`}
+                  >
+                    <Pencil size={12} />
+                  </button>
+                  <button
+                    type="button"
+                    className="dm-preset-action"
+                    onClick={() => duplicatePreset(preset.id)}
+                    title="Duplicate"
+                    aria-label={`Duplicate ${preset.name}`}
+                  >
+                    <CopyPlus size={12} />
+                  </button>
+                  <button
+                    type="button"
+                    className="dm-preset-action dm-preset-action-danger"
+                    onClick={() => deletePreset(preset.id)}
+                    title="Delete"
+                    aria-label={`Delete ${preset.name}`}
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Presets Section */}
       <div className="dm-export-section">
         <h4 className="dm-section-title">Built-in Presets</h4>
@@ -178,65 +489,33 @@ export function ExportTab() {
         <h4 className="dm-section-title">Export Theme</h4>
 
         <div className="dm-format-tabs">
-          {EXPORT_FORMATS.map((format) => (
-            <button
-              key={format.id}
-              type="button"
-              className={`dm-format-tab ${activeFormat === format.id ? 'dm-active' : ''}`}
-              onClick={() => setActiveFormat(format.id)}
-            >
-              {format.icon && <format.icon size={14} />}
-              {format.name}
-            </button>
-          ))}
+          {exporters.map((format) => {
+            const Icon = format.icon || FORMAT_ICONS[format.id];
+            return (
+              <button
+                key={format.id}
+                type="button"
+                className={`dm-format-tab ${activeFormat === format.id ? 'dm-active' : ''}`}
+                onClick={() => setSelectedFormat(format.id)}
+              >
+                {Icon && <Icon size={14} />}
+                {format.name}
+              </button>
+            );
+          })}
         </div>
 
-        {/* AI Rules Sub-options */}
-        {activeFormat === 'rules' && (
-          <div className="dm-rules-options">
-            <div className="dm-rules-option-group">
-              <label className="dm-rules-label">Format</label>
-              <div className="dm-rules-select-group">
-                {AI_RULES_FORMATS.map((fmt) => (
-                  <button
-                    key={fmt.id}
-                    type="button"
-                    className={`dm-rules-option ${rulesFormat === fmt.id ? 'dm-active' : ''}`}
-                    onClick={() => setRulesFormat(fmt.id)}
-                    title={fmt.description}
-                  >
-                    {fmt.name}
-                  </button>
-                ))}
-              </div>
-            </div>
-            <div className="dm-rules-option-group">
-              <label className="dm-rules-label">Scope</label>
-              <div className="dm-rules-select-group">
-                {AI_RULES_SCOPES.map((scope) => (
-                  <button
-                    key={scope.id}
-                    type="button"
-                    className={`dm-rules-option ${rulesScope === scope.id ? 'dm-active' : ''}`}
-                    onClick={() => setRulesScope(scope.id)}
-                    title={scope.description}
-                  >
-                    {scope.name}
-                  </button>
-                ))}
-              </div>
-            </div>
-            <p className="dm-rules-hint">
-              {rulesFormat === 'cursor' && 'Place in .cursor/rules/ for automatic context'}
-              {rulesFormat === 'claude' && 'Add to Claude project instructions'}
-              {rulesFormat === 'markdown' && 'Paste into any AI chat for design context'}
-            </p>
-          </div>
+        {exporter?.optionsSchema && Object.keys(exporter.optionsSchema).length > 0 && (
+          <ExportOptionControls
+            schema={exporter.optionsSchema}
+            values={exportOptions}
+            onChange={setExportOption}
+          />
         )}
 
         <div className="dm-code-preview">
           <pre className="dm-code-block">
-            <code>{exportedCode.slice(0, 500)}...</code>
+            <code>{exportError ? `Export failed: ${exportError}` : `${exportedCode.slice(0, 500)}...`}</code>
           </pre>
         </div>
 
@@ -245,6 +524,7 @@ export function ExportTab() {
             type="button"
             className="dm-button dm-button-secondary"
             onClick={handleCopy}
+            disabled={!!exportError}
           >
             {copied ? <Check size={14} /> : <Copy size={14} />}
             {copied ? 'Copied!' : 'Copy'}
@@ -254,11 +534,39 @@ export function ExportTab() {
             type="button"
             className="dm-button dm-button-primary"
             onClick={handleDownload}
+            disabled={!!exportError}
           >
             <Download size={14} />
             Download
           </button>
+
+          <button
+            type="button"
+            className="dm-button dm-button-secondary"
+            onClick={handleDownloadBundle}
+            title="CSS, JSON, Tailwind config, design tokens, AI rules, README and manifest in one ZIP"
+          >
+            <Package size={14} />
+            Download bundle
+          </button>
+
+          <button
+            type="button"
+            className="dm-button dm-button-secondary"
+            onClick={handleCopyShareLink}
+            title="Copy a link to this page that opens with the current theme"
+          >
+            {linkCopied ? <Check size={14} /> : <Link2 size={14} />}
+            {linkCopied ? 'Link copied!' : 'Share link'}
+          </button>
         </div>
+
+        {bundleError && (
+          <div className="dm-import-error">
+            <AlertCircle size={14} />
+            <span>{bundleError}</span>
+          </div>
+        )}
       </div>
 
       {/* Import Section */}
@@ -275,7 +583,7 @@ export function ExportTab() {
         {importSuccess && (
           <div className="dm-import-success">
             <Check size={14} />
-            <span>Theme imported successfully!</span>
+            <span>{importSuccess === true ? 'Theme imported successfully!' : importSuccess}</span>
           </div>
         )}
 
@@ -286,16 +594,32 @@ export function ExportTab() {
           onDragOver={handleDragOver}
         >
           <Upload size={24} />
-          <p>Drop a JSON file or click to upload</p>
-          <span className="dm-import-hint">Supports Design Manager JSON exports</span>
+          <p>Drop a JSON or CSS file or click to upload</p>
+          <span className="dm-import-hint">Supports Design Manager exports, W3C / Tokens Studio tokens and shadcn/ui CSS themes</span>
           <input
             ref={fileInputRef}
             type="file"
-            accept=".json,.tokens.json"
+            accept=".json,.tokens.json,.css"
             className="dm-file-input"
             onChange={handleFileChange}
           />
         </div>
+
+        <form className="dm-import-paste" onSubmit={handlePasteImport}>
+          <textarea
+            className="dm-input dm-import-textarea"
+            value={pastedText}
+            onChange={(e) => setPastedText(e.target.value)}
+            placeholder={':root {\n  --primary: oklch(0.6 0.2 250);\n}\n.dark { ... }'}
+            aria-label="Paste a CSS theme or design tokens"
+            rows={4}
+            spellCheck={false}
+          />
+          <button type="submit" className="dm-button dm-button-secondary" disabled={!pastedText.trim()}>
+            <Upload size={14} />
+            Import pasted
+          </button>
+        </form>
       </div>
     </div>
   );